@@ -0,0 +1,504 @@
+// =============================================================================
+// POPCORN GATEWAY - ALERTING
+// =============================================================================
+// Detects escape / return-home transitions from telemetry (battery and
+// health anomaly alerts are raised by battery.js and anomalies.js) and fans
+// each alert out to webhooks, push notifications and SMS. Every alert is recorded in the
+// `alerts` table together with its per-channel delivery results.
+//
+// Webhooks are always signed (X-Popcorn-Signature): the ALERT_WEBHOOK_URLS
+// with ALERT_WEBHOOK_SECRET, webhooks added by an owner with a secret of
+// their own, shown once when the channel is created. Owner webhooks may
+// only point at public hosts.
+// =============================================================================
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { db } = require('./db');
+const live = require('./live');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Comma-separated webhook URLs notified for every device
+const ALERT_WEBHOOK_URLS = (process.env.ALERT_WEBHOOK_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+const ALERT_WEBHOOK_SECRET = process.env.ALERT_WEBHOOK_SECRET;
+
+if (ALERT_WEBHOOK_URLS.length > 0 && !ALERT_WEBHOOK_SECRET) {
+    console.error('ERROR: ALERT_WEBHOOK_URLS requires ALERT_WEBHOOK_SECRET - receivers could not tell our alerts from forged ones');
+    process.exit(1);
+}
+
+// Push provider (Expo push service)
+const EXPO_PUSH_URL = process.env.EXPO_PUSH_URL || 'https://exp.host/--/api/v2/push/send';
+const EXPO_ACCESS_TOKEN = process.env.EXPO_ACCESS_TOKEN;
+
+// SMS provider (Twilio)
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_FROM_NUMBER = process.env.TWILIO_FROM_NUMBER;
+
+const ALERT_COOLDOWN_SECONDS = parseInt(process.env.ALERT_COOLDOWN_SECONDS || '300');
+// Battery alerts repeat far less often than escape alerts
+const BATTERY_ALERT_COOLDOWN_SECONDS = parseInt(process.env.BATTERY_ALERT_COOLDOWN_SECONDS || '21600');
+const ALERT_MAX_ATTEMPTS = parseInt(process.env.ALERT_MAX_ATTEMPTS || '4');
+const ALERT_RETRY_BASE_MS = parseInt(process.env.ALERT_RETRY_BASE_MS || '1000');
+
+const ALERT_TYPES = {
+    ESCAPED: 'escaped',
+    RETURNED: 'returned',
+    LOW_BATTERY: 'low_battery',
+    BATTERY_NIGHT: 'battery_night',
+    HEALTH_ANOMALY: 'health_anomaly'
+};
+
+const ALERT_TITLES = {
+    [ALERT_TYPES.ESCAPED]: 'Escape alert',
+    [ALERT_TYPES.RETURNED]: 'Back home',
+    [ALERT_TYPES.LOW_BATTERY]: 'Low battery',
+    [ALERT_TYPES.BATTERY_NIGHT]: 'Charge tonight',
+    [ALERT_TYPES.HEALTH_ANOMALY]: 'Health alert'
+};
+
+const ALERT_COOLDOWNS = {
+    [ALERT_TYPES.LOW_BATTERY]: BATTERY_ALERT_COOLDOWN_SECONDS,
+    // At most one reminder per evening
+    [ALERT_TYPES.BATTERY_NIGHT]: 12 * 60 * 60,
+    // anomalies.js only alerts on new critical episodes and escalations
+    [ALERT_TYPES.HEALTH_ANOMALY]: 0
+};
+
+// =============================================================================
+// CHANNEL ADAPTERS
+// =============================================================================
+// Each adapter sends one alert to one target and throws on failure. Errors
+// with `retryable = false` are not retried (e.g. a rejected phone number).
+
+class DeliveryError extends Error {
+    constructor(message, retryable = true) {
+        super(message);
+        this.retryable = retryable;
+    }
+}
+
+async function postJSON(url, body, headers = {}) {
+    // A redirect could lead anywhere - it counts as a failed delivery
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+        redirect: 'manual'
+    });
+
+    if (!response.ok) {
+        // 4xx (except 429) means the request itself is bad - retrying won't help
+        const retryable = response.status >= 500 || response.status === 429;
+        throw new DeliveryError(`HTTP ${response.status}`, retryable);
+    }
+
+    return response;
+}
+
+function signWebhook(secret, body, timestamp) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// reserved ranges - owner webhooks must not reach into our network
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// URL hostname without the brackets around IPv6 literals
+const bareHostname = url => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+function isPrivateHostname(hostname) {
+    return hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname);
+}
+
+/**
+ * Resolve a webhook host and refuse private addresses - a public name can
+ * still resolve to one. Not retried.
+ */
+async function assertPublicHost(url) {
+    const hostname = bareHostname(new URL(url));
+    if (isPrivateHostname(hostname)) {
+        throw new DeliveryError(`${hostname} is not a public host`, false);
+    }
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        throw new DeliveryError(`Cannot resolve ${hostname}: ${error.code || error.message}`);
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new DeliveryError(`${hostname} resolves to a private address`, false);
+    }
+}
+
+const adapters = {
+    webhook: {
+        isConfigured: () => true,
+        // `secret` signs the body; `publicOnly` is set for owner-added URLs
+        async send(alert, url, { secret, publicOnly = false } = {}) {
+            if (!secret) throw new DeliveryError('Webhook has no signing secret', false);
+            if (publicOnly) await assertPublicHost(url);
+
+            const body = JSON.stringify({
+                event: `device.${alert.type}`,
+                alert_id: alert.id,
+                device_id: alert.device_id,
+                message: alert.message,
+                latitude: alert.latitude,
+                longitude: alert.longitude,
+                distance_from_home: alert.distance_from_home,
+                detected_at: alert.created_at
+            });
+
+            const timestamp = Math.floor(Date.now() / 1000);
+            await postJSON(url, body, {
+                'X-Popcorn-Timestamp': String(timestamp),
+                'X-Popcorn-Signature': `sha256=${signWebhook(secret, body, timestamp)}`
+            });
+        }
+    },
+
+    push: {
+        isConfigured: () => true,
+        async send(alert, token) {
+            const headers = EXPO_ACCESS_TOKEN ? { Authorization: `Bearer ${EXPO_ACCESS_TOKEN}` } : {};
+            const response = await postJSON(EXPO_PUSH_URL, {
+                to: token,
+                title: ALERT_TITLES[alert.type] || 'Popcorn',
+                body: alert.message,
+                priority: 'high',
+                sound: 'default',
+                data: { alert_id: alert.id, device_id: alert.device_id, type: alert.type }
+            }, headers);
+
+            const result = await response.json().catch(() => ({}));
+            if (result.data?.status === 'error') {
+                throw new DeliveryError(result.data.message || 'Push rejected', false);
+            }
+        }
+    },
+
+    sms: {
+        isConfigured: () => Boolean(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_FROM_NUMBER),
+        async send(alert, phoneNumber) {
+            const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`;
+            const auth = Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64');
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Basic ${auth}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({
+                    To: phoneNumber,
+                    From: TWILIO_FROM_NUMBER,
+                    Body: alert.message
+                })
+            });
+
+            if (!response.ok) {
+                const retryable = response.status >= 500 || response.status === 429;
+                throw new DeliveryError(`HTTP ${response.status}`, retryable);
+            }
+        }
+    }
+};
+
+// =============================================================================
+// CHANNEL SETTINGS
+// =============================================================================
+// Per-device targets in `alert_channels`, managed by the owner. The
+// ALERT_WEBHOOK_URLS are added for every device on top.
+
+const ALERT_CHANNELS = Object.keys(adapters);
+
+// Everything but the webhook secret, which is only returned on creation
+const CHANNEL_COLUMNS = 'id, device_id, channel, target, enabled, created_at';
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+const MAX_TARGET_LENGTH = 2048;
+
+function validateTarget(channel, target) {
+    if (typeof target !== 'string' || target.trim() === '' || target.length > MAX_TARGET_LENGTH) {
+        return `target must be a non-empty string of at most ${MAX_TARGET_LENGTH} characters`;
+    }
+    if (channel === 'webhook') {
+        let url;
+        try {
+            url = new URL(target);
+        } catch {
+            return 'target must be a URL for webhook channels';
+        }
+        if (url.protocol !== 'https:') return 'webhook URLs must use https';
+        if (isPrivateHostname(bareHostname(url))) return 'webhook URLs must point at a public host';
+    }
+    if (channel === 'sms' && !E164_PATTERN.test(target)) {
+        return 'target must be a phone number in E.164 format (+31612345678) for sms channels';
+    }
+    return null;
+}
+
+/**
+ * Validate an alert channel body. With `partial`, only the fields present
+ * are checked (updates); `current` is the stored row they apply to.
+ * Returns { errors, value } where value holds the columns to write - for a
+ * new webhook including its signing secret.
+ */
+function validateChannel(body, { partial = false, current = null } = {}) {
+    const errors = [];
+    const value = {};
+    const channel = partial ? current.channel : body.channel;
+
+    if (!partial) {
+        if (!ALERT_CHANNELS.includes(channel)) {
+            errors.push(`channel must be one of: ${ALERT_CHANNELS.join(', ')}`);
+            return { errors, value };
+        }
+        if (!adapters[channel].isConfigured()) {
+            errors.push(`${channel} alerts are not configured on this gateway`);
+        }
+        value.channel = channel;
+        if (channel === 'webhook') value.secret = crypto.randomBytes(32).toString('hex');
+    } else if (body.channel !== undefined && body.channel !== channel) {
+        errors.push('channel cannot be changed - add a new channel instead');
+    }
+
+    if (!partial || body.target !== undefined) {
+        const targetError = validateTarget(channel, body.target);
+        if (targetError) errors.push(targetError);
+        else value.target = body.target.trim();
+    }
+
+    if (body.enabled !== undefined) {
+        if (typeof body.enabled !== 'boolean') errors.push('enabled must be a boolean');
+        else value.enabled = body.enabled;
+    }
+
+    return { errors, value };
+}
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function deliverWithRetry(channel, alert, target, options) {
+    const adapter = adapters[channel];
+    let lastError;
+
+    for (let attempt = 1; attempt <= ALERT_MAX_ATTEMPTS; attempt++) {
+        try {
+            await adapter.send(alert, target, options);
+            return { channel, target, status: 'delivered', attempts: attempt };
+        } catch (error) {
+            lastError = error;
+            console.warn(`[ALERTS] ${channel} delivery failed (attempt ${attempt}/${ALERT_MAX_ATTEMPTS}): ${error.message}`);
+
+            if (error.retryable === false) break;
+            if (attempt < ALERT_MAX_ATTEMPTS) {
+                // Exponential backoff: 1s, 2s, 4s, ...
+                await sleep(ALERT_RETRY_BASE_MS * 2 ** (attempt - 1));
+            }
+        }
+    }
+
+    return { channel, target, status: 'failed', error: lastError?.message };
+}
+
+async function getAlertTargets(deviceId) {
+    const targets = ALERT_WEBHOOK_URLS.map(url => ({
+        channel: 'webhook',
+        target: url,
+        options: { secret: ALERT_WEBHOOK_SECRET }
+    }));
+
+    const { data, error } = await db
+        .from('alert_channels')
+        .select('channel, target, secret')
+        .eq('device_id', deviceId)
+        .eq('enabled', true);
+
+    if (error) {
+        console.error('[ALERTS] Channel lookup error:', error);
+    }
+
+    for (const row of data || []) {
+        const adapter = adapters[row.channel];
+        if (!adapter) {
+            console.warn(`[ALERTS] Unknown channel "${row.channel}" for ${deviceId}`);
+            continue;
+        }
+        if (!adapter.isConfigured()) {
+            console.warn(`[ALERTS] Channel "${row.channel}" not configured - skipping`);
+            continue;
+        }
+        if (row.channel === 'webhook' && !row.secret) {
+            console.warn(`[ALERTS] Webhook for ${deviceId} has no signing secret - skipping`);
+            continue;
+        }
+        targets.push({
+            channel: row.channel,
+            target: row.target,
+            options: { secret: row.secret, publicOnly: true }
+        });
+    }
+
+    return targets;
+}
+
+async function isInCooldown(deviceId, type) {
+    const cooldownSeconds = ALERT_COOLDOWNS[type] ?? ALERT_COOLDOWN_SECONDS;
+    if (cooldownSeconds <= 0) return false;
+
+    const since = new Date(Date.now() - cooldownSeconds * 1000).toISOString();
+
+    const { data } = await db
+        .from('alerts')
+        .select('id')
+        .eq('device_id', deviceId)
+        .eq('type', type)
+        .neq('status', 'suppressed')
+        .gte('created_at', since)
+        .limit(1);
+
+    return Boolean(data && data.length > 0);
+}
+
+function buildMessage(type, deviceId, status) {
+    if (type === ALERT_TYPES.ESCAPED) {
+        const distance = status.distance_from_home ? ` (${Math.round(status.distance_from_home)} m from home)` : '';
+        return `Escape alert: ${deviceId} has left home${distance}`;
+    }
+    return `${deviceId} is back home`;
+}
+
+async function dispatchAlert(deviceId, type, status, message) {
+    const suppressed = await isInCooldown(deviceId, type);
+
+    const { data: alert, error } = await db
+        .from('alerts')
+        .insert({
+            device_id: deviceId,
+            type: type,
+            message: message || buildMessage(type, deviceId, status),
+            latitude: status.latitude,
+            longitude: status.longitude,
+            distance_from_home: status.distance_from_home,
+            status: suppressed ? 'suppressed' : 'pending'
+        })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('[ALERTS] Alert insert error:', error);
+        return;
+    }
+
+    if (suppressed) {
+        console.log(`[ALERTS] ${type} alert for ${deviceId} suppressed (cooldown)`);
+        return;
+    }
+
+    live.publish(deviceId, live.EVENT_TYPES.ALERT, {
+        alert_id: alert.id,
+        type: alert.type,
+        message: alert.message,
+        latitude: alert.latitude,
+        longitude: alert.longitude,
+        distance_from_home: alert.distance_from_home
+    });
+
+    const targets = await getAlertTargets(deviceId);
+    const deliveries = await Promise.all(
+        targets.map(({ channel, target, options }) => deliverWithRetry(channel, alert, target, options))
+    );
+
+    let finalStatus = 'delivered';
+    if (deliveries.length === 0) finalStatus = 'no_channels';
+    else if (deliveries.every(d => d.status === 'failed')) finalStatus = 'failed';
+    else if (deliveries.some(d => d.status === 'failed')) finalStatus = 'partial';
+
+    const { error: updateError } = await db
+        .from('alerts')
+        .update({ status: finalStatus, deliveries: deliveries })
+        .eq('id', alert.id);
+
+    if (updateError) {
+        console.error('[ALERTS] Alert update error:', updateError);
+    }
+
+    console.log(`[ALERTS] ${type} alert for ${deviceId}: ${finalStatus} (${deliveries.length} channels)`);
+}
+
+// =============================================================================
+// TRANSITION DETECTION
+// =============================================================================
+
+/**
+ * Compare the previous and new device status and fire an alert when the
+ * device escapes or returns home. Runs in the background - delivery retries
+ * must not hold up the telemetry response.
+ */
+function checkEscapeTransition(deviceId, previousStatus, currentStatus) {
+    const wasEscaped = previousStatus?.is_escaped ?? false;
+    const isEscaped = currentStatus.is_escaped ?? false;
+
+    if (wasEscaped === isEscaped) return;
+
+    const type = isEscaped ? ALERT_TYPES.ESCAPED : ALERT_TYPES.RETURNED;
+    console.log(`[ALERTS] ${deviceId} transition detected: ${type}`);
+
+    dispatchAlert(deviceId, type, currentStatus).catch(error => {
+        console.error('[ALERTS] Dispatch error:', error);
+    });
+}
+
+/**
+ * Raise an alert detected elsewhere (battery, anomalies) with its own message.
+ * Runs in the background like the transition alerts.
+ */
+function raiseAlert(deviceId, type, status, message) {
+    console.log(`[ALERTS] ${deviceId} alert raised: ${type}`);
+
+    dispatchAlert(deviceId, type, status, message).catch(error => {
+        console.error('[ALERTS] Dispatch error:', error);
+    });
+}
+
+module.exports = {
+    ALERT_TYPES,
+    ALERT_CHANNELS,
+    CHANNEL_COLUMNS,
+    validateChannel,
+    checkEscapeTransition,
+    raiseAlert
+};
@@ -0,0 +1,224 @@
+// =============================================================================
+// POPCORN GATEWAY - HEALTH ANOMALIES
+// =============================================================================
+// The collar flags activity anomalies (`health.anomaly`, `anomaly_type`,
+// `deviation`). Each `anomaly_log` row is an episode: detections of the same
+// type on consecutive local days (the device's timezone) extend the open
+// episode instead of starting a new one.
+//
+//   open -> acknowledged -> resolved | false_positive
+//   open -> resolved | false_positive
+//
+// Severity comes from the largest deviation seen and is raised one level
+// for every ANOMALY_ESCALATION_DAYS the episode persists; each escalation
+// (and any critical anomaly) alerts the owner.
+// =============================================================================
+
+const repo = require('./repositories');
+const alerts = require('./alerts');
+const timezone = require('./timezone');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const ANOMALY_ESCALATION_DAYS = parseInt(process.env.ANOMALY_ESCALATION_DAYS || '3');
+const MAX_NOTE_LENGTH = 1000;
+
+const ANOMALY_STATUS = {
+    OPEN: 'open',
+    ACKNOWLEDGED: 'acknowledged',
+    RESOLVED: 'resolved',
+    FALSE_POSITIVE: 'false_positive'
+};
+
+const ACTIVE_STATUSES = [ANOMALY_STATUS.OPEN, ANOMALY_STATUS.ACKNOWLEDGED];
+
+// Lowest first; `minDeviation` is the absolute deviation percent
+const SEVERITIES = [
+    { level: 'low', minDeviation: 0 },
+    { level: 'medium', minDeviation: 25 },
+    { level: 'high', minDeviation: 50 },
+    { level: 'critical', minDeviation: 100 }
+];
+
+const SEVERITY_LEVELS = SEVERITIES.map(s => s.level);
+
+// =============================================================================
+// SEVERITY
+// =============================================================================
+
+function severityIndex(deviation) {
+    const magnitude = Math.abs(deviation ?? 0);
+    let index = 0;
+    SEVERITIES.forEach((severity, i) => {
+        if (magnitude >= severity.minDeviation) index = i;
+    });
+    return index;
+}
+
+/**
+ * Severity for a peak deviation after `daysActive` days of persistence.
+ */
+function severityFor(deviation, daysActive = 1) {
+    const escalation = escalationLevel(daysActive);
+    return SEVERITY_LEVELS[Math.min(severityIndex(deviation) + escalation, SEVERITY_LEVELS.length - 1)];
+}
+
+function escalationLevel(daysActive) {
+    return Math.floor(daysActive / ANOMALY_ESCALATION_DAYS);
+}
+
+function alertMessage(deviceId, anomaly) {
+    const deviation = anomaly.max_deviation_percent != null ? ` (${Math.round(anomaly.max_deviation_percent)}% deviation)` : '';
+    const persisted = anomaly.days_active > 1 ? `, ongoing for ${anomaly.days_active} days` : '';
+    return `Health alert: ${deviceId} ${anomaly.anomaly_type || 'activity'} anomaly, ${anomaly.severity}${deviation}${persisted}`;
+}
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+/**
+ * Record one anomaly detection: extend the active episode of the same type
+ * when it was last seen today or yesterday (local), otherwise open a new one.
+ */
+async function recordAnomaly(deviceId, anomalyType, deviation, readingTime) {
+    const tz = await timezone.getDeviceTimezone(deviceId);
+    const day = timezone.localDateKey(readingTime, tz);
+
+    const { data: active, error } = await repo.anomalyLog.findActive(deviceId, anomalyType);
+    if (error) throw error;
+
+    const continues = active && day >= active.local_date && day <= timezone.addDays(active.last_local_date, 1);
+
+    if (!continues) {
+        const { data: created, error: insertError } = await repo.anomalyLog.insert({
+            device_id: deviceId,
+            anomaly_type: anomalyType,
+            deviation_percent: deviation,
+            max_deviation_percent: deviation,
+            severity: severityFor(deviation),
+            status: ANOMALY_STATUS.OPEN,
+            detected_at: readingTime.toISOString(),
+            last_detected_at: readingTime.toISOString(),
+            local_date: day,
+            last_local_date: day,
+            days_active: 1,
+            occurrences: 1
+        });
+
+        if (insertError) throw insertError;
+
+        if (created.severity === 'critical') {
+            alerts.raiseAlert(deviceId, alerts.ALERT_TYPES.HEALTH_ANOMALY, {}, alertMessage(deviceId, created));
+        }
+        return created;
+    }
+
+    const maxDeviation = Math.abs(deviation ?? 0) > Math.abs(active.max_deviation_percent ?? 0)
+        ? deviation
+        : active.max_deviation_percent;
+    const lastLocalDate = day > active.last_local_date ? day : active.last_local_date;
+    const daysActive = active.days_active + (day > active.last_local_date ? 1 : 0);
+
+    const fields = {
+        max_deviation_percent: maxDeviation,
+        last_local_date: lastLocalDate,
+        days_active: daysActive,
+        occurrences: (active.occurrences || 1) + 1,
+        severity: severityFor(maxDeviation, daysActive),
+        updated_at: new Date().toISOString()
+    };
+    if (readingTime > new Date(active.last_detected_at)) {
+        fields.last_detected_at = readingTime.toISOString();
+    }
+
+    const escalated = escalationLevel(daysActive) > (active.escalation_level || 0);
+    if (escalated) {
+        fields.escalation_level = escalationLevel(daysActive);
+        fields.escalated_at = new Date().toISOString();
+    }
+
+    const { error: updateError } = await repo.anomalyLog.update(active.id, fields);
+    if (updateError) throw updateError;
+
+    const updated = { ...active, ...fields };
+    if (escalated) {
+        console.warn(`[ANOMALIES] ${deviceId} ${anomalyType} persisted ${daysActive} days - escalated to ${updated.severity}`);
+        alerts.raiseAlert(deviceId, alerts.ALERT_TYPES.HEALTH_ANOMALY, {}, alertMessage(deviceId, updated));
+    }
+    return updated;
+}
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+/**
+ * Validate list filters. Returns { errors, value }.
+ */
+function validateFilters({ status, severity, type, days = 30, limit = 100 }) {
+    const errors = [];
+    if (status && !Object.values(ANOMALY_STATUS).includes(status)) {
+        errors.push(`status must be one of: ${Object.values(ANOMALY_STATUS).join(', ')}`);
+    }
+    if (severity && !SEVERITY_LEVELS.includes(severity)) {
+        errors.push(`severity must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+    }
+
+    return {
+        errors,
+        value: {
+            status,
+            severity,
+            type,
+            since: new Date(Date.now() - (parseFloat(days) || 30) * 24 * 60 * 60 * 1000).toISOString(),
+            limit: Math.min(parseInt(limit) || 100, 500)
+        }
+    };
+}
+
+function validateNote(note) {
+    if (note === undefined || note === null) return null;
+    if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+        return `note must be a string of at most ${MAX_NOTE_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Move an anomaly to `status`. Only active anomalies change; resolves
+ * with null when it was already closed (or acknowledged twice).
+ */
+async function transition(deviceId, anomalyId, status, userId, note) {
+    const now = new Date().toISOString();
+    const fields = { status, updated_at: now };
+    let from = ACTIVE_STATUSES;
+
+    if (status === ANOMALY_STATUS.ACKNOWLEDGED) {
+        from = [ANOMALY_STATUS.OPEN];
+        Object.assign(fields, { acknowledged_at: now, acknowledged_by: userId });
+    } else {
+        Object.assign(fields, { resolved_at: now, resolved_by: userId, resolution_note: note ?? null });
+    }
+
+    const { data, error } = await repo.anomalyLog.transition(deviceId, anomalyId, from, fields);
+    if (error) throw error;
+
+    const anomaly = data?.[0] || null;
+    if (anomaly) {
+        console.log(`[ANOMALIES] ${userId} marked ${anomaly.anomaly_type} anomaly ${anomalyId} on ${deviceId} ${status}`);
+    }
+    return anomaly;
+}
+
+module.exports = {
+    ANOMALY_STATUS,
+    SEVERITY_LEVELS,
+    severityFor,
+    recordAnomaly,
+    validateFilters,
+    validateNote,
+    transition
+};
@@ -0,0 +1,228 @@
+// =============================================================================
+// POPCORN GATEWAY - SERVER-SIDE WALK VERIFICATION (ANTI-CHEAT)
+// =============================================================================
+// The collar reports its own walk quality score and cheat flags, which a
+// tampered or outdated collar can fake. This verifier re-derives them from
+// the stored `locations` track (positions + step counter samples):
+//   - speed profile      vehicle-speed stretches
+//   - implausible jumps  teleporting fixes (spoofing / GPS glitches)
+//   - steps vs distance  moving without steps means the dog was carried
+//   - stationary steps   steps while standing still (shaken collar)
+//   - stride length      too long: few steps for the distance (carried);
+//                        too short: more steps than the dog could take
+//                        (collar shaken while walking)
+// The result is stored next to the device-reported values; disagreements
+// between the two are flagged for review.
+// =============================================================================
+
+const { haversineDistance } = require('./geo');
+const { loadTrackPoints, filterTrackPoints, trackDistance } = require('./tracks');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Bit 0x02 (vehicle) matches the firmware's cheat_flags; the others are
+// server-side only.
+const CHEAT_FLAGS = {
+    CARRIED: 0x01,
+    VEHICLE: 0x02,
+    GPS_JUMP: 0x04,
+    STATIONARY_STEPS: 0x08,
+    LOW_CADENCE: 0x10,
+    SHORT_STRIDE: 0x20
+};
+
+const THRESHOLDS = {
+    minPoints: 5,
+    // m/s
+    stationarySpeed: 0.3,
+    movingSpeed: 0.8,
+    vehicleSpeed: 7,
+    jumpSpeed: 30,
+    // Steps per second while moving below which the dog is being carried
+    carriedCadence: 0.2,
+    // Steps per second while stationary above which the collar is being shaken
+    stationaryCadence: 1.0,
+    // Plausible stride range for a dog (m per step)
+    minStride: 0.15,
+    maxStride: 1.5,
+    // Percentage-of-walk thresholds that raise a flag
+    carriedPercent: 20,
+    vehiclePercent: 5,
+    stationaryStepsPercent: 20,
+    // Score difference that counts as a disagreement
+    scoreDisagreement: 20
+};
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+// The step counter resets at midnight - a negative delta means a reset
+function stepDelta(previous, current) {
+    if (previous == null || current == null) return null;
+    return current >= previous ? current - previous : current;
+}
+
+/**
+ * Analyse a walk's raw location track. Returns the server's own view of the
+ * walk, or { status: 'insufficient_data' } when there are too few fixes.
+ */
+function analyseTrack(rawPoints) {
+    // Jumps are counted on the raw track; everything else uses clean fixes
+    let jumps = 0;
+    for (let i = 1; i < rawPoints.length; i++) {
+        const seconds = (new Date(rawPoints[i].recorded_at) - new Date(rawPoints[i - 1].recorded_at)) / 1000;
+        const meters = haversineDistance(
+            rawPoints[i - 1].latitude, rawPoints[i - 1].longitude,
+            rawPoints[i].latitude, rawPoints[i].longitude
+        );
+        if (seconds > 0 && meters / seconds > THRESHOLDS.jumpSpeed) jumps++;
+    }
+
+    // Keep vehicle-speed segments - only drop jumps and inaccurate fixes
+    const { points } = filterTrackPoints(rawPoints, { maxSpeed: THRESHOLDS.jumpSpeed });
+
+    if (points.length < THRESHOLDS.minPoints) {
+        return { status: 'insufficient_data', point_count: points.length, jump_count: jumps };
+    }
+
+    let durationSeconds = 0;
+    let movingSeconds = 0;
+    let carriedSeconds = 0;
+    let vehicleSeconds = 0;
+    let stationarySeconds = 0;
+    let stationaryStepSeconds = 0;
+    let totalSteps = 0;
+    let movingSteps = 0;
+    let movingDistance = 0;
+    let hasStepData = false;
+
+    for (let i = 1; i < points.length; i++) {
+        const previous = points[i - 1];
+        const current = points[i];
+        const seconds = (new Date(current.recorded_at) - new Date(previous.recorded_at)) / 1000;
+        if (seconds <= 0) continue;
+
+        const meters = haversineDistance(previous.latitude, previous.longitude, current.latitude, current.longitude);
+        const speed = meters / seconds;
+        const steps = stepDelta(previous.step_count, current.step_count);
+        if (steps != null) hasStepData = true;
+
+        durationSeconds += seconds;
+        totalSteps += steps || 0;
+
+        if (speed >= THRESHOLDS.vehicleSpeed) {
+            vehicleSeconds += seconds;
+        } else if (speed >= THRESHOLDS.movingSpeed) {
+            movingSeconds += seconds;
+            movingDistance += meters;
+            movingSteps += steps || 0;
+            if (steps != null && steps / seconds < THRESHOLDS.carriedCadence) {
+                carriedSeconds += seconds;
+            }
+        } else if (speed <= THRESHOLDS.stationarySpeed) {
+            stationarySeconds += seconds;
+            if (steps != null && steps / seconds > THRESHOLDS.stationaryCadence) {
+                stationaryStepSeconds += seconds;
+            }
+        }
+    }
+
+    const percentOf = seconds => (durationSeconds > 0 ? (seconds / durationSeconds) * 100 : 0);
+    const stride = movingSteps > 0 ? movingDistance / movingSteps : null;
+
+    let flags = 0;
+    if (percentOf(carriedSeconds) >= THRESHOLDS.carriedPercent) flags |= CHEAT_FLAGS.CARRIED;
+    if (percentOf(vehicleSeconds) >= THRESHOLDS.vehiclePercent) flags |= CHEAT_FLAGS.VEHICLE;
+    if (jumps > 0) flags |= CHEAT_FLAGS.GPS_JUMP;
+    if (percentOf(stationaryStepSeconds) >= THRESHOLDS.stationaryStepsPercent) flags |= CHEAT_FLAGS.STATIONARY_STEPS;
+    if (hasStepData && movingDistance > 100 && (stride === null || stride > THRESHOLDS.maxStride)) {
+        flags |= CHEAT_FLAGS.LOW_CADENCE;
+    }
+    if (movingDistance > 100 && stride !== null && stride < THRESHOLDS.minStride) {
+        flags |= CHEAT_FLAGS.SHORT_STRIDE;
+    }
+
+    // Score: start from 100 and deduct per finding
+    let score = 100;
+    score -= Math.round(percentOf(carriedSeconds) * 0.8);
+    score -= Math.round(percentOf(vehicleSeconds) * 1.5);
+    score -= Math.min(20, jumps * 5);
+    score -= Math.round(percentOf(stationaryStepSeconds) * 0.5);
+    if (flags & CHEAT_FLAGS.LOW_CADENCE) score -= 15;
+    if (flags & CHEAT_FLAGS.SHORT_STRIDE) score -= 15;
+    if (durationSeconds < 900) score -= 20;  // <15 min walk
+    if (trackDistance(points) < 500) score -= 15;  // <500m
+    score = Math.max(0, Math.min(100, score));
+
+    return {
+        status: 'verified',
+        point_count: points.length,
+        jump_count: jumps,
+        quality_score: score,
+        cheat_flags: flags,
+        duration_seconds: Math.round(durationSeconds),
+        distance_meters: Math.round(trackDistance(points)),
+        step_count: hasStepData ? totalSteps : null,
+        stride_meters: stride !== null ? Number(stride.toFixed(2)) : null,
+        moving_seconds: Math.round(movingSeconds),
+        stationary_seconds: Math.round(stationarySeconds),
+        carried_seconds: Math.round(carriedSeconds),
+        vehicle_seconds: Math.round(vehicleSeconds),
+        stationary_step_seconds: Math.round(stationaryStepSeconds)
+    };
+}
+
+/**
+ * Compare the server analysis with what the collar reported.
+ */
+function findDisagreements(analysis, reported) {
+    if (analysis.status !== 'verified') return [];
+
+    const reasons = [];
+    const reportedScore = reported.quality_score || 0;
+    const reportedFlags = reported.cheat_flags || 0;
+
+    if (reportedScore > 0 && Math.abs(analysis.quality_score - reportedScore) >= THRESHOLDS.scoreDisagreement) {
+        reasons.push(`quality score: device ${reportedScore}, server ${analysis.quality_score}`);
+    }
+    if ((analysis.cheat_flags & CHEAT_FLAGS.VEHICLE) && !(reportedFlags & CHEAT_FLAGS.VEHICLE)) {
+        reasons.push('vehicle travel not reported by device');
+    }
+    if ((analysis.cheat_flags & CHEAT_FLAGS.CARRIED) && !reported.carried_seconds) {
+        reasons.push('carrying not reported by device');
+    }
+    if (reported.distance_meters > 0 && analysis.distance_meters > 0) {
+        const ratio = reported.distance_meters / analysis.distance_meters;
+        if (ratio > 1.5 || ratio < 0.5) {
+            reasons.push(`distance: device ${Math.round(reported.distance_meters)} m, server ${analysis.distance_meters} m`);
+        }
+    }
+
+    return reasons;
+}
+
+/**
+ * Verify a walk session between its start and `endedAt`. `reported` holds
+ * the device's own figures (quality_score, cheat_flags, carried_seconds,
+ * distance_meters).
+ */
+async function verifyWalk(walk, endedAt, reported) {
+    const rawPoints = await loadTrackPoints(walk.device_id, walk.started_at, endedAt);
+    const analysis = analyseTrack(rawPoints);
+    const disagreements = findDisagreements(analysis, reported);
+
+    if (disagreements.length > 0) {
+        console.warn(`[ANTI-CHEAT] Walk ${walk.id} (${walk.device_id}) disagrees with device: ${disagreements.join('; ')}`);
+    }
+
+    return { analysis, disagreements };
+}
+
+module.exports = {
+    CHEAT_FLAGS,
+    analyseTrack,
+    verifyWalk
+};
@@ -0,0 +1,207 @@
+// =============================================================================
+// POPCORN GATEWAY - APP AUTHENTICATION & DEVICE ACCESS
+// =============================================================================
+// App users authenticate with their Supabase Auth access token
+// (`Authorization: Bearer <jwt>`, or `?access_token=` where the client
+// cannot set headers, e.g. a browser EventSource). Access to a device comes from the registry
+// owner (`devices.owner_id`) or a share in `device_access`:
+//   owner  - everything, including sharing and geofences
+//   family - read everything, manage walks
+//   walker - start / end walks only, within the share's time window
+// =============================================================================
+
+const crypto = require('crypto');
+const { db } = require('./db');
+const rateLimit = require('./ratelimit');
+const logger = require('./logger');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// With the project's JWT secret tokens are verified locally; without it each
+// token is checked against Supabase Auth.
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+
+const ROLES = {
+    OWNER: 'owner',
+    FAMILY: 'family',
+    WALKER: 'walker'
+};
+
+const PERMISSIONS = {
+    READ: 'read',
+    WALK: 'walk',
+    MANAGE: 'manage'
+};
+
+const ROLE_PERMISSIONS = {
+    [ROLES.OWNER]: [PERMISSIONS.READ, PERMISSIONS.WALK, PERMISSIONS.MANAGE],
+    [ROLES.FAMILY]: [PERMISSIONS.READ, PERMISSIONS.WALK],
+    [ROLES.WALKER]: [PERMISSIONS.WALK]
+};
+
+// =============================================================================
+// TOKEN VERIFICATION
+// =============================================================================
+
+function base64UrlDecode(segment) {
+    return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function verifyJwtLocally(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [headerPart, payloadPart, signaturePart] = parts;
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(base64UrlDecode(headerPart).toString('utf8'));
+        claims = JSON.parse(base64UrlDecode(payloadPart).toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (header.alg !== 'HS256') return null;
+
+    const expected = crypto
+        .createHmac('sha256', SUPABASE_JWT_SECRET)
+        .update(`${headerPart}.${payloadPart}`)
+        .digest();
+    const provided = base64UrlDecode(signaturePart);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+
+    if (claims.exp && claims.exp * 1000 < Date.now()) return null;
+    if (!claims.sub) return null;
+
+    return { id: claims.sub, email: claims.email || null };
+}
+
+async function verifyToken(token) {
+    if (SUPABASE_JWT_SECRET) {
+        return verifyJwtLocally(token);
+    }
+
+    const { data, error } = await db.auth.getUser(token);
+    if (error || !data?.user) return null;
+
+    return { id: data.user.id, email: data.user.email || null };
+}
+
+// =============================================================================
+// ACCESS RESOLUTION
+// =============================================================================
+
+/**
+ * Resolve the user's role on a device, or null without (current) access.
+ */
+async function getDeviceRole(userId, deviceId) {
+    const { data: device } = await db
+        .from('devices')
+        .select('owner_id')
+        .eq('device_id', deviceId)
+        .maybeSingle();
+
+    if (device?.owner_id === userId) return ROLES.OWNER;
+
+    const { data: shares, error } = await db
+        .from('device_access')
+        .select('role, starts_at, expires_at')
+        .eq('device_id', deviceId)
+        .eq('user_id', userId);
+
+    if (error) {
+        console.error('[AUTH] Access lookup error:', error);
+        return null;
+    }
+
+    const now = new Date();
+    const active = (shares || []).filter(share =>
+        (!share.starts_at || new Date(share.starts_at) <= now) &&
+        (!share.expires_at || new Date(share.expires_at) > now)
+    );
+
+    // Most privileged active share wins
+    for (const role of [ROLES.OWNER, ROLES.FAMILY, ROLES.WALKER]) {
+        if (active.some(share => share.role === role)) return role;
+    }
+    return null;
+}
+
+// =============================================================================
+// MIDDLEWARE
+// =============================================================================
+
+async function requireUser(req, res, next) {
+    try {
+        const header = req.get('Authorization') || '';
+        const token = header.startsWith('Bearer ')
+            ? header.slice(7).trim()
+            : (typeof req.query.access_token === 'string' ? req.query.access_token : null);
+
+        if (!token) {
+            return res.status(401).json({ error: 'Missing access token' });
+        }
+
+        const user = await verifyToken(token);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid access token' });
+        }
+
+        req.user = user;
+        logger.setContext({ user_id: user.id });
+        if (!await rateLimit.limitUser(req, res)) return;
+        next();
+
+    } catch (error) {
+        console.error('[AUTH] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+function hasPermission(role, permission) {
+    return Boolean(role && ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * Route guard for /device/:deviceId/* - authenticates the caller and checks
+ * that their role on the device grants `permission`. Sets req.user and
+ * req.deviceRole.
+ */
+function requireDeviceAccess(permission) {
+    return (req, res, next) => {
+        logger.setContext({ device_id: req.params.deviceId });
+        requireUser(req, res, async () => {
+            try {
+                const role = await getDeviceRole(req.user.id, req.params.deviceId);
+
+                // Same answer for "no such device" and "not yours" - don't leak IDs
+                if (!hasPermission(role, permission)) {
+                    console.warn(`[AUTH] ${req.user.id} denied ${permission} on ${req.params.deviceId} (role: ${role || 'none'})`);
+                    return res.status(403).json({ error: 'Forbidden' });
+                }
+
+                req.deviceRole = role;
+                next();
+
+            } catch (error) {
+                console.error('[AUTH] Error:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+    };
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    requireUser,
+    requireDeviceAccess,
+    hasPermission,
+    getDeviceRole
+};
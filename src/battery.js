@@ -0,0 +1,281 @@
+// =============================================================================
+// POPCORN GATEWAY - BATTERY ANALYTICS
+// =============================================================================
+// Every reading with battery data is kept in `battery_readings` together
+// with what the collar was doing (GPS fix, activity, walk). From that history
+// we estimate the discharge rate per usage mode, predict the hours left,
+// detect charge cycles, and raise alerts:
+//   low_battery   - charge dropped below BATTERY_LOW_PERCENT, or a walk is
+//                   under way with less than an hour left at walking usage
+//   battery_night - in the (local) evening, the charge won't last until morning
+// =============================================================================
+
+const repo = require('./repositories');
+const alerts = require('./alerts');
+const timezone = require('./timezone');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const BATTERY_LOW_PERCENT = parseFloat(process.env.BATTERY_LOW_PERCENT || '20');
+// Evening check window and when the night is over (local hours)
+const BATTERY_NIGHT_CHECK_HOUR = parseInt(process.env.BATTERY_NIGHT_CHECK_HOUR || '18');
+const BATTERY_MORNING_HOUR = parseInt(process.env.BATTERY_MORNING_HOUR || '7');
+// Hours of history the estimator looks at
+const BATTERY_ESTIMATE_HOURS = 72;
+// Discharge rates change slowly - alerts reuse an estimate for this long
+const BATTERY_ESTIMATE_CACHE_MS = 15 * 60 * 1000;
+// A gap this long between readings is not used for rate estimation
+const MAX_SEGMENT_HOURS = 2;
+// A rise of at least this much between readings means the collar is charging
+const CHARGE_MIN_RISE_PERCENT = 2;
+// Less data than this for a usage mode falls back to the overall rate
+const MIN_MODE_HOURS = 0.5;
+
+const WALKING_ACTIVITIES = ['walking', 'running'];
+
+const USAGE_MODES = {
+    IDLE: 'idle',
+    GPS: 'gps',
+    ACTIVE: 'active'
+};
+
+// =============================================================================
+// HISTORY
+// =============================================================================
+
+/**
+ * The battery_readings row for a reading, or null without battery data.
+ */
+function buildBatteryRow(deviceId, payload, readingTime) {
+    if (payload.battery?.percent == null && payload.battery?.voltage == null) return null;
+
+    return {
+        device_id: deviceId,
+        percent: payload.battery.percent ?? null,
+        voltage: payload.battery.voltage ?? null,
+        gps_valid: payload.gps?.valid ?? false,
+        activity_name: payload.activity?.name || 'unknown',
+        walk_active: payload.walk?.active ?? false,
+        recorded_at: readingTime.toISOString()
+    };
+}
+
+function usageMode(reading) {
+    if (reading.walk_active || WALKING_ACTIVITIES.includes(reading.activity_name)) return USAGE_MODES.ACTIVE;
+    if (reading.gps_valid) return USAGE_MODES.GPS;
+    return USAGE_MODES.IDLE;
+}
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+/**
+ * Discharge rates (% per hour) overall and per usage mode, from readings
+ * sorted oldest first. Charging and gaps are skipped.
+ */
+function estimateDischarge(readings) {
+    const totals = {};
+    for (const mode of Object.values(USAGE_MODES)) totals[mode] = { drop: 0, hours: 0 };
+    let drop = 0;
+    let hours = 0;
+
+    for (let i = 1; i < readings.length; i++) {
+        const previous = readings[i - 1];
+        const current = readings[i];
+        if (previous.percent == null || current.percent == null) continue;
+
+        const segmentHours = (new Date(current.recorded_at) - new Date(previous.recorded_at)) / 3600000;
+        const segmentDrop = previous.percent - current.percent;
+        if (segmentHours <= 0 || segmentHours > MAX_SEGMENT_HOURS || segmentDrop < 0) continue;
+
+        // The mode at the start of a segment is what drained it
+        const mode = usageMode(previous);
+        totals[mode].drop += segmentDrop;
+        totals[mode].hours += segmentHours;
+        drop += segmentDrop;
+        hours += segmentHours;
+    }
+
+    const overall = hours > 0 ? drop / hours : null;
+    const byMode = {};
+    for (const [mode, total] of Object.entries(totals)) {
+        byMode[mode] = total.hours >= MIN_MODE_HOURS ? total.drop / total.hours : overall;
+    }
+
+    return { overall, byMode, hours };
+}
+
+/**
+ * Charging sessions: runs of rising charge. Returns the sessions plus the
+ * equivalent number of full (0-100%) cycles they add up to.
+ */
+function detectChargeCycles(readings) {
+    const cycles = [];
+    let cycle = null;
+
+    for (let i = 1; i < readings.length; i++) {
+        const previous = readings[i - 1];
+        const current = readings[i];
+        if (previous.percent == null || current.percent == null) continue;
+
+        if (current.percent - previous.percent >= CHARGE_MIN_RISE_PERCENT ||
+            (cycle && current.percent > previous.percent)) {
+            if (!cycle) {
+                cycle = { started_at: previous.recorded_at, start_percent: previous.percent };
+            }
+            cycle.ended_at = current.recorded_at;
+            cycle.end_percent = current.percent;
+        } else if (cycle) {
+            cycles.push(cycle);
+            cycle = null;
+        }
+    }
+
+    // Still on the charger
+    if (cycle) cycles.push({ ...cycle, in_progress: true });
+
+    const charged = cycles.reduce((sum, c) => sum + (c.end_percent - c.start_percent), 0);
+
+    return {
+        count: cycles.length,
+        equivalent_full_cycles: Number((charged / 100).toFixed(2)),
+        cycles: cycles.reverse()
+    };
+}
+
+const round = (value, digits = 1) => (value == null ? null : Number(value.toFixed(digits)));
+
+/**
+ * Battery report for a device from its readings (oldest first).
+ */
+function analyseBattery(readings) {
+    const latest = readings[readings.length - 1] || null;
+    const previous = readings[readings.length - 2] || null;
+    const discharge = estimateDischarge(readings);
+    const charging = Boolean(latest && previous && latest.percent != null && previous.percent != null &&
+        latest.percent > previous.percent);
+
+    const currentRate = latest ? discharge.byMode[usageMode(latest)] : null;
+    const hoursLeft = rate => (latest?.percent != null && rate > 0 ? latest.percent / rate : null);
+    const hoursRemaining = hoursLeft(discharge.overall);
+
+    return {
+        current: latest && {
+            percent: latest.percent,
+            voltage: latest.voltage,
+            usage_mode: usageMode(latest),
+            charging: charging,
+            recorded_at: latest.recorded_at
+        },
+        discharge: {
+            rate_percent_per_hour: round(discharge.overall, 2),
+            by_mode: Object.fromEntries(Object.entries(discharge.byMode).map(([mode, rate]) => [mode, round(rate, 2)])),
+            observed_hours: round(discharge.hours),
+            hours_remaining: charging ? null : round(hoursRemaining),
+            hours_remaining_current_usage: charging ? null : round(hoursLeft(currentRate)),
+            hours_remaining_walking: charging ? null : round(hoursLeft(discharge.byMode[USAGE_MODES.ACTIVE])),
+            estimated_empty_at: !charging && hoursRemaining != null
+                ? new Date(new Date(latest.recorded_at).getTime() + hoursRemaining * 3600000).toISOString()
+                : null
+        },
+        charge_cycles: detectChargeCycles(readings)
+    };
+}
+
+async function loadBatteryHistory(deviceId, hours) {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const { data, error } = await repo.batteryReadings.listSince(deviceId, since);
+    if (error) throw error;
+    return data || [];
+}
+
+// =============================================================================
+// ALERTS
+// =============================================================================
+
+const estimateCache = new Map();
+
+async function cachedDischarge(deviceId) {
+    const cached = estimateCache.get(deviceId);
+    if (cached && cached.expires > Date.now()) return cached.estimate;
+
+    const estimate = estimateDischarge(await loadBatteryHistory(deviceId, BATTERY_ESTIMATE_HOURS));
+    // Without enough history yet, look again on the next reading
+    if (estimate.hours >= MIN_MODE_HOURS) {
+        estimateCache.set(deviceId, { estimate, expires: Date.now() + BATTERY_ESTIMATE_CACHE_MS });
+    }
+    return estimate;
+}
+
+function hoursUntilMorning(now, tz) {
+    const today = timezone.localDateKey(now, tz);
+    let morning = timezone.localDateTime(today, BATTERY_MORNING_HOUR, tz);
+    if (morning <= now) morning = timezone.localDateTime(timezone.addDays(today, 1), BATTERY_MORNING_HOUR, tz);
+    return (morning - now) / 3600000;
+}
+
+function isEvening(now, tz) {
+    const hour = timezone.localHour(now, tz);
+    return BATTERY_NIGHT_CHECK_HOUR > BATTERY_MORNING_HOUR
+        ? hour >= BATTERY_NIGHT_CHECK_HOUR
+        : hour >= BATTERY_NIGHT_CHECK_HOUR && hour < BATTERY_MORNING_HOUR;
+}
+
+async function evaluateBatteryAlerts(deviceId, previousStatus, currentStatus) {
+    const percent = currentStatus.battery_percent;
+    const previousPercent = previousStatus?.battery_percent;
+    if (percent == null) return;
+    // On the charger
+    if (previousPercent != null && percent > previousPercent) return;
+
+    if (percent <= BATTERY_LOW_PERCENT && !(previousPercent != null && previousPercent <= BATTERY_LOW_PERCENT)) {
+        alerts.raiseAlert(deviceId, alerts.ALERT_TYPES.LOW_BATTERY, currentStatus,
+            `Low battery: ${deviceId} is at ${Math.round(percent)}%`);
+        return;
+    }
+
+    // The projections only matter on a walk or in the evening
+    const now = new Date(currentStatus.last_reading_at || Date.now());
+    const tz = await timezone.getDeviceTimezone(deviceId);
+    const evening = isEvening(now, tz);
+    if (!currentStatus.walk_active && !evening) return;
+
+    // The history may not include this reading yet, so project from the
+    // status rather than the newest stored reading
+    const { overall, byMode } = await cachedDischarge(deviceId);
+    const hoursLeft = rate => (rate > 0 ? percent / rate : null);
+
+    // Won't make it home from this walk
+    const walkHours = hoursLeft(byMode[USAGE_MODES.ACTIVE]);
+    if (currentStatus.walk_active && walkHours != null && walkHours < 1) {
+        alerts.raiseAlert(deviceId, alerts.ALERT_TYPES.LOW_BATTERY, currentStatus,
+            `Low battery: ${deviceId} has about ${Math.round(walkHours * 60)} min left on this walk`);
+        return;
+    }
+
+    const hoursRemaining = hoursLeft(overall);
+    if (evening && hoursRemaining != null && hoursRemaining < hoursUntilMorning(now, tz)) {
+        alerts.raiseAlert(deviceId, alerts.ALERT_TYPES.BATTERY_NIGHT, currentStatus,
+            `Charge ${deviceId} tonight: ${Math.round(percent)}% lasts about ${Math.round(hoursRemaining)} h`);
+    }
+}
+
+/**
+ * Check the new status for battery alerts. Runs in the background like the
+ * escape alerts.
+ */
+function checkBatteryAlerts(deviceId, previousStatus, currentStatus) {
+    evaluateBatteryAlerts(deviceId, previousStatus, currentStatus).catch(error => {
+        console.error('[BATTERY] Alert check error:', error);
+    });
+}
+
+module.exports = {
+    buildBatteryRow,
+    analyseBattery,
+    loadBatteryHistory,
+    checkBatteryAlerts
+};
@@ -0,0 +1,321 @@
+// =============================================================================
+// POPCORN GATEWAY - DOWNLINK COMMANDS
+// =============================================================================
+// Commands the app queues for a collar (`device_commands`). The collar only
+// talks to us, so pending commands ride along on the next telemetry
+// response and the collar acknowledges them in a later payload:
+//
+//   pending -> delivered -> acked | failed
+//   pending / delivered -> expired (TTL passed) | cancelled (by the app)
+//
+// A delivered command that is not acknowledged within
+// COMMAND_REDELIVER_SECONDS is sent again, in case the response was lost.
+// =============================================================================
+
+const { db } = require('./db');
+const live = require('./live');
+const { isValidCoordinate } = require('./geo');
+const { PERMISSIONS } = require('./auth');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const COMMAND_REDELIVER_SECONDS = parseInt(process.env.COMMAND_REDELIVER_SECONDS || '60');
+const MAX_COMMAND_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Most commands handed to the collar in one response
+const MAX_COMMANDS_PER_RESPONSE = 10;
+
+const COMMAND_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    ACKED: 'acked',
+    FAILED: 'failed',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled'
+};
+
+const OPEN_STATUSES = [COMMAND_STATUS.PENDING, COMMAND_STATUS.DELIVERED];
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Per command: who may send it, how long it stays valid, and a params
+// check returning an error message or null
+const COMMAND_TYPES = {
+    // Fast GPS fixes while chasing an escaped dog
+    set_gps_interval: {
+        permission: PERMISSIONS.READ,
+        ttlSeconds: 600,
+        validate: params => {
+            if (!isIntegerBetween(params.interval_seconds, 5, 3600)) return 'interval_seconds must be an integer between 5 and 3600';
+            if (params.duration_seconds !== undefined && !isIntegerBetween(params.duration_seconds, 60, 86400)) {
+                return 'duration_seconds must be an integer between 60 and 86400';
+            }
+            return null;
+        }
+    },
+    locate_now: {
+        permission: PERMISSIONS.READ,
+        ttlSeconds: 300,
+        validate: () => null
+    },
+    buzzer: {
+        permission: PERMISSIONS.READ,
+        ttlSeconds: 120,
+        validate: params => {
+            if (!isIntegerBetween(params.duration_seconds ?? 5, 1, 60)) return 'duration_seconds must be an integer between 1 and 60';
+            return null;
+        }
+    },
+    set_home: {
+        permission: PERMISSIONS.MANAGE,
+        ttlSeconds: 86400,
+        validate: params => {
+            if (!isValidCoordinate(params.lat, params.lon)) return 'lat and lon must be a valid coordinate';
+            if (params.radius_meters !== undefined &&
+                (typeof params.radius_meters !== 'number' || params.radius_meters <= 0 || params.radius_meters > 5000)) {
+                return 'radius_meters must be between 0 and 5000';
+            }
+            return null;
+        }
+    },
+    set_report_interval: {
+        permission: PERMISSIONS.MANAGE,
+        ttlSeconds: 86400,
+        validate: params => {
+            if (!isIntegerBetween(params.interval_seconds, 10, 86400)) return 'interval_seconds must be an integer between 10 and 86400';
+            return null;
+        }
+    }
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate an enqueue request body. Returns { errors, value } where value
+ * holds the columns to write.
+ */
+function validateCommand(body) {
+    const errors = [];
+    const definition = Object.hasOwn(COMMAND_TYPES, body.type) ? COMMAND_TYPES[body.type] : null;
+
+    if (!definition) {
+        return { errors: [`type must be one of: ${Object.keys(COMMAND_TYPES).join(', ')}`], value: null };
+    }
+
+    const params = body.params ?? {};
+    if (typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('params must be an object');
+    } else {
+        const error = definition.validate(params);
+        if (error) errors.push(error);
+    }
+
+    const ttlSeconds = body.ttl_seconds ?? definition.ttlSeconds;
+    if (!isIntegerBetween(ttlSeconds, 10, MAX_COMMAND_TTL_SECONDS)) {
+        errors.push(`ttl_seconds must be an integer between 10 and ${MAX_COMMAND_TTL_SECONDS}`);
+    }
+
+    return {
+        errors,
+        value: {
+            type: body.type,
+            params: params,
+            expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+        }
+    };
+}
+
+function requiredPermission(type) {
+    return (Object.hasOwn(COMMAND_TYPES, type) && COMMAND_TYPES[type].permission) || PERMISSIONS.MANAGE;
+}
+
+// =============================================================================
+// QUEUE
+// =============================================================================
+
+async function enqueueCommand(deviceId, command, userId) {
+    const { data, error } = await db
+        .from('device_commands')
+        .insert({
+            device_id: deviceId,
+            ...command,
+            status: COMMAND_STATUS.PENDING,
+            delivery_count: 0,
+            created_by: userId
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log(`[COMMANDS] ${userId} queued ${command.type} for ${deviceId} (command ${data.id})`);
+    return data;
+}
+
+async function expireCommands(deviceId) {
+    const { error } = await db
+        .from('device_commands')
+        .update({ status: COMMAND_STATUS.EXPIRED })
+        .eq('device_id', deviceId)
+        .in('status', OPEN_STATUSES)
+        .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+        console.error('[COMMANDS] Expiry error:', error);
+    }
+}
+
+async function getOpenCommand(deviceId, commandId) {
+    const { data, error } = await db
+        .from('device_commands')
+        .select('*')
+        .eq('id', commandId)
+        .eq('device_id', deviceId)
+        .in('status', OPEN_STATUSES)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+async function cancelCommand(deviceId, commandId) {
+    const { data, error } = await db
+        .from('device_commands')
+        .update({ status: COMMAND_STATUS.CANCELLED })
+        .eq('id', commandId)
+        .eq('device_id', deviceId)
+        .in('status', OPEN_STATUSES)
+        .select();
+
+    if (error) throw error;
+    return data?.[0] || null;
+}
+
+// =============================================================================
+// DEVICE EXCHANGE
+// =============================================================================
+
+/**
+ * Apply the collar's acknowledgements: [{ id, status: 'ok' | 'error', result }].
+ */
+async function acknowledgeCommands(deviceId, acks) {
+    if (!Array.isArray(acks) || acks.length === 0) return;
+
+    for (const ack of acks) {
+        if (ack?.id == null) continue;
+        const status = ack.status === 'error' ? COMMAND_STATUS.FAILED : COMMAND_STATUS.ACKED;
+
+        const { data, error } = await db
+            .from('device_commands')
+            .update({
+                status: status,
+                acked_at: new Date().toISOString(),
+                result: ack.result ?? null
+            })
+            .eq('id', ack.id)
+            .eq('device_id', deviceId)
+            .in('status', OPEN_STATUSES)
+            .select('id, type, status');
+
+        if (error) {
+            console.error('[COMMANDS] Ack update error:', error);
+            continue;
+        }
+        if (!data || data.length === 0) continue;
+
+        console.log(`[COMMANDS] ${deviceId} ${status} command ${ack.id} (${data[0].type})`);
+        live.publish(deviceId, live.EVENT_TYPES.COMMAND, {
+            command_id: data[0].id,
+            type: data[0].type,
+            status: status,
+            result: ack.result ?? null
+        });
+    }
+}
+
+/**
+ * Commands to piggyback on a telemetry response. Marks them delivered;
+ * unacknowledged ones come round again after COMMAND_REDELIVER_SECONDS.
+ * Commands not sent yet go first, so a collar that never acks (old
+ * firmware) can't hold new commands back with redeliveries.
+ */
+async function takePendingCommands(deviceId) {
+    await expireCommands(deviceId);
+
+    const redeliverBefore = new Date(Date.now() - COMMAND_REDELIVER_SECONDS * 1000).toISOString();
+    const [pending, redeliveries] = await Promise.all([
+        db
+            .from('device_commands')
+            .select('*')
+            .eq('device_id', deviceId)
+            .eq('status', COMMAND_STATUS.PENDING)
+            .order('created_at', { ascending: true })
+            .limit(MAX_COMMANDS_PER_RESPONSE),
+        db
+            .from('device_commands')
+            .select('*')
+            .eq('device_id', deviceId)
+            .eq('status', COMMAND_STATUS.DELIVERED)
+            .lt('delivered_at', redeliverBefore)
+            .order('created_at', { ascending: true })
+            .limit(MAX_COMMANDS_PER_RESPONSE)
+    ]);
+
+    const error = pending.error || redeliveries.error;
+    if (error) {
+        console.error('[COMMANDS] Pending lookup error:', error);
+        return [];
+    }
+
+    const due = [...pending.data, ...redeliveries.data].slice(0, MAX_COMMANDS_PER_RESPONSE);
+
+    for (const command of due) {
+        const { error: updateError } = await db
+            .from('device_commands')
+            .update({
+                status: COMMAND_STATUS.DELIVERED,
+                delivered_at: new Date().toISOString(),
+                delivery_count: (command.delivery_count || 0) + 1
+            })
+            .eq('id', command.id);
+
+        if (updateError) {
+            console.error('[COMMANDS] Delivery update error:', updateError);
+        }
+    }
+
+    return due.map(command => ({
+        id: command.id,
+        type: command.type,
+        params: command.params,
+        expires_at: command.expires_at
+    }));
+}
+
+/**
+ * Process the acks in a telemetry payload and collect the commands to
+ * return. Never throws - a queue problem must not fail the upload.
+ */
+async function exchangeCommands(deviceId, acks) {
+    try {
+        await acknowledgeCommands(deviceId, acks);
+        return await takePendingCommands(deviceId);
+    } catch (error) {
+        console.error('[COMMANDS] Exchange error:', error);
+        return [];
+    }
+}
+
+module.exports = {
+    COMMAND_STATUS,
+    COMMAND_TYPES,
+    validateCommand,
+    requiredPermission,
+    enqueueCommand,
+    getOpenCommand,
+    cancelCommand,
+    expireCommands,
+    exchangeCommands
+};
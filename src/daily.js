@@ -0,0 +1,239 @@
+// =============================================================================
+// POPCORN GATEWAY - DAILY ROLLUP
+// =============================================================================
+// One `daily_activity` row per device and local day (the device's timezone)
+// with steps, scratches, walks and sleep, so the history routes don't have
+// to re-aggregate raw rows on every request.
+//
+//   steps             - increases of the collar's step counter
+//                       (`activity.today_steps`), added to the local day
+//                       of each reading. The collar resets the counter at
+//                       its own midnight, not the device timezone's, so its
+//                       value can't be used as a day total.
+//   scratches         - recounted from scratch_events (by local date)
+//                       whenever a reading reports one
+//   walks             - recounted from walk_sessions (by local start date)
+//                       whenever a walk closes
+//   sleep             - recounted from sleep_sessions (by night) whenever
+//                       a sleep session closes
+// =============================================================================
+
+const repo = require('./repositories');
+const timezone = require('./timezone');
+const sleep = require('./sleep');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Longest history returned in one request
+const MAX_HISTORY_DAYS = 366;
+// Upper bound on one day's scratch events read back for a recount
+const MAX_SCRATCH_EVENTS_PER_DAY = 10000;
+
+// =============================================================================
+// READINGS
+// =============================================================================
+
+/**
+ * Add the steps of readings ({ payload, readingTime }, oldest first) to
+ * their local days. Each reading adds the increase of the collar's counter
+ * since the previous one; a counter that went down was reset by the collar
+ * (its own midnight, a reboot) and counts from zero. Readings at or before
+ * the last counted one are skipped - their steps are already in a later
+ * increase.
+ */
+async function recordSteps(deviceId, readings, tz) {
+    const stepReadings = readings.filter(r => Number.isFinite(r.payload.activity?.today_steps));
+    if (stepReadings.length === 0) return;
+
+    const { data: last, error } = await repo.dailyActivity.latestStepsCounter(deviceId);
+    if (error) throw error;
+
+    let counter = last?.steps_counter ?? null;
+    let counterAt = last ? new Date(last.steps_counter_at) : null;
+
+    // date -> { steps, counter, counterAt }
+    const days = new Map();
+    for (const { payload, readingTime } of stepReadings) {
+        if (counterAt && readingTime <= counterAt) continue;
+
+        const value = payload.activity.today_steps;
+        const steps = counter == null || value < counter ? value : value - counter;
+        const date = timezone.localDateKey(readingTime, tz);
+        const day = days.get(date) || { steps: 0 };
+        days.set(date, { steps: day.steps + steps, counter: value, counterAt: readingTime });
+
+        counter = value;
+        counterAt = readingTime;
+    }
+    if (days.size === 0) return;
+
+    const dates = [...days.keys()].sort();
+    const { data: existing, error: listError } = await repo.dailyActivity.listBetween(deviceId, dates[0], dates[dates.length - 1]);
+    if (listError) throw listError;
+
+    const byDate = new Map((existing || []).map(row => [String(row.date).slice(0, 10), row]));
+    const rows = [...days].map(([date, day]) => ({
+        device_id: deviceId,
+        date,
+        timezone: tz,
+        steps: (byDate.get(date)?.steps ?? 0) + day.steps,
+        steps_counter: day.counter,
+        steps_counter_at: day.counterAt.toISOString(),
+        updated_at: new Date().toISOString()
+    }));
+
+    const { error: upsertError } = await repo.dailyActivity.upsert(rows);
+    if (upsertError) throw upsertError;
+}
+
+/**
+ * Recount the scratches of the local days the given times fall on from
+ * scratch_events.
+ */
+async function refreshScratches(deviceId, times, tz) {
+    const dates = new Set(times.map(time => timezone.localDateKey(time, tz)));
+
+    for (const date of dates) {
+        const from = timezone.startOfLocalDay(date, tz);
+        const to = new Date(timezone.startOfLocalDay(timezone.addDays(date, 1), tz).getTime() - 1);
+        const { data, error } = await repo.scratchEvents.listBetween(
+            deviceId, from.toISOString(), to.toISOString(), MAX_SCRATCH_EVENTS_PER_DAY
+        );
+        if (error) throw error;
+
+        const events = data || [];
+        const { error: upsertError } = await repo.dailyActivity.upsert({
+            device_id: deviceId,
+            date,
+            timezone: tz,
+            scratch_count: events.length,
+            max_scratch_frequency: Math.max(0, ...events.map(event => event.frequency_hz ?? 0)),
+            updated_at: new Date().toISOString()
+        });
+        if (upsertError) throw upsertError;
+    }
+}
+
+/**
+ * Roll readings ({ payload, readingTime }) into their local days. Their
+ * scratch events must already be stored.
+ */
+async function recordReadings(deviceId, readings) {
+    const tz = await timezone.getDeviceTimezone(deviceId);
+    const sorted = [...readings].sort((a, b) => a.readingTime - b.readingTime);
+
+    await recordSteps(deviceId, sorted, tz);
+    await refreshScratches(deviceId, sorted.filter(r => r.payload.scratch?.detected).map(r => r.readingTime), tz);
+}
+
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+/**
+ * Recount the walks of the local day a walk started on.
+ */
+async function refreshWalks(deviceId, startedAt) {
+    const tz = await timezone.getDeviceTimezone(deviceId);
+    const date = timezone.localDateKey(new Date(startedAt), tz);
+
+    const { data, error } = await repo.walkSessions.listStartedBetween(
+        deviceId,
+        timezone.startOfLocalDay(date, tz).toISOString(),
+        timezone.startOfLocalDay(timezone.addDays(date, 1), tz).toISOString()
+    );
+    if (error) throw error;
+
+    const walks = (data || []).filter(walk => walk.ended_at);
+    const { error: upsertError } = await repo.dailyActivity.upsert({
+        device_id: deviceId,
+        date,
+        timezone: tz,
+        walk_count: walks.length,
+        walk_distance_meters: Math.round(walks.reduce((sum, walk) => sum + (walk.distance_meters || 0), 0)),
+        walk_seconds: walks.reduce((sum, walk) => sum + (walk.duration_seconds || 0), 0),
+        updated_at: new Date().toISOString()
+    });
+    if (upsertError) throw upsertError;
+}
+
+/**
+ * Recount the nights the given sleep sessions (start times) belong to.
+ */
+async function refreshSleep(deviceId, startTimes) {
+    if (startTimes.length === 0) return;
+    const tz = await timezone.getDeviceTimezone(deviceId);
+    const nights = new Set(startTimes.map(startedAt => sleep.nightOf(startedAt, tz)));
+
+    for (const night of nights) {
+        const { data, error } = await repo.sleepSessions.listStartedBetween(
+            deviceId,
+            timezone.localDateTime(night, sleep.NIGHT_BOUNDARY_HOURS, tz).toISOString(),
+            timezone.localDateTime(timezone.addDays(night, 1), sleep.NIGHT_BOUNDARY_HOURS, tz).toISOString()
+        );
+        if (error) throw error;
+
+        const sessions = (data || []).filter(session => session.ended_at);
+        const qualities = sessions.map(session => session.quality_score).filter(quality => quality != null);
+
+        const { error: upsertError } = await repo.dailyActivity.upsert({
+            device_id: deviceId,
+            date: night,
+            timezone: tz,
+            sleep_sessions: sessions.length,
+            sleep_minutes: sessions.reduce((sum, session) => sum + (session.duration_minutes || 0), 0),
+            sleep_quality: qualities.length > 0
+                ? Number((qualities.reduce((sum, q) => sum + q, 0) / qualities.length).toFixed(1))
+                : null,
+            restless_count: sessions.reduce((sum, session) => sum + (session.restless_count || 0), 0),
+            updated_at: new Date().toISOString()
+        });
+        if (upsertError) throw upsertError;
+    }
+}
+
+// =============================================================================
+// HISTORY
+// =============================================================================
+
+/**
+ * Rollup rows for the last `days` local days, newest first, with a zero row
+ * for days without data.
+ */
+async function getDailyHistory(deviceId, days) {
+    const tz = await timezone.getDeviceTimezone(deviceId);
+    const { fromDate, toDate } = timezone.localDayWindow(Math.min(parseFloat(days) || 1, MAX_HISTORY_DAYS), tz);
+
+    const { data, error } = await repo.dailyActivity.listBetween(deviceId, fromDate, toDate);
+    if (error) throw error;
+
+    const byDate = new Map((data || []).map(row => [String(row.date).slice(0, 10), row]));
+    const rows = [];
+    for (let date = fromDate; date <= toDate; date = timezone.addDays(date, 1)) {
+        const row = byDate.get(date) || {};
+        rows.push({
+            date,
+            steps: row.steps ?? 0,
+            scratch_count: row.scratch_count ?? 0,
+            max_scratch_frequency: row.max_scratch_frequency || null,
+            walk_count: row.walk_count ?? 0,
+            walk_distance_meters: row.walk_distance_meters ?? 0,
+            walk_seconds: row.walk_seconds ?? 0,
+            sleep_sessions: row.sleep_sessions ?? 0,
+            sleep_minutes: row.sleep_minutes ?? 0,
+            sleep_quality: row.sleep_quality ?? null,
+            restless_count: row.restless_count ?? 0
+        });
+    }
+
+    return { timezone: tz, from: fromDate, to: toDate, days: rows.reverse() };
+}
+
+module.exports = {
+    recordReadings,
+    refreshWalks,
+    refreshSleep,
+    getDailyHistory
+};
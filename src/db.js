@@ -0,0 +1,111 @@
+// =============================================================================
+// POPCORN GATEWAY - DATABASE CLIENT
+// =============================================================================
+// Shared database client for the routes and background subsystems.
+// STORAGE_BACKEND selects the implementation:
+//   supabase (default) - hosted Postgres via supabase-js
+//   memory             - process-local tables for local runs and tests
+// Both expose the same supabase-js query builder API.
+//
+// Failed writes (insert / upsert / update / delete) are counted per table in
+// popcorn_db_write_failures_total, whether or not the caller checks `error`.
+// =============================================================================
+
+const metrics = require('./metrics');
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'supabase';
+
+// =============================================================================
+// WRITE FAILURES
+// =============================================================================
+
+// PostgREST request -> { table, operation }, or null for reads and RPCs
+function describeWrite(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const match = /\/rest\/v1\/([^/?]+)/.exec(String(url));
+    if (!match || match[1] === 'rpc') return null;
+
+    const prefer = new Headers(init.headers).get('Prefer') || '';
+    switch (method) {
+        case 'POST':
+            return { table: match[1], operation: prefer.includes('resolution=') ? 'upsert' : 'insert' };
+        case 'PATCH':
+            return { table: match[1], operation: 'update' };
+        case 'DELETE':
+            return { table: match[1], operation: 'delete' };
+        default:
+            return null;
+    }
+}
+
+// fetch for supabase-js that counts failed PostgREST writes
+async function meteredFetch(url, init) {
+    const write = describeWrite(url, init);
+    try {
+        const response = await fetch(url, init);
+        if (write && !response.ok) metrics.dbWriteFailures.inc(write);
+        return response;
+    } catch (error) {
+        if (write) metrics.dbWriteFailures.inc(write);
+        throw error;
+    }
+}
+
+// The memory client's queries resolve through then() with their action set
+function meterMemoryWrites(client) {
+    const from = client.from;
+    client.from = table => {
+        const query = from(table);
+        const then = query.then;
+        query.then = (resolve, reject) => then.call(query, result => {
+            if (result.error && query.action !== 'select') {
+                metrics.dbWriteFailures.inc({ table, operation: query.action || 'unknown' });
+            }
+            return result;
+        }).then(resolve, reject);
+        return query;
+    };
+    return client;
+}
+
+// =============================================================================
+// BACKENDS
+// =============================================================================
+
+function createSupabaseBackend() {
+    const { createClient } = require('@supabase/supabase-js');
+
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+    // Validate required environment variables
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+        console.error('ERROR: Missing required environment variables!');
+        console.error('Required: SUPABASE_URL, SUPABASE_SERVICE_KEY (or STORAGE_BACKEND=memory)');
+        process.exit(1);
+    }
+
+    // Initialize Supabase client
+    const client = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
+        global: { fetch: meteredFetch }
+    });
+    client.backend = 'supabase';
+    return client;
+}
+
+function createBackend() {
+    switch (STORAGE_BACKEND) {
+        case 'supabase':
+            return createSupabaseBackend();
+        case 'memory':
+            console.warn('[DB] Using in-memory storage - data is lost on restart');
+            return meterMemoryWrites(require('./storage/memory').createMemoryClient());
+        default:
+            console.error(`ERROR: Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected supabase or memory)`);
+            process.exit(1);
+    }
+}
+
+const db = createBackend();
+
+module.exports = { db, STORAGE_BACKEND };
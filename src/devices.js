@@ -0,0 +1,322 @@
+// =============================================================================
+// POPCORN GATEWAY - DEVICE REGISTRY
+// =============================================================================
+// Every collar must be registered before its telemetry is accepted. Each
+// device has its own signing secret; after a rotation the previous secret
+// stays valid for a grace period so the collar can pick up the new one.
+// Devices provisioned before the registry existed can be registered with
+// `secret = null`, which falls back to the fleet-wide HMAC_KEY. Rotating
+// such a device keeps HMAC_KEY valid for the grace period in the same way
+// (`previous_secret` null with a grace period set).
+//
+// `signature_v2_at` records when a device first signed with v2; from then on
+// its legacy signatures are refused (src/signature.js).
+// =============================================================================
+
+const crypto = require('crypto');
+const { db } = require('./db');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const KEY_ROTATION_GRACE_SECONDS = parseInt(process.env.KEY_ROTATION_GRACE_SECONDS || '86400');
+// Migration aid - accept telemetry from devices missing from the registry
+const ALLOW_UNREGISTERED_DEVICES = process.env.ALLOW_UNREGISTERED_DEVICES === 'true';
+
+const DEVICE_STATUS = {
+    ACTIVE: 'active',
+    DEACTIVATED: 'deactivated'
+};
+
+const REJECTION_CODES = {
+    UNKNOWN: 'DEVICE_UNKNOWN',
+    DEACTIVATED: 'DEVICE_DEACTIVATED'
+};
+
+// Columns safe to return from the API (never the secrets)
+const PUBLIC_COLUMNS = 'device_id, name, owner_id, status, timezone, created_at, key_rotated_at, signature_v2_at, deactivated_at, rejected_count, last_rejected_at';
+
+// =============================================================================
+// REJECTION COUNTERS
+// =============================================================================
+
+const MAX_TRACKED_DEVICES = 1000;
+
+const rejectionStats = {
+    total: { [REJECTION_CODES.UNKNOWN]: 0, [REJECTION_CODES.DEACTIVATED]: 0 },
+    byDevice: new Map()
+};
+
+function countRejection(deviceId, code) {
+    rejectionStats.total[code]++;
+
+    const entry = rejectionStats.byDevice.get(deviceId) || { code, count: 0 };
+    entry.code = code;
+    entry.count++;
+    entry.last_rejected_at = new Date().toISOString();
+
+    // Re-insert so the map stays ordered by recency, and cap its size
+    rejectionStats.byDevice.delete(deviceId);
+    rejectionStats.byDevice.set(deviceId, entry);
+    if (rejectionStats.byDevice.size > MAX_TRACKED_DEVICES) {
+        rejectionStats.byDevice.delete(rejectionStats.byDevice.keys().next().value);
+    }
+}
+
+function getRejectionStats() {
+    return {
+        total: { ...rejectionStats.total },
+        devices: Object.fromEntries(rejectionStats.byDevice)
+    };
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+async function getDevice(deviceId) {
+    const { data, error } = await db
+        .from('devices')
+        .select('*')
+        .eq('device_id', deviceId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Keys the device may currently sign with - its secret plus the previous
+ * one while the rotation grace period lasts. `fallbackKey` (HMAC_KEY)
+ * stands in for a missing secret on either side.
+ */
+function getSigningKeys(device, fallbackKey) {
+    if (!device?.secret) return fallbackKey ? [fallbackKey] : [];
+
+    const keys = [device.secret];
+    if (device.previous_secret_expires_at && new Date(device.previous_secret_expires_at) > new Date()) {
+        const previousKey = device.previous_secret || fallbackKey;
+        if (previousKey) keys.push(previousKey);
+    }
+    return keys;
+}
+
+/**
+ * Check that a device may send telemetry. Returns { device } on success or
+ * { code, message } when it must be rejected.
+ */
+async function authorizeDevice(deviceId) {
+    const device = await getDevice(deviceId);
+
+    if (!device) {
+        if (ALLOW_UNREGISTERED_DEVICES) {
+            return { device: null };
+        }
+        countRejection(deviceId, REJECTION_CODES.UNKNOWN);
+        return { code: REJECTION_CODES.UNKNOWN, message: 'Unknown device' };
+    }
+
+    if (device.status !== DEVICE_STATUS.ACTIVE) {
+        countRejection(deviceId, REJECTION_CODES.DEACTIVATED);
+
+        const { error } = await db
+            .from('devices')
+            .update({
+                rejected_count: (device.rejected_count || 0) + 1,
+                last_rejected_at: new Date().toISOString()
+            })
+            .eq('device_id', deviceId);
+
+        if (error) {
+            console.error('[DEVICES] Rejection count update error:', error);
+        }
+
+        return { code: REJECTION_CODES.DEACTIVATED, message: 'Device deactivated' };
+    }
+
+    return { device };
+}
+
+/**
+ * Note that a device has signed with v2 - it may not go back to the legacy
+ * scheme. Only the first time counts.
+ */
+async function recordSignatureV2(deviceId) {
+    const { error } = await db
+        .from('devices')
+        .update({ signature_v2_at: new Date().toISOString() })
+        .eq('device_id', deviceId)
+        .is('signature_v2_at', null);
+
+    if (error) {
+        console.error('[DEVICES] Signature v2 update error:', error);
+        return;
+    }
+    console.log(`[DEVICES] ${deviceId} signs with v2 - legacy signatures are refused from now on`);
+}
+
+/**
+ * All registered devices, or only `deviceIds` when given.
+ */
+async function listDevices(deviceIds) {
+    let query = db
+        .from('devices')
+        .select(PUBLIC_COLUMNS)
+        .order('device_id', { ascending: true });
+    if (deviceIds) query = query.in('device_id', deviceIds);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+}
+
+// =============================================================================
+// PROVISIONING
+// =============================================================================
+
+async function registerDevice({ device_id, name, owner_id, timezone, legacy_shared_key }) {
+    const secret = legacy_shared_key ? null : generateSecret();
+
+    const { data, error } = await db
+        .from('devices')
+        .insert({
+            device_id,
+            name: name || null,
+            owner_id: owner_id || null,
+            timezone: timezone || 'UTC',
+            secret,
+            status: DEVICE_STATUS.ACTIVE
+        })
+        .select(PUBLIC_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return { ...data, secret };
+}
+
+async function rotateDeviceKey(device) {
+    const secret = generateSecret();
+    const now = new Date();
+    // A legacy device keeps signing with HMAC_KEY until it is re-provisioned
+    const graceUntil = new Date(now.getTime() + KEY_ROTATION_GRACE_SECONDS * 1000).toISOString();
+
+    const { data, error } = await db
+        .from('devices')
+        .update({
+            secret,
+            previous_secret: device.secret,
+            previous_secret_expires_at: graceUntil,
+            key_rotated_at: now.toISOString()
+        })
+        .eq('device_id', device.device_id)
+        .select(PUBLIC_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return { ...data, secret, previous_key_valid_until: graceUntil };
+}
+
+async function setDeviceStatus(deviceId, status) {
+    const update = {
+        status,
+        deactivated_at: status === DEVICE_STATUS.DEACTIVATED ? new Date().toISOString() : null
+    };
+
+    // A revoked device must not be able to fall back on a rotated-out key
+    if (status === DEVICE_STATUS.DEACTIVATED) {
+        update.previous_secret = null;
+        update.previous_secret_expires_at = null;
+    }
+
+    const { data, error } = await db
+        .from('devices')
+        .update(update)
+        .eq('device_id', deviceId)
+        .select(PUBLIC_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Hand a device to a new owner. What the previous owner set up ends with
+ * the transfer: the shares they granted (family and walker access), the
+ * device's place in their household and where its alerts go.
+ */
+async function transferDevice(deviceId, ownerId) {
+    const { data, error } = await db
+        .from('devices')
+        .update({ owner_id: ownerId, transferred_at: new Date().toISOString() })
+        .eq('device_id', deviceId)
+        .select(PUBLIC_COLUMNS)
+        .single();
+
+    if (error) throw error;
+
+    const { data: revoked, error: accessError } = await db
+        .from('device_access')
+        .delete()
+        .eq('device_id', deviceId)
+        .select('user_id');
+
+    if (accessError) throw accessError;
+    if (revoked.length > 0) {
+        console.log(`[DEVICES] Revoked ${revoked.length} share(s) on ${deviceId} after transfer`);
+    }
+
+    const { data: memberships, error: householdError } = await db
+        .from('household_members')
+        .delete()
+        .eq('device_id', deviceId)
+        .select('household_id');
+
+    if (householdError) throw householdError;
+    if (memberships.length > 0) {
+        console.log(`[DEVICES] Removed ${deviceId} from household ${memberships[0].household_id} after transfer`);
+    }
+
+    const { error: channelError } = await db
+        .from('alert_channels')
+        .delete()
+        .eq('device_id', deviceId);
+
+    if (channelError) throw channelError;
+
+    return data;
+}
+
+async function setDeviceTimezone(deviceId, timezone) {
+    const { data, error } = await db
+        .from('devices')
+        .update({ timezone })
+        .eq('device_id', deviceId)
+        .select(PUBLIC_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+module.exports = {
+    DEVICE_STATUS,
+    REJECTION_CODES,
+    PUBLIC_COLUMNS,
+    getDevice,
+    listDevices,
+    getSigningKeys,
+    authorizeDevice,
+    recordSignatureV2,
+    getRejectionStats,
+    registerDevice,
+    rotateDeviceKey,
+    setDeviceStatus,
+    transferDevice,
+    setDeviceTimezone
+};
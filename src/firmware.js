@@ -0,0 +1,634 @@
+// =============================================================================
+// POPCORN GATEWAY - FIRMWARE UPDATES (OTA)
+// =============================================================================
+// Firmware releases (`firmware_releases`) and their rollout to collars:
+//
+//   draft (metadata only) -> ready (binary uploaded, checksum verified)
+//   ready -> active (rolling out) <-> paused
+//
+// A rollout targets all devices, a stable percentage of them (each device
+// hashes into a bucket 0-99, so raising the percentage only adds devices),
+// or a list of device IDs. Telemetry responses advertise the newest active
+// release a device is eligible for, with a signed download URL.
+//
+// Per-device progress is kept in `firmware_updates`:
+//   offered -> downloading -> installed | failed
+//   downloading / installed -> silent (stopped reporting afterwards)
+// A rollout pauses itself once OTA_PAUSE_SILENT_DEVICES devices went silent
+// since it was activated or last resumed.
+// =============================================================================
+
+const crypto = require('crypto');
+const { db, STORAGE_BACKEND } = require('./db');
+const repo = require('./repositories');
+const { compareVersions } = require('./signature');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Supabase Storage bucket holding the binaries
+const FIRMWARE_BUCKET = process.env.FIRMWARE_BUCKET || 'firmware';
+const FIRMWARE_MAX_BYTES = parseInt(process.env.FIRMWARE_MAX_BYTES || String(8 * 1024 * 1024));
+// Signs download URLs; must be the same on every instance
+const FIRMWARE_URL_SECRET = process.env.FIRMWARE_URL_SECRET;
+const FIRMWARE_URL_TTL_SECONDS = parseInt(process.env.FIRMWARE_URL_TTL_SECONDS || '3600');
+// Prefix for download URLs, e.g. https://gateway.example.com (relative if unset)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+// A device that downloaded an update and hasn't reported for this long is silent
+const OTA_SILENCE_MINUTES = parseInt(process.env.OTA_SILENCE_MINUTES || '30');
+const OTA_PAUSE_SILENT_DEVICES = parseInt(process.env.OTA_PAUSE_SILENT_DEVICES || '2');
+const OTA_MONITOR_INTERVAL_MS = parseInt(process.env.OTA_MONITOR_INTERVAL_MS || '60000');
+// How long after downloading a device is still watched
+const OTA_WATCH_HOURS = 24;
+
+const RELEASE_STATUS = {
+    DRAFT: 'draft',
+    READY: 'ready',
+    ACTIVE: 'active',
+    PAUSED: 'paused'
+};
+
+const ROLLOUT_TARGETS = {
+    ALL: 'all',
+    PERCENTAGE: 'percentage',
+    DEVICES: 'devices'
+};
+
+const UPDATE_STATUS = {
+    OFFERED: 'offered',
+    DOWNLOADING: 'downloading',
+    INSTALLED: 'installed',
+    FAILED: 'failed',
+    SILENT: 'silent'
+};
+
+const VERSION_PATTERN = /^\d+(\.\d+){0,3}$/;
+const CHECKSUM_PATTERN = /^[a-f0-9]{64}$/;
+
+let urlSecret = FIRMWARE_URL_SECRET;
+if (!urlSecret) {
+    urlSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('[FIRMWARE] FIRMWARE_URL_SECRET not set - download URLs only work on this instance until restart');
+}
+
+// =============================================================================
+// BINARY STORAGE
+// =============================================================================
+// Binaries live in Supabase Storage, or in process memory with the memory
+// storage backend. Recently served binaries are cached in memory.
+
+const MAX_CACHED_BINARIES = 4;
+const binaryCache = new Map();
+
+function createBinaryStore() {
+    if (STORAGE_BACKEND !== 'supabase') {
+        const binaries = new Map();
+        return {
+            async put(path, buffer) { binaries.set(path, buffer); },
+            async get(path) { return binaries.get(path) || null; }
+        };
+    }
+
+    const bucket = db.storage.from(FIRMWARE_BUCKET);
+    return {
+        async put(path, buffer) {
+            const { error } = await bucket.upload(path, buffer, {
+                contentType: 'application/octet-stream',
+                upsert: true
+            });
+            if (error) throw error;
+        },
+        async get(path) {
+            const { data, error } = await bucket.download(path);
+            if (error) throw error;
+            return data ? Buffer.from(await data.arrayBuffer()) : null;
+        }
+    };
+}
+
+const binaryStore = createBinaryStore();
+
+const binaryPath = release => `${release.version}/${release.checksum}.bin`;
+
+function checksumOf(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+async function loadBinary(release) {
+    const path = binaryPath(release);
+    if (binaryCache.has(path)) return binaryCache.get(path);
+
+    const buffer = await binaryStore.get(path);
+    if (!buffer) return null;
+
+    binaryCache.set(path, buffer);
+    if (binaryCache.size > MAX_CACHED_BINARIES) {
+        binaryCache.delete(binaryCache.keys().next().value);
+    }
+    return buffer;
+}
+
+// =============================================================================
+// RELEASES
+// =============================================================================
+
+/**
+ * Validate a new release. Returns { errors, value } where value holds the
+ * columns to write.
+ */
+function validateRelease(body) {
+    const errors = [];
+    const checksum = typeof body.checksum === 'string' ? body.checksum.toLowerCase() : body.checksum;
+
+    if (typeof body.version !== 'string' || !VERSION_PATTERN.test(body.version)) {
+        errors.push('version must look like 6.2.0');
+    }
+    if (typeof checksum !== 'string' || !CHECKSUM_PATTERN.test(checksum)) {
+        errors.push('checksum must be a hex SHA-256 digest');
+    }
+    if (body.release_notes !== undefined && body.release_notes !== null && typeof body.release_notes !== 'string') {
+        errors.push('release_notes must be a string');
+    }
+
+    return {
+        errors,
+        value: {
+            version: body.version,
+            checksum: checksum,
+            release_notes: body.release_notes || null
+        }
+    };
+}
+
+/**
+ * Validate a rollout request: { target, percentage, device_ids }.
+ */
+function validateRollout(body) {
+    const errors = [];
+    const target = body.target;
+
+    if (!Object.values(ROLLOUT_TARGETS).includes(target)) {
+        return { errors: [`target must be one of: ${Object.values(ROLLOUT_TARGETS).join(', ')}`], value: null };
+    }
+    if (target === ROLLOUT_TARGETS.PERCENTAGE &&
+        !(Number.isInteger(body.percentage) && body.percentage >= 1 && body.percentage <= 100)) {
+        errors.push('percentage must be an integer between 1 and 100');
+    }
+    if (target === ROLLOUT_TARGETS.DEVICES &&
+        !(Array.isArray(body.device_ids) && body.device_ids.length > 0 && body.device_ids.every(id => typeof id === 'string'))) {
+        errors.push('device_ids must be a non-empty array of device IDs');
+    }
+
+    return {
+        errors,
+        value: {
+            rollout_target: target,
+            rollout_percentage: target === ROLLOUT_TARGETS.PERCENTAGE ? body.percentage : null,
+            rollout_device_ids: target === ROLLOUT_TARGETS.DEVICES ? [...new Set(body.device_ids)] : []
+        }
+    };
+}
+
+async function getRelease(releaseId) {
+    const { data, error } = await db
+        .from('firmware_releases')
+        .select('*')
+        .eq('id', releaseId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+async function getReleaseByVersion(version) {
+    const { data, error } = await db
+        .from('firmware_releases')
+        .select('*')
+        .eq('version', version)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+async function createRelease(release) {
+    const { data, error } = await db
+        .from('firmware_releases')
+        .insert({ ...release, status: RELEASE_STATUS.DRAFT })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function updateRelease(releaseId, fields) {
+    const { data, error } = await db
+        .from('firmware_releases')
+        .update(fields)
+        .eq('id', releaseId)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Store the binary for a release. The caller has checked it against the
+ * release checksum.
+ */
+async function storeBinary(release, buffer) {
+    await binaryStore.put(binaryPath(release), buffer);
+    binaryCache.delete(binaryPath(release));
+
+    return updateRelease(release.id, {
+        size_bytes: buffer.length,
+        uploaded_at: new Date().toISOString(),
+        status: release.status === RELEASE_STATUS.DRAFT ? RELEASE_STATUS.READY : release.status
+    });
+}
+
+async function startRollout(release, rollout) {
+    const updated = await updateRelease(release.id, {
+        ...rollout,
+        status: RELEASE_STATUS.ACTIVE,
+        activated_at: release.activated_at || new Date().toISOString(),
+        // Re-activating a paused rollout resumes it
+        ...(release.paused_at ? { resumed_at: new Date().toISOString() } : {}),
+        paused_at: null,
+        paused_reason: null
+    });
+    console.log(`[FIRMWARE] Rollout of ${release.version}: ${rollout.rollout_target}` +
+        (rollout.rollout_percentage ? ` ${rollout.rollout_percentage}%` : ''));
+    return updated;
+}
+
+async function pauseRollout(release, reason) {
+    const updated = await updateRelease(release.id, {
+        status: RELEASE_STATUS.PAUSED,
+        paused_at: new Date().toISOString(),
+        paused_reason: reason
+    });
+    console.warn(`[FIRMWARE] Rollout of ${release.version} paused: ${reason}`);
+    return updated;
+}
+
+async function resumeRollout(release) {
+    const updated = await updateRelease(release.id, {
+        status: RELEASE_STATUS.ACTIVE,
+        resumed_at: new Date().toISOString(),
+        paused_at: null,
+        paused_reason: null
+    });
+    console.log(`[FIRMWARE] Rollout of ${release.version} resumed`);
+    return updated;
+}
+
+function countOutcomes(updates) {
+    const counts = Object.fromEntries(Object.values(UPDATE_STATUS).map(status => [status, 0]));
+    for (const update of updates) counts[update.status] = (counts[update.status] || 0) + 1;
+    return counts;
+}
+
+/**
+ * All releases, newest version first, with per-status device counts.
+ */
+async function listReleases() {
+    const [releases, updates] = await Promise.all([
+        db.from('firmware_releases').select('*'),
+        db.from('firmware_updates').select('release_id, status')
+    ]);
+
+    if (releases.error) throw releases.error;
+    if (updates.error) throw updates.error;
+
+    return (releases.data || [])
+        .sort((a, b) => compareVersions(b.version, a.version))
+        .map(release => ({
+            ...release,
+            outcomes: countOutcomes((updates.data || []).filter(u => String(u.release_id) === String(release.id)))
+        }));
+}
+
+async function listUpdates(releaseId) {
+    const { data, error } = await db
+        .from('firmware_updates')
+        .select('*')
+        .eq('release_id', releaseId)
+        .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// =============================================================================
+// TARGETING
+// =============================================================================
+
+function rolloutBucket(releaseId, deviceId) {
+    const digest = crypto.createHash('sha256').update(`${releaseId}:${deviceId}`).digest();
+    return digest.readUInt32BE(0) % 100;
+}
+
+function isTargeted(release, deviceId) {
+    switch (release.rollout_target) {
+        case ROLLOUT_TARGETS.ALL:
+            return true;
+        case ROLLOUT_TARGETS.PERCENTAGE:
+            return rolloutBucket(release.id, deviceId) < release.rollout_percentage;
+        case ROLLOUT_TARGETS.DEVICES:
+            return (release.rollout_device_ids || []).includes(deviceId);
+        default:
+            return false;
+    }
+}
+
+// =============================================================================
+// DOWNLOAD URLS
+// =============================================================================
+
+function signDownload(releaseId, deviceId, expires) {
+    return crypto
+        .createHmac('sha256', urlSecret)
+        .update(`${releaseId}:${deviceId}:${expires}`)
+        .digest('hex');
+}
+
+function downloadUrl(releaseId, deviceId) {
+    const expires = Math.floor(Date.now() / 1000) + FIRMWARE_URL_TTL_SECONDS;
+    const query = new URLSearchParams({
+        device_id: deviceId,
+        expires: String(expires),
+        signature: signDownload(releaseId, deviceId, expires)
+    });
+    return `${PUBLIC_BASE_URL}/firmware/${releaseId}/download?${query}`;
+}
+
+function verifyDownload(releaseId, { device_id, expires, signature }) {
+    if (typeof device_id !== 'string' || typeof signature !== 'string') return false;
+    if (!(parseInt(expires) > Math.floor(Date.now() / 1000))) return false;
+
+    const expected = Buffer.from(signDownload(releaseId, device_id, expires));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Parse a `Range: bytes=start-end` header (single range only). Returns
+ * null without a usable range header and { invalid: true } when the range
+ * can't be satisfied.
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) return { invalid: true };
+    return { start, end };
+}
+
+async function markDownloading(releaseId, deviceId) {
+    const { error } = await db
+        .from('firmware_updates')
+        .update({
+            status: UPDATE_STATUS.DOWNLOADING,
+            download_started_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('release_id', releaseId)
+        .eq('device_id', deviceId)
+        .eq('status', UPDATE_STATUS.OFFERED);
+
+    if (error) {
+        console.error('[FIRMWARE] Download status error:', error);
+    }
+}
+
+// =============================================================================
+// DEVICE EXCHANGE
+// =============================================================================
+
+async function setUpdateStatus(update, status, fields = {}) {
+    const { error } = await db
+        .from('firmware_updates')
+        .update({ status, updated_at: new Date().toISOString(), ...fields })
+        .eq('id', update.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Settle open updates from what the collar reports: running the new version
+ * means installed, an `ota.status` of 'failed' means failed.
+ */
+async function applyDeviceReport(deviceId, report, updates) {
+    const open = [UPDATE_STATUS.OFFERED, UPDATE_STATUS.DOWNLOADING, UPDATE_STATUS.SILENT];
+
+    for (const update of updates) {
+        if (!open.includes(update.status)) continue;
+
+        if (report.firmware_version && compareVersions(report.firmware_version, update.to_version) === 0) {
+            await setUpdateStatus(update, UPDATE_STATUS.INSTALLED, { completed_at: new Date().toISOString() });
+            update.status = UPDATE_STATUS.INSTALLED;
+            console.log(`[FIRMWARE] ${deviceId} installed ${update.to_version}`);
+        } else if (report.ota?.status === 'failed' && report.ota.version === update.to_version) {
+            await setUpdateStatus(update, UPDATE_STATUS.FAILED, {
+                completed_at: new Date().toISOString(),
+                error: report.ota.error || null
+            });
+            update.status = UPDATE_STATUS.FAILED;
+            console.warn(`[FIRMWARE] ${deviceId} failed to install ${update.to_version}: ${report.ota.error || 'no reason given'}`);
+        }
+    }
+}
+
+async function findOffer(deviceId, currentVersion, updates) {
+    // Without a version we can't tell whether a release is newer
+    if (!currentVersion) return null;
+
+    const { data: releases, error } = await db
+        .from('firmware_releases')
+        .select('*')
+        .eq('status', RELEASE_STATUS.ACTIVE);
+
+    if (error) throw error;
+
+    // Don't offer a release again once it failed on this device
+    const failed = new Set(updates
+        .filter(update => update.status === UPDATE_STATUS.FAILED)
+        .map(update => String(update.release_id)));
+
+    const eligible = (releases || [])
+        .filter(release => compareVersions(release.version, currentVersion) > 0)
+        .filter(release => !failed.has(String(release.id)))
+        .filter(release => isTargeted(release, deviceId))
+        .sort((a, b) => compareVersions(b.version, a.version));
+
+    const release = eligible[0];
+    if (!release) return null;
+
+    if (!updates.some(update => String(update.release_id) === String(release.id))) {
+        const { error: offerError } = await db
+            .from('firmware_updates')
+            .upsert({
+                release_id: release.id,
+                device_id: deviceId,
+                from_version: currentVersion,
+                to_version: release.version,
+                status: UPDATE_STATUS.OFFERED,
+                offered_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'release_id,device_id', ignoreDuplicates: true });
+
+        if (offerError) throw offerError;
+    }
+
+    return {
+        version: release.version,
+        url: downloadUrl(release.id, deviceId),
+        size: release.size_bytes,
+        checksum: release.checksum,
+        release_notes: release.release_notes
+    };
+}
+
+/**
+ * Record the collar's update progress and pick the update to advertise in
+ * the telemetry response. `report` carries `firmware_version` and `ota`.
+ * Never throws - a rollout problem must not fail the upload.
+ */
+async function exchangeFirmware(deviceId, report) {
+    try {
+        const { data: updates, error } = await db
+            .from('firmware_updates')
+            .select('*')
+            .eq('device_id', deviceId);
+
+        if (error) throw error;
+
+        await applyDeviceReport(deviceId, report, updates || []);
+        return await findOffer(deviceId, report.firmware_version, updates || []);
+    } catch (error) {
+        console.error('[FIRMWARE] Exchange error:', error);
+        return null;
+    }
+}
+
+// =============================================================================
+// ROLLOUT MONITOR
+// =============================================================================
+
+async function checkRollout(release) {
+    const watchSince = new Date(Date.now() - OTA_WATCH_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data: updates, error } = await db
+        .from('firmware_updates')
+        .select('*')
+        .eq('release_id', release.id)
+        .in('status', [UPDATE_STATUS.DOWNLOADING, UPDATE_STATUS.INSTALLED, UPDATE_STATUS.SILENT])
+        .gte('download_started_at', watchSince);
+
+    if (error) throw error;
+    if (!updates || updates.length === 0) return;
+
+    const { data: statuses, error: statusError } = await repo.deviceStatus
+        .listForDevices(updates.map(update => update.device_id), 'device_id, last_seen_at');
+
+    if (statusError) throw statusError;
+
+    const lastSeen = new Map((statuses || []).map(status => [status.device_id, status.last_seen_at]));
+    const silenceCutoff = Date.now() - OTA_SILENCE_MINUTES * 60 * 1000;
+    // Devices that went silent before a resume were already looked at by
+    // whoever resumed the rollout; only new ones count towards pausing again
+    const countFrom = Math.max(
+        new Date(release.activated_at || 0).getTime(),
+        new Date(release.resumed_at || 0).getTime()
+    );
+
+    let silent = 0;
+    for (const update of updates) {
+        if (update.status === UPDATE_STATUS.SILENT) {
+            // updated_at is when it was marked silent
+            if (new Date(update.updated_at).getTime() >= countFrom) silent++;
+            continue;
+        }
+
+        const lastContact = Math.max(
+            new Date(lastSeen.get(update.device_id) || 0).getTime(),
+            new Date(update.completed_at || update.download_started_at).getTime()
+        );
+        if (lastContact >= silenceCutoff) continue;
+
+        await setUpdateStatus(update, UPDATE_STATUS.SILENT);
+        console.warn(`[FIRMWARE] ${update.device_id} silent since updating to ${release.version}`);
+        silent++;
+    }
+
+    if (silent >= OTA_PAUSE_SILENT_DEVICES) {
+        await pauseRollout(release, `${silent} devices stopped reporting after updating`);
+    }
+}
+
+async function checkRollouts() {
+    const { data: releases, error } = await db
+        .from('firmware_releases')
+        .select('*')
+        .eq('status', RELEASE_STATUS.ACTIVE);
+
+    if (error) {
+        console.error('[FIRMWARE] Rollout lookup error:', error);
+        return;
+    }
+
+    for (const release of releases || []) {
+        try {
+            await checkRollout(release);
+        } catch (checkError) {
+            console.error(`[FIRMWARE] Rollout check failed for ${release.version}:`, checkError);
+        }
+    }
+}
+
+function startRolloutMonitor() {
+    setInterval(() => {
+        checkRollouts().catch(error => console.error('[FIRMWARE] Monitor error:', error));
+    }, OTA_MONITOR_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    FIRMWARE_MAX_BYTES,
+    RELEASE_STATUS,
+    ROLLOUT_TARGETS,
+    UPDATE_STATUS,
+    validateRelease,
+    validateRollout,
+    checksumOf,
+    getRelease,
+    getReleaseByVersion,
+    createRelease,
+    storeBinary,
+    loadBinary,
+    startRollout,
+    pauseRollout,
+    resumeRollout,
+    listReleases,
+    listUpdates,
+    verifyDownload,
+    parseRange,
+    markDownloading,
+    exchangeFirmware,
+    startRolloutMonitor
+};
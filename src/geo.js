@@ -0,0 +1,67 @@
+// =============================================================================
+// POPCORN GATEWAY - GEO HELPERS
+// =============================================================================
+
+const EARTH_RADIUS_M = 6371000;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points in meters.
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Ray-casting point-in-polygon test. `polygon` is an array of [lat, lon]
+ * vertices; planar maths is fine at collar-zone scale.
+ */
+function pointInPolygon(lat, lon, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lonI] = polygon[i];
+        const [latJ, lonJ] = polygon[j];
+        const crosses = (lonI > lon) !== (lonJ > lon) &&
+            lat < (latJ - latI) * (lon - lonI) / (lonJ - lonI) + latI;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Vertex average of a polygon - good enough as a "center" for small zones.
+ */
+function polygonCentroid(polygon) {
+    const sum = polygon.reduce((acc, [lat, lon]) => [acc[0] + lat, acc[1] + lon], [0, 0]);
+    return [sum[0] / polygon.length, sum[1] / polygon.length];
+}
+
+/**
+ * Equirectangular projection around (lat0, lon0) returning [x, y] in meters.
+ * Accurate enough over a few tens of kilometers.
+ */
+function localProjection(lat0, lon0) {
+    const cosLat = Math.cos(toRadians(lat0));
+    return (lat, lon) => [
+        toRadians(lon - lon0) * EARTH_RADIUS_M * cosLat,
+        toRadians(lat - lat0) * EARTH_RADIUS_M
+    ];
+}
+
+function isValidCoordinate(lat, lon) {
+    return typeof lat === 'number' && typeof lon === 'number' &&
+        lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+module.exports = {
+    haversineDistance,
+    pointInPolygon,
+    polygonCentroid,
+    localProjection,
+    isValidCoordinate
+};
@@ -0,0 +1,293 @@
+// =============================================================================
+// POPCORN GATEWAY - GEOFENCES
+// =============================================================================
+// Named circle / polygon zones per device (home, yard, daycare, vet...).
+// Every valid GPS fix is evaluated server-side so zones can change without a
+// firmware reflash. Zone kinds:
+//   home  - counts as home and as a safe zone
+//   safe  - leaving all home/safe zones means the dog has escaped
+//   watch - enter/exit is recorded but does not affect escape state
+// =============================================================================
+
+const { db } = require('./db');
+const repo = require('./repositories');
+const live = require('./live');
+const { haversineDistance, pointInPolygon, polygonCentroid, isValidCoordinate } = require('./geo');
+
+const GEOFENCE_TYPES = ['circle', 'polygon'];
+const GEOFENCE_KINDS = ['home', 'safe', 'watch'];
+const SHAPE_FIELDS = ['type', 'center_lat', 'center_lon', 'radius_meters', 'polygon'];
+
+const MAX_POLYGON_VERTICES = 100;
+const MAX_RADIUS_METERS = 50000;
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate a geofence create/update body. With `partial` only the supplied
+ * fields are checked; shape fields are merged with the `current` row first,
+ * so e.g. a new radius_meters alone is checked against the stored circle.
+ * Returns { errors, value } where value holds the columns to write.
+ */
+function validateGeofence(body, { partial = false, current = null } = {}) {
+    const errors = [];
+    const value = {};
+    const has = field => body[field] !== undefined;
+
+    if (has('name') || !partial) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            errors.push('name is required');
+        } else {
+            value.name = body.name.trim();
+        }
+    }
+
+    if (has('kind') || !partial) {
+        const kind = body.kind ?? 'safe';
+        if (!GEOFENCE_KINDS.includes(kind)) {
+            errors.push(`kind must be one of: ${GEOFENCE_KINDS.join(', ')}`);
+        } else {
+            value.kind = kind;
+        }
+    }
+
+    if (has('enabled')) {
+        if (typeof body.enabled !== 'boolean') errors.push('enabled must be a boolean');
+        else value.enabled = body.enabled;
+    }
+
+    if (SHAPE_FIELDS.some(has) || !partial) {
+        const shape = partial && current
+            ? Object.fromEntries(SHAPE_FIELDS.map(field => [field, has(field) ? body[field] : current[field]]))
+            : body;
+
+        if (!GEOFENCE_TYPES.includes(shape.type)) {
+            errors.push(`type must be one of: ${GEOFENCE_TYPES.join(', ')}`);
+        } else if (shape.type === 'circle') {
+            const { center_lat, center_lon, radius_meters } = shape;
+            if (!isValidCoordinate(center_lat, center_lon)) {
+                errors.push('circle requires valid center_lat and center_lon');
+            }
+            if (typeof radius_meters !== 'number' || radius_meters <= 0 || radius_meters > MAX_RADIUS_METERS) {
+                errors.push(`radius_meters must be between 0 and ${MAX_RADIUS_METERS}`);
+            }
+            Object.assign(value, { type: 'circle', center_lat, center_lon, radius_meters, polygon: null });
+        } else {
+            const { polygon } = shape;
+            if (!Array.isArray(polygon) || polygon.length < 3 || polygon.length > MAX_POLYGON_VERTICES) {
+                errors.push(`polygon must have between 3 and ${MAX_POLYGON_VERTICES} [lat, lon] vertices`);
+            } else if (!polygon.every(p => Array.isArray(p) && isValidCoordinate(p[0], p[1]))) {
+                errors.push('polygon vertices must be valid [lat, lon] pairs');
+            }
+            Object.assign(value, { type: 'polygon', polygon, center_lat: null, center_lon: null, radius_meters: null });
+        }
+    }
+
+    return { errors, value };
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+function containsPoint(zone, lat, lon) {
+    if (zone.type === 'circle') {
+        return haversineDistance(lat, lon, zone.center_lat, zone.center_lon) <= zone.radius_meters;
+    }
+    return pointInPolygon(lat, lon, zone.polygon);
+}
+
+function zoneCenter(zone) {
+    return zone.type === 'circle' ? [zone.center_lat, zone.center_lon] : polygonCentroid(zone.polygon);
+}
+
+// Approximate area in m² - used to pick the most specific of overlapping zones
+function zoneArea(zone) {
+    if (zone.type === 'circle') return Math.PI * zone.radius_meters ** 2;
+
+    const [lat0, lon0] = zone.polygon[0];
+    const points = zone.polygon.map(([lat, lon]) => [
+        haversineDistance(lat0, lon0, lat0, lon) * Math.sign(lon - lon0),
+        haversineDistance(lat0, lon0, lat, lon0) * Math.sign(lat - lat0)
+    ]);
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        area += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+    }
+    return Math.abs(area / 2);
+}
+
+/**
+ * The is_home / is_escaped flags `zones` decide for a point. A flag is left
+ * out when no zone of its kind exists - the firmware's own value applies.
+ */
+function zoneFlags(zones, lat, lon) {
+    const flags = {};
+    const inside = zones.filter(zone => containsPoint(zone, lat, lon));
+
+    if (zones.some(zone => zone.kind === 'home')) {
+        flags.is_home = inside.some(zone => zone.kind === 'home');
+    }
+    if (zones.some(zone => zone.kind !== 'watch')) {
+        flags.is_escaped = !inside.some(zone => zone.kind !== 'watch');
+    }
+    return flags;
+}
+
+async function loadGeofences(deviceId) {
+    const { data, error } = await db
+        .from('geofences')
+        .select('*')
+        .eq('device_id', deviceId)
+        .eq('enabled', true);
+
+    if (error) {
+        console.error('[GEOFENCE] Load error:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Evaluate a GPS fix against the device's zones.
+ *
+ * Returns null when the device has no zones (the firmware's own is_home /
+ * is_escaped are kept). Otherwise returns the status fields to merge into
+ * device_status and the enter/exit events since `previousStatus`.
+ */
+async function evaluateGeofences(deviceId, lat, lon, previousStatus) {
+    const zones = await loadGeofences(deviceId);
+    if (zones.length === 0) return null;
+
+    const inside = zones
+        .filter(zone => containsPoint(zone, lat, lon))
+        .sort((a, b) => zoneArea(a) - zoneArea(b));
+    const insideIds = inside.map(zone => zone.id);
+    const previousIds = previousStatus?.current_zone_ids || [];
+
+    const events = [];
+    for (const zone of inside) {
+        if (!previousIds.includes(zone.id)) {
+            events.push({ geofence_id: zone.id, zone_name: zone.name, event: 'enter' });
+        }
+    }
+    for (const zone of zones) {
+        if (previousIds.includes(zone.id) && !insideIds.includes(zone.id)) {
+            events.push({ geofence_id: zone.id, zone_name: zone.name, event: 'exit' });
+        }
+    }
+
+    const fields = {
+        current_zone: inside[0]?.name || null,
+        current_zone_ids: insideIds
+    };
+
+    Object.assign(fields, zoneFlags(zones, lat, lon));
+
+    const homeZones = zones.filter(zone => zone.kind === 'home');
+    if (homeZones.length > 0) {
+        fields.distance_from_home = Math.min(...homeZones.map(zone => {
+            const [centerLat, centerLon] = zoneCenter(zone);
+            return haversineDistance(lat, lon, centerLat, centerLon);
+        }));
+    }
+
+    return { fields, events };
+}
+
+/**
+ * Zone-derived status fields to carry over for a reading without a fix -
+ * the firmware's defaults must not undo the last evaluated position.
+ * Returns null when the device has no zones or no previous status.
+ */
+async function heldGeofenceFields(deviceId, previousStatus) {
+    if (!previousStatus) return null;
+
+    const zones = await loadGeofences(deviceId);
+    if (zones.length === 0) return null;
+
+    const fields = {};
+    if (zones.some(zone => zone.kind === 'home')) {
+        fields.is_home = previousStatus.is_home;
+        fields.distance_from_home = previousStatus.distance_from_home;
+    }
+    if (zones.some(zone => zone.kind !== 'watch')) {
+        fields.is_escaped = previousStatus.is_escaped;
+    }
+    return fields;
+}
+
+async function recordGeofenceEvents(deviceId, events, lat, lon) {
+    if (events.length === 0) return;
+
+    const { error } = await db
+        .from('geofence_events')
+        .insert(events.map(event => ({
+            device_id: deviceId,
+            ...event,
+            latitude: lat,
+            longitude: lon
+        })));
+
+    if (error) {
+        console.error('[GEOFENCE] Event insert error:', error);
+        return;
+    }
+
+    for (const event of events) {
+        console.log(`[GEOFENCE] ${deviceId} ${event.event} "${event.zone_name}"`);
+        live.publish(deviceId, live.EVENT_TYPES.GEOFENCE, { ...event, latitude: lat, longitude: lon });
+    }
+}
+
+/**
+ * Record the dog leaving `zone` after it was disabled or deleted while the
+ * last evaluated position was inside it. Readings only compare against
+ * enabled zones, so without this the status would keep the zone forever and
+ * re-enabling it would never record an enter. Call after the zone is gone.
+ */
+async function leaveZone(deviceId, zone) {
+    const { data: status, error } = await repo.deviceStatus.get(deviceId);
+    if (error) {
+        console.error('[GEOFENCE] Status load error:', error);
+        return;
+    }
+
+    const previousIds = status?.current_zone_ids || [];
+    if (!previousIds.includes(zone.id)) return;
+
+    const zones = (await loadGeofences(deviceId)).filter(other => other.id !== zone.id);
+    const inside = zones
+        .filter(other => previousIds.includes(other.id))
+        .sort((a, b) => zoneArea(a) - zoneArea(b));
+
+    const fields = {
+        current_zone: inside[0]?.name || null,
+        current_zone_ids: inside.map(other => other.id)
+    };
+    if (isValidCoordinate(status.latitude, status.longitude)) {
+        Object.assign(fields, zoneFlags(zones, status.latitude, status.longitude));
+    }
+
+    const { error: updateError } = await repo.deviceStatus.update(deviceId, fields);
+    if (updateError) {
+        console.error('[GEOFENCE] Status update error:', updateError);
+        return;
+    }
+
+    await recordGeofenceEvents(deviceId, [{ geofence_id: zone.id, zone_name: zone.name, event: 'exit' }], status.latitude, status.longitude);
+}
+
+module.exports = {
+    GEOFENCE_KINDS,
+    validateGeofence,
+    containsPoint,
+    zoneFlags,
+    loadGeofences,
+    evaluateGeofences,
+    heldGeofenceFields,
+    recordGeofenceEvents,
+    leaveZone
+};
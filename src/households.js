@@ -0,0 +1,492 @@
+// =============================================================================
+// POPCORN GATEWAY - HOUSEHOLDS (PACKS)
+// =============================================================================
+// A household groups the collars of dogs living together (`households`,
+// `household_members`) so the app can show the pack in one call. A device
+// belongs to at most one household. The household owner manages it; anyone
+// else sees the pack through their own device access, limited to the dogs
+// they can read.
+//
+// Joint walks: when a walk closes, walks of the other dogs in the household
+// that started within JOINT_WALK_START_MINUTES and whose tracks stayed
+// within JOINT_WALK_MAX_DISTANCE_METERS of this one are tagged with a shared
+// `joint_walk_id`.
+// =============================================================================
+
+const crypto = require('crypto');
+const { db } = require('./db');
+const repo = require('./repositories');
+const devices = require('./devices');
+const daily = require('./daily');
+const live = require('./live');
+const { haversineDistance } = require('./geo');
+const { loadTrackPoints } = require('./tracks');
+const { requireUser, getDeviceRole, hasPermission, PERMISSIONS } = require('./auth');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const MAX_HOUSEHOLD_DEVICES = 10;
+const MAX_NAME_LENGTH = 100;
+
+const JOINT_WALK_START_MINUTES = parseInt(process.env.JOINT_WALK_START_MINUTES || '15');
+const JOINT_WALK_MAX_DISTANCE_METERS = parseInt(process.env.JOINT_WALK_MAX_DISTANCE_METERS || '75');
+// Share of time-matched fixes that must be co-located
+const JOINT_WALK_MIN_SHARE = 0.7;
+const JOINT_WALK_MIN_MATCHES = 3;
+// Fixes further apart in time than this are not compared
+const JOINT_WALK_MATCH_SECONDS = 120;
+
+// Below this the pack status flags the collar
+const LOW_BATTERY_PERCENT = 20;
+
+// =============================================================================
+// HOUSEHOLDS
+// =============================================================================
+
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+async function createHousehold(name, ownerId) {
+    const { data, error } = await db
+        .from('households')
+        .insert({ name: name.trim(), owner_id: ownerId })
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log(`[HOUSEHOLDS] ${ownerId} created household ${data.id}`);
+    return data;
+}
+
+async function getHousehold(householdId) {
+    const { data, error } = await db
+        .from('households')
+        .select('*')
+        .eq('id', householdId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+async function renameHousehold(householdId, name) {
+    const { data, error } = await db
+        .from('households')
+        .update({ name: name.trim() })
+        .eq('id', householdId)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function deleteHousehold(householdId) {
+    const { error: membersError } = await db
+        .from('household_members')
+        .delete()
+        .eq('household_id', householdId);
+    if (membersError) throw membersError;
+
+    const { error } = await db
+        .from('households')
+        .delete()
+        .eq('id', householdId);
+    if (error) throw error;
+}
+
+/**
+ * Households the user owns or has a shared dog in.
+ */
+async function listHouseholdsForUser(userId) {
+    const { data: owned, error } = await db
+        .from('households')
+        .select('*')
+        .eq('owner_id', userId);
+    if (error) throw error;
+
+    const { data: shares, error: sharesError } = await db
+        .from('device_access')
+        .select('device_id')
+        .eq('user_id', userId);
+    if (sharesError) throw sharesError;
+
+    const ownedIds = new Set((owned || []).map(household => String(household.id)));
+    let shared = [];
+    if (shares && shares.length > 0) {
+        const { data: memberships, error: membershipsError } = await db
+            .from('household_members')
+            .select('household_id')
+            .in('device_id', shares.map(share => share.device_id));
+        if (membershipsError) throw membershipsError;
+
+        const ids = [...new Set((memberships || []).map(m => m.household_id))]
+            .filter(id => !ownedIds.has(String(id)));
+        if (ids.length > 0) {
+            const { data, error: sharedError } = await db
+                .from('households')
+                .select('*')
+                .in('id', ids);
+            if (sharedError) throw sharedError;
+            shared = data || [];
+        }
+    }
+
+    return [...(owned || []), ...shared];
+}
+
+// =============================================================================
+// MEMBERS
+// =============================================================================
+
+async function getMemberIds(householdId) {
+    const { data, error } = await db
+        .from('household_members')
+        .select('device_id')
+        .eq('household_id', householdId)
+        .order('added_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(member => member.device_id);
+}
+
+async function getHouseholdOf(deviceId) {
+    const { data, error } = await db
+        .from('household_members')
+        .select('household_id')
+        .eq('device_id', deviceId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data?.household_id ?? null;
+}
+
+/**
+ * Add a device. Resolves with { code } when it can't be added.
+ */
+async function addDevice(householdId, deviceId) {
+    const current = await getHouseholdOf(deviceId);
+    if (current != null) {
+        return { code: String(current) === String(householdId) ? 'already_member' : 'other_household' };
+    }
+
+    const members = await getMemberIds(householdId);
+    if (members.length >= MAX_HOUSEHOLD_DEVICES) return { code: 'household_full' };
+
+    const { error } = await db
+        .from('household_members')
+        .insert({ household_id: householdId, device_id: deviceId, added_at: new Date().toISOString() });
+
+    if (error) throw error;
+    console.log(`[HOUSEHOLDS] Added ${deviceId} to household ${householdId}`);
+    return {};
+}
+
+async function removeDevice(householdId, deviceId) {
+    const { data, error } = await db
+        .from('household_members')
+        .delete()
+        .eq('household_id', householdId)
+        .eq('device_id', deviceId)
+        .select('device_id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+// =============================================================================
+// ACCESS
+// =============================================================================
+
+/**
+ * Route guard for /household/:householdId/*. MANAGE is for the household
+ * owner; READ / WALK need that permission on at least one of its dogs.
+ * Sets req.household and req.householdDevices (the members the caller
+ * holds `permission` on).
+ */
+function requireHouseholdAccess(permission) {
+    return (req, res, next) => {
+        requireUser(req, res, async () => {
+            try {
+                const household = await getHousehold(req.params.householdId);
+                const isOwner = household?.owner_id === req.user.id;
+
+                let allowed = [];
+                if (household && permission !== PERMISSIONS.MANAGE) {
+                    const members = await getMemberIds(household.id);
+                    const roles = await Promise.all(members.map(deviceId => getDeviceRole(req.user.id, deviceId)));
+                    allowed = members.filter((_, i) => hasPermission(roles[i], permission));
+                }
+
+                // Same answer for "no such household" and "not yours"
+                if (!household || (permission === PERMISSIONS.MANAGE ? !isOwner : !isOwner && allowed.length === 0)) {
+                    console.warn(`[AUTH] ${req.user.id} denied ${permission} on household ${req.params.householdId}`);
+                    return res.status(403).json({ error: 'Forbidden' });
+                }
+
+                req.household = household;
+                req.householdDevices = allowed;
+                next();
+
+            } catch (error) {
+                console.error('[AUTH] Error:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+    };
+}
+
+// =============================================================================
+// PACK VIEWS
+// =============================================================================
+
+async function describeDevices(deviceIds) {
+    if (deviceIds.length === 0) return [];
+    const rows = await devices.listDevices(deviceIds);
+    return rows.map(({ device_id, name, timezone }) => ({ device_id, name, timezone }));
+}
+
+/**
+ * Current status of each dog plus pack-level counts.
+ */
+async function getPackStatus(deviceIds) {
+    const dogs = await describeDevices(deviceIds);
+    if (dogs.length === 0) return { dogs: [], summary: { dogs: 0 } };
+
+    const { data, error } = await repo.deviceStatus.listForDevices(deviceIds);
+    if (error) throw error;
+    const byDevice = new Map((data || []).map(status => [status.device_id, status]));
+
+    const withStatus = dogs.map(dog => {
+        const status = byDevice.get(dog.device_id);
+        return {
+            ...dog,
+            status: status
+                ? { ...live.summariseStatus(status), sleep_active: status.sleep_active, last_seen_at: status.last_seen_at }
+                : null
+        };
+    });
+
+    const reporting = withStatus.filter(dog => dog.status);
+    const count = predicate => reporting.filter(dog => predicate(dog.status)).length;
+
+    return {
+        dogs: withStatus,
+        summary: {
+            dogs: withStatus.length,
+            home: count(s => s.is_home),
+            away: count(s => !s.is_home),
+            escaped: count(s => s.is_escaped),
+            walking: count(s => s.walk?.active),
+            asleep: count(s => s.sleep_active),
+            low_battery: count(s => s.battery_percent != null && s.battery_percent <= LOW_BATTERY_PERCENT),
+            walking_together: walkingTogether(reporting)
+        }
+    };
+}
+
+// Dogs out walking right now whose last fixes are close together
+function walkingTogether(dogs) {
+    const walking = dogs.filter(dog => dog.status.walk?.active && dog.status.gps_valid &&
+        dog.status.latitude != null && dog.status.longitude != null);
+    const groups = [];
+
+    for (const dog of walking) {
+        const group = groups.find(g => g.some(other => haversineDistance(
+            dog.status.latitude, dog.status.longitude, other.status.latitude, other.status.longitude
+        ) <= JOINT_WALK_MAX_DISTANCE_METERS));
+        if (group) group.push(dog);
+        else groups.push([dog]);
+    }
+
+    return groups.filter(group => group.length > 1).map(group => group.map(dog => dog.device_id));
+}
+
+/**
+ * Walks of the pack since `since`, with joint walks grouped.
+ */
+async function getPackWalks(deviceIds, since) {
+    if (deviceIds.length === 0) return { walks: [], joint_walks: [] };
+
+    const { data, error } = await repo.walkSessions.listForDevicesSince(deviceIds, since);
+    if (error) throw error;
+    const walks = data || [];
+
+    const joint = new Map();
+    for (const walk of walks.filter(w => w.joint_walk_id)) {
+        const entry = joint.get(walk.joint_walk_id) || {
+            joint_walk_id: walk.joint_walk_id,
+            device_ids: [],
+            walk_ids: [],
+            started_at: walk.started_at,
+            ended_at: walk.ended_at,
+            distance_meters: 0
+        };
+        entry.device_ids.push(walk.device_id);
+        entry.walk_ids.push(walk.id);
+        if (walk.started_at < entry.started_at) entry.started_at = walk.started_at;
+        if (walk.ended_at && (!entry.ended_at || walk.ended_at > entry.ended_at)) entry.ended_at = walk.ended_at;
+        entry.distance_meters = Math.max(entry.distance_meters, walk.distance_meters || 0);
+        joint.set(walk.joint_walk_id, entry);
+    }
+
+    return {
+        walks,
+        // A dog the caller can't see may have been on the walk too - only
+        // groups with two visible dogs are reported
+        joint_walks: [...joint.values()].filter(entry => entry.device_ids.length > 1)
+    };
+}
+
+/**
+ * Steps, sleep, scratching and walks per dog over the last `days` local
+ * days, with the pack leader for each.
+ */
+async function comparePack(deviceIds, days) {
+    const dogs = await describeDevices(deviceIds);
+    const histories = await Promise.all(dogs.map(dog => daily.getDailyHistory(dog.device_id, days)));
+
+    const comparison = dogs.map((dog, i) => {
+        const rows = histories[i].days;
+        const total = field => rows.reduce((sum, day) => sum + (day[field] || 0), 0);
+        const nights = rows.filter(day => day.sleep_sessions > 0).length;
+        const qualities = rows.map(day => day.sleep_quality).filter(quality => quality != null);
+
+        return {
+            ...dog,
+            days: rows.length,
+            steps: { total: total('steps'), avg_per_day: Math.round(total('steps') / rows.length) },
+            sleep: {
+                avg_minutes_per_night: nights > 0 ? Math.round(total('sleep_minutes') / nights) : null,
+                avg_quality: qualities.length > 0
+                    ? Number((qualities.reduce((sum, q) => sum + q, 0) / qualities.length).toFixed(1))
+                    : null,
+                restless_count: total('restless_count')
+            },
+            scratches: { total: total('scratch_count'), avg_per_day: Number((total('scratch_count') / rows.length).toFixed(1)) },
+            walks: { count: total('walk_count'), distance_km: Number((total('walk_distance_meters') / 1000).toFixed(2)) },
+            daily: rows
+        };
+    });
+
+    const leader = value => {
+        const ranked = comparison.filter(dog => value(dog) > 0).sort((a, b) => value(b) - value(a));
+        return ranked[0]?.device_id ?? null;
+    };
+
+    return {
+        dogs: comparison,
+        leaders: {
+            most_steps: leader(dog => dog.steps.avg_per_day),
+            most_sleep: leader(dog => dog.sleep.avg_minutes_per_night),
+            most_scratching: leader(dog => dog.scratches.avg_per_day),
+            most_walked: leader(dog => dog.walks.distance_km)
+        }
+    };
+}
+
+// =============================================================================
+// JOINT WALKS
+// =============================================================================
+
+/**
+ * Share of `a`'s fixes that have a fix of `b` within JOINT_WALK_MATCH_SECONDS
+ * and JOINT_WALK_MAX_DISTANCE_METERS. Both are sorted by time.
+ */
+function colocation(a, b) {
+    let matches = 0;
+    let colocated = 0;
+    let j = 0;
+
+    for (const point of a) {
+        const at = new Date(point.recorded_at).getTime();
+        while (j + 1 < b.length && Math.abs(new Date(b[j + 1].recorded_at).getTime() - at) <=
+            Math.abs(new Date(b[j].recorded_at).getTime() - at)) {
+            j++;
+        }
+        const other = b[j];
+        if (!other || Math.abs(new Date(other.recorded_at).getTime() - at) > JOINT_WALK_MATCH_SECONDS * 1000) continue;
+
+        matches++;
+        if (haversineDistance(point.latitude, point.longitude, other.latitude, other.longitude) <= JOINT_WALK_MAX_DISTANCE_METERS) {
+            colocated++;
+        }
+    }
+
+    return { matches, share: matches > 0 ? colocated / matches : 0 };
+}
+
+async function findJointWalks(walk) {
+    const householdId = await getHouseholdOf(walk.device_id);
+    if (householdId == null) return;
+
+    const siblings = (await getMemberIds(householdId)).filter(deviceId => deviceId !== walk.device_id);
+    if (siblings.length === 0) return;
+
+    const startMs = new Date(walk.started_at).getTime();
+    const windowMs = JOINT_WALK_START_MINUTES * 60 * 1000;
+    const { data: candidates, error } = await repo.walkSessions.listForDevicesStartedBetween(
+        siblings,
+        new Date(startMs - windowMs).toISOString(),
+        new Date(startMs + windowMs).toISOString()
+    );
+    if (error) throw error;
+
+    const closed = (candidates || []).filter(other => other.ended_at);
+    if (closed.length === 0) return;
+
+    const points = await loadTrackPoints(walk.device_id, walk.started_at, walk.ended_at);
+    if (points.length < JOINT_WALK_MIN_MATCHES) return;
+
+    const partners = [];
+    for (const other of closed) {
+        const otherPoints = await loadTrackPoints(other.device_id, other.started_at, other.ended_at);
+        const { matches, share } = colocation(points, otherPoints);
+        if (matches >= JOINT_WALK_MIN_MATCHES && share >= JOINT_WALK_MIN_SHARE) partners.push(other);
+    }
+    if (partners.length === 0) return;
+
+    // Join an existing group if one of the partners already has one
+    const jointWalkId = partners.find(other => other.joint_walk_id)?.joint_walk_id || crypto.randomUUID();
+    const walkIds = [walk.id, ...partners.filter(other => other.joint_walk_id !== jointWalkId).map(other => other.id)];
+
+    const { error: updateError } = await repo.walkSessions.setJointWalk(walkIds, jointWalkId);
+    if (updateError) throw updateError;
+
+    console.log(`[HOUSEHOLDS] Joint walk ${jointWalkId}: ${[walk.device_id, ...partners.map(other => other.device_id)].join(', ')}`);
+}
+
+/**
+ * Check a just-closed walk for pack members walked alongside it. Runs in
+ * the background.
+ */
+function detectJointWalk(walk) {
+    findJointWalks(walk).catch(error => {
+        console.error('[HOUSEHOLDS] Joint walk detection error:', error);
+    });
+}
+
+module.exports = {
+    MAX_HOUSEHOLD_DEVICES,
+    validateName,
+    createHousehold,
+    getHousehold,
+    renameHousehold,
+    deleteHousehold,
+    listHouseholdsForUser,
+    getMemberIds,
+    addDevice,
+    removeDevice,
+    requireHouseholdAccess,
+    describeDevices,
+    getPackStatus,
+    getPackWalks,
+    comparePack,
+    detectJointWalk
+};
@@ -7,9 +7,39 @@
 // =============================================================================
 
 require('dotenv').config();
+// Before anything else logs
+const logger = require('./logger');
+logger.install();
+
 const express = require('express');
 const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
+const { db, STORAGE_BACKEND } = require('./db');
+const repo = require('./repositories');
+const geofences = require('./geofences');
+const telemetry = require('./telemetry');
+const tracks = require('./tracks');
+const walks = require('./walks');
+const sleep = require('./sleep');
+const schema = require('./schema');
+const live = require('./live');
+const alerts = require('./alerts');
+const commands = require('./commands');
+const battery = require('./battery');
+const monitor = require('./monitor');
+const firmware = require('./firmware');
+const scratch = require('./scratch');
+const anomalies = require('./anomalies');
+const timezone = require('./timezone');
+const daily = require('./daily');
+const households = require('./households');
+const locations = require('./locations');
+const receipts = require('./receipts');
+const walkers = require('./walkers');
+const { verifyHMAC, LEGACY_SIGNATURES_ENABLED } = require('./signature');
+const devices = require('./devices');
+const rateLimit = require('./ratelimit');
+const metrics = require('./metrics');
+const { requireUser, requireDeviceAccess, getDeviceRole, hasPermission, ROLES, PERMISSIONS } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,78 +48,66 @@ const PORT = process.env.PORT || 3000;
 // CONFIGURATION
 // =============================================================================
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
 const HMAC_KEY = process.env.HMAC_KEY;
-
-// Validate required environment variables
-if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-    console.error('ERROR: Missing required environment variables!');
-    console.error('Required: SUPABASE_URL, SUPABASE_SERVICE_KEY');
-    process.exit(1);
-}
-
-// Initialize Supabase client
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+// Proxies in front of the gateway whose X-Forwarded-For is trusted for the
+// client IP - "1" behind Render's load balancer. Off by default: a client
+// connecting directly could otherwise pick its own IP for the rate limits.
+const TRUST_PROXY = process.env.TRUST_PROXY || 'false';
+// Bearer token for GET /metrics; open when unset (keep it off the public
+// internet then)
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const READINESS_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS || '2000');
 
 // =============================================================================
 // MIDDLEWARE
 // =============================================================================
 
+// A hop count, true / false, or a list of proxy addresses
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY)
+    : TRUST_PROXY === 'true' || (TRUST_PROXY !== 'false' && TRUST_PROXY));
 app.use(cors());
-app.use(express.json({ limit: '1mb' }));
-
-// Request logging
-app.use((req, res, next) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${req.method} ${req.path} - ${req.ip}`);
-    next();
-});
+app.use(express.json({
+    limit: '1mb',
+    // Keep the raw bytes - v2 signatures are computed over the exact body
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
-// =============================================================================
-// HMAC VERIFICATION (FIX #6 - matches firmware)
-// =============================================================================
+// Probes and scrapes - logged at debug level, never rate limited
+const PROBE_PATHS = ['/health', '/ready', '/metrics'];
 
-function verifyHMAC(payload, providedSignature) {
-    if (!HMAC_KEY) {
-        console.warn('[SECURITY] WARNING: HMAC_KEY not configured - skipping verification');
-        return true;
-    }
-    
-    if (!providedSignature) {
-        console.warn('[SECURITY] No signature provided');
-        return false;
+// Request IDs, per-request log context, access log and route latency
+app.use(logger.requestLogger({
+    quietPaths: PROBE_PATHS,
+    onFinish: (req, res, seconds) => {
+        metrics.httpRequestDuration.observe({
+            method: req.method,
+            // The route pattern, so IDs don't explode the label set
+            route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+            status: res.statusCode
+        }, seconds);
     }
-    
-    // Reconstruct payload without signature for verification
-    const payloadCopy = { ...payload };
-    delete payloadCopy.signature;
-    
-    const dataString = JSON.stringify(payloadCopy);
-    
-    // djb2 hash algorithm (same as firmware)
-    let hash = 5381;
-    for (let i = 0; i < dataString.length; i++) {
-        hash = ((hash << 5) + hash) + dataString.charCodeAt(i);
-        hash = hash >>> 0; // Convert to unsigned 32-bit
+}));
+
+// Per-IP limits for app routes. Collars are limited per device instead, and
+// may share carrier IPs.
+const DEVICE_PATHS = ['/telemetry', '/telemetry/batch'];
+app.use((req, res, next) => {
+    if (PROBE_PATHS.includes(req.path) || DEVICE_PATHS.includes(req.path) || /^\/firmware\/[^/]+\/download$/.test(req.path)) {
+        return next();
     }
-    
-    // Mix in the key
-    for (let i = 0; i < HMAC_KEY.length; i++) {
-        hash = ((hash << 5) + hash) + HMAC_KEY.charCodeAt(i);
-        hash = hash >>> 0;
+    rateLimit.limitClient(req, res, next);
+});
+
+// Admin-only routes (provisioning, fleet management)
+function requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(503).json({ error: 'Admin API disabled' });
     }
-    
-    const calculatedSignature = hash >>> 0;
-    
-    // Compare (firmware sends as integer)
-    const matches = calculatedSignature === parseInt(providedSignature);
-    
-    if (!matches) {
-        console.warn(`[SECURITY] Signature mismatch. Expected: ${calculatedSignature}, Got: ${providedSignature}`);
+    if (req.get('X-Admin-Key') !== ADMIN_API_KEY) {
+        return res.status(401).json({ error: 'Unauthorized' });
     }
-    
-    return matches;
+    next();
 }
 
 // =============================================================================
@@ -101,26 +119,138 @@ app.get('/health', (req, res) => {
         status: 'ok',
         service: 'Popcorn GPS Collar Gateway',
         version: '6.1.0',
-        features: ['anti-cheat', 'walk-verification'],
+        features: ['anti-cheat', 'walk-verification', 'escape-alerts', 'geofences', 'batch-upload', 'server-walk-verification', 'auto-walk-detection', 'sleep-sessions', 'pluggable-storage', 'payload-schema', 'live-stream', 'downlink-commands', 'battery-analytics', 'device-health', 'ota-updates', 'vet-report', 'anomaly-lifecycle', 'local-daily-rollup', 'households', 'walk-receipts', 'walker-statements', 'track-simplification', 'location-retention', 'rate-limiting', 'metrics', 'structured-logs', 'readiness-check'],
         timestamp: new Date().toISOString(),
-        supabase: SUPABASE_URL ? 'configured' : 'missing',
-        hmac: HMAC_KEY ? 'configured' : 'disabled'
+        storage: STORAGE_BACKEND,
+        hmac: HMAC_KEY ? 'configured' : 'disabled',
+        legacy_signatures: LEGACY_SIGNATURES_ENABLED ? 'accepted' : 'retired',
+        walk_receipts: receipts.RECEIPTS_ENABLED ? 'enabled' : 'disabled',
+        live: { pubsub: live.LIVE_PUBSUB, subscribers: live.subscriberCount() }
     });
 });
 
+// Readiness - whether this instance can serve: the database answers within
+// READINESS_TIMEOUT_MS. /health only says the process is up.
+app.get('/ready', async (req, res) => {
+    const started = Date.now();
+    let timer;
+    
+    try {
+        const ping = db
+            .from('devices')
+            .select('device_id', { count: 'exact', head: true });
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve({ error: { message: `No response within ${READINESS_TIMEOUT_MS}ms` } }), READINESS_TIMEOUT_MS);
+        });
+        
+        const { error } = await Promise.race([ping, timeout]);
+        const database = {
+            status: error ? 'down' : 'up',
+            latency_ms: Date.now() - started,
+            error: error ? error.message : undefined
+        };
+        
+        if (error) {
+            console.warn(`[READY] Database check failed: ${error.message}`);
+        }
+        
+        res.status(error ? 503 : 200).json({
+            status: error ? 'unavailable' : 'ready',
+            checks: { database },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('[READY] Error:', error);
+        res.status(503).json({
+            status: 'unavailable',
+            checks: { database: { status: 'down', latency_ms: Date.now() - started, error: error.message } },
+            timestamp: new Date().toISOString()
+        });
+    } finally {
+        clearTimeout(timer);
+    }
+});
+
+app.get('/metrics', async (req, res) => {
+    try {
+        if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        res.set('Content-Type', metrics.CONTENT_TYPE);
+        res.send(await metrics.render());
+        
+    } catch (error) {
+        console.error('[METRICS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 app.get('/', (req, res) => {
     res.json({
         service: 'Popcorn GPS Collar Gateway',
         version: '6.1.0',
         endpoints: {
             health: 'GET /health',
+            ready: 'GET /ready',
+            metrics: 'GET /metrics (Prometheus)',
             telemetry: 'POST /telemetry',
+            telemetryBatch: 'POST /telemetry/batch',
+            telemetryQuarantine: 'GET /telemetry/quarantine (admin)',
             deviceStatus: 'GET /device/:deviceId/status',
-            locations: 'GET /device/:deviceId/locations',
+            liveStream: 'GET /device/:deviceId/live (Server-Sent Events)',
+            locations: 'GET /device/:deviceId/locations?hours=&limit=&cursor=&zoom=&simplify=dp|time',
+            locationHourly: 'GET /device/:deviceId/locations/hourly?days=',
+            battery: 'GET /device/:deviceId/battery',
+            dailyActivity: 'GET /device/:deviceId/daily?days=',
             sleepHistory: 'GET /device/:deviceId/sleep',
+            sleepRespiratory: 'GET /device/:deviceId/sleep/:sessionId/respiratory',
             scratchHistory: 'GET /device/:deviceId/scratches',
+            vetReport: 'GET /device/:deviceId/reports/vet?from=&to=&format=json|csv|pdf',
+            anomalies: 'GET /device/:deviceId/anomalies?status=&severity=&type=&days=',
+            anomaly: 'GET /device/:deviceId/anomalies/:anomalyId',
+            anomalyLifecycle: 'POST /device/:deviceId/anomalies/:anomalyId/acknowledge|resolve|false-positive',
             walkHistory: 'GET /device/:deviceId/walks',
+            walkRoute: 'GET /device/:deviceId/walks/:walkId/route?format=geojson|gpx|kml',
             walkerStats: 'GET /device/:deviceId/walker-stats',
+            walkReceipt: 'GET /device/:deviceId/walks/:walkId/receipt',
+            walkDispute: 'POST /device/:deviceId/walks/:walkId/dispute',
+            resolveWalkDispute: 'POST /devices/:deviceId/walks/:walkId/dispute/resolve (admin)',
+            walkerStatement: 'GET /walkers/:walkerId/statement?from=&to=&format=json|csv',
+            receiptPublicKey: 'GET /walk-receipts/public-key',
+            verifyReceipt: 'POST /walk-receipts/verify',
+            alerts: 'GET /device/:deviceId/alerts',
+            alertChannels: 'GET|POST /device/:deviceId/alert-channels',
+            alertChannel: 'PUT|DELETE /device/:deviceId/alert-channels/:channelId',
+            geofences: 'GET|POST /device/:deviceId/geofences',
+            geofence: 'PUT|DELETE /device/:deviceId/geofences/:geofenceId',
+            geofenceEvents: 'GET /device/:deviceId/geofence-events',
+            deviceAccess: 'GET|POST /device/:deviceId/access',
+            revokeAccess: 'DELETE /device/:deviceId/access/:userId',
+            deviceTimezone: 'PUT /device/:deviceId/timezone',
+            households: 'GET|POST /households',
+            household: 'GET|PUT|DELETE /household/:householdId',
+            householdDevices: 'POST /household/:householdId/devices, DELETE /household/:householdId/devices/:deviceId',
+            householdStatus: 'GET /household/:householdId/status',
+            householdWalks: 'GET /household/:householdId/walks?days=',
+            householdCompare: 'GET /household/:householdId/compare?days=',
+            registerDevice: 'POST /devices (admin)',
+            getDevice: 'GET /devices/:deviceId (admin)',
+            rotateKey: 'POST /devices/:deviceId/rotate-key (admin)',
+            deactivateDevice: 'POST /devices/:deviceId/deactivate (admin)',
+            activateDevice: 'POST /devices/:deviceId/activate (admin)',
+            transferDevice: 'POST /devices/:deviceId/transfer (admin)',
+            deviceRejections: 'GET /devices/rejections (admin)',
+            fleet: 'GET /fleet?state= (admin)',
+            locationRetention: 'POST /locations/retention/run (admin)',
+            firmwareReleases: 'GET|POST /firmware (admin)',
+            firmwareRelease: 'GET /firmware/:releaseId (admin)',
+            firmwareBinary: 'PUT /firmware/:releaseId/binary (admin)',
+            firmwareRollout: 'POST /firmware/:releaseId/rollout|pause|resume (admin)',
+            firmwareDownload: 'GET /firmware/:releaseId/download (signed URL)',
+            commands: 'GET|POST /device/:deviceId/commands',
+            command: 'GET|DELETE /device/:deviceId/commands/:commandId',
             startWalk: 'POST /device/:deviceId/walk/start',
             endWalk: 'POST /device/:deviceId/walk/end'
         }
@@ -131,184 +261,103 @@ app.get('/', (req, res) => {
 // ROUTES: Telemetry (Main endpoint - receives data from collar)
 // =============================================================================
 
-app.post('/telemetry', async (req, res) => {
+// Device authentication shared by the telemetry routes: registry check and
+// signature verification. Sets req.deviceId.
+async function authenticateDevice(req, res, next) {
     try {
-        const payload = req.body;
+        const payload = req.body || {};
         
         // Validate required fields
         if (!payload.device_id) {
+            metrics.countRejectedRequest(req, 'missing_device_id');
             return res.status(400).json({ error: 'Missing device_id' });
         }
+        logger.setContext({ device_id: String(payload.device_id) });
+        
+        // Only registered, active devices may report
+        const authorization = await devices.authorizeDevice(payload.device_id);
+        if (authorization.code) {
+            metrics.countRejectedRequest(req, authorization.code);
+            console.warn(`[TELEMETRY] Rejected ${payload.device_id}: ${authorization.code}`);
+            return res.status(403).json({ error: authorization.message, code: authorization.code });
+        }
         
-        // Verify HMAC signature
-        if (!verifyHMAC(payload, payload.signature)) {
+        // Verify HMAC signature - no legacy fallback once the device signed with v2
+        const { device } = authorization;
+        const signingKeys = devices.getSigningKeys(device, HMAC_KEY);
+        const verification = await verifyHMAC(req, payload, signingKeys, { v2Only: Boolean(device?.signature_v2_at) });
+        if (!verification.valid) {
+            metrics.countRejectedRequest(req, 'invalid_signature');
             console.warn(`[TELEMETRY] Invalid signature from ${payload.device_id}`);
-            return res.status(401).json({ error: 'Invalid signature' });
+            return res.status(401).json({ error: 'Invalid signature', reason: verification.reason });
+        }
+        if (verification.scheme === 'v2' && device && !device.signature_v2_at) {
+            await devices.recordSignatureV2(device.device_id);
         }
         
-        const deviceId = payload.device_id;
-        console.log(`[TELEMETRY] Valid payload from ${deviceId}`);
+        req.deviceId = payload.device_id;
+        console.log(`[TELEMETRY] Valid payload from ${req.deviceId} (${verification.scheme})`);
+        next();
         
-        // Build status update object
-        const statusUpdate = {
-            device_id: deviceId,
-            
-            // GPS
-            latitude: payload.gps?.lat || null,
-            longitude: payload.gps?.lon || null,
-            altitude: payload.gps?.alt || null,
-            speed: payload.gps?.speed || null,
-            hdop: payload.gps?.hdop || null,
-            satellites: payload.gps?.satellites || 0,
-            gps_valid: payload.gps?.valid || false,
-            
-            // Accelerometer
-            accel_x: payload.accelerometer?.x || null,
-            accel_y: payload.accelerometer?.y || null,
-            accel_z: payload.accelerometer?.z || null,
-            accel_magnitude: payload.accelerometer?.magnitude || null,
-            accel_variance: payload.accelerometer?.variance || null,
-            
-            // Activity
-            activity_class: payload.activity?.class ?? 0,
-            activity_name: payload.activity?.name || 'unknown',
-            session_steps: payload.activity?.session_steps || 0,
-            today_steps: payload.activity?.today_steps || 0,
-            
-            // Location
-            is_home: payload.location?.is_home ?? true,
-            is_escaped: payload.location?.is_escaped ?? false,
-            distance_from_home: payload.location?.distance_home || null,
-            
-            // Battery
-            battery_voltage: payload.battery?.voltage || null,
-            battery_percent: payload.battery?.percent || null,
-            
-            // Network
-            signal_strength: payload.network?.signal || null,
-            network_operator: payload.network?.operator || null,
-            
-            // Sleep
-            sleep_active: payload.sleep?.active || false,
-            sleep_quality: payload.sleep?.quality || null,
-            respiratory_rate: payload.sleep?.respiratory_rate || null,
-            restless_count: payload.sleep?.restless_count || 0,
-            
-            // Walk
-            walk_active: payload.walk?.active || false,
-            walk_duration: payload.walk?.duration || 0,
-            walk_distance: payload.walk?.distance || 0,
-            walk_stops: payload.walk?.stops || 0,
-            
-            // Anti-cheat (V6.1 NEW)
-            walk_verification_status: payload.walk?.verification_status || 'not_walking',
-            walk_quality_score: payload.walk?.quality_score || 0,
-            carried_seconds: payload.walk?.carried_seconds || 0,
-            vehicle_seconds: payload.walk?.vehicle_seconds || 0,
-            actual_walk_seconds: payload.walk?.actual_walk_seconds || 0,
-            cheat_flags: payload.walk?.cheat_flags || 0,
-            
-            // Scratch
-            scratch_detected: payload.scratch?.detected || false,
-            today_scratch_count: payload.scratch?.today_count || 0,
-            
-            // Health
-            anomaly_detected: payload.health?.anomaly || false,
-            anomaly_type: payload.health?.anomaly_type || null,
-            activity_deviation: payload.health?.deviation || null,
-            
-            // System
-            boot_count: payload.boot_count || 0,
-            firmware_version: payload.firmware_version || null,
-            last_seen_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        };
+    } catch (error) {
+        console.error('[TELEMETRY] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+app.post('/telemetry', rateLimit.limitDevice, authenticateDevice, async (req, res) => {
+    try {
+        const payload = req.body;
+        const deviceId = req.deviceId;
         
-        // Update device status (upsert)
-        const { error: statusError } = await supabase
-            .from('device_status')
-            .upsert(statusUpdate, { onConflict: 'device_id' });
-        
-        if (statusError) {
-            console.error('[TELEMETRY] Status update error:', statusError);
-        }
-        
-        // Insert location record if GPS valid
-        if (payload.gps?.valid && payload.gps?.lat && payload.gps?.lon) {
-            const { error: locationError } = await supabase
-                .from('locations')
-                .insert({
-                    device_id: deviceId,
-                    latitude: payload.gps.lat,
-                    longitude: payload.gps.lon,
-                    altitude: payload.gps.alt,
-                    speed: payload.gps.speed,
-                    hdop: payload.gps.hdop,
-                    satellites: payload.gps.satellites,
-                    activity_class: payload.activity?.class,
-                    is_home: payload.location?.is_home,
-                    is_escaped: payload.location?.is_escaped
-                });
-            
-            if (locationError) {
-                console.error('[TELEMETRY] Location insert error:', locationError);
-            }
+        // Type / range checks against the schema for this firmware version
+        const validation = schema.validatePayload(payload);
+        if (validation.errors.length > 0) {
+            metrics.countReadings('live', 'rejected', 1, 'schema_invalid');
+            await telemetry.quarantinePayload(deviceId, payload, validation, telemetry.QUARANTINE_SOURCES.LIVE);
+            return res.status(400).json({
+                error: 'Invalid payload',
+                code: 'SCHEMA_VALIDATION_FAILED',
+                schema_version: validation.schemaVersion,
+                errors: validation.errors
+            });
+        }
+        if (validation.unknownFields.length > 0) {
+            console.warn(`[TELEMETRY] Unknown fields from ${deviceId} (schema ${validation.schemaVersion}): ${validation.unknownFields.join(', ')}`);
         }
         
-        // Record scratch event if detected
-        if (payload.scratch?.detected) {
-            const { error: scratchError } = await supabase
-                .from('scratch_events')
-                .insert({
-                    device_id: deviceId,
-                    frequency_hz: payload.scratch.frequency,
-                    confidence: payload.scratch.confidence,
-                    latitude: payload.gps?.lat,
-                    longitude: payload.gps?.lon
-                });
-            
-            if (scratchError) {
-                console.error('[TELEMETRY] Scratch insert error:', scratchError);
-            }
-            
-            // Update daily scratch count
-            const today = new Date().toISOString().split('T')[0];
-            await supabase
-                .from('scratch_daily')
-                .upsert({
-                    device_id: deviceId,
-                    date: today,
-                    total_count: payload.scratch.today_count,
-                    max_frequency: payload.scratch.frequency
-                }, { onConflict: 'device_id,date' });
-        }
-        
-        // Record anomaly if detected
-        if (payload.health?.anomaly) {
-            // Check if already logged today
-            const today = new Date().toISOString().split('T')[0];
-            const { data: existing } = await supabase
-                .from('anomaly_log')
-                .select('id')
-                .eq('device_id', deviceId)
-                .eq('anomaly_type', payload.health.anomaly_type)
-                .gte('detected_at', today)
-                .limit(1);
-            
-            if (!existing || existing.length === 0) {
-                await supabase
-                    .from('anomaly_log')
-                    .insert({
-                        device_id: deviceId,
-                        anomaly_type: payload.health.anomaly_type,
-                        deviation_percent: payload.health.deviation
-                    });
-            }
+        // Device time when the collar sends a plausible one, otherwise arrival time
+        const readingTime = telemetry.liveReadingTime(deviceId, payload.timestamp);
+        
+        // Downlink: apply the collar's acks, pick up queued commands
+        const pendingCommands = await commands.exchangeCommands(deviceId, payload.acks);
+        const firmwareUpdate = await firmware.exchangeFirmware(deviceId, payload);
+        
+        // Collar retries carry the same seq - ingest only once
+        const { duplicate } = await telemetry.ingestReading(deviceId, payload, readingTime);
+        if (duplicate) {
+            metrics.countReadings('live', 'duplicate');
+            return res.json({
+                status: 'duplicate',
+                device_id: deviceId,
+                seq: payload.seq,
+                commands: pendingCommands,
+                firmware_update: firmwareUpdate,
+                backoff_seconds: rateLimit.backoffHint(req.rateLimit),
+                timestamp: new Date().toISOString()
+            });
         }
+        metrics.countReadings('live', 'accepted');
         
         res.json({ 
             status: 'ok',
             device_id: deviceId,
+            schema_version: validation.schemaVersion,
+            unknown_fields: validation.unknownFields.length > 0 ? validation.unknownFields : undefined,
+            commands: pendingCommands,
+            firmware_update: firmwareUpdate,
+            // Present when the collar is close to its rate limit
+            backoff_seconds: rateLimit.backoffHint(req.rateLimit),
             timestamp: new Date().toISOString()
         });
         
@@ -318,285 +367,1893 @@ app.post('/telemetry', async (req, res) => {
     }
 });
 
-// =============================================================================
-// ROUTES: Device Status
-// =============================================================================
-
-app.get('/device/:deviceId/status', async (req, res) => {
+app.post('/telemetry/batch', rateLimit.limitDevice, authenticateDevice, async (req, res) => {
     try {
-        const { deviceId } = req.params;
+        const payload = req.body;
+        const deviceId = req.deviceId;
         
-        const { data, error } = await supabase
-            .from('device_status')
-            .select('*')
-            .eq('device_id', deviceId)
-            .single();
+        if (!Array.isArray(payload.readings) || payload.readings.length === 0) {
+            metrics.countRejectedRequest(req, 'invalid_batch');
+            return res.status(400).json({ error: 'readings must be a non-empty array' });
+        }
         
-        if (error || !data) {
-            return res.status(404).json({ error: 'Device not found' });
+        if (payload.readings.length > telemetry.MAX_BATCH_SIZE) {
+            metrics.countRejectedRequest(req, 'batch_too_large');
+            return res.status(413).json({ error: `Batch too large (max ${telemetry.MAX_BATCH_SIZE} readings)` });
         }
         
-        res.json(data);
+        const result = await telemetry.ingestBatch(deviceId, payload);
+        metrics.countReadings('batch', 'accepted', result.accepted);
+        metrics.countReadings('batch', 'duplicate', result.duplicates);
+        for (const rejection of result.rejected) {
+            metrics.countReadings('batch', 'rejected', 1, rejection.errors ? 'schema_invalid' : 'invalid_reading');
+        }
+        
+        // Acks may come with the envelope or with the buffered readings
+        const acks = [
+            ...(Array.isArray(payload.acks) ? payload.acks : []),
+            ...payload.readings.flatMap(reading => (Array.isArray(reading?.acks) ? reading.acks : []))
+        ];
+        const pendingCommands = await commands.exchangeCommands(deviceId, acks);
+        
+        // Firmware version and update progress come with the envelope
+        const firmwareUpdate = await firmware.exchangeFirmware(deviceId, payload);
+        
+        if (result.unknownFields.length > 0) {
+            console.warn(`[TELEMETRY] Unknown fields in batch from ${deviceId}: ${result.unknownFields.join(', ')}`);
+        }
+        
+        res.json({
+            status: 'ok',
+            device_id: deviceId,
+            accepted: result.accepted,
+            duplicates: result.duplicates,
+            rejected: result.rejected,
+            unknown_fields: result.unknownFields.length > 0 ? result.unknownFields : undefined,
+            commands: pendingCommands,
+            firmware_update: firmwareUpdate,
+            backoff_seconds: rateLimit.backoffHint(req.rateLimit),
+            timestamp: new Date().toISOString()
+        });
         
     } catch (error) {
-        console.error('[STATUS] Error:', error);
+        console.error('[TELEMETRY BATCH] Error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// =============================================================================
-// ROUTES: Location History
-// =============================================================================
-
-app.get('/device/:deviceId/locations', async (req, res) => {
+// Rejected payloads kept for firmware debugging
+app.get('/telemetry/quarantine', requireAdmin, async (req, res) => {
     try {
-        const { deviceId } = req.params;
-        const { hours = 24, limit = 500 } = req.query;
+        const { device_id, days = 7, limit = 100 } = req.query;
         
-        const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
         
-        const { data, error } = await supabase
-            .from('locations')
-            .select('*')
-            .eq('device_id', deviceId)
-            .gte('recorded_at', since)
-            .order('recorded_at', { ascending: false })
-            .limit(parseInt(limit));
+        const { data, error } = await repo.telemetryQuarantine.list({
+            deviceId: device_id,
+            since,
+            limit: Math.min(parseInt(limit) || 100, 1000)
+        });
         
         if (error) {
             return res.status(500).json({ error: error.message });
         }
         
         res.json({
-            device_id: deviceId,
             count: data.length,
-            locations: data
+            payloads: data
         });
         
     } catch (error) {
-        console.error('[LOCATIONS] Error:', error);
+        console.error('[QUARANTINE] Error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // =============================================================================
-// ROUTES: Sleep History
+// ROUTES: Fleet Health (admin)
 // =============================================================================
 
-app.get('/device/:deviceId/sleep', async (req, res) => {
+app.get('/fleet', requireAdmin, async (req, res) => {
     try {
-        const { deviceId } = req.params;
-        const { days = 7 } = req.query;
-        
-        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const { state } = req.query;
         
-        const { data, error } = await supabase
-            .from('sleep_sessions')
-            .select('*')
-            .eq('device_id', deviceId)
-            .gte('started_at', since)
-            .order('started_at', { ascending: false });
-        
-        if (error) {
-            return res.status(500).json({ error: error.message });
+        if (state && !Object.values(monitor.HEALTH_STATES).includes(state)) {
+            return res.status(400).json({
+                error: `state must be one of: ${Object.values(monitor.HEALTH_STATES).join(', ')}`
+            });
         }
         
-        // Calculate averages
-        const avgQuality = data.length > 0
-            ? data.reduce((sum, s) => sum + (s.quality_score || 0), 0) / data.length
-            : 0;
-        
-        res.json({
-            device_id: deviceId,
-            sessions: data,
-            summary: {
-                total_sessions: data.length,
-                avg_quality: avgQuality.toFixed(1),
-                avg_duration: data.length > 0
-                    ? Math.round(data.reduce((sum, s) => sum + (s.duration_minutes || 0), 0) / data.length)
-                    : 0
-            }
-        });
+        res.json(await monitor.getFleetOverview({ state }));
         
     } catch (error) {
-        console.error('[SLEEP] Error:', error);
+        console.error('[FLEET] Error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // =============================================================================
-// ROUTES: Scratch History
+// ROUTES: Location Retention (admin)
 // =============================================================================
 
-app.get('/device/:deviceId/scratches', async (req, res) => {
+// Runs the compaction the retention job does every hour
+app.post('/locations/retention/run', requireAdmin, async (req, res) => {
     try {
-        const { deviceId } = req.params;
-        const { days = 7 } = req.query;
-        
-        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-        
-        const { data, error } = await supabase
-            .from('scratch_daily')
-            .select('*')
-            .eq('device_id', deviceId)
-            .gte('date', since)
-            .order('date', { ascending: false });
-        
-        if (error) {
-            return res.status(500).json({ error: error.message });
-        }
-        
-        const totalScratches = data.reduce((sum, d) => sum + (d.total_count || 0), 0);
-        
-        res.json({
-            device_id: deviceId,
-            daily: data,
-            summary: {
-                total: totalScratches,
-                avg_per_day: data.length > 0 ? (totalScratches / data.length).toFixed(1) : 0
-            }
-        });
+        res.json(await locations.runRetention());
         
     } catch (error) {
-        console.error('[SCRATCHES] Error:', error);
+        console.error('[RETENTION] Error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // =============================================================================
-// ROUTES: Walk History
+// ROUTES: Firmware Releases (admin) & Download (device)
 // =============================================================================
 
-app.get('/device/:deviceId/walks', async (req, res) => {
+app.get('/firmware', requireAdmin, async (req, res) => {
     try {
-        const { deviceId } = req.params;
-        const { days = 30 } = req.query;
-        
-        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const releases = await firmware.listReleases();
+        res.json({ count: releases.length, releases });
         
-        const { data, error } = await supabase
-            .from('walk_sessions')
-            .select('*')
-            .eq('device_id', deviceId)
-            .gte('started_at', since)
-            .order('started_at', { ascending: false });
+    } catch (error) {
+        console.error('[FIRMWARE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/firmware', requireAdmin, async (req, res) => {
+    try {
+        const { errors, value } = firmware.validateRelease(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid release', errors });
+        }
         
-        if (error) {
-            return res.status(500).json({ error: error.message });
+        const existing = await firmware.getReleaseByVersion(value.version);
+        if (existing) {
+            return res.status(409).json({ error: 'Version already exists' });
         }
         
-        const totalDistance = data.reduce((sum, w) => sum + (w.distance_meters || 0), 0);
+        const release = await firmware.createRelease(value);
+        console.log(`[FIRMWARE] Created release ${release.version}`);
         
-        res.json({
-            device_id: deviceId,
-            walks: data,
-            summary: {
-                total_walks: data.length,
-                total_distance_km: (totalDistance / 1000).toFixed(2),
-                avg_duration_min: data.length > 0
-                    ? Math.round(data.reduce((sum, w) => sum + (w.duration_seconds || 0), 0) / data.length / 60)
-                    : 0,
-                // V6.1: Anti-cheat summary
-                avg_quality_score: data.length > 0
-                    ? Math.round(data.reduce((sum, w) => sum + (w.quality_score || w.grade_score || 0), 0) / data.length)
-                    : 0,
-                vehicle_incidents: data.filter(w => w.vehicle_detected).length
-            }
-        });
+        res.status(201).json(release);
         
     } catch (error) {
-        console.error('[WALKS] Error:', error);
+        console.error('[FIRMWARE] Error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// =============================================================================
-// ROUTES: Walker Stats (V6.1 NEW - Anti-cheat summary)
-// =============================================================================
-
-app.get('/device/:deviceId/walker-stats', async (req, res) => {
+app.get('/firmware/:releaseId', requireAdmin, async (req, res) => {
     try {
-        const { deviceId } = req.params;
-        const { days = 7 } = req.query;
+        const release = await firmware.getRelease(req.params.releaseId);
+        if (!release) {
+            return res.status(404).json({ error: 'Release not found' });
+        }
         
-        const since = new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000).toISOString();
+        const updates = await firmware.listUpdates(release.id);
+        res.json({ ...release, updates });
         
-        const { data: walks, error } = await supabase
-            .from('walk_sessions')
-            .select('*')
-            .eq('device_id', deviceId)
-            .gte('started_at', since);
+    } catch (error) {
+        console.error('[FIRMWARE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Binary upload: raw bytes, checked against the release checksum
+app.put('/firmware/:releaseId/binary', requireAdmin, express.raw({
+    type: 'application/octet-stream',
+    limit: firmware.FIRMWARE_MAX_BYTES
+}), async (req, res) => {
+    try {
+        const release = await firmware.getRelease(req.params.releaseId);
+        if (!release) {
+            return res.status(404).json({ error: 'Release not found' });
+        }
         
-        if (error) {
-            return res.status(500).json({ error: error.message });
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Send the binary as application/octet-stream' });
         }
         
-        const stats = {
-            total_walks: walks?.length || 0,
-            avg_quality_score: walks?.length > 0 
-                ? Math.round(walks.reduce((sum, w) => sum + (w.quality_score || w.grade_score || 0), 0) / walks.length)
-                : 0,
-            excellent_walks: walks?.filter(w => (w.quality_score || w.grade_score || 0) >= 90).length || 0,
-            good_walks: walks?.filter(w => {
-                const score = w.quality_score || w.grade_score || 0;
-                return score >= 70 && score < 90;
-            }).length || 0,
-            fair_walks: walks?.filter(w => {
-                const score = w.quality_score || w.grade_score || 0;
-                return score >= 50 && score < 70;
-            }).length || 0,
-            poor_walks: walks?.filter(w => (w.quality_score || w.grade_score || 0) < 50).length || 0,
-            total_distance_km: ((walks?.reduce((sum, w) => sum + (w.distance_meters || 0), 0) || 0) / 1000).toFixed(2),
-            total_walk_minutes: Math.round((walks?.reduce((sum, w) => sum + (w.duration_seconds || 0), 0) || 0) / 60),
-            avg_carried_percent: walks?.length > 0 
-                ? (walks.reduce((sum, w) => sum + (w.carried_percent || 0), 0) / walks.length).toFixed(1)
-                : 0,
-            vehicle_incidents: walks?.filter(w => w.vehicle_detected).length || 0
-        };
+        const checksum = firmware.checksumOf(req.body);
+        if (checksum !== release.checksum) {
+            return res.status(400).json({ error: 'Checksum mismatch', expected: release.checksum, actual: checksum });
+        }
         
-        res.json(stats);
+        const updated = await firmware.storeBinary(release, req.body);
+        console.log(`[FIRMWARE] Uploaded ${release.version} (${req.body.length} bytes)`);
+        
+        res.json(updated);
         
     } catch (error) {
-        console.error('[WALKER-STATS] Error:', error);
+        console.error('[FIRMWARE] Error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// =============================================================================
-// ROUTES: Walk Management (Start/End from app)
-// =============================================================================
-
-app.post('/device/:deviceId/walk/start', async (req, res) => {
+app.post('/firmware/:releaseId/rollout', requireAdmin, async (req, res) => {
+    try {
+        const release = await firmware.getRelease(req.params.releaseId);
+        if (!release) {
+            return res.status(404).json({ error: 'Release not found' });
+        }
+        
+        if (release.status === firmware.RELEASE_STATUS.DRAFT) {
+            return res.status(409).json({ error: 'Upload the binary before rolling out' });
+        }
+        
+        const { errors, value } = firmware.validateRollout(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid rollout', errors });
+        }
+        
+        res.json(await firmware.startRollout(release, value));
+        
+    } catch (error) {
+        console.error('[FIRMWARE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/firmware/:releaseId/pause', requireAdmin, async (req, res) => {
+    try {
+        const release = await firmware.getRelease(req.params.releaseId);
+        if (!release) {
+            return res.status(404).json({ error: 'Release not found' });
+        }
+        
+        if (release.status !== firmware.RELEASE_STATUS.ACTIVE) {
+            return res.status(409).json({ error: 'Rollout is not active' });
+        }
+        
+        res.json(await firmware.pauseRollout(release, req.body?.reason || 'paused by admin'));
+        
+    } catch (error) {
+        console.error('[FIRMWARE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/firmware/:releaseId/resume', requireAdmin, async (req, res) => {
+    try {
+        const release = await firmware.getRelease(req.params.releaseId);
+        if (!release) {
+            return res.status(404).json({ error: 'Release not found' });
+        }
+        
+        if (release.status !== firmware.RELEASE_STATUS.PAUSED) {
+            return res.status(409).json({ error: 'Rollout is not paused' });
+        }
+        
+        res.json(await firmware.resumeRollout(release));
+        
+    } catch (error) {
+        console.error('[FIRMWARE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Collar download via the signed URL from the telemetry response.
+// Supports Range so an interrupted download can resume.
+app.get('/firmware/:releaseId/download', async (req, res) => {
+    try {
+        const { releaseId } = req.params;
+        
+        if (!firmware.verifyDownload(releaseId, req.query)) {
+            return res.status(403).json({ error: 'Invalid or expired download link' });
+        }
+        
+        const release = await firmware.getRelease(releaseId);
+        const binary = release && await firmware.loadBinary(release);
+        if (!binary) {
+            return res.status(404).json({ error: 'Firmware not found' });
+        }
+        
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Content-Type': 'application/octet-stream',
+            'ETag': `"${release.checksum}"`,
+            'X-Firmware-Version': release.version
+        });
+        
+        const range = firmware.parseRange(req.get('Range'), binary.length);
+        if (range?.invalid) {
+            res.set('Content-Range', `bytes */${binary.length}`);
+            return res.status(416).end();
+        }
+        
+        // First byte requested - the collar has started the update
+        if (!range || range.start === 0) {
+            await firmware.markDownloading(release.id, req.query.device_id);
+        }
+        
+        if (!range) {
+            return res.send(binary);
+        }
+        
+        res.status(206)
+            .set('Content-Range', `bytes ${range.start}-${range.end}/${binary.length}`)
+            .send(binary.subarray(range.start, range.end + 1));
+        
+    } catch (error) {
+        console.error('[FIRMWARE] Download error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Device Registry & Provisioning (admin)
+// =============================================================================
+
+app.post('/devices', requireAdmin, async (req, res) => {
+    try {
+        const { device_id, name, owner_id, timezone: tz, legacy_shared_key } = req.body || {};
+        
+        if (!device_id || typeof device_id !== 'string') {
+            return res.status(400).json({ error: 'Missing device_id' });
+        }
+        if (tz !== undefined && !timezone.isValidTimezone(tz)) {
+            return res.status(400).json({ error: 'timezone must be an IANA timezone name (e.g. Europe/Amsterdam)' });
+        }
+        
+        const existing = await devices.getDevice(device_id);
+        if (existing) {
+            return res.status(409).json({ error: 'Device already registered' });
+        }
+        
+        const device = await devices.registerDevice({ device_id, name, owner_id, timezone: tz, legacy_shared_key });
+        console.log(`[DEVICES] Registered ${device_id}`);
+        
+        // The secret is only ever returned here and on rotation
+        res.status(201).json(device);
+        
+    } catch (error) {
+        console.error('[DEVICES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/devices/rejections', requireAdmin, (req, res) => {
+    res.json(devices.getRejectionStats());
+});
+
+app.get('/devices/:deviceId', requireAdmin, async (req, res) => {
+    try {
+        const device = await devices.getDevice(req.params.deviceId);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const { secret, previous_secret, ...publicFields } = device;
+        res.json({ ...publicFields, uses_shared_key: !secret });
+        
+    } catch (error) {
+        console.error('[DEVICES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/devices/:deviceId/rotate-key', requireAdmin, async (req, res) => {
+    try {
+        const device = await devices.getDevice(req.params.deviceId);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const rotated = await devices.rotateDeviceKey(device);
+        console.log(`[DEVICES] Rotated key for ${device.device_id}`);
+        
+        res.json(rotated);
+        
+    } catch (error) {
+        console.error('[DEVICES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/devices/:deviceId/deactivate', requireAdmin, async (req, res) => {
+    try {
+        const device = await devices.getDevice(req.params.deviceId);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const updated = await devices.setDeviceStatus(device.device_id, devices.DEVICE_STATUS.DEACTIVATED);
+        console.log(`[DEVICES] Deactivated ${device.device_id}`);
+        
+        res.json(updated);
+        
+    } catch (error) {
+        console.error('[DEVICES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/devices/:deviceId/activate', requireAdmin, async (req, res) => {
+    try {
+        const device = await devices.getDevice(req.params.deviceId);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const updated = await devices.setDeviceStatus(device.device_id, devices.DEVICE_STATUS.ACTIVE);
+        console.log(`[DEVICES] Activated ${device.device_id}`);
+        
+        res.json(updated);
+        
+    } catch (error) {
+        console.error('[DEVICES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/devices/:deviceId/transfer', requireAdmin, async (req, res) => {
+    try {
+        const { owner_id } = req.body || {};
+        if (!owner_id) {
+            return res.status(400).json({ error: 'Missing owner_id' });
+        }
+        
+        const device = await devices.getDevice(req.params.deviceId);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const updated = await devices.transferDevice(device.device_id, owner_id);
+        console.log(`[DEVICES] Transferred ${device.device_id} from ${device.owner_id} to ${owner_id}`);
+        
+        res.json(updated);
+        
+    } catch (error) {
+        console.error('[DEVICES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Device Sharing (owner only)
+// =============================================================================
+
+app.get('/device/:deviceId/access', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        const { data, error } = await db
+            .from('device_access')
+            .select('*')
+            .eq('device_id', deviceId)
+            .order('created_at', { ascending: true });
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        res.json({
+            device_id: deviceId,
+            access: data
+        });
+        
+    } catch (error) {
+        console.error('[ACCESS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/device/:deviceId/access', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { user_id, role, starts_at, expires_at } = req.body || {};
+        
+        if (!user_id) {
+            return res.status(400).json({ error: 'Missing user_id' });
+        }
+        if (![ROLES.FAMILY, ROLES.WALKER].includes(role)) {
+            return res.status(400).json({ error: `role must be ${ROLES.FAMILY} or ${ROLES.WALKER}` });
+        }
+        if (expires_at && isNaN(Date.parse(expires_at))) {
+            return res.status(400).json({ error: 'Invalid expires_at' });
+        }
+        if (starts_at && isNaN(Date.parse(starts_at))) {
+            return res.status(400).json({ error: 'Invalid starts_at' });
+        }
+        // Walker access is always time-limited
+        if (role === ROLES.WALKER && !expires_at) {
+            return res.status(400).json({ error: 'Walker access requires expires_at' });
+        }
+        
+        const { data, error } = await db
+            .from('device_access')
+            .upsert({
+                device_id: deviceId,
+                user_id,
+                role,
+                starts_at: starts_at || null,
+                expires_at: expires_at || null,
+                created_by: req.user.id
+            }, { onConflict: 'device_id,user_id' })
+            .select()
+            .single();
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        console.log(`[ACCESS] ${req.user.id} granted ${role} on ${deviceId} to ${user_id}`);
+        res.status(201).json(data);
+        
+    } catch (error) {
+        console.error('[ACCESS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/device/:deviceId/access/:userId', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId, userId } = req.params;
+        
+        const { data, error } = await db
+            .from('device_access')
+            .delete()
+            .eq('device_id', deviceId)
+            .eq('user_id', userId)
+            .select();
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'Access grant not found' });
+        }
+        
+        console.log(`[ACCESS] ${req.user.id} revoked access on ${deviceId} for ${userId}`);
+        res.json({ status: 'ok', device_id: deviceId, user_id: userId });
+        
+    } catch (error) {
+        console.error('[ACCESS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// The owner's local timezone, used for daily totals and anomaly episodes
+app.put('/device/:deviceId/timezone', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { timezone: tz } = req.body || {};
+        
+        if (!timezone.isValidTimezone(tz)) {
+            return res.status(400).json({ error: 'timezone must be an IANA timezone name (e.g. Europe/Amsterdam)' });
+        }
+        
+        const device = await devices.setDeviceTimezone(deviceId, tz);
+        timezone.forgetDeviceTimezone(deviceId);
+        console.log(`[DEVICES] ${deviceId} timezone set to ${tz}`);
+        
+        res.json(device);
+        
+    } catch (error) {
+        console.error('[DEVICES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Households (packs)
+// =============================================================================
+
+app.get('/households', requireUser, async (req, res) => {
+    try {
+        const list = await households.listHouseholdsForUser(req.user.id);
+        
+        res.json({
+            count: list.length,
+            households: list.map(household => ({ ...household, is_owner: household.owner_id === req.user.id }))
+        });
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/households', requireUser, async (req, res) => {
+    try {
+        const { name } = req.body || {};
+        
+        const nameError = households.validateName(name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+        
+        const household = await households.createHousehold(name, req.user.id);
+        
+        res.status(201).json(household);
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/household/:householdId', households.requireHouseholdAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        res.json({
+            ...req.household,
+            is_owner: req.household.owner_id === req.user.id,
+            devices: await households.describeDevices(req.householdDevices)
+        });
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/household/:householdId', households.requireHouseholdAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { name } = req.body || {};
+        
+        const nameError = households.validateName(name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+        
+        res.json(await households.renameHousehold(req.household.id, name));
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/household/:householdId', households.requireHouseholdAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        await households.deleteHousehold(req.household.id);
+        console.log(`[HOUSEHOLDS] ${req.user.id} deleted household ${req.household.id}`);
+        
+        res.json({ status: 'deleted', household_id: req.household.id });
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Only dogs the household owner manages can be added
+app.post('/household/:householdId/devices', households.requireHouseholdAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { device_id } = req.body || {};
+        
+        if (!device_id || typeof device_id !== 'string') {
+            return res.status(400).json({ error: 'Missing device_id' });
+        }
+        
+        const role = await getDeviceRole(req.user.id, device_id);
+        if (!hasPermission(role, PERMISSIONS.MANAGE)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const result = await households.addDevice(req.household.id, device_id);
+        if (result.code === 'household_full') {
+            return res.status(409).json({ error: `A household has at most ${households.MAX_HOUSEHOLD_DEVICES} dogs`, code: result.code });
+        }
+        if (result.code) {
+            return res.status(409).json({ error: 'Device is already in a household', code: result.code });
+        }
+        
+        res.status(201).json({
+            household_id: req.household.id,
+            devices: await households.describeDevices(await households.getMemberIds(req.household.id))
+        });
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/household/:householdId/devices/:deviceId', households.requireHouseholdAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const removed = await households.removeDevice(req.household.id, req.params.deviceId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Device is not in this household' });
+        }
+        
+        console.log(`[HOUSEHOLDS] Removed ${req.params.deviceId} from household ${req.household.id}`);
+        res.json({ status: 'removed', household_id: req.household.id, device_id: req.params.deviceId });
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/household/:householdId/status', households.requireHouseholdAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const pack = await households.getPackStatus(req.householdDevices);
+        
+        res.json({ household_id: req.household.id, name: req.household.name, ...pack });
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/household/:householdId/walks', households.requireHouseholdAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { days = 30 } = req.query;
+        
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const { walks: packWalks, joint_walks } = await households.getPackWalks(req.householdDevices, since);
+        
+        const totalDistance = packWalks.reduce((sum, w) => sum + (w.distance_meters || 0), 0);
+        const byDevice = {};
+        for (const deviceId of req.householdDevices) {
+            const own = packWalks.filter(w => w.device_id === deviceId);
+            byDevice[deviceId] = {
+                walks: own.length,
+                joint_walks: own.filter(w => w.joint_walk_id).length,
+                distance_km: (own.reduce((sum, w) => sum + (w.distance_meters || 0), 0) / 1000).toFixed(2)
+            };
+        }
+        
+        res.json({
+            household_id: req.household.id,
+            walks: packWalks,
+            joint_walks,
+            summary: {
+                total_walks: packWalks.length,
+                joint_walks: joint_walks.length,
+                total_distance_km: (totalDistance / 1000).toFixed(2),
+                by_device: byDevice
+            }
+        });
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/household/:householdId/compare', households.requireHouseholdAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { days = 7 } = req.query;
+        
+        const comparison = await households.comparePack(req.householdDevices, days);
+        
+        res.json({ household_id: req.household.id, ...comparison });
+        
+    } catch (error) {
+        console.error('[HOUSEHOLDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Device Status
+// =============================================================================
+
+app.get('/device/:deviceId/status', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        const { data, error } = await repo.deviceStatus.get(deviceId);
+        
+        if (error || !data) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        res.json(data);
+        
+    } catch (error) {
+        console.error('[STATUS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Live Stream (Server-Sent Events)
+// =============================================================================
+
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+// Access is checked again this often, so a revoked share, an expired walker
+// slot or a transfer ends the stream (on whichever instance holds it)
+const LIVE_ACCESS_CHECK_MS = parseInt(process.env.LIVE_ACCESS_CHECK_MS || '60000');
+
+function writeLiveEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+app.get('/device/:deviceId/live', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            // Stop proxies (nginx, Render) from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+        
+        // Subscribe before replaying so nothing published in between is lost
+        const pending = [];
+        let replaying = true;
+        const unsubscribe = live.subscribe(deviceId, event => {
+            if (replaying) pending.push(event);
+            else writeLiveEvent(res, event);
+        });
+        
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), LIVE_HEARTBEAT_MS);
+        
+        const accessCheck = setInterval(async () => {
+            const role = await getDeviceRole(req.user.id, deviceId).catch(() => null);
+            if (hasPermission(role, PERMISSIONS.READ) || res.writableEnded) return;
+            
+            console.warn(`[LIVE] ${req.user.id} lost access to ${deviceId} - closing stream`);
+            res.write('event: revoked\ndata: null\n\n');
+            res.end();
+        }, LIVE_ACCESS_CHECK_MS);
+        
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clearInterval(accessCheck);
+            unsubscribe();
+            console.log(`[LIVE] ${req.user.id} stopped following ${deviceId}`);
+        });
+        
+        const resume = lastEventId ? live.eventsSince(deviceId, lastEventId) : { events: [], found: false };
+        if (resume.found) {
+            resume.events.forEach(event => writeLiveEvent(res, event));
+        } else {
+            // New client, or it missed more than the history holds - resync
+            const { data: status } = await repo.deviceStatus.get(deviceId);
+            res.write(`event: snapshot\ndata: ${JSON.stringify(status ? live.summariseStatus(status) : null)}\n\n`);
+        }
+        
+        const replayed = new Set(resume.events.map(event => event.id));
+        pending.filter(event => !replayed.has(event.id)).forEach(event => writeLiveEvent(res, event));
+        replaying = false;
+        
+        console.log(`[LIVE] ${req.user.id} following ${deviceId}${resume.found ? ` (resumed after ${lastEventId})` : ''}`);
+        
+    } catch (error) {
+        console.error('[LIVE] Error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error' });
+        } else {
+            res.end();
+        }
+    }
+});
+
+// =============================================================================
+// ROUTES: Location History
+// =============================================================================
+
+app.get('/device/:deviceId/locations', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        const { errors, value: query } = locations.parseHistoryQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid query', errors });
+        }
+        
+        const compactedBefore = locations.compactedBefore()?.toISOString() || null;
+        
+        // Whole window as one track simplified for the map's zoom level
+        if (query.zoom !== null) {
+            const track = await locations.getSimplifiedTrack(deviceId, query);
+            return res.json({
+                device_id: deviceId,
+                count: track.points.length,
+                compacted_before: compactedBefore,
+                simplified: {
+                    method: track.method,
+                    zoom: track.zoom,
+                    tolerance_meters: track.tolerance_meters,
+                    bucket_seconds: track.bucket_seconds,
+                    source_points: track.source_points,
+                    truncated: track.truncated
+                },
+                locations: track.points
+            });
+        }
+        
+        const page = await locations.getPage(deviceId, query);
+        
+        res.json({
+            device_id: deviceId,
+            count: page.locations.length,
+            compacted_before: compactedBefore,
+            next_cursor: page.next_cursor,
+            locations: page.locations
+        });
+        
+    } catch (error) {
+        console.error('[LOCATIONS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Summaries of history older than the raw-fix retention
+app.get('/device/:deviceId/locations/hourly', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { days = 30 } = req.query;
+        
+        const since = new Date(Date.now() - Math.min(parseFloat(days) || 30, 366) * 24 * 60 * 60 * 1000);
+        const hours = await locations.getHourlyHistory(deviceId, since);
+        
+        res.json({
+            device_id: deviceId,
+            since: since.toISOString(),
+            compacted_before: locations.compactedBefore()?.toISOString() || null,
+            count: hours.length,
+            hours
+        });
+        
+    } catch (error) {
+        console.error('[LOCATIONS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Battery
+// =============================================================================
+
+app.get('/device/:deviceId/battery', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { hours = 72 } = req.query;
+        
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        
+        const { data, error } = await repo.batteryReadings.listSince(deviceId, since);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        res.json({
+            device_id: deviceId,
+            ...battery.analyseBattery(data),
+            count: data.length,
+            history: data.map(r => ({
+                percent: r.percent,
+                voltage: r.voltage,
+                gps_valid: r.gps_valid,
+                activity_name: r.activity_name,
+                walk_active: r.walk_active,
+                recorded_at: r.recorded_at
+            }))
+        });
+        
+    } catch (error) {
+        console.error('[BATTERY] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Daily Activity
+// =============================================================================
+
+app.get('/device/:deviceId/daily', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { days = 7 } = req.query;
+        
+        const history = await daily.getDailyHistory(deviceId, days);
+        const total = field => history.days.reduce((sum, day) => sum + (day[field] || 0), 0);
+        
+        res.json({
+            device_id: deviceId,
+            timezone: history.timezone,
+            from: history.from,
+            to: history.to,
+            daily: history.days,
+            summary: {
+                steps: total('steps'),
+                avg_steps: Math.round(total('steps') / history.days.length),
+                scratches: total('scratch_count'),
+                walks: total('walk_count'),
+                walk_distance_km: (total('walk_distance_meters') / 1000).toFixed(2),
+                sleep_hours: (total('sleep_minutes') / 60).toFixed(1)
+            }
+        });
+        
+    } catch (error) {
+        console.error('[DAILY] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Sleep History
+// =============================================================================
+
+app.get('/device/:deviceId/sleep', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { days = 7 } = req.query;
+        
+        // Whole local days, in the device's timezone
+        const tz = await timezone.getDeviceTimezone(deviceId);
+        const { since } = timezone.localDayWindow(days, tz);
+        
+        const [{ data, error }, history] = await Promise.all([
+            repo.sleepSessions.listSince(deviceId, since.toISOString()),
+            daily.getDailyHistory(deviceId, days)
+        ]);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        // Calculate averages
+        const avgQuality = data.length > 0
+            ? data.reduce((sum, s) => sum + (s.quality_score || 0), 0) / data.length
+            : 0;
+        
+        res.json({
+            device_id: deviceId,
+            timezone: tz,
+            sessions: data,
+            nights: sleep.summariseNights(data, tz),
+            daily: history.days.map(day => ({
+                date: day.date,
+                sessions: day.sleep_sessions,
+                minutes: day.sleep_minutes,
+                quality: day.sleep_quality,
+                restless_count: day.restless_count
+            })),
+            summary: {
+                total_sessions: data.length,
+                avg_quality: avgQuality.toFixed(1),
+                avg_duration: data.length > 0
+                    ? Math.round(data.reduce((sum, s) => sum + (s.duration_minutes || 0), 0) / data.length)
+                    : 0
+            }
+        });
+        
+    } catch (error) {
+        console.error('[SLEEP] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/device/:deviceId/sleep/:sessionId/respiratory', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId, sessionId } = req.params;
+        
+        const { data: session, error: sessionError } = await repo.sleepSessions.get(deviceId, sessionId);
+        
+        if (sessionError) {
+            return res.status(500).json({ error: sessionError.message });
+        }
+        
+        if (!session) {
+            return res.status(404).json({ error: 'Sleep session not found' });
+        }
+        
+        const { data, error } = await repo.respiratorySamples.listForSession(sessionId);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        res.json({
+            device_id: deviceId,
+            session: session,
+            samples: data
+        });
+        
+    } catch (error) {
+        console.error('[SLEEP] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Scratch History
+// =============================================================================
+
+app.get('/device/:deviceId/scratches', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { days = 7 } = req.query;
+        
+        const history = await daily.getDailyHistory(deviceId, days);
+        
+        const totalScratches = history.days.reduce((sum, d) => sum + d.scratch_count, 0);
+        
+        res.json({
+            device_id: deviceId,
+            timezone: history.timezone,
+            daily: history.days.map(day => ({
+                date: day.date,
+                total_count: day.scratch_count,
+                max_frequency: day.max_scratch_frequency
+            })),
+            summary: {
+                total: totalScratches,
+                avg_per_day: (totalScratches / history.days.length).toFixed(1)
+            }
+        });
+        
+    } catch (error) {
+        console.error('[SCRATCHES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/device/:deviceId/reports/vet', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { format = 'json' } = req.query;
+        
+        if (!Object.hasOwn(scratch.VET_REPORT_FORMATS, format)) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(scratch.VET_REPORT_FORMATS).join(', ')}` });
+        }
+        
+        const tz = await timezone.getDeviceTimezone(deviceId);
+        const { errors, value: period } = scratch.parseReportPeriod(req.query, tz);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid period', errors });
+        }
+        
+        const report = await scratch.buildVetReport(deviceId, period);
+        const { body, contentType, filename } = scratch.exportVetReport(report, format);
+        
+        res.set('Content-Type', contentType);
+        if (format !== 'json') {
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        }
+        res.send(body);
+        
+    } catch (error) {
+        console.error('[VET REPORT] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Health Anomalies
+// =============================================================================
+
+app.get('/device/:deviceId/anomalies', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        const { errors, value: filters } = anomalies.validateFilters(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid filters', errors });
+        }
+        
+        const { data, error } = await repo.anomalyLog.list(deviceId, filters);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        const bySeverity = {};
+        anomalies.SEVERITY_LEVELS.forEach(level => { bySeverity[level] = 0; });
+        data.forEach(a => { if (a.severity) bySeverity[a.severity]++; });
+        
+        res.json({
+            device_id: deviceId,
+            anomalies: data,
+            summary: {
+                total: data.length,
+                open: data.filter(a => a.status === anomalies.ANOMALY_STATUS.OPEN).length,
+                by_severity: bySeverity
+            }
+        });
+        
+    } catch (error) {
+        console.error('[ANOMALIES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/device/:deviceId/anomalies/:anomalyId', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId, anomalyId } = req.params;
+        
+        const { data, error } = await repo.anomalyLog.get(deviceId, anomalyId);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        if (!data) {
+            return res.status(404).json({ error: 'Anomaly not found' });
+        }
+        
+        res.json(data);
+        
+    } catch (error) {
+        console.error('[ANOMALIES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Anyone who can see the dog may acknowledge; closing an anomaly is the owner's call
+const ANOMALY_TRANSITIONS = [
+    { action: 'acknowledge', status: anomalies.ANOMALY_STATUS.ACKNOWLEDGED, permission: PERMISSIONS.READ },
+    { action: 'resolve', status: anomalies.ANOMALY_STATUS.RESOLVED, permission: PERMISSIONS.MANAGE },
+    { action: 'false-positive', status: anomalies.ANOMALY_STATUS.FALSE_POSITIVE, permission: PERMISSIONS.MANAGE }
+];
+
+ANOMALY_TRANSITIONS.forEach(({ action, status, permission }) => {
+    app.post(`/device/:deviceId/anomalies/:anomalyId/${action}`, requireDeviceAccess(permission), async (req, res) => {
+        try {
+            const { deviceId, anomalyId } = req.params;
+            const { note } = req.body || {};
+            
+            const noteError = anomalies.validateNote(note);
+            if (noteError) {
+                return res.status(400).json({ error: noteError });
+            }
+            
+            const { data: existing, error } = await repo.anomalyLog.get(deviceId, anomalyId);
+            if (error) {
+                return res.status(500).json({ error: error.message });
+            }
+            if (!existing) {
+                return res.status(404).json({ error: 'Anomaly not found' });
+            }
+            
+            const updated = await anomalies.transition(deviceId, anomalyId, status, req.user.id, note);
+            if (!updated) {
+                return res.status(409).json({ error: `Anomaly is ${existing.status}`, status: existing.status });
+            }
+            
+            res.json(updated);
+            
+        } catch (error) {
+            console.error('[ANOMALIES] Error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+});
+
+// =============================================================================
+// ROUTES: Walk History
+// =============================================================================
+
+app.get('/device/:deviceId/walks', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { days = 30 } = req.query;
+        
+        const tz = await timezone.getDeviceTimezone(deviceId);
+        const { since } = timezone.localDayWindow(days, tz);
+        
+        const [{ data, error }, history] = await Promise.all([
+            repo.walkSessions.listSince(deviceId, since.toISOString()),
+            daily.getDailyHistory(deviceId, days)
+        ]);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        const totalDistance = data.reduce((sum, w) => sum + (w.distance_meters || 0), 0);
+        
+        res.json({
+            device_id: deviceId,
+            timezone: tz,
+            walks: data,
+            daily: history.days.map(day => ({
+                date: day.date,
+                walks: day.walk_count,
+                distance_meters: day.walk_distance_meters,
+                duration_seconds: day.walk_seconds,
+                steps: day.steps
+            })),
+            summary: {
+                total_walks: data.length,
+                total_distance_km: (totalDistance / 1000).toFixed(2),
+                avg_duration_min: data.length > 0
+                    ? Math.round(data.reduce((sum, w) => sum + (w.duration_seconds || 0), 0) / data.length / 60)
+                    : 0,
+                // V6.1: Anti-cheat summary
+                avg_quality_score: data.length > 0
+                    ? Math.round(data.reduce((sum, w) => sum + (w.quality_score || w.grade_score || 0), 0) / data.length)
+                    : 0,
+                vehicle_incidents: data.filter(w => w.vehicle_detected).length
+            }
+        });
+        
+    } catch (error) {
+        console.error('[WALKS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/device/:deviceId/walks/:walkId/route', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId, walkId } = req.params;
+        const { format = 'geojson', max_hdop, min_satellites } = req.query;
+        
+        if (!Object.hasOwn(tracks.TRACK_FORMATS, format)) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(tracks.TRACK_FORMATS).join(', ')}` });
+        }
+        
+        const { data: walk, error } = await repo.walkSessions.get(deviceId, walkId);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!walk) {
+            return res.status(404).json({ error: 'Walk session not found' });
+        }
+        
+        const filters = {};
+        if (max_hdop !== undefined) filters.maxHdop = parseFloat(max_hdop);
+        if (min_satellites !== undefined) filters.minSatellites = parseInt(min_satellites);
+        
+        const track = await tracks.buildWalkTrack(walk, filters);
+        const { body, contentType, filename } = tracks.exportTrack(track, format);
+        
+        res.set('Content-Type', contentType);
+        if (format !== 'geojson') {
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        }
+        res.send(body);
+        
+    } catch (error) {
+        console.error('[WALK ROUTE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Walker Stats (V6.1 NEW - Anti-cheat summary)
+// =============================================================================
+
+app.get('/device/:deviceId/walker-stats', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { days = 7 } = req.query;
+        
+        const since = new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000).toISOString();
+        
+        const { data: walks, error } = await repo.walkSessions.listSince(deviceId, since);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        const stats = {
+            total_walks: walks?.length || 0,
+            avg_quality_score: walks?.length > 0 
+                ? Math.round(walks.reduce((sum, w) => sum + (w.quality_score || w.grade_score || 0), 0) / walks.length)
+                : 0,
+            excellent_walks: walks?.filter(w => (w.quality_score || w.grade_score || 0) >= 90).length || 0,
+            good_walks: walks?.filter(w => {
+                const score = w.quality_score || w.grade_score || 0;
+                return score >= 70 && score < 90;
+            }).length || 0,
+            fair_walks: walks?.filter(w => {
+                const score = w.quality_score || w.grade_score || 0;
+                return score >= 50 && score < 70;
+            }).length || 0,
+            poor_walks: walks?.filter(w => (w.quality_score || w.grade_score || 0) < 50).length || 0,
+            total_distance_km: ((walks?.reduce((sum, w) => sum + (w.distance_meters || 0), 0) || 0) / 1000).toFixed(2),
+            total_walk_minutes: Math.round((walks?.reduce((sum, w) => sum + (w.duration_seconds || 0), 0) || 0) / 60),
+            avg_carried_percent: walks?.length > 0 
+                ? (walks.reduce((sum, w) => sum + (w.carried_percent || 0), 0) / walks.length).toFixed(1)
+                : 0,
+            vehicle_incidents: walks?.filter(w => w.vehicle_detected).length || 0,
+            // Walks shared with another dog of the household
+            joint_walks: walks?.filter(w => w.joint_walk_id).length || 0
+        };
+        
+        res.json(stats);
+        
+    } catch (error) {
+        console.error('[WALKER-STATS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Alert History
+// =============================================================================
+
+app.get('/device/:deviceId/alerts', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { days = 7, limit = 100, type } = req.query;
+        
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        
+        let query = db
+            .from('alerts')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('created_at', since)
+            .order('created_at', { ascending: false })
+            .limit(parseInt(limit));
+        
+        if (type) {
+            query = query.eq('type', type);
+        }
+        
+        const { data, error } = await query;
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        res.json({
+            device_id: deviceId,
+            count: data.length,
+            alerts: data
+        });
+        
+    } catch (error) {
+        console.error('[ALERTS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Where a device's alerts go. Targets are phone numbers and push tokens,
+// so even listing them is for the owner only.
+app.get('/device/:deviceId/alert-channels', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        const { data, error } = await db
+            .from('alert_channels')
+            .select(alerts.CHANNEL_COLUMNS)
+            .eq('device_id', deviceId)
+            .order('created_at', { ascending: true });
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        res.json({
+            device_id: deviceId,
+            channels: data
+        });
+        
+    } catch (error) {
+        console.error('[ALERTS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/device/:deviceId/alert-channels', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        const { errors, value } = alerts.validateChannel(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid alert channel', details: errors });
+        }
+        
+        const { data, error } = await db
+            .from('alert_channels')
+            .insert({ device_id: deviceId, enabled: true, ...value })
+            .select()
+            .single();
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        console.log(`[ALERTS] ${req.user.id} added a ${data.channel} channel for ${deviceId}`);
+        // The only response that carries a webhook's signing secret
+        res.status(201).json(data);
+        
+    } catch (error) {
+        console.error('[ALERTS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/device/:deviceId/alert-channels/:channelId', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId, channelId } = req.params;
+        
+        // The target is validated for the stored channel type
+        const { data: current, error: currentError } = await db
+            .from('alert_channels')
+            .select('*')
+            .eq('id', channelId)
+            .eq('device_id', deviceId)
+            .maybeSingle();
+        
+        if (currentError) {
+            return res.status(500).json({ error: currentError.message });
+        }
+        
+        if (!current) {
+            return res.status(404).json({ error: 'Alert channel not found' });
+        }
+        
+        const { errors, value } = alerts.validateChannel(req.body || {}, { partial: true, current });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid alert channel', details: errors });
+        }
+        
+        const { data, error } = await db
+            .from('alert_channels')
+            .update(value)
+            .eq('id', channelId)
+            .eq('device_id', deviceId)
+            .select(alerts.CHANNEL_COLUMNS)
+            .maybeSingle();
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!data) {
+            return res.status(404).json({ error: 'Alert channel not found' });
+        }
+        
+        res.json(data);
+        
+    } catch (error) {
+        console.error('[ALERTS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/device/:deviceId/alert-channels/:channelId', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId, channelId } = req.params;
+        
+        const { data, error } = await db
+            .from('alert_channels')
+            .delete()
+            .eq('id', channelId)
+            .eq('device_id', deviceId)
+            .select('id');
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'Alert channel not found' });
+        }
+        
+        res.json({ status: 'ok', channel_id: channelId });
+        
+    } catch (error) {
+        console.error('[ALERTS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Geofences
+// =============================================================================
+
+app.get('/device/:deviceId/geofences', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        const { data, error } = await db
+            .from('geofences')
+            .select('*')
+            .eq('device_id', deviceId)
+            .order('created_at', { ascending: true });
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        res.json({
+            device_id: deviceId,
+            geofences: data
+        });
+        
+    } catch (error) {
+        console.error('[GEOFENCE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/device/:deviceId/geofences', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        const { errors, value } = geofences.validateGeofence(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid geofence', details: errors });
+        }
+        
+        const { data, error } = await db
+            .from('geofences')
+            .insert({ device_id: deviceId, enabled: true, ...value })
+            .select()
+            .single();
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        res.status(201).json(data);
+        
+    } catch (error) {
+        console.error('[GEOFENCE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/device/:deviceId/geofences/:geofenceId', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId, geofenceId } = req.params;
+        
+        // Shape changes are validated against the stored zone
+        const { data: current, error: currentError } = await db
+            .from('geofences')
+            .select('*')
+            .eq('id', geofenceId)
+            .eq('device_id', deviceId)
+            .maybeSingle();
+        
+        if (currentError) {
+            return res.status(500).json({ error: currentError.message });
+        }
+        
+        if (!current) {
+            return res.status(404).json({ error: 'Geofence not found' });
+        }
+        
+        const { errors, value } = geofences.validateGeofence(req.body || {}, { partial: true, current });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid geofence', details: errors });
+        }
+        
+        const { data, error } = await db
+            .from('geofences')
+            .update({ ...value, updated_at: new Date().toISOString() })
+            .eq('id', geofenceId)
+            .eq('device_id', deviceId)
+            .select()
+            .maybeSingle();
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!data) {
+            return res.status(404).json({ error: 'Geofence not found' });
+        }
+        
+        if (current.enabled && !data.enabled) {
+            await geofences.leaveZone(deviceId, data);
+        }
+        
+        res.json(data);
+        
+    } catch (error) {
+        console.error('[GEOFENCE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/device/:deviceId/geofences/:geofenceId', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId, geofenceId } = req.params;
+        
+        const { data, error } = await db
+            .from('geofences')
+            .delete()
+            .eq('id', geofenceId)
+            .eq('device_id', deviceId)
+            .select();
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'Geofence not found' });
+        }
+        
+        await geofences.leaveZone(deviceId, data[0]);
+        
+        res.json({ status: 'ok', geofence_id: geofenceId });
+        
+    } catch (error) {
+        console.error('[GEOFENCE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/device/:deviceId/geofence-events', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
     try {
         const { deviceId } = req.params;
+        const { days = 7, limit = 200 } = req.query;
         
-        // Get current device status
-        const { data: status } = await supabase
-            .from('device_status')
-            .select('latitude, longitude')
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        
+        const { data, error } = await db
+            .from('geofence_events')
+            .select('*')
             .eq('device_id', deviceId)
-            .single();
+            .gte('created_at', since)
+            .order('created_at', { ascending: false })
+            .limit(parseInt(limit));
         
-        // Create walk session
-        const { data, error } = await supabase
-            .from('walk_sessions')
-            .insert({
-                device_id: deviceId,
-                started_at: new Date().toISOString(),
-                start_lat: status?.latitude,
-                start_lon: status?.longitude
-            })
-            .select()
-            .single();
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        res.json({
+            device_id: deviceId,
+            count: data.length,
+            events: data
+        });
+        
+    } catch (error) {
+        console.error('[GEOFENCE] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Downlink Commands
+// =============================================================================
+
+app.get('/device/:deviceId/commands', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { status, limit = 50 } = req.query;
+        
+        // Settle anything past its TTL so the app sees it as expired
+        await commands.expireCommands(deviceId);
+        
+        let query = db
+            .from('device_commands')
+            .select('*')
+            .eq('device_id', deviceId)
+            .order('created_at', { ascending: false })
+            .limit(parseInt(limit));
+        
+        if (status) {
+            query = query.eq('status', status);
+        }
+        
+        const { data, error } = await query;
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        res.json({
+            device_id: deviceId,
+            commands: data
+        });
+        
+    } catch (error) {
+        console.error('[COMMANDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/device/:deviceId/commands', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        const { errors, value } = commands.validateCommand(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid command', details: errors });
+        }
+        
+        // Locate / buzzer / fast GPS for anyone following the dog,
+        // configuration changes for the owner only
+        if (!hasPermission(req.deviceRole, commands.requiredPermission(value.type))) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const command = await commands.enqueueCommand(deviceId, value, req.user.id);
+        res.status(201).json(command);
+        
+    } catch (error) {
+        console.error('[COMMANDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/device/:deviceId/commands/:commandId', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId, commandId } = req.params;
+        
+        await commands.expireCommands(deviceId);
+        
+        const { data, error } = await db
+            .from('device_commands')
+            .select('*')
+            .eq('id', commandId)
+            .eq('device_id', deviceId)
+            .maybeSingle();
         
         if (error) {
             return res.status(500).json({ error: error.message });
         }
         
+        if (!data) {
+            return res.status(404).json({ error: 'Command not found' });
+        }
+        
+        res.json(data);
+        
+    } catch (error) {
+        console.error('[COMMANDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/device/:deviceId/commands/:commandId', requireDeviceAccess(PERMISSIONS.READ), async (req, res) => {
+    try {
+        const { deviceId, commandId } = req.params;
+        
+        const pending = await commands.getOpenCommand(deviceId, commandId);
+        if (!pending) {
+            return res.status(404).json({ error: 'No pending command with that ID' });
+        }
+        
+        // Cancelling takes the same permission as queueing
+        if (!hasPermission(req.deviceRole, commands.requiredPermission(pending.type))) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const command = await commands.cancelCommand(deviceId, commandId);
+        if (!command) {
+            return res.status(404).json({ error: 'No pending command with that ID' });
+        }
+        
+        console.log(`[COMMANDS] ${req.user.id} cancelled command ${commandId} for ${deviceId}`);
+        res.json(command);
+        
+    } catch (error) {
+        console.error('[COMMANDS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =============================================================================
+// ROUTES: Walk Management (Start/End from app)
+// =============================================================================
+
+app.post('/device/:deviceId/walk/start', requireDeviceAccess(PERMISSIONS.WALK), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        
+        // Get current device status
+        const { data: status } = await repo.deviceStatus.get(deviceId, 'latitude, longitude');
+        
+        // Joins the walk the collar already detected, if any
+        const { walk, joined } = await walks.startWalk(deviceId, {
+            source: walks.WALK_SOURCES.APP,
+            latitude: status?.latitude,
+            longitude: status?.longitude,
+            walkerId: req.user.id
+        });
+        
         res.json({
             status: 'ok',
-            walk_id: data.id,
-            started_at: data.started_at
+            walk_id: walk.id,
+            walker_id: walk.walker_id,
+            started_at: walk.started_at,
+            joined_existing: joined
         });
         
     } catch (error) {
@@ -605,98 +2262,65 @@ app.post('/device/:deviceId/walk/start', async (req, res) => {
     }
 });
 
-app.post('/device/:deviceId/walk/end', async (req, res) => {
+app.post('/device/:deviceId/walk/end', requireDeviceAccess(PERMISSIONS.WALK), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { walk_id } = req.body;
         
-        // Get current device status
-        const { data: status } = await supabase
-            .from('device_status')
-            .select('latitude, longitude, walk_duration, walk_distance, walk_stops, walk_quality_score, walk_verification_status, carried_seconds, vehicle_seconds, actual_walk_seconds, cheat_flags')
-            .eq('device_id', deviceId)
-            .single();
-        
         // Get walk session
-        const { data: walk } = await supabase
-            .from('walk_sessions')
-            .select('*')
-            .eq('id', walk_id)
-            .single();
+        const { data: walk } = await repo.walkSessions.get(deviceId, walk_id);
         
         if (!walk) {
             return res.status(404).json({ error: 'Walk session not found' });
         }
         
-        // Calculate grade - use anti-cheat score if available
-        const duration = status?.walk_duration || 0;
-        const distance = status?.walk_distance || 0;
-        const stops = status?.walk_stops || 0;
-        const qualityScore = status?.walk_quality_score || 0;
+        // Walkers end their own walks; someone else's (or an unclaimed
+        // auto-detected one) takes a role that can read the device
+        if (walk.walker_id !== req.user.id && !hasPermission(req.deviceRole, PERMISSIONS.READ)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
         
-        let gradeScore;
-        if (qualityScore > 0) {
-            // V6.1: Use anti-cheat quality score
-            gradeScore = qualityScore;
-        } else {
-            // Fallback to V6.0 logic
-            gradeScore = 100;
-            gradeScore -= stops * 5;  // -5 per stop
-            if (duration < 900) gradeScore -= 20;  // <15 min walk
-            if (distance < 500) gradeScore -= 15;  // <500m
-            gradeScore = Math.max(0, Math.min(100, gradeScore));
-        }
-        
-        let grade = 'A';
-        if (gradeScore < 90) grade = 'B';
-        if (gradeScore < 70) grade = 'C';
-        if (gradeScore < 50) grade = 'F';
-        
-        // Calculate carried percentage
-        const carriedPercent = duration > 0 
-            ? ((status?.carried_seconds || 0) / duration) * 100 
-            : 0;
+        // Get current device status
+        const status = await walks.getWalkStatus(deviceId);
         
-        // Update walk session with anti-cheat data
-        const { error } = await supabase
-            .from('walk_sessions')
-            .update({
-                ended_at: new Date().toISOString(),
-                duration_seconds: duration,
-                distance_meters: distance,
-                end_lat: status?.latitude,
-                end_lon: status?.longitude,
-                stop_count: stops,
-                grade: grade,
-                grade_score: gradeScore,
-                // V6.1: Anti-cheat fields
-                verification_status: status?.walk_verification_status || 'completed',
-                quality_score: gradeScore,
-                carried_seconds: status?.carried_seconds || 0,
-                carried_percent: carriedPercent,
-                vehicle_seconds: status?.vehicle_seconds || 0,
-                vehicle_detected: (status?.cheat_flags & 0x02) !== 0,
-                actual_walk_seconds: status?.actual_walk_seconds || 0,
-                actual_walk_percent: duration > 0 ? ((status?.actual_walk_seconds || 0) / duration) * 100 : 0,
-                cheat_flags: status?.cheat_flags || 0
-            })
-            .eq('id', walk_id);
+        const result = walk.ended_at
+            ? null
+            : await walks.closeWalk(walk, status, { reason: walks.END_REASONS.APP });
         
-        if (error) {
-            return res.status(500).json({ error: error.message });
+        // Already closed (auto-detected end or timeout) - report what was stored
+        if (!result) {
+            const { data: ended } = await repo.walkSessions.get(deviceId, walk_id);
+            
+            return res.json({
+                status: 'already_ended',
+                walk_id: walk_id,
+                walker_id: ended.walker_id,
+                end_reason: ended.end_reason,
+                grade: ended.grade,
+                grade_score: ended.grade_score,
+                duration_minutes: Math.round((ended.duration_seconds || 0) / 60),
+                distance_meters: Math.round(ended.distance_meters || 0),
+                verification_status: ended.verification_status,
+                carried_percent: (ended.carried_percent || 0).toFixed(1),
+                vehicle_detected: ended.vehicle_detected,
+                receipt: await receipts.getOrIssueReceipt(ended)
+            });
         }
         
         res.json({
             status: 'ok',
             walk_id: walk_id,
-            grade: grade,
-            grade_score: gradeScore,
-            duration_minutes: Math.round(duration / 60),
-            distance_meters: Math.round(distance),
+            walker_id: result.walker_id,
+            grade: result.grade,
+            grade_score: result.grade_score,
+            duration_minutes: Math.round(result.duration_seconds / 60),
+            distance_meters: Math.round(result.distance_meters),
             // V6.1: Anti-cheat info
-            verification_status: status?.walk_verification_status,
-            carried_percent: carriedPercent.toFixed(1),
-            vehicle_detected: (status?.cheat_flags & 0x02) !== 0
+            verification_status: result.verification_status,
+            carried_percent: result.carried_percent.toFixed(1),
+            vehicle_detected: result.vehicle_detected,
+            server_verification: result.server_verification,
+            receipt: result.receipt
         });
         
     } catch (error) {
@@ -705,18 +2329,216 @@ app.post('/device/:deviceId/walk/end', async (req, res) => {
     }
 });
 
+// =============================================================================
+// ROUTES: Walk Receipts, Disputes & Walker Statements
+// =============================================================================
+
+app.get('/walk-receipts/public-key', (req, res) => {
+    const publicKey = receipts.getPublicKey();
+    if (!publicKey) {
+        return res.status(503).json({ error: 'Walk receipts are not enabled' });
+    }
+    
+    res.json(publicKey);
+});
+
+app.post('/walk-receipts/verify', (req, res) => {
+    const { receipt, signature } = req.body || {};
+    const result = receipts.verifyReceipt(receipt, signature);
+    
+    res.json({
+        ...result,
+        walk_id: result.valid ? receipt.walk_id : undefined
+    });
+});
+
+// Walkers may fetch the receipts of their own walks without read access
+app.get('/device/:deviceId/walks/:walkId/receipt', requireDeviceAccess(PERMISSIONS.WALK), async (req, res) => {
+    try {
+        const { deviceId, walkId } = req.params;
+        
+        const { data: walk, error } = await repo.walkSessions.get(deviceId, walkId);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!walk || (!hasPermission(req.deviceRole, PERMISSIONS.READ) && walk.walker_id !== req.user.id)) {
+            return res.status(404).json({ error: 'Walk session not found' });
+        }
+        
+        if (!walk.ended_at) {
+            return res.status(409).json({ error: 'Walk is still in progress' });
+        }
+        
+        const issued = await receipts.getOrIssueReceipt(walk);
+        if (!issued) {
+            return res.status(503).json({ error: 'Walk receipts are not enabled' });
+        }
+        
+        res.json({ ...issued, algorithm: receipts.RECEIPT_ALGORITHM });
+        
+    } catch (error) {
+        console.error('[RECEIPTS] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/device/:deviceId/walks/:walkId/dispute', requireDeviceAccess(PERMISSIONS.MANAGE), async (req, res) => {
+    try {
+        const { deviceId, walkId } = req.params;
+        const { reason } = req.body || {};
+        
+        const reasonError = walkers.validateReason(reason);
+        if (reasonError) {
+            return res.status(400).json({ error: reasonError });
+        }
+        
+        const { data: walk, error } = await repo.walkSessions.get(deviceId, walkId);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!walk) {
+            return res.status(404).json({ error: 'Walk session not found' });
+        }
+        
+        const { walk: disputed, code } = await walkers.openDispute(walk, req.user.id, reason);
+        if (code) {
+            return res.status(409).json({ error: 'Walk cannot be disputed', code });
+        }
+        
+        res.status(201).json({
+            walk_id: disputed.id,
+            grade: disputed.grade,
+            grade_score: disputed.grade_score,
+            dispute_status: disputed.dispute_status,
+            dispute_reason: disputed.dispute_reason,
+            disputed_at: disputed.disputed_at
+        });
+        
+    } catch (error) {
+        console.error('[DISPUTES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/devices/:deviceId/walks/:walkId/dispute/resolve', requireAdmin, async (req, res) => {
+    try {
+        const { deviceId, walkId } = req.params;
+        const { outcome, note } = req.body || {};
+        
+        if (!walkers.DISPUTE_OUTCOMES.includes(outcome)) {
+            return res.status(400).json({ error: `outcome must be one of: ${walkers.DISPUTE_OUTCOMES.join(', ')}` });
+        }
+        
+        const noteError = walkers.validateNote(note);
+        if (noteError) {
+            return res.status(400).json({ error: noteError });
+        }
+        
+        const { data: walk, error } = await repo.walkSessions.get(deviceId, walkId);
+        
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!walk) {
+            return res.status(404).json({ error: 'Walk session not found' });
+        }
+        
+        const { walk: resolved, code } = await walkers.resolveDispute(walk, outcome, note);
+        if (code) {
+            return res.status(409).json({ error: 'Walk has no open dispute', code });
+        }
+        
+        res.json({
+            walk_id: resolved.id,
+            grade: resolved.grade,
+            dispute_status: resolved.dispute_status,
+            dispute_resolved_at: resolved.dispute_resolved_at,
+            dispute_resolution_note: resolved.dispute_resolution_note
+        });
+        
+    } catch (error) {
+        console.error('[DISPUTES] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// The walker sees all their walks; anyone else only the walks of dogs they own
+app.get('/walkers/:walkerId/statement', requireUser, async (req, res) => {
+    try {
+        const { walkerId } = req.params;
+        const { format = 'json' } = req.query;
+        
+        if (!Object.hasOwn(walkers.STATEMENT_FORMATS, format)) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(walkers.STATEMENT_FORMATS).join(', ')}` });
+        }
+        
+        const { errors, value: period } = scratch.parseReportPeriod(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid period', errors });
+        }
+        
+        const deviceIds = walkerId === req.user.id ? null : await walkers.listOwnedDeviceIds(req.user.id);
+        const statement = await walkers.buildStatement(walkerId, period, deviceIds);
+        const { body, contentType, filename } = walkers.exportStatement(statement, format);
+        
+        res.set('Content-Type', contentType);
+        if (format !== 'json') {
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        }
+        res.send(body);
+        
+    } catch (error) {
+        console.error('[STATEMENT] Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // =============================================================================
 // START SERVER
 // =============================================================================
 
+// Close walk sessions nobody ended
+walks.startStaleWalkSweep();
+
+// Forget sequence numbers too old to be re-uploaded
+telemetry.startSequencePruning();
+
+// Flag collars that stopped reporting
+monitor.startHealthMonitor();
+
+// Pause firmware rollouts when updated collars go quiet
+firmware.startRolloutMonitor();
+
+// Compact old location history into hourly summaries
+locations.startLocationRetention();
+
+// Fan live updates out to the other gateway instances
+live.startLiveTransport();
+
+// Forget live history nobody can resume any more
+live.startHistoryPruning();
+
 app.listen(PORT, () => {
+    if (logger.LOG_FORMAT === 'json') {
+        logger.log('info', `[SERVER] Popcorn gateway 6.1.0 listening on port ${PORT}`, {
+            storage: STORAGE_BACKEND,
+            hmac: HMAC_KEY ? 'enabled' : 'disabled'
+        });
+        return;
+    }
+    
     console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║     POPCORN GPS COLLAR GATEWAY V6.1 (ANTI-CHEAT)           ║
 ╠════════════════════════════════════════════════════════════╣
 ║  Status: Running                                           ║
 ║  Port: ${PORT}                                                ║
-║  Supabase: ${SUPABASE_URL ? 'Connected' : 'NOT CONFIGURED'}                             ║
+║  Storage: ${STORAGE_BACKEND}                                        ║
 ║  HMAC: ${HMAC_KEY ? 'Enabled' : 'DISABLED (insecure!)'}                                   ║
 ║  Features: Walk Verification, Anti-Cheat Detection         ║
 ╚════════════════════════════════════════════════════════════╝
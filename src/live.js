@@ -0,0 +1,235 @@
+// =============================================================================
+// POPCORN GATEWAY - LIVE UPDATES
+// =============================================================================
+// Pushes accepted telemetry, alerts, geofence crossings, walk start/end,
+// command acknowledgements and device health changes to apps following a
+// device (GET /device/:deviceId/live, Server-Sent Events).
+//
+// Events are fanned out through a pub/sub transport so every gateway
+// instance behind the load balancer sees every event:
+//   memory (default) - in-process only, for a single instance
+//   supabase         - Supabase Realtime broadcast between instances
+// Each instance keeps the last LIVE_HISTORY_SIZE events per device so a
+// reconnecting client can resume from its Last-Event-ID on any instance.
+// A device's history is dropped once nobody follows it and its last event
+// is older than LIVE_RESUME_WINDOW_SECONDS.
+// =============================================================================
+
+const crypto = require('crypto');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const LIVE_PUBSUB = process.env.LIVE_PUBSUB || 'memory';
+const LIVE_CHANNEL = process.env.LIVE_CHANNEL || 'popcorn-live';
+const LIVE_HISTORY_SIZE = parseInt(process.env.LIVE_HISTORY_SIZE || '100');
+// How long after its last event a client can still resume a device's stream
+const LIVE_RESUME_WINDOW_SECONDS = parseInt(process.env.LIVE_RESUME_WINDOW_SECONDS || '600');
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 1000;
+
+const EVENT_TYPES = {
+    TELEMETRY: 'telemetry',
+    ALERT: 'alert',
+    GEOFENCE: 'geofence',
+    WALK: 'walk',
+    COMMAND: 'command',
+    HEALTH: 'health'
+};
+
+// Distinguishes this instance's event IDs from other instances'
+const INSTANCE_ID = crypto.randomBytes(4).toString('hex');
+let eventCounter = 0;
+
+// =============================================================================
+// LOCAL FAN-OUT
+// =============================================================================
+
+const subscribers = new Map();
+const history = new Map();
+
+function remember(event) {
+    const events = history.get(event.device_id) || [];
+    events.push(event);
+    if (events.length > LIVE_HISTORY_SIZE) events.shift();
+    history.set(event.device_id, events);
+}
+
+/**
+ * Forget the history of devices nobody follows whose last event is older
+ * than the resume window.
+ */
+function pruneHistory() {
+    const cutoff = Date.now() - LIVE_RESUME_WINDOW_SECONDS * 1000;
+    for (const [deviceId, events] of history) {
+        if (subscribers.has(deviceId)) continue;
+        if (new Date(events[events.length - 1].published_at).getTime() < cutoff) {
+            history.delete(deviceId);
+        }
+    }
+}
+
+function startHistoryPruning() {
+    setInterval(pruneHistory, HISTORY_PRUNE_INTERVAL_MS).unref();
+}
+
+function deliver(event) {
+    remember(event);
+    for (const listener of subscribers.get(event.device_id) || []) {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('[LIVE] Subscriber error:', error);
+        }
+    }
+}
+
+// =============================================================================
+// TRANSPORTS
+// =============================================================================
+// A transport forwards locally published events to the other instances and
+// hands theirs to `deliver`. The publishing instance delivers its own events
+// directly.
+
+function createMemoryTransport() {
+    return { send: () => {} };
+}
+
+function createSupabaseTransport() {
+    const { db } = require('./db');
+    if (typeof db.channel !== 'function') {
+        console.error('ERROR: LIVE_PUBSUB=supabase requires STORAGE_BACKEND=supabase');
+        process.exit(1);
+    }
+
+    const channel = db.channel(LIVE_CHANNEL, { config: { broadcast: { self: false } } });
+    channel
+        .on('broadcast', { event: 'live' }, ({ payload }) => deliver(payload))
+        .subscribe(status => console.log(`[LIVE] Realtime channel ${LIVE_CHANNEL}: ${status}`));
+
+    return {
+        send(event) {
+            channel.send({ type: 'broadcast', event: 'live', payload: event }).catch(error => {
+                console.error('[LIVE] Broadcast error:', error);
+            });
+        }
+    };
+}
+
+function createTransport() {
+    switch (LIVE_PUBSUB) {
+        case 'memory':
+            return createMemoryTransport();
+        case 'supabase':
+            return createSupabaseTransport();
+        default:
+            console.error(`ERROR: Unknown LIVE_PUBSUB "${LIVE_PUBSUB}" (expected memory or supabase)`);
+            process.exit(1);
+    }
+}
+
+let transport = createMemoryTransport();
+
+/**
+ * Connect the configured transport. Called once at startup.
+ */
+function startLiveTransport() {
+    transport = createTransport();
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Publish an event to everyone following the device, on every instance.
+ * Never throws - live updates must not break ingestion.
+ */
+function publish(deviceId, type, data) {
+    try {
+        const event = {
+            id: `${Date.now()}-${INSTANCE_ID}-${++eventCounter}`,
+            device_id: deviceId,
+            type: type,
+            data: data,
+            published_at: new Date().toISOString()
+        };
+
+        deliver(event);
+        transport.send(event);
+    } catch (error) {
+        console.error('[LIVE] Publish error:', error);
+    }
+}
+
+/**
+ * Follow a device. Returns the unsubscribe function.
+ */
+function subscribe(deviceId, listener) {
+    const listeners = subscribers.get(deviceId) || new Set();
+    listeners.add(listener);
+    subscribers.set(deviceId, listeners);
+
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) subscribers.delete(deviceId);
+    };
+}
+
+/**
+ * Events published after `lastEventId`. `found` is false when the ID has
+ * already dropped out of the history - the client missed events and should
+ * resync from a snapshot.
+ */
+function eventsSince(deviceId, lastEventId) {
+    const events = history.get(deviceId) || [];
+    const index = events.findIndex(event => event.id === lastEventId);
+    if (index === -1) return { events: [], found: false };
+    return { events: events.slice(index + 1), found: true };
+}
+
+function subscriberCount() {
+    let count = 0;
+    for (const listeners of subscribers.values()) count += listeners.size;
+    return count;
+}
+
+/**
+ * The parts of a device_status row the live view needs.
+ */
+function summariseStatus(status) {
+    return {
+        latitude: status.latitude,
+        longitude: status.longitude,
+        gps_valid: status.gps_valid,
+        speed: status.speed,
+        activity_name: status.activity_name,
+        today_steps: status.today_steps,
+        is_home: status.is_home,
+        is_escaped: status.is_escaped,
+        current_zone: status.current_zone ?? null,
+        distance_from_home: status.distance_from_home,
+        battery_percent: status.battery_percent,
+        walk: {
+            active: status.walk_active,
+            duration: status.walk_duration,
+            distance: status.walk_distance,
+            stops: status.walk_stops,
+            quality_score: status.walk_quality_score
+        },
+        reading_at: status.last_reading_at
+    };
+}
+
+module.exports = {
+    LIVE_PUBSUB,
+    EVENT_TYPES,
+    startLiveTransport,
+    startHistoryPruning,
+    pruneHistory,
+    publish,
+    subscribe,
+    eventsSince,
+    subscriberCount,
+    summariseStatus
+};
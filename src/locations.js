@@ -0,0 +1,469 @@
+// =============================================================================
+// POPCORN GATEWAY - LOCATION HISTORY & RETENTION
+// =============================================================================
+// Reading location history without shipping every raw fix, and keeping the
+// `locations` table from growing without bound:
+//   pages     - newest first; `next_cursor` continues with older fixes
+//   zoom      - the whole window as one track simplified for a map zoom
+//               level, either Douglas-Peucker with a tolerance of about
+//               SIMPLIFY_TOLERANCE_PIXELS at that zoom, or time buckets that
+//               double in length with every level zoomed out
+//   retention - fixes older than LOCATION_RETENTION_DAYS are compacted into
+//               `location_hourly` summaries and deleted, except fixes
+//               recorded during a walk (`walk_point`), which route exports
+//               and walk receipts still need
+//
+// The retention job must run on one instance only - set
+// LOCATION_RETENTION_JOB=false on the others.
+// =============================================================================
+
+const repo = require('./repositories');
+const { haversineDistance, localProjection } = require('./geo');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// 0 keeps raw fixes forever
+const LOCATION_RETENTION_DAYS = parseInt(process.env.LOCATION_RETENTION_DAYS || '90');
+const LOCATION_RETENTION_JOB = process.env.LOCATION_RETENTION_JOB !== 'false';
+const LOCATION_RETENTION_INTERVAL_MS = parseInt(process.env.LOCATION_RETENTION_INTERVAL_MS || String(60 * 60 * 1000));
+const RETENTION_BATCH_SIZE = 5000;
+// Per device and run, so one busy collar can't hold up the rest
+const RETENTION_MAX_BATCHES = 20;
+// Walks are looked up this far before a batch, for ones running into it
+const MAX_WALK_HOURS = 24;
+
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 5000;
+const MAX_HISTORY_HOURS = 366 * 24;
+const MAX_SIMPLIFY_POINTS = 50000;
+
+const SIMPLIFY_METHODS = {
+    DOUGLAS_PEUCKER: 'dp',
+    TIME: 'time'
+};
+
+const MAX_ZOOM = 22;
+// Web Mercator ground resolution at zoom 0 on the equator (m/px)
+const ZOOM0_METERS_PER_PIXEL = 156543.03392;
+const SIMPLIFY_TOLERANCE_PIXELS = 2;
+// Time buckets last BUCKET_BASE_SECONDS at BUCKET_BASE_ZOOM
+const BUCKET_BASE_ZOOM = 15;
+const BUCKET_BASE_SECONDS = 60;
+const MIN_BUCKET_SECONDS = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// =============================================================================
+// QUERY
+// =============================================================================
+
+// A cursor is the position of the last fix on the page: its time, and its
+// id to tell apart fixes recorded in the same millisecond
+function encodeCursor(location) {
+    return Buffer.from(JSON.stringify({ before: location.recorded_at, id: location.id })).toString('base64url');
+}
+
+// Returns { recordedAt, id } or null. Cursors issued before ids were added
+// carry only the time (id null).
+function decodeCursor(cursor) {
+    try {
+        const { before, id = null } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const date = new Date(before);
+        if (typeof before !== 'string' || isNaN(date.getTime())) return null;
+        if (id !== null && !Number.isSafeInteger(id)) return null;
+        return { recordedAt: date.toISOString(), id };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Validate ?hours=&limit=&cursor=&zoom=&simplify=. Returns
+ * { errors, value: { since, limit, before, zoom, method } }.
+ */
+function parseHistoryQuery({ hours = 24, limit, cursor, zoom, simplify }) {
+    const errors = [];
+    const value = { limit: DEFAULT_PAGE_SIZE, before: null, zoom: null, method: null };
+
+    const hoursBack = parseFloat(hours);
+    if (!(hoursBack > 0)) errors.push('hours must be a positive number');
+    value.since = new Date(Date.now() - Math.min(hoursBack, MAX_HISTORY_HOURS) * HOUR_MS);
+
+    if (limit !== undefined) {
+        const pageSize = parseInt(limit);
+        if (!(pageSize > 0)) errors.push('limit must be a positive integer');
+        else value.limit = Math.min(pageSize, MAX_PAGE_SIZE);
+    }
+
+    if (cursor !== undefined) {
+        value.before = decodeCursor(String(cursor));
+        if (!value.before) errors.push('cursor is invalid');
+    }
+
+    if (zoom !== undefined) {
+        value.zoom = Number(zoom);
+        if (!Number.isInteger(value.zoom) || value.zoom < 0 || value.zoom > MAX_ZOOM) {
+            errors.push(`zoom must be an integer from 0 to ${MAX_ZOOM}`);
+        }
+        if (cursor !== undefined) errors.push('cursor cannot be combined with zoom');
+
+        value.method = simplify ?? SIMPLIFY_METHODS.DOUGLAS_PEUCKER;
+        if (!Object.values(SIMPLIFY_METHODS).includes(value.method)) {
+            errors.push(`simplify must be one of: ${Object.values(SIMPLIFY_METHODS).join(', ')}`);
+        }
+    } else if (simplify !== undefined) {
+        errors.push('simplify requires zoom');
+    }
+
+    return { errors, value };
+}
+
+// Raw fixes older than this have been compacted (null without retention)
+function compactedBefore() {
+    return LOCATION_RETENTION_DAYS > 0
+        ? new Date(Date.now() - LOCATION_RETENTION_DAYS * 24 * HOUR_MS)
+        : null;
+}
+
+// =============================================================================
+// PAGES
+// =============================================================================
+
+/**
+ * One page of raw fixes, newest first. Returns { locations, next_cursor }.
+ */
+async function getPage(deviceId, { since, before, limit }) {
+    const { data, error } = await repo.locations.listPage(deviceId, since.toISOString(), before, limit + 1);
+    if (error) throw error;
+
+    const rows = data || [];
+    const locations = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+
+    return {
+        locations,
+        next_cursor: hasMore ? encodeCursor(locations[locations.length - 1]) : null
+    };
+}
+
+// =============================================================================
+// SIMPLIFICATION
+// =============================================================================
+
+function toleranceFor(zoom, latitude) {
+    const metersPerPixel = ZOOM0_METERS_PER_PIXEL * Math.cos(latitude * Math.PI / 180) / 2 ** zoom;
+    return metersPerPixel * SIMPLIFY_TOLERANCE_PIXELS;
+}
+
+function bucketSecondsFor(zoom) {
+    return Math.max(MIN_BUCKET_SECONDS, BUCKET_BASE_SECONDS * 2 ** (BUCKET_BASE_ZOOM - zoom));
+}
+
+// Distance from p to the segment a-b, all [x, y] in meters
+function segmentDistance(p, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared))
+        : 0;
+    return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+/**
+ * Douglas-Peucker simplification keeping every point further than
+ * `tolerance` meters from the simplified line. Iterative - long tracks
+ * would overflow the stack.
+ */
+function douglasPeucker(points, tolerance) {
+    if (points.length <= 2) return points;
+
+    const project = localProjection(points[0].latitude, points[0].longitude);
+    const xy = points.map(p => project(p.latitude, p.longitude));
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = start + 1; i < end; i++) {
+            const distance = segmentDistance(xy[i], xy[start], xy[end]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = 1;
+            stack.push([start, index], [index, end]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * One point per time bucket: the fix-weighted mean position, with the
+ * bucket's first and last timestamps.
+ */
+function bucketByTime(points, bucketSeconds) {
+    const buckets = new Map();
+    for (const point of points) {
+        const key = Math.floor(new Date(point.recorded_at).getTime() / (bucketSeconds * 1000));
+        const bucket = buckets.get(key) || { latitude: 0, longitude: 0, point_count: 0, recorded_at: point.recorded_at };
+        const weight = point.point_count || 1;
+        bucket.latitude += point.latitude * weight;
+        bucket.longitude += point.longitude * weight;
+        bucket.point_count += weight;
+        bucket.last_recorded_at = point.last_recorded_at || point.recorded_at;
+        buckets.set(key, bucket);
+    }
+
+    return [...buckets.values()].map(bucket => ({
+        ...bucket,
+        latitude: Number((bucket.latitude / bucket.point_count).toFixed(6)),
+        longitude: Number((bucket.longitude / bucket.point_count).toFixed(6))
+    }));
+}
+
+/**
+ * The window since `since` as one track simplified for `zoom`, oldest
+ * first. Compacted hours contribute their summary position.
+ */
+async function getSimplifiedTrack(deviceId, { since, zoom, method }) {
+    const to = new Date();
+    const { data, error } = await repo.locations.listBetween(deviceId, since.toISOString(), to.toISOString(), {
+        columns: 'latitude, longitude, recorded_at',
+        limit: MAX_SIMPLIFY_POINTS
+    });
+    if (error) throw error;
+    const raw = data || [];
+
+    let summaries = [];
+    const cutoff = compactedBefore();
+    if (cutoff && since < cutoff) {
+        const { data: hourly, error: hourlyError } = await repo.locationHourly.listBetween(
+            deviceId, since.toISOString(), cutoff.toISOString()
+        );
+        if (hourlyError) throw hourlyError;
+        summaries = (hourly || []).map(hour => ({
+            latitude: hour.latitude,
+            longitude: hour.longitude,
+            recorded_at: hour.first_recorded_at,
+            last_recorded_at: hour.last_recorded_at,
+            point_count: hour.point_count
+        }));
+    }
+
+    const points = [...summaries, ...raw.map(p => ({ ...p, point_count: 1 }))]
+        .sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+
+    const simplified = { method, zoom, source_points: points.length, truncated: raw.length >= MAX_SIMPLIFY_POINTS };
+    if (method === SIMPLIFY_METHODS.TIME) {
+        simplified.bucket_seconds = bucketSecondsFor(zoom);
+        simplified.points = bucketByTime(points, simplified.bucket_seconds);
+    } else {
+        simplified.tolerance_meters = points.length > 0
+            ? Number(toleranceFor(zoom, points[0].latitude).toFixed(1))
+            : null;
+        simplified.points = douglasPeucker(points, simplified.tolerance_meters);
+    }
+
+    return simplified;
+}
+
+// =============================================================================
+// RETENTION
+// =============================================================================
+
+function hourOf(recordedAt) {
+    const time = new Date(recordedAt).getTime();
+    return new Date(time - time % HOUR_MS).toISOString();
+}
+
+function summariseHour(deviceId, hour, fixes) {
+    let distance = 0;
+    for (let i = 1; i < fixes.length; i++) {
+        distance += haversineDistance(fixes[i - 1].latitude, fixes[i - 1].longitude, fixes[i].latitude, fixes[i].longitude);
+    }
+
+    const latitudes = fixes.map(f => f.latitude);
+    const longitudes = fixes.map(f => f.longitude);
+    return {
+        device_id: deviceId,
+        hour,
+        point_count: fixes.length,
+        latitude: latitudes.reduce((sum, v) => sum + v, 0) / fixes.length,
+        longitude: longitudes.reduce((sum, v) => sum + v, 0) / fixes.length,
+        min_latitude: Math.min(...latitudes),
+        max_latitude: Math.max(...latitudes),
+        min_longitude: Math.min(...longitudes),
+        max_longitude: Math.max(...longitudes),
+        distance_meters: distance,
+        home_points: fixes.filter(f => f.is_home).length,
+        first_recorded_at: fixes[0].recorded_at,
+        last_recorded_at: fixes[fixes.length - 1].recorded_at
+    };
+}
+
+// Combine a new summary with the stored one of the same hour
+function mergeHour(stored, summary) {
+    if (!stored) return summary;
+    const count = stored.point_count + summary.point_count;
+    return {
+        ...summary,
+        point_count: count,
+        latitude: (stored.latitude * stored.point_count + summary.latitude * summary.point_count) / count,
+        longitude: (stored.longitude * stored.point_count + summary.longitude * summary.point_count) / count,
+        min_latitude: Math.min(stored.min_latitude, summary.min_latitude),
+        max_latitude: Math.max(stored.max_latitude, summary.max_latitude),
+        min_longitude: Math.min(stored.min_longitude, summary.min_longitude),
+        max_longitude: Math.max(stored.max_longitude, summary.max_longitude),
+        distance_meters: stored.distance_meters + summary.distance_meters,
+        home_points: stored.home_points + summary.home_points,
+        first_recorded_at: new Date(stored.first_recorded_at) < new Date(summary.first_recorded_at)
+            ? stored.first_recorded_at : summary.first_recorded_at,
+        last_recorded_at: new Date(stored.last_recorded_at) > new Date(summary.last_recorded_at)
+            ? stored.last_recorded_at : summary.last_recorded_at
+    };
+}
+
+async function writeHourlySummaries(deviceId, fixes) {
+    if (fixes.length === 0) return;
+
+    const byHour = new Map();
+    for (const fix of fixes) {
+        const hour = hourOf(fix.recorded_at);
+        if (!byHour.has(hour)) byHour.set(hour, []);
+        byHour.get(hour).push(fix);
+    }
+
+    const hours = [...byHour.keys()].sort();
+    const { data: stored, error } = await repo.locationHourly.listBetween(deviceId, hours[0], hours[hours.length - 1]);
+    if (error) throw error;
+    const storedByHour = new Map((stored || []).map(row => [new Date(row.hour).toISOString(), row]));
+
+    const rows = hours.map(hour => mergeHour(storedByHour.get(hour), summariseHour(deviceId, hour, byHour.get(hour))));
+    const { error: upsertError } = await repo.locationHourly.upsert(rows);
+    if (upsertError) throw upsertError;
+}
+
+/**
+ * Compact the device's fixes older than `cutoff`. Fixes recorded during a
+ * walk are flagged `walk_point` and kept. Returns the number of fixes
+ * compacted.
+ */
+async function compactDevice(deviceId, cutoff) {
+    let compacted = 0;
+
+    for (let batch = 0; batch < RETENTION_MAX_BATCHES; batch++) {
+        const { data: rows, error } = await repo.locations.listCompactable(deviceId, cutoff.toISOString(), RETENTION_BATCH_SIZE);
+        if (error) throw error;
+        if (!rows || rows.length === 0) break;
+
+        // A full batch may end part way through the fixes of its last
+        // timestamp - leave those for the next batch
+        let fixes = rows;
+        let end = cutoff.toISOString();
+        if (rows.length === RETENTION_BATCH_SIZE) {
+            end = rows[rows.length - 1].recorded_at;
+            fixes = rows.filter(row => new Date(row.recorded_at) < new Date(end));
+            if (fixes.length === 0) {
+                console.warn(`[RETENTION] ${deviceId}: more than ${RETENTION_BATCH_SIZE} fixes at ${end} - skipped`);
+                break;
+            }
+        }
+        const start = fixes[0].recorded_at;
+
+        const { data: walks, error: walksError } = await repo.walkSessions.listStartedBetween(
+            deviceId, new Date(new Date(start).getTime() - MAX_WALK_HOURS * HOUR_MS).toISOString(), end
+        );
+        if (walksError) throw walksError;
+
+        const windows = (walks || [])
+            .map(walk => [new Date(walk.started_at), walk.ended_at ? new Date(walk.ended_at) : new Date()])
+            .filter(([, walkEnd]) => walkEnd >= new Date(start));
+        for (const [walkStart, walkEnd] of windows) {
+            const { error: markError } = await repo.locations.markWalkPoints(deviceId, walkStart.toISOString(), walkEnd.toISOString());
+            if (markError) throw markError;
+        }
+
+        const outsideWalks = fixes.filter(fix => {
+            const time = new Date(fix.recorded_at);
+            return !windows.some(([walkStart, walkEnd]) => time >= walkStart && time <= walkEnd);
+        });
+
+        await writeHourlySummaries(deviceId, outsideWalks);
+
+        const { error: deleteError } = await repo.locations.deleteCompacted(deviceId, start, end);
+        if (deleteError) throw deleteError;
+
+        compacted += outsideWalks.length;
+    }
+
+    return compacted;
+}
+
+/**
+ * Compact every device's fixes older than LOCATION_RETENTION_DAYS.
+ * Returns { cutoff, devices, compacted }.
+ */
+async function runRetention() {
+    const cutoff = compactedBefore();
+    if (!cutoff) return { cutoff: null, devices: 0, compacted: 0 };
+
+    const { data: statuses, error } = await repo.deviceStatus.list('device_id');
+    if (error) throw error;
+
+    let devices = 0;
+    let compacted = 0;
+    for (const { device_id: deviceId } of statuses || []) {
+        try {
+            const count = await compactDevice(deviceId, cutoff);
+            if (count > 0) {
+                devices++;
+                compacted += count;
+            }
+        } catch (compactError) {
+            console.error(`[RETENTION] Failed to compact ${deviceId}:`, compactError);
+        }
+    }
+
+    if (compacted > 0) {
+        console.log(`[RETENTION] Compacted ${compacted} fixes of ${devices} devices older than ${cutoff.toISOString()}`);
+    }
+    return { cutoff: cutoff.toISOString(), devices, compacted };
+}
+
+function startLocationRetention() {
+    if (!LOCATION_RETENTION_JOB || LOCATION_RETENTION_DAYS <= 0) return;
+
+    setInterval(() => {
+        runRetention().catch(error => console.error('[RETENTION] Run error:', error));
+    }, LOCATION_RETENTION_INTERVAL_MS).unref();
+}
+
+/**
+ * Hourly summaries of compacted history since `since`.
+ */
+async function getHourlyHistory(deviceId, since) {
+    const { data, error } = await repo.locationHourly.listBetween(deviceId, since.toISOString(), new Date().toISOString());
+    if (error) throw error;
+    return data || [];
+}
+
+module.exports = {
+    SIMPLIFY_METHODS,
+    parseHistoryQuery,
+    compactedBefore,
+    getPage,
+    getSimplifiedTrack,
+    getHourlyHistory,
+    runRetention,
+    startLocationRetention
+};
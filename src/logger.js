@@ -0,0 +1,180 @@
+// =============================================================================
+// POPCORN GATEWAY - STRUCTURED LOGGING
+// =============================================================================
+// install() routes console.log / info / warn / error / debug through here,
+// so the existing "[TAG] message" lines come out as one JSON object per line:
+//   { time, level, component, msg, request_id, device_id, user_id, error }
+// `component` is the leading [TAG]. request_id, device_id and user_id come
+// from the request being served (AsyncLocalStorage), so background jobs log
+// without them.
+//
+// Every request gets an ID - the caller's X-Request-Id when it looks sane,
+// otherwise a new UUID - echoed back in the X-Request-Id response header.
+// LOG_FORMAT=text keeps plain lines for local runs.
+// =============================================================================
+
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const LOG_FORMAT = process.env.LOG_FORMAT || 'json';
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+if (!['json', 'text'].includes(LOG_FORMAT)) {
+    process.stderr.write(`ERROR: Unknown LOG_FORMAT "${LOG_FORMAT}" (expected json or text)\n`);
+    process.exit(1);
+}
+if (!LEVELS[LOG_LEVEL]) {
+    process.stderr.write(`ERROR: Unknown LOG_LEVEL "${LOG_LEVEL}" (expected debug, info, warn or error)\n`);
+    process.exit(1);
+}
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const TAG_PATTERN = /^\[([A-Z][A-Z0-9 _-]*)\]\s*/;
+
+// =============================================================================
+// REQUEST CONTEXT
+// =============================================================================
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Add fields (device_id, user_id) to the current request's log context.
+ * No-op outside a request.
+ */
+function setContext(fields) {
+    const store = context.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+function serializeError(error) {
+    return {
+        message: error.message,
+        code: error.code,
+        details: error.details,
+        stack: error.stack
+    };
+}
+
+/**
+ * Write one log line at `level`. `fields` are added to the JSON object
+ * (or appended as key=value in text format).
+ */
+function log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    const store = context.getStore() || {};
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    const tag = TAG_PATTERN.exec(message);
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        component: tag ? tag[1].toLowerCase().replace(/ /g, '_') : undefined,
+        msg: tag ? message.slice(tag[0].length) : message,
+        request_id: store.request_id,
+        device_id: store.device_id,
+        user_id: store.user_id,
+        ...fields
+    };
+
+    if (LOG_FORMAT === 'text') {
+        const extra = ['request_id', 'device_id', 'user_id', ...Object.keys(fields)]
+            .filter(key => entry[key] !== undefined && key !== 'error')
+            .map(key => `${key}=${entry[key]}`);
+        const error = entry.error?.stack || entry.error?.message;
+        stream.write(`${entry.time} ${level.toUpperCase()} ${message}${extra.length ? ` (${extra.join(' ')})` : ''}${error ? `\n${error}` : ''}\n`);
+        return;
+    }
+
+    stream.write(JSON.stringify(entry) + '\n');
+}
+
+// console.x(...args) -> log(). The first error-like argument (an Error or a
+// supabase { message, code } object) becomes the `error` field.
+function fromConsole(level) {
+    return (...args) => {
+        const errorIndex = args.findIndex(arg => arg instanceof Error ||
+            (arg && typeof arg === 'object' && typeof arg.message === 'string'));
+        if (errorIndex < 0) {
+            return log(level, util.formatWithOptions({ breakLength: Infinity }, ...args));
+        }
+
+        // "[TELEMETRY] Insert error:", error -> msg "Insert error" + error
+        const rest = args.filter((_, i) => i !== errorIndex);
+        const message = util.formatWithOptions({ breakLength: Infinity }, ...rest).replace(/:\s*$/, '');
+        log(level, message, { error: serializeError(args[errorIndex]) });
+    };
+}
+
+function install() {
+    console.debug = fromConsole('debug');
+    console.log = fromConsole('info');
+    console.info = fromConsole('info');
+    console.warn = fromConsole('warn');
+    console.error = fromConsole('error');
+}
+
+// =============================================================================
+// MIDDLEWARE
+// =============================================================================
+
+/**
+ * Give the request an ID and a log context, and log it once the response
+ * is sent. `onFinish(req, res, seconds)` runs for every response.
+ */
+function requestLogger(options = {}) {
+    const { quietPaths = [], onFinish = null } = options;
+
+    return (req, res, next) => {
+        const supplied = req.get('X-Request-Id');
+        const requestId = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+        const store = { request_id: requestId };
+        const started = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            if (onFinish) onFinish(req, res, seconds);
+
+            context.run(store, () => {
+                const level = quietPaths.includes(req.path) ? 'debug' : 'info';
+                log(level, `[HTTP] ${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode}`, {
+                    method: req.method,
+                    path: req.originalUrl.split('?')[0],
+                    status: res.statusCode,
+                    duration_ms: Math.round(seconds * 1000),
+                    ip: req.ip
+                });
+            });
+        });
+
+        context.run(store, next);
+    };
+}
+
+module.exports = {
+    LOG_FORMAT,
+    LOG_LEVEL,
+    install,
+    log,
+    setContext,
+    requestLogger
+};
@@ -0,0 +1,239 @@
+// =============================================================================
+// POPCORN GATEWAY - METRICS
+// =============================================================================
+// Prometheus counters, gauges and histograms, served in the text exposition
+// format on GET /metrics:
+//   popcorn_telemetry_readings_total      - readings by endpoint, result
+//                                           (accepted / duplicate / rejected)
+//                                           and rejection reason
+//   popcorn_signature_failures_total      - by scheme and reason
+//   popcorn_db_write_failures_total       - by table and operation
+//   popcorn_http_request_duration_seconds - by method, route and status
+//   popcorn_rate_limited_total            - 429s by bucket
+//   popcorn_active_devices                - collars seen within
+//                                           DEVICE_OFFLINE_MINUTES
+// Values are per instance; Prometheus sums them across instances.
+// =============================================================================
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// =============================================================================
+// METRIC TYPES
+// =============================================================================
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Series are keyed by their label values, in labelNames order
+    seriesFor(labels, create) {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = values.join('\u0000');
+        if (!this.series.has(key)) {
+            const labelSet = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+            this.series.set(key, { labels: labelSet, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    render() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.renderSeries()
+        ].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount <= 0) return;
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    renderSeries() {
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * `collect` (optional) is awaited before each scrape and returns the
+     * current value, for gauges read from the database.
+     */
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    renderSeries() {
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const s = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+    }
+
+    renderSeries() {
+        return [...this.series.values()].flatMap(s => [
+            ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`),
+            `${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+            `${this.name}_sum${formatLabels(s.labels)} ${s.sum}`,
+            `${this.name}_count${formatLabels(s.labels)} ${s.count}`
+        ]);
+    }
+}
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+const telemetryReadings = new Counter(
+    'popcorn_telemetry_readings_total',
+    'Telemetry readings received, by endpoint, result and rejection reason',
+    ['endpoint', 'result', 'reason']
+);
+
+const signatureFailures = new Counter(
+    'popcorn_signature_failures_total',
+    'Telemetry signatures rejected, by scheme and reason',
+    ['scheme', 'reason']
+);
+
+const dbWriteFailures = new Counter(
+    'popcorn_db_write_failures_total',
+    'Database writes that returned an error, by table and operation',
+    ['table', 'operation']
+);
+
+const httpRequestDuration = new Histogram(
+    'popcorn_http_request_duration_seconds',
+    'HTTP request latency, by method, route and status',
+    ['method', 'route', 'status'],
+    LATENCY_BUCKETS
+);
+
+const rateLimited = new Counter(
+    'popcorn_rate_limited_total',
+    'Requests refused with 429, by rate limit bucket',
+    ['bucket']
+);
+
+// Loaded lazily - the database client itself reports to this module
+async function countActiveDevices() {
+    const repo = require('./repositories');
+    const monitor = require('./monitor');
+
+    const since = new Date(Date.now() - monitor.DEVICE_OFFLINE_MINUTES * 60 * 1000).toISOString();
+    const { count, error } = await repo.deviceStatus.countSeenSince(since);
+    if (error) throw error;
+    return count || 0;
+}
+
+const activeDevices = new Gauge(
+    'popcorn_active_devices',
+    'Collars that reported within DEVICE_OFFLINE_MINUTES',
+    [],
+    countActiveDevices
+);
+
+const registry = [telemetryReadings, signatureFailures, dbWriteFailures, httpRequestDuration, rateLimited, activeDevices];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function telemetryEndpoint(req) {
+    return req.path === '/telemetry/batch' ? 'batch' : 'live';
+}
+
+/**
+ * Count readings of one telemetry endpoint ('live' or 'batch').
+ */
+function countReadings(endpoint, result, count = 1, reason = '') {
+    telemetryReadings.inc({ endpoint, result, reason }, count);
+}
+
+/**
+ * Count a telemetry request refused before ingest - every reading it carried
+ * is rejected with `reason`.
+ */
+function countRejectedRequest(req, reason) {
+    const endpoint = telemetryEndpoint(req);
+    const readings = endpoint === 'batch' && Array.isArray(req.body?.readings) ? req.body.readings.length : 1;
+    countReadings(endpoint, 'rejected', Math.max(1, readings), reason);
+}
+
+/**
+ * Render every metric in the Prometheus text format. A gauge whose
+ * collector fails is left out of this scrape.
+ */
+async function render() {
+    const sections = [];
+    for (const metric of registry) {
+        if (metric.collect) {
+            try {
+                metric.set({}, await metric.collect());
+            } catch (error) {
+                console.error(`[METRICS] Collecting ${metric.name} failed:`, error);
+                continue;
+            }
+        }
+        sections.push(metric.render());
+    }
+    return sections.join('\n') + '\n';
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    telemetryReadings,
+    signatureFailures,
+    dbWriteFailures,
+    httpRequestDuration,
+    rateLimited,
+    activeDevices,
+    telemetryEndpoint,
+    countReadings,
+    countRejectedRequest,
+    render
+};
@@ -0,0 +1,302 @@
+// =============================================================================
+// POPCORN GATEWAY - DEVICE HEALTH MONITOR
+// =============================================================================
+// Keeps one `device_health` row per collar:
+//   offline     - no contact for DEVICE_OFFLINE_MINUTES (background sweep)
+//   reboot loop - DEVICE_REBOOT_LOOP_COUNT or more boots (`boot_count`
+//                 increments) within DEVICE_REBOOT_WINDOW_MINUTES
+//   signal      - fast and slow moving averages of `signal_strength`; the
+//                 trend is the gap between them
+// GET /fleet (admin) joins this with the registry and device_status.
+// =============================================================================
+
+const { db } = require('./db');
+const repo = require('./repositories');
+const live = require('./live');
+const devices = require('./devices');
+const { compareVersions } = require('./signature');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DEVICE_OFFLINE_MINUTES = parseInt(process.env.DEVICE_OFFLINE_MINUTES || '30');
+const DEVICE_MONITOR_INTERVAL_MS = parseInt(process.env.DEVICE_MONITOR_INTERVAL_MS || '60000');
+const DEVICE_REBOOT_LOOP_COUNT = parseInt(process.env.DEVICE_REBOOT_LOOP_COUNT || '3');
+const DEVICE_REBOOT_WINDOW_MINUTES = parseInt(process.env.DEVICE_REBOOT_WINDOW_MINUTES || '30');
+// Signal strength (dBm) below which a collar is flagged
+const DEVICE_WEAK_SIGNAL_DBM = parseInt(process.env.DEVICE_WEAK_SIGNAL_DBM || '-105');
+
+// Moving average weights for the signal trend
+const SIGNAL_FAST_WEIGHT = 0.3;
+const SIGNAL_SLOW_WEIGHT = 0.05;
+// Gap between the averages (dB) that counts as a trend
+const SIGNAL_TREND_DB = 5;
+
+const CONNECTION_STATES = {
+    ONLINE: 'online',
+    OFFLINE: 'offline'
+};
+
+const SIGNAL_TRENDS = {
+    IMPROVING: 'improving',
+    STABLE: 'stable',
+    DEGRADING: 'degrading'
+};
+
+// Fleet view, worst first
+const HEALTH_STATES = {
+    DEACTIVATED: 'deactivated',
+    NEVER_SEEN: 'never_seen',
+    OFFLINE: 'offline',
+    REBOOT_LOOP: 'reboot_loop',
+    WEAK_SIGNAL: 'weak_signal',
+    OK: 'ok'
+};
+
+// =============================================================================
+// HEARTBEAT
+// =============================================================================
+
+async function getHealth(deviceId) {
+    const { data, error } = await db
+        .from('device_health')
+        .select('*')
+        .eq('device_id', deviceId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Boots since the previous reading. A counter that went backwards was reset
+ * (e.g. reflashed), which is a boot in itself. Readings without a count
+ * say nothing about boots.
+ */
+function bootsBetween(previousCount, currentCount) {
+    if (previousCount == null || currentCount == null) return 0;
+    if (currentCount < previousCount) return 1;
+    return currentCount - previousCount;
+}
+
+function signalTrend(fast, slow) {
+    if (fast == null || slow == null) return null;
+    if (fast - slow >= SIGNAL_TREND_DB) return SIGNAL_TRENDS.IMPROVING;
+    if (slow - fast >= SIGNAL_TREND_DB) return SIGNAL_TRENDS.DEGRADING;
+    return SIGNAL_TRENDS.STABLE;
+}
+
+const movingAverage = (average, value, weight) => (average == null ? value : average + weight * (value - average));
+
+async function updateHealth(deviceId, previousStatus, currentStatus) {
+    const health = await getHealth(deviceId);
+    const now = new Date(currentStatus.last_reading_at || Date.now());
+
+    // Recent boots, pruned to the loop window
+    const windowStart = now.getTime() - DEVICE_REBOOT_WINDOW_MINUTES * 60 * 1000;
+    const bootEvents = (health?.boot_events || []).filter(event => new Date(event.at).getTime() >= windowStart);
+    // The last count a reading actually reported - device_status only until
+    // the health row exists
+    const lastBootCount = health ? health.boot_count : previousStatus?.boot_count;
+    const boots = bootsBetween(lastBootCount, currentStatus.boot_count);
+    if (boots > 0) bootEvents.push({ at: now.toISOString(), boots });
+
+    const recentBoots = bootEvents.reduce((sum, event) => sum + event.boots, 0);
+    const rebootLoop = recentBoots >= DEVICE_REBOOT_LOOP_COUNT;
+
+    let signalFast = health?.signal_fast ?? null;
+    let signalSlow = health?.signal_slow ?? null;
+    if (currentStatus.signal_strength != null) {
+        signalFast = movingAverage(signalFast, currentStatus.signal_strength, SIGNAL_FAST_WEIGHT);
+        signalSlow = movingAverage(signalSlow, currentStatus.signal_strength, SIGNAL_SLOW_WEIGHT);
+    }
+
+    const { error } = await db
+        .from('device_health')
+        .upsert({
+            device_id: deviceId,
+            state: CONNECTION_STATES.ONLINE,
+            offline_since: null,
+            boot_count: currentStatus.boot_count ?? health?.boot_count ?? null,
+            boot_events: bootEvents,
+            reboot_loop: rebootLoop,
+            reboot_loop_since: rebootLoop ? (health?.reboot_loop_since || now.toISOString()) : null,
+            signal_fast: signalFast,
+            signal_slow: signalSlow,
+            signal_trend: signalTrend(signalFast, signalSlow),
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'device_id' });
+
+    if (error) throw error;
+
+    if (health?.state === CONNECTION_STATES.OFFLINE) {
+        console.log(`[MONITOR] ${deviceId} back online`);
+        live.publish(deviceId, live.EVENT_TYPES.HEALTH, { state: CONNECTION_STATES.ONLINE });
+    }
+    if (rebootLoop && !health?.reboot_loop) {
+        console.warn(`[MONITOR] ${deviceId} reboot loop: ${recentBoots} boots in ${DEVICE_REBOOT_WINDOW_MINUTES} min`);
+        live.publish(deviceId, live.EVENT_TYPES.HEALTH, { reboot_loop: true, recent_boots: recentBoots });
+    }
+}
+
+/**
+ * Update boot and signal tracking from an applied status update. Runs in
+ * the background - the monitor must not hold up or fail ingestion.
+ */
+function recordHeartbeat(deviceId, previousStatus, currentStatus) {
+    updateHealth(deviceId, previousStatus, currentStatus).catch(error => {
+        console.error('[MONITOR] Heartbeat error:', error);
+    });
+}
+
+// =============================================================================
+// OFFLINE SWEEP
+// =============================================================================
+
+async function markOfflineDevices() {
+    const cutoff = new Date(Date.now() - DEVICE_OFFLINE_MINUTES * 60 * 1000).toISOString();
+
+    const { data: silent, error } = await repo.deviceStatus.listSeenBefore(cutoff, 'device_id, last_seen_at');
+    if (error) {
+        console.error('[MONITOR] Silent device lookup error:', error);
+        return;
+    }
+    if (!silent || silent.length === 0) return;
+
+    const { data: offline, error: offlineError } = await db
+        .from('device_health')
+        .select('device_id')
+        .eq('state', CONNECTION_STATES.OFFLINE);
+
+    if (offlineError) {
+        console.error('[MONITOR] Offline lookup error:', offlineError);
+        return;
+    }
+
+    const alreadyOffline = new Set((offline || []).map(row => row.device_id));
+
+    for (const status of silent) {
+        if (alreadyOffline.has(status.device_id)) continue;
+
+        const { error: updateError } = await db
+            .from('device_health')
+            .upsert({
+                device_id: status.device_id,
+                state: CONNECTION_STATES.OFFLINE,
+                offline_since: status.last_seen_at,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'device_id' });
+
+        if (updateError) {
+            console.error('[MONITOR] Offline update error:', updateError);
+            continue;
+        }
+
+        console.warn(`[MONITOR] ${status.device_id} offline (last seen ${status.last_seen_at})`);
+        live.publish(status.device_id, live.EVENT_TYPES.HEALTH, {
+            state: CONNECTION_STATES.OFFLINE,
+            offline_since: status.last_seen_at
+        });
+    }
+}
+
+function startHealthMonitor() {
+    setInterval(() => {
+        markOfflineDevices().catch(error => console.error('[MONITOR] Sweep error:', error));
+    }, DEVICE_MONITOR_INTERVAL_MS).unref();
+}
+
+// =============================================================================
+// FLEET VIEW
+// =============================================================================
+
+function healthState(device, status, health) {
+    if (device.status === devices.DEVICE_STATUS.DEACTIVATED) return HEALTH_STATES.DEACTIVATED;
+    if (!status) return HEALTH_STATES.NEVER_SEEN;
+    if (health?.state === CONNECTION_STATES.OFFLINE) return HEALTH_STATES.OFFLINE;
+    if (health?.reboot_loop) return HEALTH_STATES.REBOOT_LOOP;
+    if (health?.signal_fast != null && health.signal_fast < DEVICE_WEAK_SIGNAL_DBM) return HEALTH_STATES.WEAK_SIGNAL;
+    return HEALTH_STATES.OK;
+}
+
+/**
+ * Every registered device with its health, plus the firmware versions in
+ * the fleet. `state` filters the device list to one health state.
+ */
+async function getFleetOverview({ state } = {}) {
+    const [registry, statuses, healthRows] = await Promise.all([
+        devices.listDevices(),
+        repo.deviceStatus.list('device_id, firmware_version, boot_count, signal_strength, battery_percent, last_seen_at'),
+        db.from('device_health').select('*')
+    ]);
+
+    if (statuses.error) throw statuses.error;
+    if (healthRows.error) throw healthRows.error;
+
+    const statusById = new Map((statuses.data || []).map(row => [row.device_id, row]));
+    const healthById = new Map((healthRows.data || []).map(row => [row.device_id, row]));
+
+    const fleet = registry.map(device => {
+        const status = statusById.get(device.device_id);
+        const health = healthById.get(device.device_id);
+
+        return {
+            device_id: device.device_id,
+            name: device.name,
+            owner_id: device.owner_id,
+            health: healthState(device, status, health),
+            firmware_version: status?.firmware_version ?? null,
+            last_seen_at: status?.last_seen_at ?? null,
+            offline_since: health?.offline_since ?? null,
+            battery_percent: status?.battery_percent ?? null,
+            boot_count: status?.boot_count ?? null,
+            reboot_loop_since: health?.reboot_loop_since ?? null,
+            signal: {
+                current: status?.signal_strength ?? null,
+                average: health?.signal_fast != null ? Math.round(health.signal_fast) : null,
+                trend: health?.signal_trend ?? null
+            }
+        };
+    });
+
+    // Firmware distribution over devices that have reported
+    const firmware = {};
+    for (const device of fleet) {
+        if (device.firmware_version) firmware[device.firmware_version] = (firmware[device.firmware_version] || 0) + 1;
+    }
+    const latestFirmware = Object.keys(firmware).sort(compareVersions).pop() || null;
+
+    for (const device of fleet) {
+        device.outdated_firmware = Boolean(latestFirmware && device.firmware_version &&
+            compareVersions(device.firmware_version, latestFirmware) < 0);
+    }
+
+    const byState = {};
+    for (const device of fleet) byState[device.health] = (byState[device.health] || 0) + 1;
+
+    const order = Object.values(HEALTH_STATES);
+    const listed = fleet
+        .filter(device => !state || device.health === state)
+        .sort((a, b) => order.indexOf(a.health) - order.indexOf(b.health) || a.device_id.localeCompare(b.device_id));
+
+    return {
+        total: fleet.length,
+        by_health: byState,
+        firmware: {
+            latest: latestFirmware,
+            versions: firmware,
+            outdated: fleet.filter(device => device.outdated_firmware).length
+        },
+        devices: listed
+    };
+}
+
+module.exports = {
+    DEVICE_OFFLINE_MINUTES,
+    HEALTH_STATES,
+    CONNECTION_STATES,
+    recordHeartbeat,
+    startHealthMonitor,
+    getFleetOverview
+};
@@ -0,0 +1,178 @@
+// =============================================================================
+// POPCORN GATEWAY - PDF WRITER
+// =============================================================================
+// Minimal text-only PDF output for reports: headings, paragraphs and
+// fixed-width tables on A4 pages, using the standard Helvetica and Courier
+// fonts so nothing has to be embedded. Text outside Latin-1 is replaced.
+// =============================================================================
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+const FONTS = {
+    regular: { resource: 'F1', base: 'Helvetica' },
+    bold: { resource: 'F2', base: 'Helvetica-Bold' },
+    mono: { resource: 'F3', base: 'Courier' }
+};
+
+// Rough average glyph widths (fraction of font size) for wrapping
+const CHAR_WIDTH = { regular: 0.5, bold: 0.55, mono: 0.6 };
+
+// =============================================================================
+// DOCUMENT
+// =============================================================================
+
+function escapeText(text) {
+    return String(text)
+        .replace(/[^\x20-\xff]/g, '?')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)');
+}
+
+function wrap(text, maxChars) {
+    const lines = [];
+    for (const paragraph of String(text).split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(' ')) {
+            if (line && line.length + 1 + word.length > maxChars) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Start a document. Add content with heading / text / table / gap, then
+ * call toBuffer().
+ */
+function createDocument({ title } = {}) {
+    const pages = [];
+    let page = null;
+    let y = 0;
+
+    function newPage() {
+        page = [];
+        pages.push(page);
+        y = PAGE_HEIGHT - MARGIN;
+    }
+
+    function writeLine(text, font, size) {
+        const leading = size * 1.4;
+        if (!page || y - leading < MARGIN) newPage();
+        y -= leading;
+        page.push(`BT /${FONTS[font].resource} ${size} Tf ${MARGIN} ${y.toFixed(1)} Td (${escapeText(text)}) Tj ET`);
+    }
+
+    function writeWrapped(text, font, size) {
+        const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * CHAR_WIDTH[font]));
+        for (const line of wrap(text, maxChars)) writeLine(line, font, size);
+    }
+
+    const doc = {
+        heading(text, level = 1) {
+            if (page && level > 1) y -= 6;
+            writeWrapped(text, 'bold', level === 1 ? 16 : 12);
+            return doc;
+        },
+
+        text(text) {
+            writeWrapped(text, 'regular', 10);
+            return doc;
+        },
+
+        /**
+         * Fixed-width table: `columns` is [{ label, width }] (width in
+         * characters), rows are arrays of cell values.
+         */
+        table(columns, rows) {
+            const format = cells => cells
+                .map((cell, i) => String(cell ?? '').slice(0, columns[i].width).padEnd(columns[i].width))
+                .join(' ')
+                .trimEnd();
+
+            writeLine(format(columns.map(c => c.label)), 'mono', 8);
+            writeLine(columns.map(c => '-'.repeat(c.width)).join(' '), 'mono', 8);
+            for (const row of rows) writeLine(format(row), 'mono', 8);
+            return doc;
+        },
+
+        gap() {
+            y -= 8;
+            return doc;
+        },
+
+        toBuffer() {
+            if (pages.length === 0) newPage();
+            return serialise(pages, title);
+        }
+    };
+
+    return doc;
+}
+
+// =============================================================================
+// SERIALISATION
+// =============================================================================
+
+function serialise(pages, title) {
+    // Object numbers: 1 catalog, 2 page tree, 3 info, 4-6 fonts, then a
+    // page object and a content stream per page
+    const fontIds = Object.values(FONTS).map((font, i) => ({ ...font, id: 4 + i }));
+    const firstPageId = 4 + fontIds.length;
+    const pageIds = pages.map((_, i) => firstPageId + i * 2);
+
+    const objects = new Map();
+    objects.set(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    objects.set(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    objects.set(3, `<< /Title (${escapeText(title || 'Report')}) /Producer (Popcorn GPS Collar Gateway) >>`);
+
+    for (const font of fontIds) {
+        objects.set(font.id, `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`);
+    }
+
+    const fontResources = fontIds.map(font => `/${font.resource} ${font.id} 0 R`).join(' ');
+    pages.forEach((content, i) => {
+        const pageId = pageIds[i];
+        const stream = Buffer.from(content.join('\n'), 'latin1');
+        objects.set(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << ${fontResources} >> >> /Contents ${pageId + 1} 0 R >>`);
+        objects.set(pageId + 1, `<< /Length ${stream.length} >>\nstream\n${stream.toString('latin1')}\nendstream`);
+    });
+
+    const chunks = ['%PDF-1.4\n'];
+    const offsets = [];
+    let length = Buffer.byteLength(chunks[0], 'latin1');
+
+    for (let id = 1; id <= objects.size; id++) {
+        const chunk = `${id} 0 obj\n${objects.get(id)}\nendobj\n`;
+        offsets[id] = length;
+        chunks.push(chunk);
+        length += Buffer.byteLength(chunk, 'latin1');
+    }
+
+    const xref = [
+        'xref',
+        `0 ${objects.size + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `)
+    ].join('\n');
+
+    chunks.push(`${xref}\ntrailer\n<< /Size ${objects.size + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+    return Buffer.from(chunks.join(''), 'latin1');
+}
+
+module.exports = {
+    createDocument
+};
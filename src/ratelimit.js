@@ -0,0 +1,280 @@
+// =============================================================================
+// POPCORN GATEWAY - RATE LIMITING
+// =============================================================================
+// Fixed-window request limits, one bucket per kind of caller:
+//   telemetry - per device on /telemetry and /telemetry/batch, counted
+//               before the registry lookup
+//   ip        - per client IP on every app route
+//   user      - per authenticated app user
+//   denied    - 401 / 403 responses per client IP, so a scanner guessing
+//               device IDs is cut off long before the `ip` limit
+// Each bucket is configured as RATE_LIMIT_<BUCKET>="<requests>/<seconds>"
+// ("off" disables it). Over the limit the caller gets 429 with Retry-After;
+// collars also get `backoff_seconds` in telemetry responses as they near
+// their limit, so well-behaved firmware slows down before it is refused.
+//
+// Counters live in a pluggable store shared by all instances:
+//   memory (default) - in-process only, for a single instance
+//   supabase         - the `rate_limit_hit` function (rate_limits table)
+// A failing store lets requests through rather than taking the gateway down.
+// Refusals are counted in popcorn_rate_limited_total.
+// =============================================================================
+
+const metrics = require('./metrics');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+const BUCKET_DEFAULTS = {
+    telemetry: '60/60',
+    ip: '300/60',
+    user: '120/60',
+    denied: '30/600'
+};
+
+// Telemetry responses carry a backoff hint once less than this share of the
+// window's requests is left
+const BACKOFF_THRESHOLD = 0.2;
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+const SUPABASE_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+function parseBucket(name) {
+    const raw = process.env[`RATE_LIMIT_${name.toUpperCase()}`] || BUCKET_DEFAULTS[name];
+    if (raw === 'off') return null;
+
+    const match = /^(\d+)\/(\d+)$/.exec(raw.trim());
+    if (!match || parseInt(match[1]) <= 0 || parseInt(match[2]) <= 0) {
+        console.error(`ERROR: RATE_LIMIT_${name.toUpperCase()} must be "<requests>/<seconds>" or "off"`);
+        process.exit(1);
+    }
+    return { name, limit: parseInt(match[1]), windowSeconds: parseInt(match[2]) };
+}
+
+const BUCKETS = Object.fromEntries(Object.keys(BUCKET_DEFAULTS).map(name => [name, parseBucket(name)]));
+
+// =============================================================================
+// STORES
+// =============================================================================
+// A store counts hits per key and window: hit(key, windowSeconds, cost)
+// adds `cost` to the key's current window (starting a new one when it has
+// run out) and resolves with { hits, resetAt }. A cost of 0 just reads.
+
+function createMemoryStore() {
+    const windows = new Map();
+
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, MEMORY_SWEEP_INTERVAL_MS).unref();
+
+    return {
+        async hit(key, windowSeconds, cost) {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { hits: 0, resetAt: now + windowSeconds * 1000 };
+                windows.set(key, window);
+            }
+            window.hits += cost;
+            return { hits: window.hits, resetAt: window.resetAt };
+        }
+    };
+}
+
+function createSupabaseStore() {
+    const { db } = require('./db');
+    if (typeof db.rpc !== 'function') {
+        console.error('ERROR: RATE_LIMIT_STORE=supabase requires STORAGE_BACKEND=supabase');
+        process.exit(1);
+    }
+
+    setInterval(() => {
+        db.from('rate_limits')
+            .delete()
+            .lt('reset_at', new Date().toISOString())
+            .then(({ error }) => {
+                if (error) console.error('[RATE LIMIT] Prune error:', error);
+            });
+    }, SUPABASE_PRUNE_INTERVAL_MS).unref();
+
+    return {
+        async hit(key, windowSeconds, cost) {
+            const { data, error } = await db.rpc('rate_limit_hit', {
+                p_key: key,
+                p_window_seconds: windowSeconds,
+                p_cost: cost
+            });
+            if (error) throw error;
+
+            const row = Array.isArray(data) ? data[0] : data;
+            return { hits: row.hits, resetAt: new Date(row.reset_at).getTime() };
+        }
+    };
+}
+
+function createStore() {
+    switch (RATE_LIMIT_STORE) {
+        case 'memory':
+            return createMemoryStore();
+        case 'supabase':
+            return createSupabaseStore();
+        default:
+            console.error(`ERROR: Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}" (expected memory or supabase)`);
+            process.exit(1);
+    }
+}
+
+const store = createStore();
+
+// =============================================================================
+// LIMITS
+// =============================================================================
+
+/**
+ * Count a request against `bucketName` for `key`. Resolves with
+ * { allowed, limit, remaining, resetSeconds }, or null when the bucket is
+ * disabled or the store failed.
+ */
+async function consume(bucketName, key, cost = 1) {
+    const bucket = BUCKETS[bucketName];
+    if (!RATE_LIMIT_ENABLED || !bucket || !key) return null;
+
+    try {
+        const { hits, resetAt } = await store.hit(`${bucketName}:${key}`, bucket.windowSeconds, cost);
+        return {
+            bucket: bucketName,
+            allowed: hits <= bucket.limit,
+            limit: bucket.limit,
+            remaining: Math.max(0, bucket.limit - hits),
+            resetSeconds: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+        };
+    } catch (error) {
+        console.error(`[RATE LIMIT] Store error (${bucketName}) - allowing request:`, error);
+        return null;
+    }
+}
+
+function setHeaders(res, result) {
+    if (!result) return;
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(result.resetSeconds));
+}
+
+function rejectTooMany(res, result, extra = {}) {
+    metrics.rateLimited.inc({ bucket: result.bucket });
+    setHeaders(res, result);
+    res.set('Retry-After', String(result.resetSeconds));
+    res.status(429).json({
+        error: 'Too many requests',
+        bucket: result.bucket,
+        retry_after: result.resetSeconds,
+        ...extra
+    });
+}
+
+/**
+ * Seconds a collar should wait before its next upload, or undefined while
+ * it is well within its limit.
+ */
+function backoffHint(result) {
+    if (!result || result.remaining > result.limit * BACKOFF_THRESHOLD) return undefined;
+    return Math.ceil(result.resetSeconds / Math.max(1, result.remaining));
+}
+
+// =============================================================================
+// MIDDLEWARE
+// =============================================================================
+
+// Callers that already collected too many 401 / 403 responses are refused
+// outright; new ones are counted as the response goes out. Resolves with
+// false after answering 429.
+async function checkDenied(req, res) {
+    // Only peeking - the limit is used up once the count reaches it
+    const denied = await consume('denied', req.ip, 0);
+    if (denied && denied.remaining === 0) {
+        rejectTooMany(res, denied);
+        return false;
+    }
+
+    res.on('finish', () => {
+        if (res.statusCode === 401 || res.statusCode === 403) {
+            consume('denied', req.ip).then(count => {
+                if (count && !count.allowed) console.warn(`[RATE LIMIT] ${req.ip} blocked after repeated denied requests`);
+            });
+        }
+    });
+    return true;
+}
+
+/**
+ * Per-device limit for the telemetry routes, ahead of authenticateDevice so
+ * a looping collar or a scanner is refused without a registry read. The
+ * device_id isn't verified yet, so the key includes the client IP - nobody
+ * else can use up a collar's budget by sending its ID. Sets req.rateLimit
+ * for the backoff hint.
+ */
+async function limitDevice(req, res, next) {
+    if (!await checkDenied(req, res)) {
+        metrics.countRejectedRequest(req, 'rate_limited');
+        return;
+    }
+
+    const deviceId = req.body?.device_id;
+    const result = await consume('telemetry', deviceId ? `${deviceId}@${req.ip}` : null);
+    if (result && !result.allowed) {
+        console.warn(`[RATE LIMIT] Telemetry from ${deviceId} (${req.ip}) throttled for ${result.resetSeconds}s`);
+        metrics.countRejectedRequest(req, 'rate_limited');
+        return rejectTooMany(res, result, { backoff_seconds: result.resetSeconds });
+    }
+
+    setHeaders(res, result);
+    req.rateLimit = result;
+    next();
+}
+
+/**
+ * Per-IP limit for app routes, plus the denied-response limit.
+ */
+async function limitClient(req, res, next) {
+    if (!await checkDenied(req, res)) return;
+
+    const result = await consume('ip', req.ip);
+    if (result && !result.allowed) {
+        console.warn(`[RATE LIMIT] ${req.ip} throttled for ${result.resetSeconds}s`);
+        return rejectTooMany(res, result);
+    }
+
+    setHeaders(res, result);
+    next();
+}
+
+/**
+ * Per-user limit, checked once the user is authenticated. Resolves with
+ * false after answering 429.
+ */
+async function limitUser(req, res) {
+    const result = await consume('user', req.user.id);
+    if (result && !result.allowed) {
+        console.warn(`[RATE LIMIT] User ${req.user.id} throttled for ${result.resetSeconds}s`);
+        rejectTooMany(res, result);
+        return false;
+    }
+    return true;
+}
+
+module.exports = {
+    RATE_LIMIT_STORE,
+    BUCKETS,
+    consume,
+    backoffHint,
+    limitDevice,
+    limitClient,
+    limitUser
+};
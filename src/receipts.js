@@ -0,0 +1,187 @@
+// =============================================================================
+// POPCORN GATEWAY - WALK RECEIPTS
+// =============================================================================
+// When a walk closes the gateway issues a receipt: the walker, times,
+// route, distance, grade and cheat flags of the walk, signed with the
+// gateway's Ed25519 key. Walkers are paid on these grades, so anyone holding
+// a receipt can check it wasn't altered - against GET /walk-receipts/public-key
+// offline, or with POST /walk-receipts/verify.
+//
+// The signature covers the canonical JSON of the receipt (keys sorted, no
+// whitespace). Receipts are stored on the walk (`receipt`,
+// `receipt_signature`) and never re-issued once signed.
+//
+// Without WALK_RECEIPT_PRIVATE_KEY no receipts are issued: a key that only
+// lives until restart would leave every receipt unverifiable afterwards.
+// =============================================================================
+
+const crypto = require('crypto');
+const repo = require('./repositories');
+const tracks = require('./tracks');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// PKCS#8 PEM Ed25519 private key; must be the same on every instance
+const WALK_RECEIPT_PRIVATE_KEY = process.env.WALK_RECEIPT_PRIVATE_KEY;
+const RECEIPTS_ENABLED = Boolean(WALK_RECEIPT_PRIVATE_KEY);
+
+const RECEIPT_VERSION = 1;
+const RECEIPT_ALGORITHM = 'Ed25519';
+// Route coordinates are rounded to ~10 cm
+const ROUTE_DECIMALS = 6;
+
+let privateKey = null;
+let publicKey = null;
+let publicKeyPem = null;
+let KEY_ID = null;
+if (RECEIPTS_ENABLED) {
+    privateKey = crypto.createPrivateKey(WALK_RECEIPT_PRIVATE_KEY.replace(/\\n/g, '\n'));
+    publicKey = crypto.createPublicKey(privateKey);
+    publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+    KEY_ID = crypto
+        .createHash('sha256')
+        .update(publicKey.export({ type: 'spki', format: 'der' }))
+        .digest('hex')
+        .slice(0, 16);
+} else {
+    console.warn('[RECEIPTS] WALK_RECEIPT_PRIVATE_KEY not set - walk receipts are not issued');
+}
+
+// =============================================================================
+// SIGNING
+// =============================================================================
+
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function sign(receipt) {
+    return crypto.sign(null, Buffer.from(canonicalJson(receipt)), privateKey).toString('base64');
+}
+
+/**
+ * Check a receipt against its signature. Returns { valid, reason } where
+ * `reason` is a short machine-readable code on failure.
+ */
+function verifyReceipt(receipt, signature) {
+    if (!RECEIPTS_ENABLED) {
+        return { valid: false, reason: 'receipts_disabled' };
+    }
+    if (!receipt || typeof receipt !== 'object' || Array.isArray(receipt)) {
+        return { valid: false, reason: 'invalid_receipt' };
+    }
+    if (typeof signature !== 'string' || !signature) {
+        return { valid: false, reason: 'missing_signature' };
+    }
+    if (receipt.key_id !== KEY_ID) {
+        return { valid: false, reason: 'unknown_key' };
+    }
+
+    const valid = crypto.verify(null, Buffer.from(canonicalJson(receipt)), publicKey, Buffer.from(signature, 'base64'));
+    return valid ? { valid: true } : { valid: false, reason: 'bad_signature' };
+}
+
+/**
+ * The verification key, or null while receipts are disabled.
+ */
+function getPublicKey() {
+    if (!RECEIPTS_ENABLED) return null;
+    return { algorithm: RECEIPT_ALGORITHM, key_id: KEY_ID, public_key: publicKeyPem };
+}
+
+// =============================================================================
+// RECEIPTS
+// =============================================================================
+
+const round = (value, digits) => (value == null ? null : Number(Number(value).toFixed(digits)));
+
+/**
+ * Build the receipt of a closed walk, with its filtered GPS track.
+ */
+async function buildReceipt(walk) {
+    const track = await tracks.buildWalkTrack(walk);
+    const points = track.points.map(p => [
+        round(p.latitude, ROUTE_DECIMALS),
+        round(p.longitude, ROUTE_DECIMALS),
+        new Date(p.recorded_at).toISOString()
+    ]);
+
+    return {
+        version: RECEIPT_VERSION,
+        key_id: KEY_ID,
+        issued_at: new Date().toISOString(),
+        walk_id: walk.id,
+        device_id: walk.device_id,
+        walker_id: walk.walker_id || null,
+        source: walk.source,
+        started_at: new Date(walk.started_at).toISOString(),
+        ended_at: new Date(walk.ended_at).toISOString(),
+        end_reason: walk.end_reason,
+        duration_seconds: walk.duration_seconds ?? 0,
+        distance_meters: Math.round(walk.distance_meters || 0),
+        grade: walk.grade,
+        grade_score: walk.grade_score,
+        carried_percent: round(walk.carried_percent || 0, 1),
+        vehicle_detected: Boolean(walk.vehicle_detected),
+        cheat_flags: walk.cheat_flags || 0,
+        server_verification_status: walk.server_verification_status || null,
+        server_cheat_flags: walk.server_cheat_flags ?? null,
+        verification_disagreement: Boolean(walk.verification_disagreement),
+        route: {
+            point_count: points.length,
+            distance_meters: track.distance_meters,
+            points
+        }
+    };
+}
+
+/**
+ * The walk's stored receipt, issuing (and storing) it first if the walk has
+ * none yet. Returns { receipt, signature }, or null for an open walk or
+ * while receipts are disabled.
+ */
+async function getOrIssueReceipt(walk) {
+    if (!walk.ended_at) return null;
+    if (walk.receipt && walk.receipt_signature) {
+        return { receipt: walk.receipt, signature: walk.receipt_signature };
+    }
+    if (!RECEIPTS_ENABLED) return null;
+
+    const receipt = await buildReceipt(walk);
+    const signature = sign(receipt);
+
+    const { data, error } = await repo.walkSessions.setReceipt(walk.id, {
+        receipt,
+        receipt_signature: signature,
+        receipt_issued_at: receipt.issued_at
+    });
+    if (error) throw error;
+
+    // Issued concurrently - the stored one is the receipt
+    if (!data || data.length === 0) {
+        const { data: stored, error: storedError } = await repo.walkSessions.get(walk.device_id, walk.id);
+        if (storedError) throw storedError;
+        return { receipt: stored.receipt, signature: stored.receipt_signature };
+    }
+
+    console.log(`[RECEIPTS] Issued receipt for walk ${walk.id} (${walk.device_id}, grade ${walk.grade})`);
+    return { receipt, signature };
+}
+
+module.exports = {
+    RECEIPTS_ENABLED,
+    RECEIPT_ALGORITHM,
+    canonicalJson,
+    verifyReceipt,
+    getPublicKey,
+    getOrIssueReceipt
+};
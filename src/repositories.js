@@ -0,0 +1,578 @@
+// =============================================================================
+// POPCORN GATEWAY - REPOSITORIES
+// =============================================================================
+// Table access for device status, locations, battery history, walks, sleep,
+// scratch, daily rollups, anomalies and quarantined telemetry. Every function
+// returns a query that resolves to `{ data, error }` on whichever backend
+// db.js selected, so callers keep the usual supabase-js error handling and
+// can still chain extra filters.
+// =============================================================================
+
+const { db } = require('./db');
+
+// =============================================================================
+// DEVICE STATUS
+// =============================================================================
+
+const deviceStatus = {
+    get(deviceId, columns = '*') {
+        return db
+            .from('device_status')
+            .select(columns)
+            .eq('device_id', deviceId)
+            .maybeSingle();
+    },
+
+    upsert(status) {
+        return db
+            .from('device_status')
+            .upsert(status, { onConflict: 'device_id' });
+    },
+
+    update(deviceId, fields) {
+        return db
+            .from('device_status')
+            .update(fields)
+            .eq('device_id', deviceId);
+    },
+
+    list(columns = '*') {
+        return db
+            .from('device_status')
+            .select(columns);
+    },
+
+    listForDevices(deviceIds, columns = '*') {
+        return db
+            .from('device_status')
+            .select(columns)
+            .in('device_id', deviceIds);
+    },
+
+    listSeenBefore(cutoff, columns = '*') {
+        return db
+            .from('device_status')
+            .select(columns)
+            .lt('last_seen_at', cutoff);
+    },
+
+    countSeenSince(since) {
+        return db
+            .from('device_status')
+            .select('device_id', { count: 'exact', head: true })
+            .gte('last_seen_at', since);
+    }
+};
+
+// =============================================================================
+// LOCATIONS
+// =============================================================================
+
+const locations = {
+    insert(rows) {
+        return db.from('locations').insert(rows);
+    },
+
+    listBetween(deviceId, from, to, { columns = '*', limit } = {}) {
+        const query = db
+            .from('locations')
+            .select(columns)
+            .eq('device_id', deviceId)
+            .gte('recorded_at', from)
+            .lte('recorded_at', to)
+            .order('recorded_at', { ascending: true });
+        return limit ? query.limit(limit) : query;
+    },
+
+    /**
+     * One page of fixes since `since`, newest first (ties by id), after
+     * the `before` position { recordedAt, id } when given. Fixes sharing a
+     * timestamp are split over two queries rather than an `or` filter,
+     * which the memory backend doesn't have.
+     */
+    async listPage(deviceId, since, before, limit) {
+        const page = () => db
+            .from('locations')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('recorded_at', since);
+        const newestFirst = query => query
+            .order('recorded_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit);
+
+        if (!before) return newestFirst(page());
+
+        const [sameTime, older] = await Promise.all([
+            before.id != null
+                ? newestFirst(page().eq('recorded_at', before.recordedAt).lt('id', before.id))
+                : { data: [] },
+            newestFirst(page().lt('recorded_at', before.recordedAt))
+        ]);
+        const error = sameTime.error || older.error;
+        if (error) return { data: null, error };
+        return { data: [...sameTime.data, ...older.data].slice(0, limit), error: null };
+    },
+
+    // Oldest fixes before `cutoff` the retention job hasn't kept for a walk
+    listCompactable(deviceId, cutoff, limit) {
+        return db
+            .from('locations')
+            .select('id, latitude, longitude, is_home, recorded_at')
+            .eq('device_id', deviceId)
+            .eq('walk_point', false)
+            .lt('recorded_at', cutoff)
+            .order('recorded_at', { ascending: true })
+            .limit(limit);
+    },
+
+    markWalkPoints(deviceId, from, to) {
+        return db
+            .from('locations')
+            .update({ walk_point: true })
+            .eq('device_id', deviceId)
+            .eq('walk_point', false)
+            .gte('recorded_at', from)
+            .lte('recorded_at', to);
+    },
+
+    // Fixes in [from, to) that aren't kept for a walk
+    deleteCompacted(deviceId, from, to) {
+        return db
+            .from('locations')
+            .delete()
+            .eq('device_id', deviceId)
+            .eq('walk_point', false)
+            .gte('recorded_at', from)
+            .lt('recorded_at', to);
+    }
+};
+
+// Hourly summaries of compacted fixes
+const locationHourly = {
+    listBetween(deviceId, from, to) {
+        return db
+            .from('location_hourly')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('hour', from)
+            .lte('hour', to)
+            .order('hour', { ascending: true });
+    },
+
+    upsert(rows) {
+        return db
+            .from('location_hourly')
+            .upsert(rows, { onConflict: 'device_id,hour' });
+    }
+};
+
+// =============================================================================
+// BATTERY
+// =============================================================================
+
+const batteryReadings = {
+    insert(rows) {
+        return db.from('battery_readings').insert(rows);
+    },
+
+    listSince(deviceId, since) {
+        return db
+            .from('battery_readings')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('recorded_at', since)
+            .order('recorded_at', { ascending: true });
+    }
+};
+
+// =============================================================================
+// WALK SESSIONS
+// =============================================================================
+
+const walkSessions = {
+    get(deviceId, walkId) {
+        return db
+            .from('walk_sessions')
+            .select('*')
+            .eq('id', walkId)
+            .eq('device_id', deviceId)
+            .maybeSingle();
+    },
+
+    getOpen(deviceId) {
+        return db
+            .from('walk_sessions')
+            .select('*')
+            .eq('device_id', deviceId)
+            .is('ended_at', null)
+            .order('started_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+    },
+
+    listSince(deviceId, since) {
+        return db
+            .from('walk_sessions')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('started_at', since)
+            .order('started_at', { ascending: false });
+    },
+
+    listStartedBetween(deviceId, from, to) {
+        return db
+            .from('walk_sessions')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('started_at', from)
+            .lt('started_at', to);
+    },
+
+    listForDevicesSince(deviceIds, since) {
+        return db
+            .from('walk_sessions')
+            .select('*')
+            .in('device_id', deviceIds)
+            .gte('started_at', since)
+            .order('started_at', { ascending: false });
+    },
+
+    listForDevicesStartedBetween(deviceIds, from, to) {
+        return db
+            .from('walk_sessions')
+            .select('*')
+            .in('device_id', deviceIds)
+            .gte('started_at', from)
+            .lte('started_at', to);
+    },
+
+    /**
+     * Walks of a walker started in [from, to], optionally limited to some
+     * devices.
+     */
+    listForWalkerBetween(walkerId, from, to, deviceIds = null) {
+        let query = db
+            .from('walk_sessions')
+            .select('*')
+            .eq('walker_id', walkerId)
+            .gte('started_at', from)
+            .lte('started_at', to);
+        if (deviceIds) query = query.in('device_id', deviceIds);
+        return query.order('started_at', { ascending: true });
+    },
+
+    listOpenIdleSince(cutoff) {
+        return db
+            .from('walk_sessions')
+            .select('*')
+            .is('ended_at', null)
+            .lt('last_activity_at', cutoff);
+    },
+
+    create(walk) {
+        return db
+            .from('walk_sessions')
+            .insert(walk)
+            .select()
+            .single();
+    },
+
+    update(walkId, fields) {
+        return db
+            .from('walk_sessions')
+            .update(fields)
+            .eq('id', walkId);
+    },
+
+    setJointWalk(walkIds, jointWalkId) {
+        return db
+            .from('walk_sessions')
+            .update({ joint_walk_id: jointWalkId })
+            .in('id', walkIds);
+    },
+
+    /**
+     * Store a walk's receipt unless one was already issued. Resolves with
+     * the row's id, or no rows when it already had one.
+     */
+    setReceipt(walkId, fields) {
+        return db
+            .from('walk_sessions')
+            .update(fields)
+            .eq('id', walkId)
+            .is('receipt_signature', null)
+            .select('id');
+    },
+
+    /**
+     * Update a walk only while its dispute is in `disputeStatus` (null for
+     * undisputed). Resolves with the updated row, or no rows otherwise.
+     */
+    updateDispute(walkId, disputeStatus, fields) {
+        const query = db
+            .from('walk_sessions')
+            .update(fields)
+            .eq('id', walkId);
+        return (disputeStatus == null ? query.is('dispute_status', null) : query.eq('dispute_status', disputeStatus))
+            .select();
+    },
+
+    /**
+     * Close a walk unless someone else already did. Resolves with the
+     * closed row's id, or no rows when it was already closed.
+     */
+    close(walkId, fields) {
+        return db
+            .from('walk_sessions')
+            .update(fields)
+            .eq('id', walkId)
+            .is('ended_at', null)
+            .select('id');
+    }
+};
+
+// =============================================================================
+// SLEEP
+// =============================================================================
+
+const sleepSessions = {
+    get(deviceId, sessionId) {
+        return db
+            .from('sleep_sessions')
+            .select('*')
+            .eq('id', sessionId)
+            .eq('device_id', deviceId)
+            .maybeSingle();
+    },
+
+    getOpen(deviceId) {
+        return db
+            .from('sleep_sessions')
+            .select('*')
+            .eq('device_id', deviceId)
+            .is('ended_at', null)
+            .order('started_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+    },
+
+    listSince(deviceId, since) {
+        return db
+            .from('sleep_sessions')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('started_at', since)
+            .order('started_at', { ascending: false });
+    },
+
+    listStartedBetween(deviceId, from, to) {
+        return db
+            .from('sleep_sessions')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('started_at', from)
+            .lt('started_at', to);
+    },
+
+    create(session) {
+        return db
+            .from('sleep_sessions')
+            .insert(session)
+            .select()
+            .single();
+    },
+
+    update(sessionId, fields) {
+        return db
+            .from('sleep_sessions')
+            .update(fields)
+            .eq('id', sessionId);
+    }
+};
+
+const respiratorySamples = {
+    insert(rows) {
+        return db.from('respiratory_samples').insert(rows);
+    },
+
+    listForSession(sessionId) {
+        return db
+            .from('respiratory_samples')
+            .select('respiratory_rate, restless_count, sleep_quality, recorded_at')
+            .eq('session_id', sessionId)
+            .order('recorded_at', { ascending: true });
+    },
+
+    getLatest(sessionId) {
+        return db
+            .from('respiratory_samples')
+            .select('recorded_at')
+            .eq('session_id', sessionId)
+            .order('recorded_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+    }
+};
+
+// =============================================================================
+// SCRATCH
+// =============================================================================
+
+const scratchEvents = {
+    insert(rows) {
+        return db.from('scratch_events').insert(rows);
+    },
+
+    listBetween(deviceId, from, to, limit) {
+        return db
+            .from('scratch_events')
+            .select('frequency_hz, confidence, latitude, longitude, detected_at')
+            .eq('device_id', deviceId)
+            .gte('detected_at', from)
+            .lte('detected_at', to)
+            .order('detected_at', { ascending: true })
+            .limit(limit);
+    }
+};
+
+// =============================================================================
+// DAILY ROLLUP
+// =============================================================================
+
+const dailyActivity = {
+    upsert(rows) {
+        return db
+            .from('daily_activity')
+            .upsert(rows, { onConflict: 'device_id,date' });
+    },
+
+    listBetween(deviceId, fromDate, toDate) {
+        return db
+            .from('daily_activity')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('date', fromDate)
+            .lte('date', toDate)
+            .order('date', { ascending: true });
+    },
+
+    // The step counter value the last counted reading reported
+    latestStepsCounter(deviceId) {
+        return db
+            .from('daily_activity')
+            .select('date, steps_counter, steps_counter_at')
+            .eq('device_id', deviceId)
+            .not('steps_counter_at', 'is', null)
+            .order('steps_counter_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+    }
+};
+
+// =============================================================================
+// ANOMALIES
+// =============================================================================
+
+const ACTIVE_ANOMALY_STATUSES = ['open', 'acknowledged'];
+
+const anomalyLog = {
+    get(deviceId, anomalyId) {
+        return db
+            .from('anomaly_log')
+            .select('*')
+            .eq('id', anomalyId)
+            .eq('device_id', deviceId)
+            .maybeSingle();
+    },
+
+    findActive(deviceId, anomalyType) {
+        return db
+            .from('anomaly_log')
+            .select('*')
+            .eq('device_id', deviceId)
+            .eq('anomaly_type', anomalyType)
+            .in('status', ACTIVE_ANOMALY_STATUSES)
+            .order('last_detected_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+    },
+
+    list(deviceId, { status, severity, type, since, limit }) {
+        let query = db
+            .from('anomaly_log')
+            .select('*')
+            .eq('device_id', deviceId)
+            .gte('last_detected_at', since)
+            .order('last_detected_at', { ascending: false })
+            .limit(limit);
+        if (status) query = query.eq('status', status);
+        if (severity) query = query.eq('severity', severity);
+        if (type) query = query.eq('anomaly_type', type);
+        return query;
+    },
+
+    insert(row) {
+        return db
+            .from('anomaly_log')
+            .insert(row)
+            .select()
+            .single();
+    },
+
+    update(anomalyId, fields) {
+        return db
+            .from('anomaly_log')
+            .update(fields)
+            .eq('id', anomalyId);
+    },
+
+    /**
+     * Update an anomaly only while its status is one of `fromStatuses`.
+     * Resolves with the updated row, or no rows when it had moved on.
+     */
+    transition(deviceId, anomalyId, fromStatuses, fields) {
+        return db
+            .from('anomaly_log')
+            .update(fields)
+            .eq('id', anomalyId)
+            .eq('device_id', deviceId)
+            .in('status', fromStatuses)
+            .select();
+    }
+};
+
+// =============================================================================
+// TELEMETRY QUARANTINE
+// =============================================================================
+
+const telemetryQuarantine = {
+    insert(row) {
+        return db.from('telemetry_quarantine').insert(row);
+    },
+
+    list({ deviceId, since, limit }) {
+        let query = db
+            .from('telemetry_quarantine')
+            .select('*')
+            .gte('received_at', since)
+            .order('received_at', { ascending: false })
+            .limit(limit);
+        if (deviceId) query = query.eq('device_id', deviceId);
+        return query;
+    }
+};
+
+module.exports = {
+    deviceStatus,
+    locations,
+    locationHourly,
+    batteryReadings,
+    walkSessions,
+    sleepSessions,
+    respiratorySamples,
+    scratchEvents,
+    dailyActivity,
+    anomalyLog,
+    telemetryQuarantine
+};
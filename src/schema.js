@@ -0,0 +1,241 @@
+// =============================================================================
+// POPCORN GATEWAY - TELEMETRY PAYLOAD SCHEMA
+// =============================================================================
+// Type and range checks for collar payloads. The schema is versioned on the
+// payload's `firmware_version`: each version lists the fields that firmware
+// sends, so a field from newer firmware (or a typo) is reported instead of
+// silently dropped.
+//
+// Invalid values are errors - the payload is rejected and quarantined.
+// Unknown fields are warnings - the payload is still ingested.
+// =============================================================================
+
+const { compareVersions } = require('./signature');
+
+// =============================================================================
+// FIELD DEFINITIONS
+// =============================================================================
+
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const boolean = () => ({ type: 'boolean' });
+const string = (maxLength = 64) => ({ type: 'string', maxLength });
+const object = fields => ({ type: 'object', fields });
+const array = (items, maxItems) => ({ type: 'array', items, maxItems });
+
+// Fields every firmware version sends
+const BASE_FIELDS = {
+    device_id: { ...string(64), required: true },
+    seq: integer(0),
+    timestamp: { type: 'timestamp' },
+    firmware_version: string(32),
+    boot_count: integer(0),
+    // Legacy (v1) signature travels in the body
+    signature: { type: 'any' },
+
+    gps: object({
+        valid: boolean(),
+        lat: number(-90, 90),
+        lon: number(-180, 180),
+        alt: number(-500, 9000),
+        speed: number(0, 100),
+        hdop: number(0, 100),
+        satellites: integer(0, 64)
+    }),
+    accelerometer: object({
+        x: number(-64, 64),
+        y: number(-64, 64),
+        z: number(-64, 64),
+        magnitude: number(0, 128),
+        variance: number(0)
+    }),
+    activity: object({
+        class: integer(0, 15),
+        name: string(32),
+        session_steps: integer(0),
+        today_steps: integer(0)
+    }),
+    location: object({
+        is_home: boolean(),
+        is_escaped: boolean(),
+        distance_home: number(0)
+    }),
+    battery: object({
+        voltage: number(0, 10),
+        percent: number(0, 100)
+    }),
+    network: object({
+        signal: number(-150, 100),
+        operator: string(64)
+    }),
+    sleep: object({
+        active: boolean(),
+        quality: number(0, 100),
+        respiratory_rate: number(0, 200),
+        restless_count: integer(0)
+    }),
+    walk: object({
+        active: boolean(),
+        duration: integer(0),
+        distance: number(0),
+        stops: integer(0)
+    }),
+    scratch: object({
+        detected: boolean(),
+        today_count: integer(0),
+        frequency: number(0),
+        confidence: number(0, 100)
+    }),
+    health: object({
+        anomaly: boolean(),
+        anomaly_type: string(64),
+        deviation: number()
+    }),
+
+    // Firmware update progress (firmware.js)
+    ota: object({
+        version: string(32),
+        status: string(16),
+        error: string(128)
+    }),
+
+    // Downlink command acknowledgements (commands.js)
+    acks: array(object({
+        id: { type: 'any', required: true },
+        status: string(16),
+        result: { type: 'any' }
+    }), 50)
+};
+
+// V6.1 adds on-collar walk verification (anti-cheat)
+const V6_1_FIELDS = {
+    ...BASE_FIELDS,
+    walk: object({
+        ...BASE_FIELDS.walk.fields,
+        verification_status: string(32),
+        quality_score: number(0, 100),
+        carried_seconds: integer(0),
+        vehicle_seconds: integer(0),
+        actual_walk_seconds: integer(0),
+        cheat_flags: integer(0, 255)
+    })
+};
+
+// Newest first - a payload uses the first version its firmware reaches.
+// Payloads without firmware_version are checked against the oldest.
+const SCHEMA_VERSIONS = [
+    { version: '2', minFirmware: '6.1.0', fields: V6_1_FIELDS },
+    { version: '1', minFirmware: '0.0.0', fields: BASE_FIELDS }
+];
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+function schemaFor(firmwareVersion) {
+    if (typeof firmwareVersion !== 'string' || !firmwareVersion) {
+        return SCHEMA_VERSIONS[SCHEMA_VERSIONS.length - 1];
+    }
+    return SCHEMA_VERSIONS.find(schema => compareVersions(firmwareVersion, schema.minFirmware) >= 0);
+}
+
+function checkValue(spec, value) {
+    switch (spec.type) {
+        case 'any':
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be a boolean';
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            if (spec.maxLength && value.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+            return null;
+        case 'timestamp':
+            if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? null : 'must be a positive unix time';
+            if (typeof value === 'string') return isNaN(Date.parse(value)) ? 'must be an ISO 8601 date' : null;
+            return 'must be unix seconds or an ISO 8601 string';
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            if (spec.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+            if (spec.min !== undefined && value < spec.min) {
+                return spec.max !== undefined ? `must be between ${spec.min} and ${spec.max}` : `must be at least ${spec.min}`;
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                return spec.min !== undefined ? `must be between ${spec.min} and ${spec.max}` : `must be at most ${spec.max}`;
+            }
+            return null;
+        default:
+            return null;
+    }
+}
+
+function validateFields(fields, value, prefix, errors, unknown) {
+    for (const [name, spec] of Object.entries(fields)) {
+        const field = prefix + name;
+        const fieldValue = value[name];
+
+        // Firmware sends null for sensors it doesn't have
+        if (fieldValue === undefined || fieldValue === null) {
+            if (spec.required) errors.push({ field, message: 'is required' });
+            continue;
+        }
+
+        if (spec.type === 'object') {
+            if (typeof fieldValue !== 'object' || Array.isArray(fieldValue)) {
+                errors.push({ field, message: 'must be an object' });
+            } else {
+                validateFields(spec.fields, fieldValue, `${field}.`, errors, unknown);
+            }
+            continue;
+        }
+
+        if (spec.type === 'array') {
+            if (!Array.isArray(fieldValue)) {
+                errors.push({ field, message: 'must be an array' });
+            } else if (spec.maxItems && fieldValue.length > spec.maxItems) {
+                errors.push({ field, message: `must have at most ${spec.maxItems} items` });
+            } else {
+                fieldValue.forEach((item, index) => {
+                    validateFields({ [index]: spec.items }, { [index]: item }, `${field}.`, errors, unknown);
+                });
+            }
+            continue;
+        }
+
+        const message = checkValue(spec, fieldValue);
+        if (message) errors.push({ field, message });
+    }
+
+    for (const name of Object.keys(value)) {
+        if (!Object.hasOwn(fields, name)) unknown.push(prefix + name);
+    }
+}
+
+/**
+ * Validate a telemetry payload against the schema for its firmware version.
+ * With `requireDeviceId: false` (batch readings) the device ID comes from
+ * the envelope instead. Returns { schemaVersion, errors, unknownFields }.
+ */
+function validatePayload(payload, { requireDeviceId = true } = {}) {
+    const schema = schemaFor(payload?.firmware_version);
+    const errors = [];
+    const unknownFields = [];
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { schemaVersion: schema.version, errors: [{ field: '', message: 'must be an object' }], unknownFields };
+    }
+
+    const fields = { ...schema.fields };
+    if (!requireDeviceId) {
+        fields.device_id = { ...fields.device_id, required: false };
+    }
+
+    validateFields(fields, payload, '', errors, unknownFields);
+
+    return { schemaVersion: schema.version, errors, unknownFields };
+}
+
+module.exports = {
+    SCHEMA_VERSIONS,
+    validatePayload
+};
@@ -0,0 +1,498 @@
+// =============================================================================
+// POPCORN GATEWAY - SCRATCH ANALYTICS & VET REPORT
+// =============================================================================
+// Turns the daily rollup and `scratch_events` into something a vet can act on:
+//   - the period compared with the dog's own baseline (the preceding
+//     SCRATCH_BASELINE_DAYS, or the start of the period without history)
+//   - hour-of-day / day-of-week heatmap of scratching episodes
+//   - sustained increases: SUSTAINED_MIN_DAYS or more elevated days in a row,
+//     the typical shape of an allergy flare
+//   - places after which scratching spikes (e.g. a particular park), from
+//     the dog's location history
+// Days and hours are local to the device's timezone. Exported as JSON, CSV
+// (daily table) or PDF.
+// =============================================================================
+
+const repo = require('./repositories');
+const geofences = require('./geofences');
+const pdf = require('./pdf');
+const timezone = require('./timezone');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const SCRATCH_BASELINE_DAYS = parseInt(process.env.SCRATCH_BASELINE_DAYS || '28');
+const SUSTAINED_MIN_DAYS = 3;
+// A day is elevated above the baseline mean by this many standard
+// deviations, by ELEVATED_MIN_RATIO and by at least ELEVATED_MIN_INCREASE
+const ELEVATED_STD_DEVS = 2;
+const ELEVATED_MIN_RATIO = 1.5;
+const ELEVATED_MIN_INCREASE = 3;
+// Places: ~200 m grid cells, scratching counted in the hours after leaving
+const PLACE_GRID_DEGREES = 0.002;
+const AFTER_VISIT_HOURS = 6;
+const MIN_PLACE_VISITS = 2;
+// A place is reported as a trigger at this multiple of the usual rate
+const PLACE_SPIKE_LIFT = 2;
+// Points further apart than this start a new visit
+const VISIT_GAP_MINUTES = 60;
+
+const MAX_REPORT_DAYS = 366;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_EVENTS = 50000;
+const MAX_REPORT_LOCATIONS = 20000;
+
+const VET_REPORT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const round = (value, digits = 1) => (value == null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+// =============================================================================
+// PERIOD
+// =============================================================================
+
+function parseBoundary(value, endOfDay, tz) {
+    if (typeof value !== 'string' || !value) return null;
+    // Plain dates cover the whole local day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        if (isNaN(new Date(`${value}T00:00:00Z`).getTime())) return null;
+        return endOfDay
+            ? new Date(timezone.startOfLocalDay(timezone.addDays(value, 1), tz).getTime() - 1)
+            : timezone.startOfLocalDay(value, tz);
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse ?from=&to= (dates in the device's timezone or ISO timestamps).
+ * Defaults to the last DEFAULT_REPORT_DAYS days. Returns
+ * { errors, value: { from, to, timezone } }.
+ */
+function parseReportPeriod({ from, to }, tz = timezone.DEFAULT_TIMEZONE) {
+    const errors = [];
+    const end = to === undefined ? new Date() : parseBoundary(to, true, tz);
+    const start = from === undefined
+        ? new Date((end || new Date()).getTime() - DEFAULT_REPORT_DAYS * DAY_MS)
+        : parseBoundary(from, false, tz);
+
+    if (!end) errors.push('to must be a date (YYYY-MM-DD) or ISO timestamp');
+    if (!start) errors.push('from must be a date (YYYY-MM-DD) or ISO timestamp');
+    if (start && end) {
+        if (start >= end) errors.push('from must be before to');
+        else if (end - start > MAX_REPORT_DAYS * DAY_MS) errors.push(`period must be at most ${MAX_REPORT_DAYS} days`);
+    }
+
+    return { errors, value: { from: start, to: end, timezone: tz } };
+}
+
+// Local dates from `fromDate` to `toDate` inclusive
+function daysBetween(fromDate, toDate) {
+    const days = [];
+    for (let day = fromDate; day <= toDate; day = timezone.addDays(day, 1)) {
+        days.push(day);
+    }
+    return days;
+}
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+function meanAndStdDev(values) {
+    if (values.length === 0) return { mean: null, stdDev: null };
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return { mean, stdDev: Math.sqrt(variance) };
+}
+
+// Least-squares slope of a daily series, per day
+function slope(values) {
+    const n = values.length;
+    if (n < 2) return null;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    values.forEach((v, x) => {
+        numerator += (x - meanX) * (v - meanY);
+        denominator += (x - meanX) ** 2;
+    });
+    return numerator / denominator;
+}
+
+function dailySeries(rows, days) {
+    const byDate = new Map(rows.map(row => [String(row.date).slice(0, 10), row]));
+    return days.map(date => ({
+        date,
+        total_count: byDate.get(date)?.scratch_count || 0,
+        max_frequency: byDate.get(date)?.max_scratch_frequency || null
+    }));
+}
+
+/**
+ * The dog's normal daily scratching. Uses the preceding window, starting
+ * from the first day with data so days before the collar was worn don't
+ * count as zero. Without history, the first third of the period is used.
+ */
+function computeBaseline(history, current) {
+    const firstWithData = history.findIndex(day => day.total_count > 0);
+    let source = 'preceding';
+    let days = firstWithData === -1 ? [] : history.slice(firstWithData);
+
+    if (days.length < 7) {
+        source = 'period_start';
+        days = current.slice(0, Math.max(Math.floor(current.length / 3), 1));
+    }
+
+    const { mean, stdDev } = meanAndStdDev(days.map(day => day.total_count));
+    const threshold = Math.max(
+        mean + ELEVATED_STD_DEVS * stdDev,
+        mean * ELEVATED_MIN_RATIO,
+        mean + ELEVATED_MIN_INCREASE
+    );
+
+    return {
+        source,
+        from: days[0]?.date ?? null,
+        to: days[days.length - 1]?.date ?? null,
+        days: days.length,
+        avg_per_day: round(mean),
+        std_dev: round(stdDev),
+        elevated_threshold: round(threshold)
+    };
+}
+
+function findSustainedIncreases(daily, baseline) {
+    const increases = [];
+    let run = [];
+
+    const close = () => {
+        if (run.length >= SUSTAINED_MIN_DAYS) {
+            const average = run.reduce((sum, day) => sum + day.total_count, 0) / run.length;
+            increases.push({
+                start_date: run[0].date,
+                end_date: run[run.length - 1].date,
+                days: run.length,
+                avg_per_day: round(average),
+                peak: Math.max(...run.map(day => day.total_count)),
+                increase_percent: baseline.avg_per_day ? Math.round((average / baseline.avg_per_day - 1) * 100) : null,
+                ongoing: run[run.length - 1] === daily[daily.length - 1]
+            });
+        }
+        run = [];
+    };
+
+    for (const day of daily) {
+        if (day.elevated) run.push(day);
+        else close();
+    }
+    close();
+
+    return increases;
+}
+
+function buildHeatmap(events, tz) {
+    const byHour = new Array(24).fill(0);
+    const byWeekdayHour = WEEKDAYS.map(() => new Array(24).fill(0));
+
+    for (const event of events) {
+        const at = new Date(event.detected_at);
+        const hour = timezone.localHour(at, tz);
+        const weekday = new Date(`${timezone.localDateKey(at, tz)}T00:00:00Z`).getUTCDay();
+        byHour[hour]++;
+        byWeekdayHour[weekday][hour]++;
+    }
+
+    const peakHours = byHour
+        .map((count, hour) => ({ hour, count }))
+        .filter(entry => entry.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 3);
+
+    return {
+        timezone: tz,
+        by_hour: byHour,
+        by_weekday_hour: Object.fromEntries(WEEKDAYS.map((day, i) => [day, byWeekdayHour[i]])),
+        peak_hours: peakHours
+    };
+}
+
+// =============================================================================
+// PLACES
+// =============================================================================
+
+function cellOf(lat, lon) {
+    const row = Math.floor(lat / PLACE_GRID_DEGREES);
+    const col = Math.floor(lon / PLACE_GRID_DEGREES);
+    return {
+        key: `${row}:${col}`,
+        latitude: (row + 0.5) * PLACE_GRID_DEGREES,
+        longitude: (col + 0.5) * PLACE_GRID_DEGREES
+    };
+}
+
+/**
+ * Visits away from home, one per stay in a grid cell.
+ */
+function findVisits(points) {
+    const visits = [];
+    let visit = null;
+
+    for (const point of points) {
+        const at = new Date(point.recorded_at).getTime();
+        if (point.is_home || point.latitude == null || point.longitude == null) {
+            visit = null;
+            continue;
+        }
+
+        const cell = cellOf(point.latitude, point.longitude);
+        if (visit && visit.cell.key === cell.key && at - visit.end <= VISIT_GAP_MINUTES * 60 * 1000) {
+            visit.end = at;
+        } else {
+            visit = { cell, start: at, end: at };
+            visits.push(visit);
+        }
+    }
+
+    return visits;
+}
+
+/**
+ * Places where scratching in the AFTER_VISIT_HOURS after leaving is above
+ * the dog's usual rate for the period.
+ */
+function correlatePlaces(points, events, zones, periodHours) {
+    if (events.length === 0 || periodHours <= 0) return [];
+
+    const times = events.map(event => new Date(event.detected_at).getTime()).sort((a, b) => a - b);
+    const windowMs = AFTER_VISIT_HOURS * 60 * 60 * 1000;
+    const expected = events.length / periodHours * AFTER_VISIT_HOURS;
+
+    const places = new Map();
+    for (const visit of findVisits(points)) {
+        const after = times.filter(t => t > visit.end && t <= visit.end + windowMs).length;
+        const place = places.get(visit.cell.key) || { cell: visit.cell, visits: 0, scratches_after: 0, last_visit: null };
+        place.visits++;
+        place.scratches_after += after;
+        place.last_visit = new Date(visit.end).toISOString();
+        places.set(visit.cell.key, place);
+    }
+
+    return [...places.values()]
+        .filter(place => place.visits >= MIN_PLACE_VISITS)
+        .map(place => {
+            const average = place.scratches_after / place.visits;
+            const zone = zones.find(z => geofences.containsPoint(z, place.cell.latitude, place.cell.longitude));
+            return {
+                name: zone?.name ?? null,
+                latitude: round(place.cell.latitude, 4),
+                longitude: round(place.cell.longitude, 4),
+                visits: place.visits,
+                last_visit: place.last_visit,
+                avg_scratches_after: round(average),
+                expected_scratches: round(expected),
+                lift: round(expected > 0 ? average / expected : null, 2),
+                spike: expected > 0 && average / expected >= PLACE_SPIKE_LIFT
+            };
+        })
+        .filter(place => place.lift != null && place.lift > 1)
+        .sort((a, b) => b.lift - a.lift)
+        .slice(0, 5);
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+function describeFindings(report) {
+    const findings = [];
+    const { baseline, comparison } = report;
+
+    if (comparison.change_percent != null && Math.abs(comparison.change_percent) >= 25) {
+        const direction = comparison.change_percent > 0 ? 'up' : 'down';
+        findings.push(`Scratching is ${direction} ${Math.abs(comparison.change_percent)}% on the baseline ` +
+            `(${comparison.current_avg_per_day} vs ${baseline.avg_per_day} per day).`);
+    }
+    for (const increase of report.sustained_increases) {
+        findings.push(`Sustained increase ${increase.start_date} to ${increase.end_date}${increase.ongoing ? ' (ongoing)' : ''}: ` +
+            `${increase.days} days averaging ${increase.avg_per_day} per day, peak ${increase.peak}.`);
+    }
+    for (const place of report.places.filter(p => p.spike)) {
+        findings.push(`Scratching is ${place.lift}x the usual rate in the ${AFTER_VISIT_HOURS} h after visiting ` +
+            `${place.name || `${place.latitude}, ${place.longitude}`} (${place.visits} visits).`);
+    }
+    if (report.heatmap.peak_hours.length > 0) {
+        findings.push(`Most scratching happens around ${report.heatmap.peak_hours.map(p => `${String(p.hour).padStart(2, '0')}:00`).join(', ')} (${report.heatmap.timezone}).`);
+    }
+    if (findings.length === 0) {
+        findings.push('No notable change in scratching over this period.');
+    }
+
+    return findings;
+}
+
+/**
+ * Build the vet report for a device over [from, to].
+ */
+async function buildVetReport(deviceId, { from, to, timezone: tz = timezone.DEFAULT_TIMEZONE }) {
+    const fromDate = timezone.localDateKey(from, tz);
+    const toDate = timezone.localDateKey(to, tz);
+    const baselineStart = timezone.addDays(fromDate, -SCRATCH_BASELINE_DAYS);
+
+    const [dailyResult, eventsResult, locationsResult, zones] = await Promise.all([
+        repo.dailyActivity.listBetween(deviceId, baselineStart, toDate),
+        repo.scratchEvents.listBetween(deviceId, from.toISOString(), to.toISOString(), MAX_REPORT_EVENTS),
+        repo.locations.listBetween(deviceId, from.toISOString(), to.toISOString(), {
+            columns: 'latitude, longitude, is_home, recorded_at',
+            limit: MAX_REPORT_LOCATIONS
+        }),
+        geofences.loadGeofences(deviceId)
+    ]);
+
+    for (const result of [dailyResult, eventsResult, locationsResult]) {
+        if (result.error) throw result.error;
+    }
+
+    const history = dailySeries(dailyResult.data || [], daysBetween(baselineStart, timezone.addDays(fromDate, -1)));
+    const current = dailySeries(dailyResult.data || [], daysBetween(fromDate, toDate));
+    const events = eventsResult.data || [];
+
+    const baseline = computeBaseline(history, current);
+    const daily = current.map(day => ({ ...day, elevated: day.total_count > baseline.elevated_threshold }));
+
+    const total = daily.reduce((sum, day) => sum + day.total_count, 0);
+    const currentAvg = total / daily.length;
+    const peakDay = daily.reduce((peak, day) => (day.total_count > (peak?.total_count ?? 0) ? day : peak), null);
+    const trend = slope(daily.map(day => day.total_count));
+
+    const report = {
+        device_id: deviceId,
+        period: { from: from.toISOString(), to: to.toISOString(), timezone: tz, days: daily.length },
+        generated_at: new Date().toISOString(),
+        summary: {
+            total_scratches: total,
+            avg_per_day: round(currentAvg),
+            peak_day: peakDay ? { date: peakDay.date, total_count: peakDay.total_count } : null,
+            episodes: events.length
+        },
+        baseline,
+        comparison: {
+            current_avg_per_day: round(currentAvg),
+            change_percent: baseline.avg_per_day ? Math.round((currentAvg / baseline.avg_per_day - 1) * 100) : null,
+            z_score: baseline.std_dev ? round((currentAvg - baseline.avg_per_day) / baseline.std_dev, 2) : null,
+            trend_per_week: round(trend != null ? trend * 7 : null)
+        },
+        sustained_increases: findSustainedIncreases(daily, baseline),
+        heatmap: buildHeatmap(events, tz),
+        places: correlatePlaces(locationsResult.data || [], events, zones, (to - from) / (60 * 60 * 1000)),
+        daily
+    };
+
+    report.findings = describeFindings(report);
+    return report;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+function csvValue(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(report) {
+    const inIncrease = date => report.sustained_increases.some(i => date >= i.start_date && date <= i.end_date);
+    const rows = report.daily.map(day => [
+        day.date,
+        day.total_count,
+        day.max_frequency,
+        report.baseline.avg_per_day,
+        day.elevated,
+        inIncrease(day.date)
+    ]);
+
+    return [
+        ['date', 'total_count', 'max_frequency', 'baseline_avg_per_day', 'elevated', 'sustained_increase'],
+        ...rows
+    ].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+function toPDF(report) {
+    const doc = pdf.createDocument({ title: `Scratch report - ${report.device_id}` });
+    const { baseline, comparison, summary } = report;
+
+    doc.heading(`Scratch & itch report: ${report.device_id}`)
+        .text(`Period ${report.daily[0]?.date} to ${report.daily[report.daily.length - 1]?.date} ` +
+            `(${report.period.days} days, ${report.period.timezone}). ` +
+            `Generated ${report.generated_at.slice(0, 16).replace('T', ' ')} UTC.`)
+        .gap()
+        .heading('Findings', 2);
+    for (const finding of report.findings) doc.text(`- ${finding}`);
+
+    doc.heading('Summary', 2)
+        .text(`Total scratches: ${summary.total_scratches} (${summary.avg_per_day} per day, ${summary.episodes} episodes)`)
+        .text(`Peak day: ${summary.peak_day ? `${summary.peak_day.date} (${summary.peak_day.total_count})` : 'none'}`)
+        .text(`Baseline: ${baseline.avg_per_day ?? '-'} per day (std dev ${baseline.std_dev ?? '-'}, ${baseline.days} days, ` +
+            `${baseline.source === 'preceding' ? 'preceding period' : 'start of this period - no earlier history'})`)
+        .text(`Change on baseline: ${comparison.change_percent ?? '-'}%, trend ${comparison.trend_per_week ?? '-'} scratches/day per week`);
+
+    if (report.sustained_increases.length > 0) {
+        doc.heading('Sustained increases', 2).table(
+            [{ label: 'From', width: 10 }, { label: 'To', width: 10 }, { label: 'Days', width: 5 },
+                { label: 'Avg/day', width: 8 }, { label: 'Peak', width: 5 }, { label: 'Change', width: 8 }],
+            report.sustained_increases.map(i => [i.start_date, i.end_date, i.days, i.avg_per_day, i.peak,
+                i.increase_percent != null ? `+${i.increase_percent}%` : '-'])
+        );
+    }
+
+    if (report.places.length > 0) {
+        doc.heading('Places followed by more scratching', 2).table(
+            [{ label: 'Place', width: 24 }, { label: 'Visits', width: 6 }, { label: `Avg ${AFTER_VISIT_HOURS}h after`, width: 12 },
+                { label: 'Usual', width: 6 }, { label: 'Ratio', width: 6 }],
+            report.places.map(p => [p.name || `${p.latitude}, ${p.longitude}`, p.visits, p.avg_scratches_after,
+                p.expected_scratches, `${p.lift}x`])
+        );
+    }
+
+    doc.heading(`Scratching by hour of day (${report.heatmap.timezone})`, 2).table(
+        [{ label: 'Day', width: 4 }, ...Array.from({ length: 24 }, (_, h) => ({ label: String(h).padStart(2, '0'), width: 2 }))],
+        Object.entries(report.heatmap.by_weekday_hour).map(([day, hours]) => [day, ...hours.map(c => (c > 99 ? '++' : c || '.'))])
+    );
+
+    doc.heading('Daily totals', 2).table(
+        [{ label: 'Date', width: 10 }, { label: 'Count', width: 6 }, { label: 'Max Hz', width: 7 }, { label: '', width: 8 }],
+        report.daily.map(day => [day.date, day.total_count, day.max_frequency ?? '-', day.elevated ? 'elevated' : ''])
+    );
+
+    return doc.toBuffer();
+}
+
+/**
+ * Serialise a report. Returns { body, contentType, filename }.
+ */
+function exportVetReport(report, format) {
+    const { contentType, extension } = VET_REPORT_FORMATS[format];
+    let body;
+    if (format === 'csv') body = toCSV(report);
+    else if (format === 'pdf') body = toPDF(report);
+    else body = JSON.stringify(report);
+
+    const filename = `vet-report-${report.device_id}-${report.period.from.slice(0, 10)}-${report.period.to.slice(0, 10)}.${extension}`;
+    return { body, contentType, filename };
+}
+
+module.exports = {
+    VET_REPORT_FORMATS,
+    parseReportPeriod,
+    buildVetReport,
+    exportVetReport
+};
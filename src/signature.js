@@ -0,0 +1,274 @@
+// =============================================================================
+// POPCORN GATEWAY - TELEMETRY SIGNATURES
+// =============================================================================
+// v2 (current): HMAC-SHA256 over the raw request body, sent in headers
+//   X-Popcorn-Signature-Version: 2
+//   X-Popcorn-Timestamp:         unix seconds
+//   X-Popcorn-Nonce:             random string, unique per request
+//   X-Popcorn-Signature:         hex HMAC-SHA256(key, "<timestamp>.<nonce>.<body>")
+// Requests outside the timestamp window or reusing a nonce are rejected.
+// Seen nonces live in a pluggable store (NONCE_STORE) shared by all
+// instances, like the rate-limit counters:
+//   memory (default) - in-process only, for a single instance
+//   supabase         - the `signature_nonces` table
+//
+// v1 (legacy): djb2 hash of JSON.stringify(payload) mixed with the key, sent
+// as `signature` in the body. Still accepted from old firmware until
+// LEGACY_SIGNATURES=false retires it - but never from a device that has
+// signed with v2 before (devices.signature_v2_at), as djb2 is easily forged.
+// =============================================================================
+
+const crypto = require('crypto');
+const metrics = require('./metrics');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const LEGACY_SIGNATURES_ENABLED = process.env.LEGACY_SIGNATURES !== 'false';
+// Firmware at or above this version must sign with v2. The version comes
+// from the payload, so this only catches misbehaving firmware - forgers are
+// stopped by the per-device v2 record.
+const SIGNATURE_V2_MIN_FIRMWARE = process.env.SIGNATURE_V2_MIN_FIRMWARE || null;
+const SIGNATURE_WINDOW_SECONDS = parseInt(process.env.SIGNATURE_WINDOW_SECONDS || '300');
+// Development only - accept telemetry from devices without a key
+const ALLOW_UNSIGNED_TELEMETRY = process.env.ALLOW_UNSIGNED_TELEMETRY === 'true';
+const NONCE_STORE = process.env.NONCE_STORE || 'memory';
+
+const NONCE_PRUNE_INTERVAL_MS = 60 * 1000;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Compare dotted version strings ("6.1.0" vs "6.2"). Returns <0, 0 or >0.
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).replace(/^v/, '').split('.').map(n => parseInt(n) || 0);
+    const partsB = String(b).replace(/^v/, '').split('.').map(n => parseInt(n) || 0);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// =============================================================================
+// REPLAY PROTECTION
+// =============================================================================
+// A timestamp is accepted up to SIGNATURE_WINDOW_SECONDS either side of now,
+// so a nonce is remembered for twice the window; anything older is already
+// rejected by the timestamp check. A store's claim(key, ttlSeconds) resolves
+// with true the first time it sees `key` within the TTL, false after.
+
+const NONCE_TTL_SECONDS = 2 * SIGNATURE_WINDOW_SECONDS;
+
+function createMemoryNonceStore() {
+    const seenNonces = new Map();
+
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, expiresAt] of seenNonces) {
+            if (expiresAt <= now) seenNonces.delete(key);
+        }
+    }, NONCE_PRUNE_INTERVAL_MS).unref();
+
+    return {
+        async claim(key, ttlSeconds) {
+            if ((seenNonces.get(key) || 0) > Date.now()) return false;
+            seenNonces.set(key, Date.now() + ttlSeconds * 1000);
+            return true;
+        }
+    };
+}
+
+function createSupabaseNonceStore() {
+    const { db } = require('./db');
+
+    setInterval(() => {
+        db.from('signature_nonces')
+            .delete()
+            .lt('expires_at', new Date().toISOString())
+            .then(({ error }) => {
+                if (error) console.error('[SECURITY] Nonce prune error:', error);
+            });
+    }, NONCE_PRUNE_INTERVAL_MS).unref();
+
+    return {
+        async claim(key, ttlSeconds) {
+            const { data, error } = await db
+                .from('signature_nonces')
+                .upsert({
+                    key: key,
+                    expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+                }, { onConflict: 'key', ignoreDuplicates: true })
+                .select('key');
+
+            if (error) throw error;
+            return (data || []).length > 0;
+        }
+    };
+}
+
+function createNonceStore() {
+    switch (NONCE_STORE) {
+        case 'memory':
+            return createMemoryNonceStore();
+        case 'supabase':
+            return createSupabaseNonceStore();
+        default:
+            console.error(`ERROR: Unknown NONCE_STORE "${NONCE_STORE}" (expected memory or supabase)`);
+            process.exit(1);
+    }
+}
+
+const nonceStore = createNonceStore();
+
+function checkAndRememberNonce(deviceId, nonce) {
+    return nonceStore.claim(`${deviceId}:${nonce}`, NONCE_TTL_SECONDS);
+}
+
+// =============================================================================
+// SIGNATURE SCHEMES
+// =============================================================================
+
+async function verifyV2(req, deviceId, keys) {
+    const timestamp = req.get('X-Popcorn-Timestamp');
+    const nonce = req.get('X-Popcorn-Nonce');
+    const signature = req.get('X-Popcorn-Signature');
+
+    if (!timestamp || !nonce || !signature) {
+        return { valid: false, reason: 'missing_signature' };
+    }
+
+    if (!/^[A-Za-z0-9_-]{8,64}$/.test(nonce)) {
+        return { valid: false, reason: 'invalid_nonce' };
+    }
+
+    const skew = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+    if (!(skew <= SIGNATURE_WINDOW_SECONDS)) {
+        return { valid: false, reason: 'stale_timestamp' };
+    }
+
+    const matches = keys.some(key => {
+        const expected = crypto
+            .createHmac('sha256', key)
+            .update(`${timestamp}.${nonce}.`)
+            .update(req.rawBody || '')
+            .digest('hex');
+        return safeEqual(expected, signature.toLowerCase());
+    });
+
+    if (!matches) {
+        return { valid: false, reason: 'bad_signature' };
+    }
+
+    // Only remember nonces of authentic requests so forged ones can't burn them
+    if (!await checkAndRememberNonce(deviceId, nonce)) {
+        return { valid: false, reason: 'replayed_nonce' };
+    }
+
+    return { valid: true };
+}
+
+function legacyHash(payload, key) {
+    // Reconstruct payload without signature for verification
+    const payloadCopy = { ...payload };
+    delete payloadCopy.signature;
+
+    const dataString = JSON.stringify(payloadCopy);
+
+    // djb2 hash algorithm (same as firmware)
+    let hash = 5381;
+    for (let i = 0; i < dataString.length; i++) {
+        hash = ((hash << 5) + hash) + dataString.charCodeAt(i);
+        hash = hash >>> 0; // Convert to unsigned 32-bit
+    }
+
+    // Mix in the key
+    for (let i = 0; i < key.length; i++) {
+        hash = ((hash << 5) + hash) + key.charCodeAt(i);
+        hash = hash >>> 0;
+    }
+
+    return hash >>> 0;
+}
+
+function verifyLegacy(payload, keys) {
+    if (!payload.signature) {
+        return { valid: false, reason: 'missing_signature' };
+    }
+
+    // Compare (firmware sends as integer)
+    const provided = parseInt(payload.signature);
+    if (!keys.some(key => legacyHash(payload, key) === provided)) {
+        return { valid: false, reason: 'bad_signature' };
+    }
+
+    return { valid: true };
+}
+
+// =============================================================================
+// VERIFICATION
+// =============================================================================
+
+/**
+ * Verify a telemetry request against the device's signing keys (see
+ * devices.getSigningKeys). With `v2Only` the legacy scheme is refused.
+ * Resolves with { valid, scheme, reason } where `reason` is a short
+ * machine-readable code on failure. Rejects when the nonce store can't be
+ * reached.
+ */
+async function verifyHMAC(req, payload, keys, { v2Only = false } = {}) {
+    const deviceId = payload.device_id;
+
+    if (keys.length === 0) {
+        if (ALLOW_UNSIGNED_TELEMETRY) {
+            console.warn(`[SECURITY] No key for ${deviceId} - accepting unsigned telemetry (ALLOW_UNSIGNED_TELEMETRY)`);
+            return { valid: true, scheme: 'none' };
+        }
+        metrics.signatureFailures.inc({ scheme: 'none', reason: 'no_device_key' });
+        return { valid: false, scheme: 'none', reason: 'no_device_key' };
+    }
+
+    let result;
+    let scheme;
+
+    if (req.get('X-Popcorn-Signature-Version') === '2') {
+        scheme = 'v2';
+        result = await verifyV2(req, deviceId, keys);
+    } else {
+        scheme = 'legacy';
+        if (!LEGACY_SIGNATURES_ENABLED) {
+            result = { valid: false, reason: 'legacy_signature_retired' };
+        } else if (v2Only) {
+            result = { valid: false, reason: 'legacy_signature_not_allowed' };
+        } else if (SIGNATURE_V2_MIN_FIRMWARE && payload.firmware_version &&
+            compareVersions(payload.firmware_version, SIGNATURE_V2_MIN_FIRMWARE) >= 0) {
+            result = { valid: false, reason: 'legacy_signature_not_allowed' };
+        } else {
+            result = verifyLegacy(payload, keys);
+        }
+    }
+
+    if (!result.valid) {
+        metrics.signatureFailures.inc({ scheme, reason: result.reason });
+        console.warn(`[SECURITY] ${scheme} signature rejected for ${deviceId}: ${result.reason}`);
+    }
+
+    return { ...result, scheme };
+}
+
+module.exports = {
+    LEGACY_SIGNATURES_ENABLED,
+    NONCE_STORE,
+    compareVersions,
+    verifyHMAC
+};
@@ -0,0 +1,211 @@
+// =============================================================================
+// POPCORN GATEWAY - SLEEP SESSIONS
+// =============================================================================
+// Builds `sleep_sessions` from the collar's `sleep.active` transitions. Every
+// reading taken while asleep is kept in `respiratory_samples` (respiratory
+// rate, restless count, quality); when the dog wakes up the session is closed
+// with its duration, respiratory-rate stats, restless events and final
+// quality.
+//
+// Nights are local to the device's timezone and run noon to noon.
+// =============================================================================
+
+const repo = require('./repositories');
+const timezone = require('./timezone');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// A silence this long inside a session (collar offline) splits it in two
+const SLEEP_GAP_MINUTES = parseInt(process.env.SLEEP_GAP_MINUTES || '120');
+
+// Nights run noon to noon (local), so a 1am nap counts towards the evening before
+const NIGHT_BOUNDARY_HOURS = 12;
+
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+async function getOpenSession(deviceId) {
+    const { data: session, error } = await repo.sleepSessions.getOpen(deviceId);
+
+    if (error) throw error;
+    if (!session) return null;
+
+    const { data: lastSample } = await repo.respiratorySamples.getLatest(session.id);
+
+    return { ...session, last_sample_at: lastSample?.recorded_at || session.started_at };
+}
+
+async function openSession(deviceId, startedAt) {
+    const { data, error } = await repo.sleepSessions.create({
+        device_id: deviceId,
+        started_at: startedAt.toISOString()
+    });
+
+    if (error) throw error;
+    console.log(`[SLEEP] ${deviceId} fell asleep (session ${data.id})`);
+    return { ...data, last_sample_at: data.started_at };
+}
+
+async function closeSession(session, endedAt) {
+    const { data: samples, error: samplesError } = await repo.respiratorySamples.listForSession(session.id);
+
+    if (samplesError) throw samplesError;
+
+    const rates = (samples || []).map(s => s.respiratory_rate).filter(rate => rate > 0);
+    const last = samples?.[samples.length - 1];
+    const durationMinutes = Math.max(0, Math.round((endedAt - new Date(session.started_at)) / 60000));
+
+    const { error } = await repo.sleepSessions.update(session.id, {
+        ended_at: endedAt.toISOString(),
+        duration_minutes: durationMinutes,
+        avg_respiratory_rate: rates.length > 0
+            ? Number((rates.reduce((sum, rate) => sum + rate, 0) / rates.length).toFixed(1))
+            : null,
+        min_respiratory_rate: rates.length > 0 ? Math.min(...rates) : null,
+        max_respiratory_rate: rates.length > 0 ? Math.max(...rates) : null,
+        // The collar's counter is cumulative within a session
+        restless_count: Math.max(0, ...(samples || []).map(s => s.restless_count || 0)),
+        quality_score: last?.sleep_quality ?? null,
+        sample_count: samples?.length || 0
+    });
+
+    if (error) throw error;
+    console.log(`[SLEEP] ${session.device_id} woke up after ${durationMinutes} min (session ${session.id})`);
+}
+
+// =============================================================================
+// INGESTION
+// =============================================================================
+
+/**
+ * Apply readings (oldest first) to the device's sleep sessions. Each entry is
+ * { payload, readingTime }. Used for single live readings and for batches.
+ * Resolves with the start times of the sessions that were closed.
+ */
+async function processSleepReadings(deviceId, readings) {
+    let session = await getOpenSession(deviceId);
+    let pending = [];
+    const closed = [];
+
+    const flush = async () => {
+        if (pending.length === 0) return;
+        const { error } = await repo.respiratorySamples.insert(pending);
+        if (error) {
+            console.error('[SLEEP] Sample insert error:', error);
+        }
+        pending = [];
+    };
+
+    for (const { payload, readingTime } of readings) {
+        const asleep = payload.sleep?.active === true;
+
+        // Collar went quiet mid-session - close at the last sample we have
+        if (session && readingTime - new Date(session.last_sample_at) > SLEEP_GAP_MINUTES * 60 * 1000) {
+            await flush();
+            await closeSession(session, new Date(session.last_sample_at));
+            closed.push(session.started_at);
+            session = null;
+        }
+
+        if (asleep) {
+            if (!session) {
+                await flush();
+                session = await openSession(deviceId, readingTime);
+            }
+            pending.push({
+                session_id: session.id,
+                device_id: deviceId,
+                respiratory_rate: payload.sleep.respiratory_rate ?? null,
+                restless_count: payload.sleep.restless_count ?? 0,
+                sleep_quality: payload.sleep.quality ?? null,
+                recorded_at: readingTime.toISOString()
+            });
+            session.last_sample_at = readingTime.toISOString();
+        } else if (session) {
+            await flush();
+            await closeSession(session, readingTime);
+            closed.push(session.started_at);
+            session = null;
+        }
+    }
+
+    await flush();
+    return closed;
+}
+
+// =============================================================================
+// NIGHTLY TRENDS
+// =============================================================================
+
+/**
+ * The night (local date of its evening) a session starting at `startedAt`
+ * belongs to.
+ */
+function nightOf(startedAt, tz) {
+    const start = new Date(startedAt);
+    const date = timezone.localDateKey(start, tz);
+    return timezone.localHour(start, tz) >= NIGHT_BOUNDARY_HOURS ? date : timezone.addDays(date, -1);
+}
+
+/**
+ * Group closed sessions into nights with totals and respiratory trends.
+ */
+function summariseNights(sessions, tz) {
+    const nights = new Map();
+
+    for (const session of sessions) {
+        if (!session.ended_at) continue;
+        const night = nightOf(session.started_at, tz);
+        const entry = nights.get(night) || {
+            night,
+            sessions: 0,
+            total_minutes: 0,
+            restless_count: 0,
+            qualities: [],
+            rates: [],
+            min_respiratory_rate: null,
+            max_respiratory_rate: null
+        };
+
+        entry.sessions++;
+        entry.total_minutes += session.duration_minutes || 0;
+        entry.restless_count += session.restless_count || 0;
+        if (session.quality_score != null) entry.qualities.push(session.quality_score);
+        if (session.avg_respiratory_rate != null) {
+            // Weight by duration so a short nap doesn't skew the night
+            entry.rates.push([session.avg_respiratory_rate, session.duration_minutes || 1]);
+        }
+        if (session.min_respiratory_rate != null) {
+            entry.min_respiratory_rate = Math.min(entry.min_respiratory_rate ?? Infinity, session.min_respiratory_rate);
+        }
+        if (session.max_respiratory_rate != null) {
+            entry.max_respiratory_rate = Math.max(entry.max_respiratory_rate ?? -Infinity, session.max_respiratory_rate);
+        }
+        nights.set(night, entry);
+    }
+
+    return [...nights.values()]
+        .sort((a, b) => b.night.localeCompare(a.night))
+        .map(({ qualities, rates, ...night }) => {
+            const weight = rates.reduce((sum, [, minutes]) => sum + minutes, 0);
+            return {
+                ...night,
+                avg_quality: qualities.length > 0
+                    ? Number((qualities.reduce((sum, q) => sum + q, 0) / qualities.length).toFixed(1))
+                    : null,
+                avg_respiratory_rate: weight > 0
+                    ? Number((rates.reduce((sum, [rate, minutes]) => sum + rate * minutes, 0) / weight).toFixed(1))
+                    : null
+            };
+        });
+}
+
+module.exports = {
+    NIGHT_BOUNDARY_HOURS,
+    processSleepReadings,
+    nightOf,
+    summariseNights
+};
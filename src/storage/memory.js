@@ -0,0 +1,373 @@
+// =============================================================================
+// POPCORN GATEWAY - IN-MEMORY STORAGE BACKEND
+// =============================================================================
+// A process-local stand-in for the Supabase client, for local runs, CI and
+// integration tests. It implements the subset of the PostgREST query builder
+// the gateway uses:
+//   from().select() / insert() / upsert() / update() / delete()
+//   eq, neq, gt, gte, lt, lte, is, in, order, limit, range,
+//   single, maybeSingle, select(..., { count: 'exact', head: true })
+// Results have the same { data, error, count } shape as supabase-js.
+// Nothing is persisted - every process starts with empty tables.
+// =============================================================================
+
+// Natural keys enforced on insert and used by upsert without onConflict
+const UNIQUE_KEYS = {
+    devices: ['device_id'],
+    device_status: ['device_id'],
+    device_access: ['device_id', 'user_id'],
+    daily_activity: ['device_id', 'date'],
+    household_members: ['device_id'],
+    location_hourly: ['device_id', 'hour'],
+    telemetry_readings: ['device_id', 'boot_count', 'seq'],
+    device_health: ['device_id'],
+    firmware_releases: ['version'],
+    firmware_updates: ['release_id', 'device_id'],
+    signature_nonces: ['key']
+};
+
+// Column defaults mirroring the SQL migrations
+const TABLE_DEFAULTS = {
+    locations: () => ({ recorded_at: new Date().toISOString(), walk_point: false }),
+    scratch_events: () => ({ detected_at: new Date().toISOString() }),
+    anomaly_log: () => ({ detected_at: new Date().toISOString(), status: 'open', days_active: 1, occurrences: 1, escalation_level: 0 }),
+    alert_channels: () => ({ enabled: true }),
+    geofences: () => ({ enabled: true, kind: 'safe' }),
+    devices: () => ({ status: 'active', rejected_count: 0, timezone: 'UTC' }),
+    walk_sessions: () => ({ reconciled: false, source: 'app' }),
+    telemetry_quarantine: () => ({ received_at: new Date().toISOString() }),
+    telemetry_readings: () => ({ received_at: new Date().toISOString() }),
+    device_health: () => ({ state: 'online', boot_events: [], reboot_loop: false }),
+    firmware_releases: () => ({ status: 'draft', rollout_device_ids: [], created_at: new Date().toISOString() }),
+    households: () => ({ created_at: new Date().toISOString() }),
+    household_members: () => ({ added_at: new Date().toISOString() }),
+    daily_activity: () => ({
+        steps: 0, scratch_count: 0, max_scratch_frequency: 0,
+        walk_count: 0, walk_distance_meters: 0, walk_seconds: 0,
+        sleep_sessions: 0, sleep_minutes: 0, restless_count: 0
+    })
+};
+
+// Round-trip through JSON like the wire does (drops undefined, Dates -> ISO)
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'string' && typeof b === 'string' && ISO_DATE.test(a) && ISO_DATE.test(b)) {
+        return Date.parse(a) - Date.parse(b);
+    }
+    const numA = Number(a);
+    const numB = Number(b);
+    if (a !== '' && b !== '' && !isNaN(numA) && !isNaN(numB)) return numA - numB;
+    return String(a).localeCompare(String(b));
+}
+
+// PostgREST receives every filter value as text - "7" matches 7
+const looselyEqual = (a, b) => a != null && b != null && String(a) === String(b);
+
+function project(row, columns) {
+    if (!columns || columns.trim() === '*') return clone(row);
+    const projected = {};
+    for (const column of columns.split(',').map(c => c.trim()).filter(Boolean)) {
+        projected[column] = clone(row[column] ?? null);
+    }
+    return projected;
+}
+
+function uniqueError(table, columns) {
+    return {
+        code: '23505',
+        message: `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`
+    };
+}
+
+// =============================================================================
+// QUERY BUILDER
+// =============================================================================
+
+class MemoryQuery {
+    constructor(store, table) {
+        this.store = store;
+        this.table = table;
+        this.action = null;
+        this.values = null;
+        this.options = {};
+        this.filters = [];
+        this.orders = [];
+        this.rowLimit = null;
+        this.rowOffset = 0;
+        this.columns = '*';
+        this.returning = false;
+        this.countMode = null;
+        this.head = false;
+        this.singleMode = null;
+    }
+
+    // ----- actions -----
+
+    select(columns = '*', options = {}) {
+        if (this.action) {
+            this.returning = true;
+        } else {
+            this.action = 'select';
+        }
+        this.columns = columns;
+        this.countMode = options.count || null;
+        this.head = Boolean(options.head);
+        return this;
+    }
+
+    insert(values) {
+        this.action = 'insert';
+        this.values = values;
+        return this;
+    }
+
+    upsert(values, options = {}) {
+        this.action = 'upsert';
+        this.values = values;
+        this.options = options;
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    // ----- filters -----
+
+    eq(column, value) { return this.where(row => looselyEqual(row[column], value)); }
+    neq(column, value) { return this.where(row => row[column] != null && !looselyEqual(row[column], value)); }
+    gt(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) > 0); }
+    gte(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) >= 0); }
+    lt(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) < 0); }
+    lte(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) <= 0); }
+    in(column, values) { return this.where(row => values.some(value => looselyEqual(row[column], value))); }
+
+    is(column, value) {
+        return this.where(row => (value === null ? row[column] == null : row[column] === value));
+    }
+
+    // not('col', 'is', null) etc. - the negation of one of the filters above
+    not(column, operator, value) {
+        const [predicate] = new MemoryQuery(this.store, this.table)[operator](column, value).filters;
+        return this.where(row => !predicate(row));
+    }
+
+    where(predicate) {
+        this.filters.push(predicate);
+        return this;
+    }
+
+    // ----- modifiers -----
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.rowLimit = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.rowOffset = from;
+        this.rowLimit = to - from + 1;
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybe';
+        return this;
+    }
+
+    // ----- execution -----
+
+    then(resolve, reject) {
+        let result;
+        try {
+            result = this.execute();
+        } catch (error) {
+            result = { data: null, error: { message: error.message } };
+        }
+        return Promise.resolve(result).then(resolve, reject);
+    }
+
+    matches(row) {
+        return this.filters.every(predicate => predicate(row));
+    }
+
+    sortAndSlice(rows) {
+        const sorted = [...rows];
+        for (const { column, ascending } of [...this.orders].reverse()) {
+            sorted.sort((a, b) => {
+                // Postgres puts NULLs last ascending, first descending
+                if (a[column] == null && b[column] == null) return 0;
+                if (a[column] == null) return ascending ? 1 : -1;
+                if (b[column] == null) return ascending ? -1 : 1;
+                const diff = compareValues(a[column], b[column]);
+                return ascending ? diff : -diff;
+            });
+        }
+        const end = this.rowLimit != null ? this.rowOffset + this.rowLimit : undefined;
+        return sorted.slice(this.rowOffset, end);
+    }
+
+    finish(rows, { returnRows = true, count = null } = {}) {
+        if (!returnRows) return { data: null, error: null, count };
+
+        const data = rows.map(row => project(row, this.columns));
+
+        if (this.singleMode === 'single' && data.length !== 1) {
+            return {
+                data: null,
+                error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' },
+                count
+            };
+        }
+        if (this.singleMode === 'maybe') {
+            if (data.length > 1) {
+                return {
+                    data: null,
+                    error: { code: 'PGRST116', message: 'JSON object requested, multiple rows returned' },
+                    count
+                };
+            }
+            return { data: data[0] || null, error: null, count };
+        }
+        if (this.singleMode === 'single') {
+            return { data: data[0], error: null, count };
+        }
+        return { data, error: null, count };
+    }
+
+    execute() {
+        const rows = this.store.table(this.table);
+
+        switch (this.action) {
+            case 'select': {
+                const matched = rows.filter(row => this.matches(row));
+                const count = this.countMode ? matched.length : null;
+                if (this.head) return { data: null, error: null, count };
+                return this.finish(this.sortAndSlice(matched), { count });
+            }
+
+            case 'insert': {
+                const inserted = [];
+                for (const values of [].concat(this.values)) {
+                    const row = this.store.prepareRow(this.table, values);
+                    const key = UNIQUE_KEYS[this.table];
+                    if (key && rows.some(existing => key.every(c => looselyEqual(existing[c], row[c])))) {
+                        return { data: null, error: uniqueError(this.table, key) };
+                    }
+                    rows.push(row);
+                    inserted.push(row);
+                }
+                return this.finish(inserted, { returnRows: this.returning });
+            }
+
+            case 'upsert': {
+                const key = this.options.onConflict
+                    ? this.options.onConflict.split(',').map(c => c.trim())
+                    : (UNIQUE_KEYS[this.table] || ['id']);
+                const written = [];
+                for (const values of [].concat(this.values)) {
+                    const existing = rows.find(row => key.every(c => looselyEqual(row[c], values[c])));
+                    if (existing) {
+                        if (this.options.ignoreDuplicates) continue;
+                        Object.assign(existing, clone(values));
+                        written.push(existing);
+                    } else {
+                        const row = this.store.prepareRow(this.table, values);
+                        rows.push(row);
+                        written.push(row);
+                    }
+                }
+                return this.finish(written, { returnRows: this.returning });
+            }
+
+            case 'update': {
+                const updated = rows.filter(row => this.matches(row));
+                for (const row of updated) {
+                    Object.assign(row, clone(this.values));
+                }
+                return this.finish(updated, { returnRows: this.returning });
+            }
+
+            case 'delete': {
+                const deleted = rows.filter(row => this.matches(row));
+                this.store.tables.set(this.table, rows.filter(row => !deleted.includes(row)));
+                return this.finish(deleted, { returnRows: this.returning });
+            }
+
+            default:
+                return { data: null, error: { message: 'No query action' } };
+        }
+    }
+}
+
+// =============================================================================
+// CLIENT
+// =============================================================================
+
+class MemoryStore {
+    constructor() {
+        this.tables = new Map();
+        this.nextId = 1;
+    }
+
+    table(name) {
+        if (!this.tables.has(name)) this.tables.set(name, []);
+        return this.tables.get(name);
+    }
+
+    prepareRow(table, values) {
+        return {
+            id: this.nextId++,
+            created_at: new Date().toISOString(),
+            ...(TABLE_DEFAULTS[table] ? TABLE_DEFAULTS[table]() : {}),
+            ...clone(values)
+        };
+    }
+}
+
+/**
+ * Create a Supabase-compatible client backed by process memory.
+ */
+function createMemoryClient() {
+    const store = new MemoryStore();
+
+    return {
+        backend: 'memory',
+        from: table => new MemoryQuery(store, table),
+        // Only local JWT verification (SUPABASE_JWT_SECRET) works offline
+        auth: {
+            getUser: async () => ({
+                data: { user: null },
+                error: { message: 'Supabase Auth is not available with the memory storage backend' }
+            })
+        },
+        // Test helper - drop all rows
+        reset: () => {
+            store.tables.clear();
+            store.nextId = 1;
+        }
+    };
+}
+
+module.exports = { createMemoryClient };
@@ -0,0 +1,627 @@
+// =============================================================================
+// POPCORN GATEWAY - TELEMETRY INGESTION
+// =============================================================================
+// Shared by POST /telemetry (one live reading) and POST /telemetry/batch
+// (readings buffered on the collar while it had no coverage).
+//
+// Payloads failing the schema (schema.js) are kept in `telemetry_quarantine`
+// with their field errors so firmware bugs can be debugged.
+//
+// Readings may carry a device-side `timestamp` (unix seconds or ISO 8601)
+// and a `seq` number. Sequence numbers are claimed in `telemetry_readings`
+// per boot (`boot_count`, since the counter restarts when the collar does)
+// so a reading that is uploaded twice is only ingested once. A reading whose
+// writes fail gives its claim back, so the collar's retry is not taken for a
+// duplicate. Claims are pruned once a re-upload would be rejected as too old
+// anyway.
+// =============================================================================
+
+const { db } = require('./db');
+const repo = require('./repositories');
+const alerts = require('./alerts');
+const geofences = require('./geofences');
+const walks = require('./walks');
+const sleep = require('./sleep');
+const schema = require('./schema');
+const live = require('./live');
+const battery = require('./battery');
+const monitor = require('./monitor');
+const anomalies = require('./anomalies');
+const daily = require('./daily');
+const timezone = require('./timezone');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const MAX_BATCH_SIZE = parseInt(process.env.TELEMETRY_MAX_BATCH_SIZE || '500');
+// Oldest buffered reading we still accept
+const MAX_READING_AGE_HOURS = parseInt(process.env.TELEMETRY_MAX_READING_AGE_HOURS || '168');
+// Tolerated collar clock drift into the future
+const MAX_CLOCK_SKEW_SECONDS = 300;
+const SEQUENCE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Parse a device timestamp - unix seconds, unix milliseconds or ISO 8601.
+ * Returns null when missing or unparseable.
+ */
+function parseReadingTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let date;
+    if (typeof value === 'number') {
+        date = new Date(value > 1e12 ? value : value * 1000);
+    } else {
+        date = new Date(value);
+    }
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Why a device timestamp can't be trusted, or null when it is in range
+function readingTimeError(readingTime) {
+    if (readingTime.getTime() > Date.now() + MAX_CLOCK_SKEW_SECONDS * 1000) return 'timestamp is in the future';
+    if (readingTime.getTime() < Date.now() - MAX_READING_AGE_HOURS * 60 * 60 * 1000) return 'timestamp is too old';
+    return null;
+}
+
+/**
+ * Time of a live reading: the device timestamp when it is present and in
+ * range, otherwise arrival time. A collar with a broken clock must not
+ * stamp readings far in the future - device_status would ignore every
+ * reading after it as older.
+ */
+function liveReadingTime(deviceId, value) {
+    const readingTime = parseReadingTime(value);
+    if (!readingTime) return new Date();
+
+    const error = readingTimeError(readingTime);
+    if (error) {
+        console.warn(`[TELEMETRY] Ignoring timestamp from ${deviceId} (${readingTime.toISOString()}): ${error}`);
+        return new Date();
+    }
+    return readingTime;
+}
+
+function hasValidFix(payload) {
+    return Boolean(payload.gps?.valid && payload.gps.lat != null && payload.gps.lon != null);
+}
+
+// A failed history write fails the whole reading - the collar retries it
+function writeError(what, error) {
+    console.error(`[TELEMETRY] ${what} error:`, error);
+    return new Error(`${what} failed: ${error.message}`);
+}
+
+function buildStatusUpdate(deviceId, payload, readingTime) {
+    return {
+        device_id: deviceId,
+
+        // GPS
+        latitude: payload.gps?.lat ?? null,
+        longitude: payload.gps?.lon ?? null,
+        altitude: payload.gps?.alt ?? null,
+        speed: payload.gps?.speed ?? null,
+        hdop: payload.gps?.hdop ?? null,
+        satellites: payload.gps?.satellites ?? 0,
+        gps_valid: payload.gps?.valid ?? false,
+
+        // Accelerometer
+        accel_x: payload.accelerometer?.x ?? null,
+        accel_y: payload.accelerometer?.y ?? null,
+        accel_z: payload.accelerometer?.z ?? null,
+        accel_magnitude: payload.accelerometer?.magnitude ?? null,
+        accel_variance: payload.accelerometer?.variance ?? null,
+
+        // Activity
+        activity_class: payload.activity?.class ?? 0,
+        activity_name: payload.activity?.name || 'unknown',
+        session_steps: payload.activity?.session_steps ?? 0,
+        today_steps: payload.activity?.today_steps ?? 0,
+
+        // Location
+        is_home: payload.location?.is_home ?? true,
+        is_escaped: payload.location?.is_escaped ?? false,
+        distance_from_home: payload.location?.distance_home ?? null,
+
+        // Battery
+        battery_voltage: payload.battery?.voltage ?? null,
+        battery_percent: payload.battery?.percent ?? null,
+
+        // Network
+        signal_strength: payload.network?.signal ?? null,
+        network_operator: payload.network?.operator ?? null,
+
+        // Sleep
+        sleep_active: payload.sleep?.active ?? false,
+        sleep_quality: payload.sleep?.quality ?? null,
+        respiratory_rate: payload.sleep?.respiratory_rate ?? null,
+        restless_count: payload.sleep?.restless_count ?? 0,
+
+        // Walk
+        walk_active: payload.walk?.active ?? false,
+        walk_duration: payload.walk?.duration ?? 0,
+        walk_distance: payload.walk?.distance ?? 0,
+        walk_stops: payload.walk?.stops ?? 0,
+
+        // Anti-cheat (V6.1 NEW)
+        walk_verification_status: payload.walk?.verification_status || 'not_walking',
+        walk_quality_score: payload.walk?.quality_score ?? 0,
+        carried_seconds: payload.walk?.carried_seconds ?? 0,
+        vehicle_seconds: payload.walk?.vehicle_seconds ?? 0,
+        actual_walk_seconds: payload.walk?.actual_walk_seconds ?? 0,
+        cheat_flags: payload.walk?.cheat_flags ?? 0,
+
+        // Scratch
+        scratch_detected: payload.scratch?.detected ?? false,
+        today_scratch_count: payload.scratch?.today_count ?? 0,
+
+        // Health
+        anomaly_detected: payload.health?.anomaly ?? false,
+        anomaly_type: payload.health?.anomaly_type ?? null,
+        activity_deviation: payload.health?.deviation ?? null,
+
+        // System
+        // Left out when missing so the last reported count and version are kept
+        boot_count: payload.boot_count,
+        firmware_version: payload.firmware_version,
+        last_seq: payload.seq ?? null,
+        last_reading_at: readingTime.toISOString(),
+        last_seen_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+}
+
+function buildLocationRow(deviceId, payload, readingTime, flags) {
+    return {
+        device_id: deviceId,
+        latitude: payload.gps.lat,
+        longitude: payload.gps.lon,
+        altitude: payload.gps.alt,
+        speed: payload.gps.speed,
+        hdop: payload.gps.hdop,
+        satellites: payload.gps.satellites,
+        activity_class: payload.activity?.class,
+        // Step counter and motion samples for server-side walk verification
+        step_count: payload.activity?.today_steps ?? null,
+        accel_variance: payload.accelerometer?.variance ?? null,
+        is_home: flags.is_home,
+        is_escaped: flags.is_escaped,
+        recorded_at: readingTime.toISOString()
+    };
+}
+
+function buildScratchRow(deviceId, payload, readingTime) {
+    return {
+        device_id: deviceId,
+        frequency_hz: payload.scratch.frequency,
+        confidence: payload.scratch.confidence,
+        latitude: payload.gps?.lat,
+        longitude: payload.gps?.lon,
+        detected_at: readingTime.toISOString()
+    };
+}
+
+// =============================================================================
+// QUARANTINE
+// =============================================================================
+
+const QUARANTINE_SOURCES = {
+    LIVE: 'live',
+    BATCH: 'batch'
+};
+
+/**
+ * Keep a rejected payload together with its field errors.
+ */
+async function quarantinePayload(deviceId, payload, validation, source) {
+    const { error } = await repo.telemetryQuarantine.insert({
+        device_id: deviceId,
+        firmware_version: typeof payload?.firmware_version === 'string' ? payload.firmware_version : null,
+        schema_version: validation.schemaVersion,
+        source: source,
+        payload: payload,
+        errors: validation.errors,
+        received_at: new Date().toISOString()
+    });
+
+    if (error) {
+        console.error('[TELEMETRY] Quarantine insert error:', error);
+    }
+    console.warn(`[TELEMETRY] Quarantined ${source} payload from ${deviceId}: ${validation.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+}
+
+// =============================================================================
+// DEDUPLICATION
+// =============================================================================
+
+// Collars that don't report boot_count share one scope
+function sequenceKey(bootCount, seq) {
+    return `${bootCount ?? 0}:${seq}`;
+}
+
+/**
+ * Claim sequence numbers for a device. `readings` are { seq, bootCount,
+ * readingTime }. Returns the set of sequenceKey()s that had not been seen
+ * before - only those readings should be ingested.
+ */
+async function claimSequenceNumbers(deviceId, readings) {
+    const { data, error } = await db
+        .from('telemetry_readings')
+        .upsert(readings.map(r => ({
+            device_id: deviceId,
+            boot_count: r.bootCount ?? 0,
+            seq: r.seq,
+            recorded_at: r.readingTime.toISOString()
+        })), { onConflict: 'device_id,boot_count,seq', ignoreDuplicates: true })
+        .select('boot_count, seq');
+
+    if (error) {
+        // Better to ingest a duplicate than to drop readings
+        console.error('[TELEMETRY] Sequence claim error:', error);
+        return new Set(readings.map(r => sequenceKey(r.bootCount, r.seq)));
+    }
+
+    return new Set((data || []).map(row => sequenceKey(row.boot_count, row.seq)));
+}
+
+/**
+ * Give back claims for readings that could not be stored, so their retry
+ * is ingested instead of being reported as a duplicate.
+ */
+async function releaseSequenceNumbers(deviceId, readings) {
+    const byBoot = new Map();
+    for (const r of readings) {
+        const bootCount = r.bootCount ?? 0;
+        if (!byBoot.has(bootCount)) byBoot.set(bootCount, []);
+        byBoot.get(bootCount).push(r.seq);
+    }
+
+    for (const [bootCount, seqs] of byBoot) {
+        const { error } = await db
+            .from('telemetry_readings')
+            .delete()
+            .eq('device_id', deviceId)
+            .eq('boot_count', bootCount)
+            .in('seq', seqs);
+
+        if (error) {
+            console.error('[TELEMETRY] Sequence release error:', error);
+        }
+    }
+}
+
+/**
+ * Drop claims older than MAX_READING_AGE_HOURS - a reading that old is
+ * rejected before it gets here.
+ */
+async function pruneSequenceNumbers() {
+    const cutoff = new Date(Date.now() - MAX_READING_AGE_HOURS * 60 * 60 * 1000).toISOString();
+    const { error } = await db
+        .from('telemetry_readings')
+        .delete()
+        .lt('received_at', cutoff);
+
+    if (error) {
+        console.error('[TELEMETRY] Sequence prune error:', error);
+    }
+}
+
+function startSequencePruning() {
+    setInterval(pruneSequenceNumbers, SEQUENCE_PRUNE_INTERVAL_MS).unref();
+}
+
+// =============================================================================
+// STATUS UPDATE
+// =============================================================================
+
+/**
+ * Apply a reading to device_status: geofence evaluation, upsert and
+ * transition alerts. A reading older than the one the status already
+ * reflects (e.g. a late batch upload) only bumps last_seen_at.
+ */
+async function applyStatusUpdate(deviceId, payload, readingTime) {
+    const statusUpdate = buildStatusUpdate(deviceId, payload, readingTime);
+
+    // Previous status - needed to detect state transitions
+    const { data: previousStatus } = await repo.deviceStatus.get(deviceId);
+
+    if (previousStatus?.last_reading_at && new Date(previousStatus.last_reading_at) > readingTime) {
+        await repo.deviceStatus.update(deviceId, { last_seen_at: statusUpdate.last_seen_at });
+        return { previousStatus, statusUpdate, applied: false };
+    }
+
+    // Server-side geofences override the on-device home/escape state
+    let geofenceResult = null;
+    if (hasValidFix(payload)) {
+        geofenceResult = await geofences.evaluateGeofences(deviceId, payload.gps.lat, payload.gps.lon, previousStatus);
+        if (geofenceResult) {
+            Object.assign(statusUpdate, geofenceResult.fields);
+        }
+    } else {
+        const held = await geofences.heldGeofenceFields(deviceId, previousStatus);
+        if (held) Object.assign(statusUpdate, held);
+    }
+
+    // Update device status (upsert)
+    const { error: statusError } = await repo.deviceStatus.upsert(statusUpdate);
+
+    if (statusError) throw writeError('Status update', statusError);
+    live.publish(deviceId, live.EVENT_TYPES.TELEMETRY, live.summariseStatus(statusUpdate));
+
+    if (geofenceResult) {
+        await geofences.recordGeofenceEvents(deviceId, geofenceResult.events, payload.gps.lat, payload.gps.lon);
+    }
+
+    // Escape / return-home alerts (delivered in the background)
+    alerts.checkEscapeTransition(deviceId, previousStatus, statusUpdate);
+
+    // Low-battery / overnight alerts (also in the background)
+    battery.checkBatteryAlerts(deviceId, previousStatus, statusUpdate);
+
+    // Online state, reboot loops and signal trend
+    monitor.recordHeartbeat(deviceId, previousStatus, statusUpdate);
+
+    // Open / close walk sessions from the collar's walk state
+    try {
+        await walks.detectWalkTransition(deviceId, payload, previousStatus, statusUpdate, readingTime);
+    } catch (error) {
+        console.error('[TELEMETRY] Walk detection error:', error);
+    }
+
+    return { previousStatus, statusUpdate, applied: true };
+}
+
+// =============================================================================
+// EVENT RECORDS (locations, battery, scratches, anomalies)
+// =============================================================================
+
+/**
+ * Record the location / battery / scratch / anomaly rows for one live reading.
+ */
+async function recordReading(deviceId, payload, readingTime, statusUpdate) {
+    // Insert location record if GPS valid
+    if (hasValidFix(payload)) {
+        const { error: locationError } = await repo.locations
+            .insert(buildLocationRow(deviceId, payload, readingTime, statusUpdate));
+
+        if (locationError) throw writeError('Location insert', locationError);
+    }
+
+    // Battery history
+    const batteryRow = battery.buildBatteryRow(deviceId, payload, readingTime);
+    if (batteryRow) {
+        const { error: batteryError } = await repo.batteryReadings.insert(batteryRow);
+
+        if (batteryError) throw writeError('Battery insert', batteryError);
+    }
+
+    // Record scratch event if detected
+    if (payload.scratch?.detected) {
+        const { error: scratchError } = await repo.scratchEvents
+            .insert(buildScratchRow(deviceId, payload, readingTime));
+
+        if (scratchError) throw writeError('Scratch insert', scratchError);
+    }
+
+    // Record anomaly if detected
+    if (payload.health?.anomaly) {
+        await recordAnomaly(deviceId, payload.health.anomaly_type, payload.health.deviation, readingTime);
+    }
+
+    await recordSleep(deviceId, [{ payload, readingTime }]);
+    await recordDaily(deviceId, [{ payload, readingTime }]);
+}
+
+async function recordSleep(deviceId, readings) {
+    try {
+        const closed = await sleep.processSleepReadings(deviceId, readings);
+        await daily.refreshSleep(deviceId, closed);
+    } catch (error) {
+        console.error('[TELEMETRY] Sleep session error:', error);
+    }
+}
+
+// Steps and scratch counters per local day
+async function recordDaily(deviceId, readings) {
+    try {
+        await daily.recordReadings(deviceId, readings);
+    } catch (error) {
+        console.error('[TELEMETRY] Daily rollup error:', error);
+    }
+}
+
+async function recordAnomaly(deviceId, anomalyType, deviation, readingTime) {
+    try {
+        await anomalies.recordAnomaly(deviceId, anomalyType, deviation, readingTime);
+    } catch (error) {
+        console.error('[TELEMETRY] Anomaly error:', error);
+    }
+}
+
+// =============================================================================
+// LIVE INGESTION
+// =============================================================================
+
+/**
+ * Ingest one live reading. Collar retries carry the same seq, so a reading
+ * whose seq was already claimed is only reported back as a duplicate.
+ * Resolves with { duplicate }.
+ */
+async function ingestReading(deviceId, payload, readingTime) {
+    const claimed = Number.isInteger(payload.seq)
+        ? [{ seq: payload.seq, bootCount: payload.boot_count, readingTime }]
+        : [];
+
+    if (claimed.length > 0) {
+        const fresh = await claimSequenceNumbers(deviceId, claimed);
+        if (!fresh.has(sequenceKey(payload.boot_count, payload.seq))) {
+            return { duplicate: true };
+        }
+    }
+
+    try {
+        const { statusUpdate } = await applyStatusUpdate(deviceId, payload, readingTime);
+        await recordReading(deviceId, payload, readingTime, statusUpdate);
+    } catch (error) {
+        await releaseSequenceNumbers(deviceId, claimed);
+        throw error;
+    }
+
+    return { duplicate: false };
+}
+
+// =============================================================================
+// BATCH INGESTION
+// =============================================================================
+
+function validateBatchReading(reading) {
+    if (!reading || typeof reading !== 'object') return 'reading must be an object';
+    if (!Number.isInteger(reading.seq) || reading.seq < 0) return 'seq must be a non-negative integer';
+
+    const readingTime = parseReadingTime(reading.timestamp);
+    if (!readingTime) return 'timestamp is missing or invalid';
+
+    return readingTimeError(readingTime);
+}
+
+// Batch-level fields apply to every reading unless overridden
+function mergeBatchReading(batch, reading) {
+    return {
+        firmware_version: batch.firmware_version,
+        boot_count: batch.boot_count,
+        ...reading
+    };
+}
+
+/**
+ * Ingest an ordered batch of buffered readings. Readings already seen are
+ * counted as duplicates; the rest are stored by storeBatchReadings().
+ */
+async function ingestBatch(deviceId, batch) {
+    const rejected = [];
+    const readings = [];
+    const unknownFields = new Set();
+
+    for (const [index, reading] of batch.readings.entries()) {
+        const error = validateBatchReading(reading);
+        if (error) {
+            rejected.push({ index, seq: reading?.seq, error });
+            continue;
+        }
+
+        const payload = mergeBatchReading(batch, reading);
+        const validation = schema.validatePayload(payload, { requireDeviceId: false });
+        validation.unknownFields.forEach(field => unknownFields.add(field));
+        if (validation.errors.length > 0) {
+            rejected.push({ index, seq: reading.seq, error: 'schema validation failed', errors: validation.errors });
+            await quarantinePayload(deviceId, payload, validation, QUARANTINE_SOURCES.BATCH);
+            continue;
+        }
+
+        readings.push({
+            seq: reading.seq,
+            bootCount: payload.boot_count,
+            readingTime: parseReadingTime(reading.timestamp),
+            payload
+        });
+    }
+
+    // A buffer may span a reboot - order by boot, then seq
+    readings.sort((a, b) => (a.bootCount ?? 0) - (b.bootCount ?? 0) || a.seq - b.seq);
+
+    const fresh = readings.length > 0 ? await claimSequenceNumbers(deviceId, readings) : new Set();
+    const newReadings = readings.filter(r => fresh.has(sequenceKey(r.bootCount, r.seq)));
+    const duplicates = readings.length - newReadings.length;
+
+    if (newReadings.length === 0) {
+        return { accepted: 0, duplicates, rejected, unknownFields: [...unknownFields] };
+    }
+
+    try {
+        await storeBatchReadings(deviceId, newReadings);
+    } catch (error) {
+        await releaseSequenceNumbers(deviceId, newReadings);
+        throw error;
+    }
+
+    console.log(`[TELEMETRY] Batch from ${deviceId}: ${newReadings.length} accepted, ${duplicates} duplicates, ${rejected.length} rejected`);
+
+    return { accepted: newReadings.length, duplicates, rejected, unknownFields: [...unknownFields] };
+}
+
+/**
+ * Write the newly claimed readings of a batch. Locations, scratch events
+ * and anomalies are written in bulk; device_status is only updated from the
+ * newest reading.
+ */
+async function storeBatchReadings(deviceId, newReadings) {
+    // Status from the newest reading (by device time)
+    const newest = newReadings.reduce((latest, r) => (r.readingTime >= latest.readingTime ? r : latest));
+    const { statusUpdate: newestStatus } = await applyStatusUpdate(deviceId, newest.payload, newest.readingTime);
+
+    // Locations - older fixes are checked against the zones too
+    const withFix = newReadings.filter(r => hasValidFix(r.payload));
+    const zones = withFix.length > 1 ? await geofences.loadGeofences(deviceId) : [];
+    const locationRows = withFix
+        .map(r => buildLocationRow(deviceId, r.payload, r.readingTime, r === newest ? newestStatus : {
+            is_home: r.payload.location?.is_home ?? true,
+            is_escaped: r.payload.location?.is_escaped ?? false,
+            ...geofences.zoneFlags(zones, r.payload.gps.lat, r.payload.gps.lon)
+        }));
+
+    if (locationRows.length > 0) {
+        const { error } = await repo.locations.insert(locationRows);
+        if (error) throw writeError('Batch location insert', error);
+    }
+
+    // Battery history
+    const batteryRows = newReadings
+        .map(r => battery.buildBatteryRow(deviceId, r.payload, r.readingTime))
+        .filter(Boolean);
+
+    if (batteryRows.length > 0) {
+        const { error } = await repo.batteryReadings.insert(batteryRows);
+        if (error) throw writeError('Batch battery insert', error);
+    }
+
+    // Scratch events
+    const scratchReadings = newReadings.filter(r => r.payload.scratch?.detected);
+    if (scratchReadings.length > 0) {
+        const { error } = await repo.scratchEvents
+            .insert(scratchReadings.map(r => buildScratchRow(deviceId, r.payload, r.readingTime)));
+        if (error) throw writeError('Batch scratch insert', error);
+    }
+
+    // Steps and scratch counts per local day
+    await recordDaily(deviceId, newReadings);
+
+    // Anomalies - first occurrence per type per local day, oldest first
+    const tz = await timezone.getDeviceTimezone(deviceId);
+    const anomalyReadings = new Map();
+    for (const r of [...newReadings].sort((a, b) => a.readingTime - b.readingTime)) {
+        if (!r.payload.health?.anomaly) continue;
+        const key = `${r.payload.health.anomaly_type}|${timezone.localDateKey(r.readingTime, tz)}`;
+        if (!anomalyReadings.has(key)) anomalyReadings.set(key, r);
+    }
+    for (const r of anomalyReadings.values()) {
+        await recordAnomaly(deviceId, r.payload.health.anomaly_type, r.payload.health.deviation, r.readingTime);
+    }
+
+    // Sleep sessions and respiratory samples, in device-time order
+    await recordSleep(deviceId, [...newReadings].sort((a, b) => a.readingTime - b.readingTime));
+}
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    QUARANTINE_SOURCES,
+    parseReadingTime,
+    liveReadingTime,
+    quarantinePayload,
+    startSequencePruning,
+    ingestReading,
+    ingestBatch
+};
@@ -0,0 +1,165 @@
+// =============================================================================
+// POPCORN GATEWAY - DEVICE TIMEZONES
+// =============================================================================
+// A "day" for a dog is its owner's local day, not the UTC day. Each device
+// has an IANA timezone (`devices.timezone`, default DEFAULT_TIMEZONE); these
+// helpers turn instants into local dates and local dates back into instants
+// using Intl, so DST transitions come out right.
+// =============================================================================
+
+const devices = require('./devices');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+// Device timezones rarely change - cache lookups for this long
+const TIMEZONE_CACHE_MS = 5 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+const formatters = new Map();
+
+function formatterFor(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        formatterFor(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Local wall-clock fields of an instant: { year, month, day, hour, minute, second }.
+ */
+function localParts(date, timezone) {
+    const parts = {};
+    for (const { type, value } of formatterFor(timezone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value);
+    }
+    return parts;
+}
+
+// Offset of local time from UTC at an instant, in ms
+function offsetAt(date, timezone) {
+    const p = localParts(date, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * The local date (YYYY-MM-DD) of an instant.
+ */
+function localDateKey(date, timezone = DEFAULT_TIMEZONE) {
+    const p = localParts(date, timezone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Local hour of day (0-23) of an instant.
+ */
+function localHour(date, timezone = DEFAULT_TIMEZONE) {
+    return localParts(date, timezone).hour;
+}
+
+/**
+ * The instant a local wall-clock hour starts on a date. Takes the offset at
+ * the guess and corrects once, which settles across a DST change.
+ */
+function localDateTime(dateKey, hour, timezone = DEFAULT_TIMEZONE) {
+    const [year, month, day] = dateKey.split('-').map(n => parseInt(n));
+    const wallClock = Date.UTC(year, month - 1, day, hour);
+    let instant = wallClock - offsetAt(new Date(wallClock), timezone);
+    instant = wallClock - offsetAt(new Date(instant), timezone);
+    return new Date(instant);
+}
+
+/**
+ * The instant local midnight starts on a date.
+ */
+function startOfLocalDay(dateKey, timezone = DEFAULT_TIMEZONE) {
+    return localDateTime(dateKey, 0, timezone);
+}
+
+function addDays(dateKey, days) {
+    return new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * The last `days` local days up to and including today, for history
+ * windows: { fromDate, toDate, since } with `since` the instant fromDate
+ * starts.
+ */
+function localDayWindow(days, timezone = DEFAULT_TIMEZONE) {
+    const count = Math.max(1, Math.ceil(parseFloat(days) || 1));
+    const toDate = localDateKey(new Date(), timezone);
+    const fromDate = addDays(toDate, -(count - 1));
+    return { fromDate, toDate, since: startOfLocalDay(fromDate, timezone) };
+}
+
+// =============================================================================
+// DEVICE LOOKUP
+// =============================================================================
+
+const cache = new Map();
+
+/**
+ * The device's timezone, or DEFAULT_TIMEZONE when unknown or unset.
+ */
+async function getDeviceTimezone(deviceId) {
+    const cached = cache.get(deviceId);
+    if (cached && cached.expires > Date.now()) return cached.timezone;
+
+    let timezone = DEFAULT_TIMEZONE;
+    try {
+        const device = await devices.getDevice(deviceId);
+        if (isValidTimezone(device?.timezone)) timezone = device.timezone;
+    } catch (error) {
+        console.error('[TIMEZONE] Lookup error:', error);
+        return cached?.timezone || DEFAULT_TIMEZONE;
+    }
+
+    cache.set(deviceId, { timezone, expires: Date.now() + TIMEZONE_CACHE_MS });
+    return timezone;
+}
+
+function forgetDeviceTimezone(deviceId) {
+    cache.delete(deviceId);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    localDateKey,
+    localHour,
+    localDateTime,
+    startOfLocalDay,
+    addDays,
+    localDayWindow,
+    getDeviceTimezone,
+    forgetDeviceTimezone
+};
@@ -0,0 +1,238 @@
+// =============================================================================
+// POPCORN GATEWAY - WALK TRACKS
+// =============================================================================
+// Rebuilds a walk's GPS track from `locations` and exports it as GeoJSON,
+// GPX or KML.
+// =============================================================================
+
+const repo = require('./repositories');
+const { haversineDistance } = require('./geo');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const TRACK_DEFAULTS = {
+    maxHdop: 5,
+    minSatellites: 4,
+    // Faster than this between fixes is a GPS glitch, not a dog (m/s)
+    maxSpeed: 15,
+    // Fixes in a row that all jump from the last accepted point before
+    // the track is picked up from them instead
+    reanchorAfter: 3
+};
+
+const MAX_TRACK_POINTS = 10000;
+
+const TRACK_FORMATS = {
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+    gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+// =============================================================================
+// TRACK RECONSTRUCTION
+// =============================================================================
+
+async function loadTrackPoints(deviceId, from, to) {
+    const { data, error } = await repo.locations.listBetween(deviceId, from, to, {
+        columns: 'latitude, longitude, altitude, speed, hdop, satellites, activity_class, step_count, accel_variance, recorded_at',
+        limit: MAX_TRACK_POINTS
+    });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Drop fixes with poor accuracy and fixes that imply an impossible jump
+ * from the previous accepted point. When `reanchorAfter` fixes in a row
+ * jump from it, the track is picked up again from the first of them, and
+ * the points accepted since the last anchor are dropped if there were
+ * fewer of them - a glitched fix that the rest of the walk disagrees with.
+ */
+function filterTrackPoints(points, options = {}) {
+    const { maxHdop, minSatellites, maxSpeed, reanchorAfter } = { ...TRACK_DEFAULTS, ...options };
+
+    const accurate = points.filter(point =>
+        !(point.hdop != null && point.hdop > maxHdop) &&
+        !(point.satellites != null && point.satellites < minSatellites));
+    let rejected = points.length - accurate.length;
+
+    const isJump = (from, to) => {
+        const seconds = (new Date(to.recorded_at) - new Date(from.recorded_at)) / 1000;
+        const meters = haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+        return seconds > 0 && meters / seconds > maxSpeed;
+    };
+
+    const accepted = [];
+    let anchor = 0;     // index in `accepted` of the current anchor
+    let jumps = [];     // indexes in `accurate` of the fixes rejected in a row
+
+    for (let i = 0; i < accurate.length; i++) {
+        const point = accurate[i];
+        const previous = accepted[accepted.length - 1];
+
+        if (previous && isJump(previous, point)) {
+            jumps.push(i);
+            if (jumps.length < reanchorAfter) continue;
+
+            if (accepted.length - anchor < reanchorAfter) {
+                rejected += accepted.length - anchor;
+                accepted.length = anchor;
+            }
+            anchor = accepted.length;
+            accepted.push(accurate[jumps[0]]);
+            // Re-check the rest of the run against the new anchor
+            i = jumps[0];
+            jumps = [];
+            continue;
+        }
+
+        rejected += jumps.length;
+        jumps = [];
+        accepted.push(point);
+    }
+
+    return { points: accepted, rejected: rejected + jumps.length };
+}
+
+function trackDistance(points) {
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+        distance += haversineDistance(
+            points[i - 1].latitude, points[i - 1].longitude,
+            points[i].latitude, points[i].longitude
+        );
+    }
+    return distance;
+}
+
+/**
+ * Rebuild the track of a walk session. Open walks run up to now.
+ */
+async function buildWalkTrack(walk, options = {}) {
+    const to = walk.ended_at || new Date().toISOString();
+    const raw = await loadTrackPoints(walk.device_id, walk.started_at, to);
+    const { points, rejected } = filterTrackPoints(raw, options);
+
+    return {
+        walk_id: walk.id,
+        device_id: walk.device_id,
+        started_at: walk.started_at,
+        ended_at: walk.ended_at || null,
+        points,
+        raw_point_count: raw.length,
+        rejected_point_count: rejected,
+        distance_meters: Math.round(trackDistance(points)),
+        reported_distance_meters: walk.distance_meters ?? null
+    };
+}
+
+// =============================================================================
+// EXPORT FORMATS
+// =============================================================================
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function trackName(track) {
+    return `Walk ${track.walk_id} - ${track.started_at}`;
+}
+
+function toGeoJSON(track) {
+    return {
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: track.points.map(p => (
+                p.altitude != null ? [p.longitude, p.latitude, p.altitude] : [p.longitude, p.latitude]
+            ))
+        },
+        properties: {
+            walk_id: track.walk_id,
+            device_id: track.device_id,
+            started_at: track.started_at,
+            ended_at: track.ended_at,
+            point_count: track.points.length,
+            rejected_point_count: track.rejected_point_count,
+            distance_meters: track.distance_meters,
+            reported_distance_meters: track.reported_distance_meters,
+            timestamps: track.points.map(p => p.recorded_at)
+        }
+    };
+}
+
+function toGPX(track) {
+    const trackPoints = track.points.map(p => [
+        `      <trkpt lat="${p.latitude}" lon="${p.longitude}">`,
+        p.altitude != null ? `        <ele>${p.altitude}</ele>` : null,
+        `        <time>${new Date(p.recorded_at).toISOString()}</time>`,
+        '      </trkpt>'
+    ].filter(Boolean).join('\n')).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Popcorn GPS Collar Gateway" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(trackName(track))}</name>
+    <time>${new Date(track.started_at).toISOString()}</time>
+  </metadata>
+  <trk>
+    <name>${escapeXml(trackName(track))}</name>
+    <type>walking</type>
+    <trkseg>
+${trackPoints}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+function toKML(track) {
+    const coordinates = track.points
+        .map(p => `${p.longitude},${p.latitude},${p.altitude ?? 0}`)
+        .join(' ');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(trackName(track))}</name>
+    <Placemark>
+      <name>${escapeXml(trackName(track))}</name>
+      <description>${track.distance_meters} m</description>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Serialise a track. Returns { body, contentType, filename }.
+ */
+function exportTrack(track, format) {
+    const { contentType, extension } = TRACK_FORMATS[format];
+    let body;
+    if (format === 'gpx') body = toGPX(track);
+    else if (format === 'kml') body = toKML(track);
+    else body = JSON.stringify(toGeoJSON(track));
+
+    return { body, contentType, filename: `walk-${track.walk_id}.${extension}` };
+}
+
+module.exports = {
+    TRACK_FORMATS,
+    loadTrackPoints,
+    filterTrackPoints,
+    trackDistance,
+    buildWalkTrack,
+    exportTrack
+};
@@ -0,0 +1,229 @@
+// =============================================================================
+// POPCORN GATEWAY - WALKER STATEMENTS & DISPUTES
+// =============================================================================
+// Walkers are paid per graded walk. A statement lists a walker's closed
+// walks in a period with the share of WALKER_RATE_CENTS each one earns
+// (GRADE_PAY_SHARE) and the receipt signature backing it. Exported as JSON
+// or CSV.
+//
+// The dog's owner can dispute a walk within DISPUTE_WINDOW_DAYS of its end.
+// A disputed walk keeps the grade it had (its receipt is already signed) but
+// is held off the payable total until the dispute is decided:
+//   open -> upheld   (not paid)
+//   open -> rejected (paid at its grade)
+// =============================================================================
+
+const { db } = require('./db');
+const repo = require('./repositories');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const WALKER_RATE_CENTS = parseInt(process.env.WALKER_RATE_CENTS || '2000');
+const WALKER_CURRENCY = process.env.WALKER_CURRENCY || 'USD';
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS || '14');
+const MAX_REASON_LENGTH = 1000;
+
+// Share of the rate paid per grade
+const GRADE_PAY_SHARE = {
+    A: 1,
+    B: 1,
+    C: 0.5,
+    F: 0
+};
+
+const DISPUTE_STATUS = {
+    OPEN: 'open',
+    UPHELD: 'upheld',
+    REJECTED: 'rejected'
+};
+
+const DISPUTE_OUTCOMES = [DISPUTE_STATUS.UPHELD, DISPUTE_STATUS.REJECTED];
+
+const STATEMENT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+// =============================================================================
+// STATEMENTS
+// =============================================================================
+
+function payShare(walk) {
+    if (walk.dispute_status === DISPUTE_STATUS.OPEN || walk.dispute_status === DISPUTE_STATUS.UPHELD) return 0;
+    return GRADE_PAY_SHARE[walk.grade] ?? 0;
+}
+
+/**
+ * Devices the user owns - what a statement shows to someone other than the
+ * walker.
+ */
+async function listOwnedDeviceIds(userId) {
+    const { data, error } = await db
+        .from('devices')
+        .select('device_id')
+        .eq('owner_id', userId);
+
+    if (error) throw error;
+    return (data || []).map(device => device.device_id);
+}
+
+/**
+ * Statement of the walker's closed walks started within `period`
+ * ({ from, to } Dates), limited to `deviceIds` when given.
+ */
+async function buildStatement(walkerId, period, deviceIds = null) {
+    const { data, error } = await repo.walkSessions.listForWalkerBetween(
+        walkerId, period.from.toISOString(), period.to.toISOString(), deviceIds
+    );
+    if (error) throw error;
+
+    const walks = (data || []).filter(walk => walk.ended_at).map(walk => {
+        const share = payShare(walk);
+        return {
+            walk_id: walk.id,
+            device_id: walk.device_id,
+            started_at: walk.started_at,
+            ended_at: walk.ended_at,
+            duration_minutes: Math.round((walk.duration_seconds || 0) / 60),
+            distance_meters: Math.round(walk.distance_meters || 0),
+            grade: walk.grade,
+            grade_score: walk.grade_score,
+            carried_percent: Number((walk.carried_percent || 0).toFixed(1)),
+            vehicle_detected: Boolean(walk.vehicle_detected),
+            dispute_status: walk.dispute_status || null,
+            pay_share: share,
+            amount_cents: Math.round(WALKER_RATE_CENTS * share),
+            receipt_signature: walk.receipt_signature || null
+        };
+    });
+
+    const byGrade = {};
+    for (const grade of Object.keys(GRADE_PAY_SHARE)) {
+        byGrade[grade] = walks.filter(walk => walk.grade === grade).length;
+    }
+
+    return {
+        walker_id: walkerId,
+        period: { from: period.from.toISOString(), to: period.to.toISOString() },
+        currency: WALKER_CURRENCY,
+        rate_cents: WALKER_RATE_CENTS,
+        generated_at: new Date().toISOString(),
+        walks,
+        summary: {
+            walks: walks.length,
+            by_grade: byGrade,
+            payable_walks: walks.filter(walk => walk.amount_cents > 0).length,
+            disputed_walks: walks.filter(walk => walk.dispute_status === DISPUTE_STATUS.OPEN).length,
+            upheld_disputes: walks.filter(walk => walk.dispute_status === DISPUTE_STATUS.UPHELD).length,
+            total_distance_km: Number((walks.reduce((sum, walk) => sum + walk.distance_meters, 0) / 1000).toFixed(2)),
+            total_minutes: walks.reduce((sum, walk) => sum + walk.duration_minutes, 0),
+            amount_cents: walks.reduce((sum, walk) => sum + walk.amount_cents, 0)
+        }
+    };
+}
+
+function csvValue(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(statement) {
+    const columns = ['walk_id', 'device_id', 'started_at', 'ended_at', 'duration_minutes', 'distance_meters',
+        'grade', 'grade_score', 'carried_percent', 'vehicle_detected', 'dispute_status', 'pay_share',
+        'amount_cents', 'receipt_signature'];
+
+    return [
+        columns,
+        ...statement.walks.map(walk => columns.map(column => walk[column]))
+    ].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Serialise a statement. Returns { body, contentType, filename }.
+ */
+function exportStatement(statement, format) {
+    const { contentType, extension } = STATEMENT_FORMATS[format];
+    const body = format === 'csv' ? toCSV(statement) : JSON.stringify(statement);
+
+    const filename = `walker-statement-${statement.walker_id}-${statement.period.from.slice(0, 10)}-${statement.period.to.slice(0, 10)}.${extension}`;
+    return { body, contentType, filename };
+}
+
+// =============================================================================
+// DISPUTES
+// =============================================================================
+
+function validateText(value, field) {
+    if (typeof value !== 'string' || !value.trim() || value.length > MAX_REASON_LENGTH) {
+        return `${field} must be a non-empty string of at most ${MAX_REASON_LENGTH} characters`;
+    }
+    return null;
+}
+
+function validateReason(reason) {
+    return validateText(reason, 'reason');
+}
+
+// Resolution notes are optional
+function validateNote(note) {
+    return note === undefined ? null : validateText(note, 'note');
+}
+
+/**
+ * Open a dispute on a closed walk. Resolves with { walk } or { code } when
+ * the walk can't be disputed.
+ */
+async function openDispute(walk, userId, reason) {
+    if (!walk.ended_at) return { code: 'walk_open' };
+    if (walk.dispute_status) return { code: 'already_disputed' };
+    if (Date.now() - new Date(walk.ended_at).getTime() > DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+        return { code: 'dispute_window_closed' };
+    }
+
+    const { data, error } = await repo.walkSessions.updateDispute(walk.id, null, {
+        dispute_status: DISPUTE_STATUS.OPEN,
+        dispute_reason: reason.trim(),
+        disputed_at: new Date().toISOString(),
+        disputed_by: userId
+    });
+
+    if (error) throw error;
+    if (!data || data.length === 0) return { code: 'already_disputed' };
+
+    console.log(`[WALKERS] Walk ${walk.id} (${walk.device_id}, grade ${walk.grade}) disputed by ${userId}`);
+    return { walk: data[0] };
+}
+
+/**
+ * Decide an open dispute. Resolves with { walk } or { code }.
+ */
+async function resolveDispute(walk, outcome, note) {
+    if (walk.dispute_status !== DISPUTE_STATUS.OPEN) return { code: 'no_open_dispute' };
+
+    const { data, error } = await repo.walkSessions.updateDispute(walk.id, DISPUTE_STATUS.OPEN, {
+        dispute_status: outcome,
+        dispute_resolved_at: new Date().toISOString(),
+        dispute_resolution_note: note?.trim() || null
+    });
+
+    if (error) throw error;
+    if (!data || data.length === 0) return { code: 'no_open_dispute' };
+
+    console.log(`[WALKERS] Dispute on walk ${walk.id} ${outcome}`);
+    return { walk: data[0] };
+}
+
+module.exports = {
+    DISPUTE_STATUS,
+    DISPUTE_OUTCOMES,
+    STATEMENT_FORMATS,
+    listOwnedDeviceIds,
+    buildStatement,
+    exportStatement,
+    validateReason,
+    validateNote,
+    openDispute,
+    resolveDispute
+};
@@ -0,0 +1,341 @@
+// =============================================================================
+// POPCORN GATEWAY - WALK SESSIONS
+// =============================================================================
+// Walk sessions are opened and closed either by the app (walk/start,
+// walk/end) or automatically from the telemetry stream. Both paths share one
+// open session per device: an app start while a walk was auto-detected
+// joins it instead of creating a duplicate, and vice versa.
+//
+// Auto-detection uses the firmware's `walk.active` flag. Older firmware
+// without walk tracking falls back to "away from home and walking".
+// Sessions without walking telemetry for WALK_STALE_HOURS are closed by a
+// background sweep, as of their last walking reading.
+//
+// Walks started from the app record the user as the walk's `walker_id`;
+// auto-detected walks get one when a walker joins them. Ending a walk never
+// assigns it - the walk pays whoever walked it.
+// Every closed walk gets a signed receipt (src/receipts.js).
+// =============================================================================
+
+const repo = require('./repositories');
+const anticheat = require('./anticheat');
+const live = require('./live');
+const daily = require('./daily');
+const households = require('./households');
+const receipts = require('./receipts');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const WALK_STALE_HOURS = parseFloat(process.env.WALK_STALE_HOURS || '3');
+const WALK_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const WALKING_ACTIVITIES = ['walking', 'running'];
+
+const WALK_SOURCES = {
+    APP: 'app',
+    AUTO: 'auto'
+};
+
+const END_REASONS = {
+    APP: 'app',
+    AUTO: 'auto',
+    TIMEOUT: 'timeout'
+};
+
+// Device status columns the grading needs
+const WALK_STATUS_COLUMNS = 'latitude, longitude, walk_duration, walk_distance, walk_stops, walk_quality_score, walk_verification_status, carried_seconds, vehicle_seconds, actual_walk_seconds, cheat_flags';
+
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+async function getOpenWalk(deviceId) {
+    const { data, error } = await repo.walkSessions.getOpen(deviceId);
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Open a walk session, or join the device's already-open one. Returns
+ * { walk, joined }.
+ */
+async function startWalk(deviceId, { source, startedAt, latitude, longitude, walkerId }) {
+    const open = await getOpenWalk(deviceId);
+    if (open) {
+        const fields = {};
+        // Remember that both the app and the collar saw this walk
+        if (open.source !== source && !open.reconciled) fields.reconciled = true;
+        if (walkerId && !open.walker_id) fields.walker_id = walkerId;
+        if (Object.keys(fields).length > 0) {
+            await repo.walkSessions.update(open.id, fields);
+        }
+        return { walk: { ...open, ...fields }, joined: true };
+    }
+
+    startedAt = startedAt || new Date().toISOString();
+    const { data, error } = await repo.walkSessions.create({
+        device_id: deviceId,
+        started_at: startedAt,
+        last_activity_at: startedAt,
+        start_lat: latitude,
+        start_lon: longitude,
+        source: source,
+        walker_id: walkerId || null
+    });
+
+    if (error) throw error;
+
+    live.publish(deviceId, live.EVENT_TYPES.WALK, {
+        action: 'started',
+        walk_id: data.id,
+        source: data.source,
+        walker_id: data.walker_id,
+        started_at: data.started_at
+    });
+    return { walk: data, joined: false };
+}
+
+function gradeFor(score) {
+    let grade = 'A';
+    if (score < 90) grade = 'B';
+    if (score < 70) grade = 'C';
+    if (score < 50) grade = 'F';
+    return grade;
+}
+
+/**
+ * Grade and close a walk session. `status` holds the device's walk figures
+ * (the WALK_STATUS_COLUMNS of device_status) as of the end of the walk.
+ * Returns null when the walk was already closed by someone else.
+ */
+async function closeWalk(walk, status, { endedAt, reason }) {
+    endedAt = endedAt || new Date().toISOString();
+
+    // Firmware figures when available, elapsed time otherwise
+    const elapsed = Math.max(0, Math.round((new Date(endedAt) - new Date(walk.started_at)) / 1000));
+    const duration = status?.walk_duration || elapsed;
+    const stops = status?.walk_stops || 0;
+    const qualityScore = status?.walk_quality_score || 0;
+    const deviceFlags = status?.cheat_flags || 0;
+
+    // Server-side verification from the stored track - a tampered collar
+    // can inflate its own score, so the lower of the two counts
+    const { analysis, disagreements } = await anticheat.verifyWalk(walk, endedAt, {
+        quality_score: qualityScore,
+        cheat_flags: deviceFlags,
+        carried_seconds: status?.carried_seconds || 0,
+        distance_meters: status?.walk_distance || 0
+    });
+    const serverVerified = analysis.status === 'verified';
+    const distance = status?.walk_distance || (serverVerified ? analysis.distance_meters : 0);
+
+    // Calculate grade - use anti-cheat score if available
+    let gradeScore;
+    if (qualityScore > 0) {
+        // V6.1: Use anti-cheat quality score
+        gradeScore = qualityScore;
+    } else {
+        // Fallback to V6.0 logic
+        gradeScore = 100;
+        gradeScore -= stops * 5;  // -5 per stop
+        if (duration < 900) gradeScore -= 20;  // <15 min walk
+        if (distance < 500) gradeScore -= 15;  // <500m
+        gradeScore = Math.max(0, Math.min(100, gradeScore));
+    }
+    if (serverVerified) {
+        gradeScore = Math.min(gradeScore, analysis.quality_score);
+    }
+
+    const grade = gradeFor(gradeScore);
+    const vehicleDetected = (deviceFlags & anticheat.CHEAT_FLAGS.VEHICLE) !== 0 ||
+        (serverVerified && (analysis.cheat_flags & anticheat.CHEAT_FLAGS.VEHICLE) !== 0);
+
+    // Calculate carried percentage
+    const carriedPercent = duration > 0
+        ? ((status?.carried_seconds || 0) / duration) * 100
+        : 0;
+
+    // Update walk session with anti-cheat data. Guarded against the app and
+    // the collar closing it at the same time.
+    const fields = {
+        ended_at: endedAt,
+        end_reason: reason,
+        duration_seconds: duration,
+        distance_meters: distance,
+        end_lat: status?.latitude,
+        end_lon: status?.longitude,
+        stop_count: stops,
+        grade: grade,
+        grade_score: gradeScore,
+        // V6.1: Anti-cheat fields
+        verification_status: status?.walk_verification_status || 'completed',
+        quality_score: gradeScore,
+        carried_seconds: status?.carried_seconds || 0,
+        carried_percent: carriedPercent,
+        vehicle_seconds: status?.vehicle_seconds || 0,
+        vehicle_detected: vehicleDetected,
+        actual_walk_seconds: status?.actual_walk_seconds || 0,
+        actual_walk_percent: duration > 0 ? ((status?.actual_walk_seconds || 0) / duration) * 100 : 0,
+        cheat_flags: deviceFlags,
+        // Server-side verification (stored next to the device figures)
+        server_verification_status: analysis.status,
+        server_quality_score: serverVerified ? analysis.quality_score : null,
+        server_cheat_flags: serverVerified ? analysis.cheat_flags : null,
+        server_distance_meters: serverVerified ? analysis.distance_meters : null,
+        server_step_count: serverVerified ? analysis.step_count : null,
+        server_carried_seconds: serverVerified ? analysis.carried_seconds : null,
+        server_vehicle_seconds: serverVerified ? analysis.vehicle_seconds : null,
+        verification_disagreement: disagreements.length > 0,
+        verification_details: { analysis, disagreements }
+    };
+    const { data, error } = await repo.walkSessions.close(walk.id, fields);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    console.log(`[WALKS] Closed walk ${walk.id} for ${walk.device_id} (${reason}): grade ${grade}`);
+
+    // A walk without a receipt still counts - it is issued on first request
+    const issued = await receipts.getOrIssueReceipt({ ...walk, ...fields }).catch(receiptError => {
+        console.error(`[WALKS] Receipt error for walk ${walk.id}:`, receiptError);
+        return null;
+    });
+
+    const result = {
+        walk_id: walk.id,
+        walker_id: walk.walker_id ?? null,
+        ended_at: endedAt,
+        end_reason: reason,
+        grade: grade,
+        grade_score: gradeScore,
+        duration_seconds: duration,
+        distance_meters: distance,
+        verification_status: status?.walk_verification_status,
+        carried_percent: carriedPercent,
+        vehicle_detected: vehicleDetected,
+        server_verification: {
+            status: analysis.status,
+            quality_score: serverVerified ? analysis.quality_score : null,
+            cheat_flags: serverVerified ? analysis.cheat_flags : null,
+            disagreements: disagreements
+        },
+        receipt: issued
+    };
+
+    // The receipt carries the whole route - too big for a live event
+    const { receipt, ...summary } = result;
+    live.publish(walk.device_id, live.EVENT_TYPES.WALK, { action: 'ended', ...summary, receipt_issued: Boolean(receipt) });
+
+    daily.refreshWalks(walk.device_id, walk.started_at).catch(error => {
+        console.error('[WALKS] Daily rollup error:', error);
+    });
+    households.detectJointWalk({ ...walk, ended_at: endedAt });
+    return result;
+}
+
+async function getWalkStatus(deviceId) {
+    const { data } = await repo.deviceStatus.get(deviceId, WALK_STATUS_COLUMNS);
+    return data;
+}
+
+// =============================================================================
+// AUTO-DETECTION
+// =============================================================================
+
+function isWalking(payload, status, hasOpenWalk) {
+    if (typeof payload.walk?.active === 'boolean') {
+        return payload.walk.active;
+    }
+    // Old firmware without walk tracking: away from home and on the move.
+    // Stops along the way don't end the walk - only getting home does.
+    if (status.is_home) return false;
+    return hasOpenWalk || WALKING_ACTIVITIES.includes(status.activity_name);
+}
+
+/**
+ * Open or close the device's walk session from a telemetry reading.
+ * `previousStatus` holds the walk figures of the last walking reading,
+ * which the firmware may already have reset in this one.
+ */
+async function detectWalkTransition(deviceId, payload, previousStatus, statusUpdate, readingTime) {
+    const open = await getOpenWalk(deviceId);
+    const walking = isWalking(payload, statusUpdate, Boolean(open));
+
+    if (walking && !open) {
+        const { walk } = await startWalk(deviceId, {
+            source: WALK_SOURCES.AUTO,
+            startedAt: readingTime.toISOString(),
+            latitude: statusUpdate.latitude,
+            longitude: statusUpdate.longitude
+        });
+        console.log(`[WALKS] Auto-detected walk ${walk.id} for ${deviceId}`);
+    } else if (walking && open) {
+        // Still walking - keeps the stale sweep away
+        const fields = {};
+        if (!open.last_activity_at || new Date(open.last_activity_at) < readingTime) {
+            fields.last_activity_at = readingTime.toISOString();
+        }
+        // App-started walk confirmed by the collar
+        if (open.source === WALK_SOURCES.APP && !open.reconciled) fields.reconciled = true;
+        if (Object.keys(fields).length > 0) {
+            await repo.walkSessions.update(open.id, fields);
+        }
+    } else if (!walking && open) {
+        // Don't let the collar close an app walk it never saw
+        if (open.source === WALK_SOURCES.APP && !open.reconciled) return;
+
+        const figures = previousStatus?.walk_active ? previousStatus : statusUpdate;
+        await closeWalk(open, { ...figures, latitude: statusUpdate.latitude, longitude: statusUpdate.longitude }, {
+            endedAt: readingTime.toISOString(),
+            reason: END_REASONS.AUTO
+        });
+    }
+}
+
+// =============================================================================
+// STALE SESSION SWEEP
+// =============================================================================
+
+async function closeStaleWalks() {
+    const cutoff = new Date(Date.now() - WALK_STALE_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data: stale, error } = await repo.walkSessions.listOpenIdleSince(cutoff);
+
+    if (error) {
+        console.error('[WALKS] Stale walk lookup error:', error);
+        return;
+    }
+
+    for (const walk of stale || []) {
+        try {
+            const status = await getWalkStatus(walk.device_id);
+            // End at the last walking reading, not at sweep time
+            await closeWalk(walk, status, {
+                endedAt: walk.last_activity_at,
+                reason: END_REASONS.TIMEOUT
+            });
+        } catch (closeError) {
+            console.error(`[WALKS] Failed to close stale walk ${walk.id}:`, closeError);
+        }
+    }
+}
+
+function startStaleWalkSweep() {
+    setInterval(() => {
+        closeStaleWalks().catch(error => console.error('[WALKS] Sweep error:', error));
+    }, WALK_SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    WALK_SOURCES,
+    END_REASONS,
+    getOpenWalk,
+    getWalkStatus,
+    startWalk,
+    closeWalk,
+    detectWalkTransition,
+    startStaleWalkSweep
+};
@@ -0,0 +1,339 @@
+-- =============================================================================
+-- POPCORN GATEWAY - INITIAL SCHEMA
+-- =============================================================================
+-- Every table and column the gateway reads or writes. The in-memory storage
+-- backend (src/storage/memory.js) mirrors the unique keys and defaults here.
+-- =============================================================================
+
+-- =============================================================================
+-- DEVICE REGISTRY & ACCESS
+-- =============================================================================
+
+create table if not exists devices (
+    device_id text primary key,
+    name text,
+    owner_id uuid,
+    secret text,
+    previous_secret text,
+    previous_secret_expires_at timestamptz,
+    status text not null default 'active' check (status in ('active', 'deactivated')),
+    key_rotated_at timestamptz,
+    deactivated_at timestamptz,
+    transferred_at timestamptz,
+    rejected_count integer not null default 0,
+    last_rejected_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists devices_owner_id_idx on devices (owner_id);
+
+create table if not exists device_access (
+    id bigint generated always as identity primary key,
+    device_id text not null references devices (device_id) on delete cascade,
+    user_id uuid not null,
+    role text not null check (role in ('family', 'walker')),
+    starts_at timestamptz,
+    expires_at timestamptz,
+    created_by uuid,
+    created_at timestamptz not null default now(),
+    unique (device_id, user_id)
+);
+
+create index if not exists device_access_user_id_idx on device_access (user_id);
+
+-- =============================================================================
+-- TELEMETRY
+-- =============================================================================
+
+create table if not exists device_status (
+    device_id text primary key,
+
+    -- GPS
+    latitude double precision,
+    longitude double precision,
+    altitude double precision,
+    speed double precision,
+    hdop double precision,
+    satellites integer default 0,
+    gps_valid boolean default false,
+
+    -- Accelerometer
+    accel_x double precision,
+    accel_y double precision,
+    accel_z double precision,
+    accel_magnitude double precision,
+    accel_variance double precision,
+
+    -- Activity
+    activity_class integer default 0,
+    activity_name text default 'unknown',
+    session_steps integer default 0,
+    today_steps integer default 0,
+
+    -- Location
+    is_home boolean default true,
+    is_escaped boolean default false,
+    distance_from_home double precision,
+    current_zone text,
+    current_zone_ids bigint[] default '{}',
+
+    -- Battery
+    battery_voltage double precision,
+    battery_percent integer,
+
+    -- Network
+    signal_strength integer,
+    network_operator text,
+
+    -- Sleep
+    sleep_active boolean default false,
+    sleep_quality integer,
+    respiratory_rate double precision,
+    restless_count integer default 0,
+
+    -- Walk
+    walk_active boolean default false,
+    walk_duration integer default 0,
+    walk_distance double precision default 0,
+    walk_stops integer default 0,
+    walk_verification_status text default 'not_walking',
+    walk_quality_score integer default 0,
+    carried_seconds integer default 0,
+    vehicle_seconds integer default 0,
+    actual_walk_seconds integer default 0,
+    cheat_flags integer default 0,
+
+    -- Scratch
+    scratch_detected boolean default false,
+    today_scratch_count integer default 0,
+
+    -- Health
+    anomaly_detected boolean default false,
+    anomaly_type text,
+    activity_deviation double precision,
+
+    -- System
+    boot_count integer default 0,
+    firmware_version text,
+    last_seq bigint,
+    last_reading_at timestamptz,
+    last_seen_at timestamptz,
+    updated_at timestamptz not null default now()
+);
+
+-- Sequence-number ledger for deduplicating re-uploaded readings
+create table if not exists telemetry_readings (
+    device_id text not null,
+    seq bigint not null,
+    recorded_at timestamptz not null,
+    received_at timestamptz not null default now(),
+    primary key (device_id, seq)
+);
+
+create table if not exists locations (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    latitude double precision not null,
+    longitude double precision not null,
+    altitude double precision,
+    speed double precision,
+    hdop double precision,
+    satellites integer,
+    activity_class integer,
+    step_count integer,
+    accel_variance double precision,
+    is_home boolean,
+    is_escaped boolean,
+    recorded_at timestamptz not null default now(),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists locations_device_recorded_idx on locations (device_id, recorded_at);
+
+-- =============================================================================
+-- WALKS
+-- =============================================================================
+
+create table if not exists walk_sessions (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    source text not null default 'app' check (source in ('app', 'auto')),
+    reconciled boolean not null default false,
+    started_at timestamptz not null default now(),
+    ended_at timestamptz,
+    end_reason text check (end_reason in ('app', 'auto', 'timeout')),
+    start_lat double precision,
+    start_lon double precision,
+    end_lat double precision,
+    end_lon double precision,
+    duration_seconds integer,
+    distance_meters double precision,
+    stop_count integer,
+    grade text,
+    grade_score integer,
+
+    -- Device-reported verification
+    verification_status text,
+    quality_score integer,
+    carried_seconds integer,
+    carried_percent double precision,
+    vehicle_seconds integer,
+    vehicle_detected boolean default false,
+    actual_walk_seconds integer,
+    actual_walk_percent double precision,
+    cheat_flags integer default 0,
+
+    -- Server-side verification
+    server_verification_status text,
+    server_quality_score integer,
+    server_cheat_flags integer,
+    server_distance_meters double precision,
+    server_step_count integer,
+    server_carried_seconds integer,
+    server_vehicle_seconds integer,
+    verification_disagreement boolean not null default false,
+    verification_details jsonb,
+
+    created_at timestamptz not null default now()
+);
+
+create index if not exists walk_sessions_device_started_idx on walk_sessions (device_id, started_at);
+-- At most one open walk per device
+create unique index if not exists walk_sessions_open_idx on walk_sessions (device_id) where ended_at is null;
+
+-- =============================================================================
+-- SLEEP
+-- =============================================================================
+
+create table if not exists sleep_sessions (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    started_at timestamptz not null,
+    ended_at timestamptz,
+    duration_minutes integer,
+    avg_respiratory_rate double precision,
+    min_respiratory_rate double precision,
+    max_respiratory_rate double precision,
+    restless_count integer,
+    quality_score integer,
+    sample_count integer,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists sleep_sessions_device_started_idx on sleep_sessions (device_id, started_at);
+
+create table if not exists respiratory_samples (
+    id bigint generated always as identity primary key,
+    session_id bigint not null references sleep_sessions (id) on delete cascade,
+    device_id text not null,
+    respiratory_rate double precision,
+    restless_count integer default 0,
+    sleep_quality integer,
+    recorded_at timestamptz not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists respiratory_samples_session_idx on respiratory_samples (session_id, recorded_at);
+
+-- =============================================================================
+-- SCRATCH & HEALTH
+-- =============================================================================
+
+create table if not exists scratch_events (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    frequency_hz double precision,
+    confidence double precision,
+    latitude double precision,
+    longitude double precision,
+    detected_at timestamptz not null default now(),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists scratch_events_device_detected_idx on scratch_events (device_id, detected_at);
+
+create table if not exists scratch_daily (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    date date not null,
+    total_count integer default 0,
+    max_frequency double precision,
+    created_at timestamptz not null default now(),
+    unique (device_id, date)
+);
+
+create table if not exists anomaly_log (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    anomaly_type text,
+    deviation_percent double precision,
+    detected_at timestamptz not null default now(),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists anomaly_log_device_detected_idx on anomaly_log (device_id, detected_at);
+
+-- =============================================================================
+-- ALERTS
+-- =============================================================================
+
+create table if not exists alerts (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    type text not null,
+    message text,
+    latitude double precision,
+    longitude double precision,
+    distance_from_home double precision,
+    status text not null default 'pending',
+    deliveries jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists alerts_device_created_idx on alerts (device_id, created_at);
+
+create table if not exists alert_channels (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    channel text not null check (channel in ('webhook', 'push', 'sms')),
+    target text not null,
+    enabled boolean not null default true,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists alert_channels_device_idx on alert_channels (device_id);
+
+-- =============================================================================
+-- GEOFENCES
+-- =============================================================================
+
+create table if not exists geofences (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    name text not null,
+    kind text not null default 'safe' check (kind in ('home', 'safe', 'watch')),
+    type text not null check (type in ('circle', 'polygon')),
+    center_lat double precision,
+    center_lon double precision,
+    radius_meters double precision,
+    -- [[lat, lon], ...]
+    polygon jsonb,
+    enabled boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists geofences_device_idx on geofences (device_id);
+
+create table if not exists geofence_events (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    geofence_id bigint references geofences (id) on delete set null,
+    zone_name text,
+    event text not null check (event in ('enter', 'exit')),
+    latitude double precision,
+    longitude double precision,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists geofence_events_device_created_idx on geofence_events (device_id, created_at);
@@ -0,0 +1,20 @@
+-- =============================================================================
+-- TELEMETRY QUARANTINE
+-- =============================================================================
+-- Payloads rejected by the schema checks (src/schema.js), kept with their
+-- field errors for firmware debugging.
+-- =============================================================================
+
+create table if not exists telemetry_quarantine (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    firmware_version text,
+    schema_version text,
+    source text not null check (source in ('live', 'batch')),
+    payload jsonb not null,
+    errors jsonb not null,
+    received_at timestamptz not null default now()
+);
+
+create index if not exists telemetry_quarantine_received_idx on telemetry_quarantine (received_at);
+create index if not exists telemetry_quarantine_device_idx on telemetry_quarantine (device_id, received_at);
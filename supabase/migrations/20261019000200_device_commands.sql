@@ -0,0 +1,24 @@
+-- =============================================================================
+-- DOWNLINK COMMANDS
+-- =============================================================================
+-- Commands queued by the app and piggybacked on telemetry responses
+-- (src/commands.js).
+-- =============================================================================
+
+create table if not exists device_commands (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    type text not null,
+    params jsonb not null default '{}',
+    status text not null default 'pending'
+        check (status in ('pending', 'delivered', 'acked', 'failed', 'expired', 'cancelled')),
+    created_by uuid,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    delivered_at timestamptz,
+    delivery_count integer not null default 0,
+    acked_at timestamptz,
+    result jsonb
+);
+
+create index if not exists device_commands_device_status_idx on device_commands (device_id, status, created_at);
@@ -0,0 +1,19 @@
+-- =============================================================================
+-- BATTERY HISTORY
+-- =============================================================================
+-- One row per reading with battery data, with the usage at the time, for
+-- the discharge estimator and alerts (src/battery.js).
+-- =============================================================================
+
+create table if not exists battery_readings (
+    id bigint generated always as identity primary key,
+    device_id text not null,
+    percent double precision,
+    voltage double precision,
+    gps_valid boolean not null default false,
+    activity_name text,
+    walk_active boolean not null default false,
+    recorded_at timestamptz not null default now()
+);
+
+create index if not exists battery_readings_device_recorded_idx on battery_readings (device_id, recorded_at);
@@ -0,0 +1,25 @@
+-- =============================================================================
+-- DEVICE HEALTH
+-- =============================================================================
+-- Online/offline state, reboot-loop detection and signal trend per collar
+-- (src/monitor.js).
+-- =============================================================================
+
+create table if not exists device_health (
+    device_id text primary key,
+    state text not null default 'online' check (state in ('online', 'offline')),
+    offline_since timestamptz,
+    boot_count integer,
+    boot_events jsonb not null default '[]',
+    reboot_loop boolean not null default false,
+    reboot_loop_since timestamptz,
+    signal_fast double precision,
+    signal_slow double precision,
+    signal_trend text,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists device_health_state_idx on device_health (state);
+
+-- The offline sweep looks for devices by last contact
+create index if not exists device_status_last_seen_idx on device_status (last_seen_at);
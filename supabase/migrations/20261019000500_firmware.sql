@@ -0,0 +1,47 @@
+-- =============================================================================
+-- FIRMWARE UPDATES
+-- =============================================================================
+-- Firmware releases, their rollout targeting and per-device update outcomes
+-- (src/firmware.js). Binaries live in the Storage bucket FIRMWARE_BUCKET.
+-- =============================================================================
+
+create table if not exists firmware_releases (
+    id bigint generated always as identity primary key,
+    version text not null unique,
+    checksum text not null,
+    size_bytes integer,
+    release_notes text,
+    status text not null default 'draft' check (status in ('draft', 'ready', 'active', 'paused')),
+    rollout_target text check (rollout_target in ('all', 'percentage', 'devices')),
+    rollout_percentage integer check (rollout_percentage between 1 and 100),
+    rollout_device_ids text[] not null default '{}',
+    paused_at timestamptz,
+    paused_reason text,
+    created_at timestamptz not null default now(),
+    uploaded_at timestamptz,
+    activated_at timestamptz
+);
+
+create index if not exists firmware_releases_status_idx on firmware_releases (status);
+
+create table if not exists firmware_updates (
+    id bigint generated always as identity primary key,
+    release_id bigint not null references firmware_releases (id) on delete cascade,
+    device_id text not null,
+    from_version text,
+    to_version text not null,
+    status text not null default 'offered'
+        check (status in ('offered', 'downloading', 'installed', 'failed', 'silent')),
+    error text,
+    offered_at timestamptz not null default now(),
+    download_started_at timestamptz,
+    completed_at timestamptz,
+    updated_at timestamptz not null default now(),
+    unique (release_id, device_id)
+);
+
+create index if not exists firmware_updates_device_idx on firmware_updates (device_id);
+
+insert into storage.buckets (id, name, public)
+values ('firmware', 'firmware', false)
+on conflict (id) do nothing;
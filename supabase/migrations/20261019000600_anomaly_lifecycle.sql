@@ -0,0 +1,48 @@
+-- =============================================================================
+-- ANOMALY LIFECYCLE
+-- =============================================================================
+-- anomaly_log rows become episodes with a status, severity and escalation
+-- (src/anomalies.js). Devices get an IANA timezone so "the same day" means
+-- the owner's local day (src/timezone.js).
+-- =============================================================================
+
+alter table devices add column if not exists timezone text not null default 'UTC';
+
+alter table anomaly_log add column if not exists max_deviation_percent double precision;
+alter table anomaly_log add column if not exists severity text
+    check (severity in ('low', 'medium', 'high', 'critical'));
+alter table anomaly_log add column if not exists status text not null default 'open'
+    check (status in ('open', 'acknowledged', 'resolved', 'false_positive'));
+alter table anomaly_log add column if not exists local_date date;
+alter table anomaly_log add column if not exists last_local_date date;
+alter table anomaly_log add column if not exists last_detected_at timestamptz;
+alter table anomaly_log add column if not exists days_active integer not null default 1;
+alter table anomaly_log add column if not exists occurrences integer not null default 1;
+alter table anomaly_log add column if not exists escalation_level integer not null default 0;
+alter table anomaly_log add column if not exists escalated_at timestamptz;
+alter table anomaly_log add column if not exists acknowledged_at timestamptz;
+alter table anomaly_log add column if not exists acknowledged_by uuid;
+alter table anomaly_log add column if not exists resolved_at timestamptz;
+alter table anomaly_log add column if not exists resolved_by uuid;
+alter table anomaly_log add column if not exists resolution_note text;
+alter table anomaly_log add column if not exists updated_at timestamptz;
+
+-- Existing rows were one per detection; treat them as closed single-day
+-- episodes so they don't absorb new detections
+update anomaly_log set
+    max_deviation_percent = coalesce(max_deviation_percent, deviation_percent),
+    local_date = coalesce(local_date, (detected_at at time zone 'UTC')::date),
+    last_local_date = coalesce(last_local_date, (detected_at at time zone 'UTC')::date),
+    last_detected_at = coalesce(last_detected_at, detected_at),
+    severity = coalesce(severity, case
+        when abs(coalesce(deviation_percent, 0)) >= 100 then 'critical'
+        when abs(coalesce(deviation_percent, 0)) >= 50 then 'high'
+        when abs(coalesce(deviation_percent, 0)) >= 25 then 'medium'
+        else 'low'
+    end),
+    status = 'resolved',
+    resolved_at = coalesce(resolved_at, now())
+where local_date is null;
+
+create index if not exists anomaly_log_device_type_status_idx on anomaly_log (device_id, anomaly_type, status);
+create index if not exists anomaly_log_device_status_idx on anomaly_log (device_id, status, detected_at);
@@ -0,0 +1,68 @@
+-- =============================================================================
+-- DAILY ACTIVITY ROLLUP
+-- =============================================================================
+-- Steps, scratches, walks and sleep per device and local day (in the
+-- device's timezone), read by the history routes (src/daily.js). Replaces
+-- scratch_daily, which is no longer written.
+-- =============================================================================
+
+create table if not exists daily_activity (
+    device_id text not null,
+    date date not null,
+    timezone text not null default 'UTC',
+    steps integer not null default 0,
+    scratch_count integer not null default 0,
+    max_scratch_frequency double precision not null default 0,
+    walk_count integer not null default 0,
+    walk_distance_meters double precision not null default 0,
+    walk_seconds integer not null default 0,
+    sleep_sessions integer not null default 0,
+    sleep_minutes integer not null default 0,
+    sleep_quality double precision,
+    restless_count integer not null default 0,
+    updated_at timestamptz not null default now(),
+    primary key (device_id, date)
+);
+
+-- Backfill from existing history, using each device's timezone
+
+insert into daily_activity (device_id, date, timezone, scratch_count, max_scratch_frequency)
+select s.device_id, s.date, coalesce(d.timezone, 'UTC'), coalesce(s.total_count, 0), coalesce(s.max_frequency, 0)
+from scratch_daily s
+left join devices d on d.device_id = s.device_id
+on conflict (device_id, date) do nothing;
+
+insert into daily_activity (device_id, date, timezone, walk_count, walk_distance_meters, walk_seconds)
+select w.device_id,
+       (w.started_at at time zone coalesce(d.timezone, 'UTC'))::date,
+       coalesce(d.timezone, 'UTC'),
+       count(*),
+       coalesce(sum(w.distance_meters), 0),
+       coalesce(sum(w.duration_seconds), 0)
+from walk_sessions w
+left join devices d on d.device_id = w.device_id
+where w.ended_at is not null
+group by 1, 2, 3
+on conflict (device_id, date) do update set
+    walk_count = excluded.walk_count,
+    walk_distance_meters = excluded.walk_distance_meters,
+    walk_seconds = excluded.walk_seconds;
+
+-- Nights run noon to noon
+insert into daily_activity (device_id, date, timezone, sleep_sessions, sleep_minutes, sleep_quality, restless_count)
+select s.device_id,
+       ((s.started_at at time zone coalesce(d.timezone, 'UTC')) - interval '12 hours')::date,
+       coalesce(d.timezone, 'UTC'),
+       count(*),
+       coalesce(sum(s.duration_minutes), 0),
+       round(avg(s.quality_score)::numeric, 1),
+       coalesce(sum(s.restless_count), 0)
+from sleep_sessions s
+left join devices d on d.device_id = s.device_id
+where s.ended_at is not null
+group by 1, 2, 3
+on conflict (device_id, date) do update set
+    sleep_sessions = excluded.sleep_sessions,
+    sleep_minutes = excluded.sleep_minutes,
+    sleep_quality = excluded.sleep_quality,
+    restless_count = excluded.restless_count;
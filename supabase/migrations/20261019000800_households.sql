@@ -0,0 +1,28 @@
+-- =============================================================================
+-- HOUSEHOLDS
+-- =============================================================================
+-- Dogs living together, for pack-level views and joint walks
+-- (src/households.js). A device belongs to at most one household.
+-- =============================================================================
+
+create table if not exists households (
+    id bigint generated always as identity primary key,
+    name text not null,
+    owner_id uuid not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists households_owner_idx on households (owner_id);
+
+create table if not exists household_members (
+    household_id bigint not null references households (id) on delete cascade,
+    device_id text primary key,
+    added_at timestamptz not null default now()
+);
+
+create index if not exists household_members_household_idx on household_members (household_id);
+
+-- Walks of several dogs of a household that went out together share an id
+alter table walk_sessions add column if not exists joint_walk_id uuid;
+
+create index if not exists walk_sessions_joint_walk_idx on walk_sessions (joint_walk_id) where joint_walk_id is not null;
@@ -0,0 +1,23 @@
+-- =============================================================================
+-- WALK RECEIPTS, DISPUTES & WALKER IDENTITY
+-- =============================================================================
+-- Walks record who walked the dog, carry a receipt signed by the gateway
+-- (src/receipts.js) and can be disputed by the owner (src/walkers.js).
+-- =============================================================================
+
+alter table walk_sessions add column if not exists walker_id uuid;
+
+alter table walk_sessions add column if not exists receipt jsonb;
+alter table walk_sessions add column if not exists receipt_signature text;
+alter table walk_sessions add column if not exists receipt_issued_at timestamptz;
+
+alter table walk_sessions add column if not exists dispute_status text
+    check (dispute_status in ('open', 'upheld', 'rejected'));
+alter table walk_sessions add column if not exists dispute_reason text;
+alter table walk_sessions add column if not exists disputed_at timestamptz;
+alter table walk_sessions add column if not exists disputed_by uuid;
+alter table walk_sessions add column if not exists dispute_resolved_at timestamptz;
+alter table walk_sessions add column if not exists dispute_resolution_note text;
+
+create index if not exists walk_sessions_walker_started_idx on walk_sessions (walker_id, started_at) where walker_id is not null;
+create index if not exists walk_sessions_open_disputes_idx on walk_sessions (disputed_at) where dispute_status = 'open';
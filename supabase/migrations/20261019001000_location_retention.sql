@@ -0,0 +1,29 @@
+-- =============================================================================
+-- LOCATION RETENTION
+-- =============================================================================
+-- Raw fixes older than LOCATION_RETENTION_DAYS are compacted into hourly
+-- summaries and deleted (src/locations.js). Fixes recorded during a walk are
+-- flagged and kept for route exports and walk receipts.
+-- =============================================================================
+
+alter table locations add column if not exists walk_point boolean not null default false;
+
+-- The retention job scans each device's oldest unflagged fixes
+create index if not exists locations_device_compactable_idx on locations (device_id, recorded_at) where not walk_point;
+
+create table if not exists location_hourly (
+    device_id text not null,
+    hour timestamptz not null,
+    point_count integer not null,
+    latitude double precision not null,
+    longitude double precision not null,
+    min_latitude double precision not null,
+    max_latitude double precision not null,
+    min_longitude double precision not null,
+    max_longitude double precision not null,
+    distance_meters double precision not null default 0,
+    home_points integer not null default 0,
+    first_recorded_at timestamptz not null,
+    last_recorded_at timestamptz not null,
+    primary key (device_id, hour)
+);
@@ -0,0 +1,29 @@
+-- =============================================================================
+-- RATE LIMITS
+-- =============================================================================
+-- Fixed-window counters shared by all gateway instances
+-- (RATE_LIMIT_STORE=supabase, src/ratelimit.js). Losing them on a crash is
+-- harmless, so the table is unlogged.
+-- =============================================================================
+
+create unlogged table if not exists rate_limits (
+    key text primary key,
+    hits integer not null,
+    reset_at timestamptz not null
+);
+
+create index if not exists rate_limits_reset_idx on rate_limits (reset_at);
+
+-- Add p_cost hits to the key's current window, starting a new window when
+-- it has run out. A cost of 0 just reads the count.
+create or replace function rate_limit_hit(p_key text, p_window_seconds integer, p_cost integer default 1)
+returns table (hits integer, reset_at timestamptz)
+language sql
+as $$
+    insert into rate_limits as r (key, hits, reset_at)
+    values (p_key, p_cost, now() + make_interval(secs => p_window_seconds))
+    on conflict (key) do update set
+        hits = case when r.reset_at <= now() then p_cost else r.hits + p_cost end,
+        reset_at = case when r.reset_at <= now() then excluded.reset_at else r.reset_at end
+    returning r.hits, r.reset_at;
+$$;
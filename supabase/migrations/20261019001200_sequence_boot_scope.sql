@@ -0,0 +1,15 @@
+-- =============================================================================
+-- SEQUENCE NUMBERS PER BOOT
+-- =============================================================================
+-- Collars restart their `seq` counter on reboot or reflash, so claims are
+-- scoped to the boot they were made in (src/telemetry.js). Claims older than
+-- TELEMETRY_MAX_READING_AGE_HOURS are pruned - re-uploads that old are
+-- rejected before deduplication.
+-- =============================================================================
+
+alter table telemetry_readings add column if not exists boot_count integer not null default 0;
+
+alter table telemetry_readings drop constraint if exists telemetry_readings_pkey;
+alter table telemetry_readings add primary key (device_id, boot_count, seq);
+
+create index if not exists telemetry_readings_received_idx on telemetry_readings (received_at);
@@ -0,0 +1,28 @@
+-- =============================================================================
+-- DAILY STEPS FROM COUNTER INCREASES
+-- =============================================================================
+-- Steps per local day are the increases of the collar's step counter
+-- (src/daily.js); the last counter value counted is kept on the day it was
+-- read. Scratches are recounted from scratch_events.
+-- =============================================================================
+
+alter table daily_activity add column if not exists steps_counter integer;
+alter table daily_activity add column if not exists steps_counter_at timestamptz;
+
+create index if not exists daily_activity_steps_counter_idx on daily_activity (device_id, steps_counter_at desc)
+    where steps_counter_at is not null;
+
+-- Start counting from each collar's latest reading, so steps already in
+-- the rollup aren't added again
+insert into daily_activity (device_id, date, timezone, steps_counter, steps_counter_at)
+select s.device_id,
+       (s.last_reading_at at time zone coalesce(d.timezone, 'UTC'))::date,
+       coalesce(d.timezone, 'UTC'),
+       s.today_steps,
+       s.last_reading_at
+from device_status s
+left join devices d on d.device_id = s.device_id
+where s.today_steps is not null and s.last_reading_at is not null
+on conflict (device_id, date) do update set
+    steps_counter = excluded.steps_counter,
+    steps_counter_at = excluded.steps_counter_at;
@@ -0,0 +1,13 @@
+-- =============================================================================
+-- WALK ACTIVITY
+-- =============================================================================
+-- Time of the last reading that showed the walk still going (src/walks.js).
+-- The stale sweep closes walks idle for WALK_STALE_HOURS, as of this time,
+-- instead of cutting long walks off a fixed time after they started.
+-- =============================================================================
+
+alter table walk_sessions add column if not exists last_activity_at timestamptz;
+
+update walk_sessions set last_activity_at = started_at where last_activity_at is null;
+
+create index if not exists walk_sessions_open_activity_idx on walk_sessions (last_activity_at) where ended_at is null;
@@ -0,0 +1,9 @@
+-- =============================================================================
+-- FIRMWARE ROLLOUT RESUMES
+-- =============================================================================
+-- When a paused rollout was last resumed (src/firmware.js). Only devices that
+-- went silent since activation or the last resume count towards pausing the
+-- rollout again.
+-- =============================================================================
+
+alter table firmware_releases add column if not exists resumed_at timestamptz;
@@ -0,0 +1,15 @@
+-- =============================================================================
+-- SIGNATURE NONCES
+-- =============================================================================
+-- Nonces of v2-signed telemetry seen within the replay window, shared by all
+-- gateway instances (NONCE_STORE=supabase, src/signature.js). A replay is
+-- also rejected by its timestamp once the row has expired, so losing rows on
+-- a crash only reopens a short window - the table is unlogged.
+-- =============================================================================
+
+create unlogged table if not exists signature_nonces (
+    key text primary key,
+    expires_at timestamptz not null
+);
+
+create index if not exists signature_nonces_expires_idx on signature_nonces (expires_at);
@@ -0,0 +1,9 @@
+-- =============================================================================
+-- ALERT CHANNEL SECRETS
+-- =============================================================================
+-- Signing secret of each owner-added webhook (src/alerts.js), returned once
+-- when the channel is created. Webhooks added before this have none and are
+-- skipped until they are added again.
+-- =============================================================================
+
+alter table alert_channels add column if not exists secret text;
@@ -0,0 +1,9 @@
+-- =============================================================================
+-- SIGNATURE V2 DEVICES
+-- =============================================================================
+-- When a device first signed its telemetry with v2 (src/signature.js). From
+-- then on its legacy (djb2) signatures are refused, whatever firmware
+-- version the payload claims.
+-- =============================================================================
+
+alter table devices add column if not exists signature_v2_at timestamptz;
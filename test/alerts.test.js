@@ -0,0 +1,115 @@
+// =============================================================================
+// INTEGRATION: ALERT CHANNELS
+// =============================================================================
+// Where a device's alerts go (src/alerts.js): owner-managed webhooks with
+// their own signing secret, and the checks on channel targets.
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const FAMILY = 'family-1';
+const DEVICE = 'collar-1';
+
+describe('alert channels', () => {
+    let gateway;
+
+    const addChannel = (body, user = OWNER) => gateway.request('POST', `/device/${DEVICE}/alert-channels`, { user, body });
+
+    before(async () => {
+        gateway = await startGateway();
+
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+        const shared = await gateway.request('POST', `/device/${DEVICE}/access`, {
+            user: OWNER,
+            body: { user_id: FAMILY, role: 'family' }
+        });
+        assert.equal(shared.status, 201);
+    });
+
+    after(() => gateway.stop());
+
+    describe('webhooks', () => {
+        let channel;
+
+        before(async () => {
+            const created = await addChannel({ channel: 'webhook', target: 'https://hooks.example.com/popcorn' });
+            assert.equal(created.status, 201);
+            channel = created.body;
+        });
+
+        it('get a signing secret of their own when created', async () => {
+            assert.match(channel.secret, /^[0-9a-f]{64}$/);
+
+            const other = await addChannel({ channel: 'webhook', target: 'https://hooks.example.com/other' });
+            assert.notEqual(other.body.secret, channel.secret);
+        });
+
+        it('never show the secret again', async () => {
+            const listed = await gateway.request('GET', `/device/${DEVICE}/alert-channels`, { user: OWNER });
+            assert.equal(listed.status, 200);
+            assert.ok(listed.body.channels.length > 0);
+            assert.ok(listed.body.channels.every(row => !('secret' in row)));
+
+            const updated = await gateway.request('PUT', `/device/${DEVICE}/alert-channels/${channel.id}`, {
+                user: OWNER,
+                body: { enabled: false }
+            });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.enabled, false);
+            assert.ok(!('secret' in updated.body));
+        });
+
+        it('must use https', async () => {
+            const response = await addChannel({ channel: 'webhook', target: 'http://hooks.example.com/popcorn' });
+            assert.equal(response.status, 400);
+        });
+
+        for (const target of [
+            'https://localhost/hook',
+            'https://127.0.0.1/hook',
+            'https://2130706433/hook',
+            'https://[::1]/hook',
+            'https://10.0.0.8/hook',
+            'https://172.20.1.1/hook',
+            'https://192.168.1.20/hook',
+            'https://169.254.169.254/latest/meta-data',
+            'https://[fd00::1]/hook',
+            'https://[::ffff:10.0.0.1]/hook'
+        ]) {
+            it(`may not point at ${target}`, async () => {
+                const response = await addChannel({ channel: 'webhook', target });
+                assert.equal(response.status, 400);
+                assert.deepEqual(response.body.details, ['webhook URLs must point at a public host']);
+            });
+        }
+
+        it('cannot be moved to a private host', async () => {
+            const response = await gateway.request('PUT', `/device/${DEVICE}/alert-channels/${channel.id}`, {
+                user: OWNER,
+                body: { target: 'https://127.0.0.1/hook' }
+            });
+            assert.equal(response.status, 400);
+        });
+    });
+
+    it('reject channels the gateway has no provider for', async () => {
+        const response = await addChannel({ channel: 'sms', target: '+31612345678' });
+        assert.equal(response.status, 400);
+    });
+
+    it('reject a non-boolean enabled flag', async () => {
+        const response = await addChannel({ channel: 'push', target: 'ExponentPushToken[abc]', enabled: 'false' });
+        assert.equal(response.status, 400);
+    });
+
+    it('are managed by the owner only', async () => {
+        const listed = await gateway.request('GET', `/device/${DEVICE}/alert-channels`, { user: FAMILY });
+        assert.equal(listed.status, 403);
+
+        const created = await addChannel({ channel: 'push', target: 'ExponentPushToken[abc]' }, FAMILY);
+        assert.equal(created.status, 403);
+    });
+});
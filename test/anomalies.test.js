@@ -0,0 +1,110 @@
+// =============================================================================
+// INTEGRATION: HEALTH ANOMALIES
+// =============================================================================
+// Anomaly episodes across consecutive days, severity escalation, and the
+// acknowledge / resolve lifecycle (src/anomalies.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const FAMILY = 'family-1';
+const DEVICE = 'collar-1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('health anomalies', () => {
+    let gateway;
+    let seq = 0;
+
+    // One detection of `type` at noon (UTC) on each of `days` days ago
+    const detect = async (type, days, deviation) => {
+        const readings = days.map(day => {
+            const date = new Date(Date.now() - day * DAY_MS).toISOString().slice(0, 10);
+            return {
+                seq: ++seq,
+                timestamp: Date.parse(`${date}T12:00:00Z`),
+                health: { anomaly: true, anomaly_type: type, deviation }
+            };
+        });
+        const batch = await gateway.request('POST', '/telemetry/batch', { body: { device_id: DEVICE, readings } });
+        assert.equal(batch.body.accepted, readings.length);
+    };
+
+    const episodes = async (type, user = OWNER) => {
+        const response = await gateway.request('GET', `/device/${DEVICE}/anomalies?type=${type}`, { user });
+        assert.equal(response.status, 200);
+        return response.body.anomalies;
+    };
+
+    const act = (anomaly, action, user, body) =>
+        gateway.request('POST', `/device/${DEVICE}/anomalies/${anomaly.id}/${action}`, { user, body });
+
+    before(async () => {
+        gateway = await startGateway();
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+        await gateway.request('POST', `/device/${DEVICE}/access`, { user: OWNER, body: { user_id: FAMILY, role: 'family' } });
+    });
+
+    after(() => gateway.stop());
+
+    it('extends one episode over consecutive days and escalates it', async () => {
+        await detect('activity_drop', [4, 3, 2, 1], 30);
+
+        const [episode] = await episodes('activity_drop');
+        assert.equal(episode.status, 'open');
+        assert.equal(episode.days_active, 4);
+        assert.equal(episode.occurrences, 4);
+        // medium from the deviation, one level up for persisting three days
+        assert.equal(episode.severity, 'high');
+        assert.equal(episode.escalation_level, 1);
+
+        // The escalation alerts the owner (in the background)
+        let alerts = [];
+        for (let attempt = 0; attempt < 20 && alerts.length === 0; attempt++) {
+            await sleep(50);
+            alerts = (await gateway.request('GET', `/device/${DEVICE}/alerts?type=health_anomaly`, { user: OWNER })).body.alerts;
+        }
+        assert.equal(alerts.length, 1);
+    });
+
+    it('starts a new episode after a day without detections', async () => {
+        await detect('restlessness', [5, 2], 10);
+
+        const found = await episodes('restlessness');
+        assert.equal(found.length, 2);
+        assert.ok(found.every(episode => episode.days_active === 1 && episode.severity === 'low'));
+    });
+
+    it('can be acknowledged by family but only closed by the owner', async () => {
+        const [episode] = await episodes('activity_drop');
+
+        const acknowledged = await act(episode, 'acknowledge', FAMILY);
+        assert.equal(acknowledged.status, 200);
+        assert.equal(acknowledged.body.acknowledged_by, FAMILY);
+        assert.equal((await act(episode, 'acknowledge', FAMILY)).status, 409);
+
+        assert.equal((await act(episode, 'resolve', FAMILY)).status, 403);
+
+        const resolved = await act(episode, 'resolve', OWNER, { note: 'Sore paw, seen by the vet' });
+        assert.equal(resolved.status, 200);
+        assert.equal(resolved.body.status, 'resolved');
+        assert.equal(resolved.body.resolution_note, 'Sore paw, seen by the vet');
+
+        const again = await act(episode, 'false-positive', OWNER);
+        assert.equal(again.status, 409);
+        assert.equal(again.body.status, 'resolved');
+    });
+
+    it('validates notes and filters', async () => {
+        const [episode] = await episodes('restlessness');
+        assert.equal((await act(episode, 'resolve', OWNER, { note: 'x'.repeat(1001) })).status, 400);
+
+        const response = await gateway.request('GET', `/device/${DEVICE}/anomalies?status=closed`, { user: OWNER });
+        assert.equal(response.status, 400);
+    });
+});
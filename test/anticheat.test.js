@@ -0,0 +1,58 @@
+// =============================================================================
+// UNIT: WALK VERIFICATION
+// =============================================================================
+// The server's own analysis of a walk track - cheat flags and quality score
+// re-derived from positions and step counts (src/anticheat.js).
+// =============================================================================
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const START = Date.parse('2026-10-19T08:00:00Z');
+const INTERVAL_SECONDS = 30;
+// ~1.2 m/s heading north
+const METERS_PER_FIX = 36;
+const DEGREES_PER_METER = 1 / 111195;
+
+// A 20 minute walk taking `stride` meters per step
+function track(stride) {
+    const points = [];
+    for (let i = 0; i <= 40; i++) {
+        points.push({
+            recorded_at: new Date(START + i * INTERVAL_SECONDS * 1000).toISOString(),
+            latitude: 52.37 + i * METERS_PER_FIX * DEGREES_PER_METER,
+            longitude: 4.89,
+            step_count: 1000 + Math.round(i * METERS_PER_FIX / stride)
+        });
+    }
+    return points;
+}
+
+describe('walk verification', () => {
+    let anticheat;
+
+    before(() => {
+        process.env.STORAGE_BACKEND = 'memory';
+        anticheat = require('../src/anticheat');
+    });
+
+    it('passes a walk at a normal stride', () => {
+        const analysis = anticheat.analyseTrack(track(0.5));
+        assert.equal(analysis.status, 'verified');
+        assert.equal(analysis.cheat_flags, 0);
+        assert.equal(analysis.quality_score, 100);
+        assert.equal(analysis.stride_meters, 0.5);
+    });
+
+    it('flags a walk with too few steps for the distance', () => {
+        const analysis = anticheat.analyseTrack(track(3));
+        assert.ok(analysis.cheat_flags & anticheat.CHEAT_FLAGS.LOW_CADENCE);
+        assert.equal(analysis.cheat_flags & anticheat.CHEAT_FLAGS.SHORT_STRIDE, 0);
+    });
+
+    it('flags a walk with more steps than the dog could take (shaken collar)', () => {
+        const analysis = anticheat.analyseTrack(track(0.05));
+        assert.equal(analysis.cheat_flags, anticheat.CHEAT_FLAGS.SHORT_STRIDE);
+        assert.equal(analysis.quality_score, 85);
+    });
+});
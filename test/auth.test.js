@@ -0,0 +1,183 @@
+// =============================================================================
+// INTEGRATION: AUTHENTICATION & ROLES
+// =============================================================================
+// Admin key, user tokens and the owner / family / walker roles on device
+// routes (src/auth.js), including shares that expire, are revoked, or end
+// with a transfer.
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, userToken } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const FAMILY = 'family-1';
+const WALKER = 'walker-1';
+const STRANGER = 'stranger-1';
+const DEVICE = 'collar-1';
+
+const GEOFENCE = { name: 'Garden', type: 'circle', center_lat: 52.37, center_lon: 4.89, radius_meters: 50 };
+
+describe('authentication and roles', () => {
+    let gateway;
+
+    const share = (userId, role, fields = {}) => gateway.request('POST', `/device/${DEVICE}/access`, {
+        user: OWNER,
+        body: { user_id: userId, role, ...fields }
+    });
+
+    before(async () => {
+        gateway = await startGateway();
+
+        const registered = await gateway.admin('POST', '/devices', {
+            body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true }
+        });
+        assert.equal(registered.status, 201);
+
+        // The status route answers 404 until the collar has reported
+        const reading = await gateway.request('POST', '/telemetry', { body: { device_id: DEVICE, seq: 1, battery: { percent: 90 } } });
+        assert.equal(reading.status, 200);
+
+        assert.equal((await share(FAMILY, 'family')).status, 201);
+        const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        assert.equal((await share(WALKER, 'walker', { expires_at: inAnHour })).status, 201);
+    });
+
+    after(() => gateway.stop());
+
+    describe('admin routes', () => {
+        it('require the admin key', async () => {
+            const response = await gateway.request('GET', `/devices/${DEVICE}`);
+            assert.equal(response.status, 401);
+        });
+
+        it('do not accept a user token instead', async () => {
+            const response = await gateway.request('GET', `/devices/${DEVICE}`, { user: OWNER });
+            assert.equal(response.status, 401);
+        });
+
+        it('work with the admin key', async () => {
+            const response = await gateway.admin('GET', `/devices/${DEVICE}`);
+            assert.equal(response.status, 200);
+            assert.equal(response.body.owner_id, OWNER);
+        });
+    });
+
+    describe('user tokens', () => {
+        it('are required on device routes', async () => {
+            const response = await gateway.request('GET', `/device/${DEVICE}/status`);
+            assert.equal(response.status, 401);
+        });
+
+        it('must carry a valid signature', async () => {
+            const [header, claims] = userToken(OWNER).split('.');
+            const response = await gateway.request('GET', `/device/${DEVICE}/status`, {
+                headers: { Authorization: `Bearer ${header}.${claims}.forged` }
+            });
+            assert.equal(response.status, 401);
+        });
+
+        it('are refused once expired', async () => {
+            const expired = userToken(OWNER, { exp: Math.floor(Date.now() / 1000) - 60 });
+            const response = await gateway.request('GET', `/device/${DEVICE}/status`, {
+                headers: { Authorization: `Bearer ${expired}` }
+            });
+            assert.equal(response.status, 401);
+        });
+
+        it('are accepted as ?access_token= where headers cannot be set', async () => {
+            const response = await gateway.request('GET', `/device/${DEVICE}/status?access_token=${userToken(OWNER)}`);
+            assert.equal(response.status, 200);
+        });
+    });
+
+    describe('device roles', () => {
+        it('let the owner read and manage', async () => {
+            assert.equal((await gateway.request('GET', `/device/${DEVICE}/status`, { user: OWNER })).status, 200);
+
+            const created = await gateway.request('POST', `/device/${DEVICE}/geofences`, { user: OWNER, body: GEOFENCE });
+            assert.equal(created.status, 201);
+        });
+
+        it('let family read but not manage', async () => {
+            assert.equal((await gateway.request('GET', `/device/${DEVICE}/status`, { user: FAMILY })).status, 200);
+            assert.equal((await gateway.request('GET', `/device/${DEVICE}/geofences`, { user: FAMILY })).status, 200);
+
+            const created = await gateway.request('POST', `/device/${DEVICE}/geofences`, { user: FAMILY, body: GEOFENCE });
+            assert.equal(created.status, 403);
+
+            const shares = await gateway.request('GET', `/device/${DEVICE}/access`, { user: FAMILY });
+            assert.equal(shares.status, 403);
+        });
+
+        it('let walkers walk the dog but not read its history', async () => {
+            assert.equal((await gateway.request('GET', `/device/${DEVICE}/status`, { user: WALKER })).status, 403);
+            assert.equal((await gateway.request('GET', `/device/${DEVICE}/locations`, { user: WALKER })).status, 403);
+
+            const started = await gateway.request('POST', `/device/${DEVICE}/walk/start`, { user: WALKER });
+            assert.equal(started.status, 200);
+            assert.equal(started.body.walker_id, WALKER);
+
+            const ended = await gateway.request('POST', `/device/${DEVICE}/walk/end`, {
+                user: WALKER,
+                body: { walk_id: started.body.walk_id }
+            });
+            assert.equal(ended.status, 200);
+        });
+
+        it('give strangers the same answer as for a missing device', async () => {
+            const existing = await gateway.request('GET', `/device/${DEVICE}/status`, { user: STRANGER });
+            const missing = await gateway.request('GET', '/device/collar-missing/status', { user: STRANGER });
+            assert.equal(existing.status, 403);
+            assert.deepEqual(missing.body, existing.body);
+        });
+
+        it('only let the owner queue configuration commands', async () => {
+            const command = { type: 'set_report_interval', params: { interval_seconds: 60 } };
+            const byFamily = await gateway.request('POST', `/device/${DEVICE}/commands`, { user: FAMILY, body: command });
+            assert.equal(byFamily.status, 403);
+
+            const byOwner = await gateway.request('POST', `/device/${DEVICE}/commands`, { user: OWNER, body: command });
+            assert.equal(byOwner.status, 201);
+
+            const cancelled = await gateway.request('DELETE', `/device/${DEVICE}/commands/${byOwner.body.id}`, { user: FAMILY });
+            assert.equal(cancelled.status, 403);
+        });
+    });
+
+    describe('shares', () => {
+        it('require an expiry for walkers', async () => {
+            const response = await share('walker-2', 'walker');
+            assert.equal(response.status, 400);
+        });
+
+        it('grant nothing once expired', async () => {
+            const walker = 'walker-expired';
+            const response = await share(walker, 'walker', {
+                starts_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+                expires_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+            });
+            assert.equal(response.status, 201);
+
+            const started = await gateway.request('POST', `/device/${DEVICE}/walk/start`, { user: walker });
+            assert.equal(started.status, 403);
+        });
+
+        it('end when revoked', async () => {
+            const revoked = await gateway.request('DELETE', `/device/${DEVICE}/access/${FAMILY}`, { user: OWNER });
+            assert.equal(revoked.status, 200);
+
+            const response = await gateway.request('GET', `/device/${DEVICE}/status`, { user: FAMILY });
+            assert.equal(response.status, 403);
+        });
+
+        it('end with a transfer, along with the previous owner\'s access', async () => {
+            const transferred = await gateway.admin('POST', `/devices/${DEVICE}/transfer`, { body: { owner_id: 'owner-2' } });
+            assert.equal(transferred.status, 200);
+
+            assert.equal((await gateway.request('GET', `/device/${DEVICE}/status`, { user: OWNER })).status, 403);
+            assert.equal((await gateway.request('POST', `/device/${DEVICE}/walk/start`, { user: WALKER })).status, 403);
+            assert.equal((await gateway.request('GET', `/device/${DEVICE}/status`, { user: 'owner-2' })).status, 200);
+        });
+    });
+});
@@ -0,0 +1,89 @@
+// =============================================================================
+// INTEGRATION: AUTOMATIC WALK DETECTION
+// =============================================================================
+// Walks opened and closed from the telemetry stream, and reconciled with
+// walks the app starts (src/walks.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+
+describe('automatic walk detection', () => {
+    let gateway;
+    let seq = 0;
+
+    const report = (deviceId, fields) => gateway.request('POST', '/telemetry', {
+        body: { device_id: deviceId, seq: ++seq, ...fields }
+    });
+
+    const listWalks = async deviceId => {
+        const response = await gateway.request('GET', `/device/${deviceId}/walks`, { user: OWNER });
+        assert.equal(response.status, 200);
+        return response.body.walks;
+    };
+
+    before(async () => {
+        gateway = await startGateway();
+        for (const deviceId of ['collar-auto', 'collar-app', 'collar-unseen', 'collar-old']) {
+            await gateway.admin('POST', '/devices', { body: { device_id: deviceId, owner_id: OWNER, legacy_shared_key: true } });
+        }
+    });
+
+    after(() => gateway.stop());
+
+    it('opens a walk when the collar starts walking and closes it when it stops', async () => {
+        await report('collar-auto', { walk: { active: true } });
+        const [open] = await listWalks('collar-auto');
+        assert.equal(open.source, 'auto');
+        assert.ok(!open.ended_at);
+
+        await report('collar-auto', { walk: { active: true } });
+        assert.equal((await listWalks('collar-auto')).length, 1);
+
+        await report('collar-auto', { walk: { active: false } });
+        const [closed] = await listWalks('collar-auto');
+        assert.equal(closed.id, open.id);
+        assert.equal(closed.end_reason, 'auto');
+        assert.ok(closed.ended_at);
+    });
+
+    it('joins the walk the app started instead of opening a second one', async () => {
+        const started = await gateway.request('POST', '/device/collar-app/walk/start', { user: OWNER });
+        assert.equal(started.status, 200);
+
+        await report('collar-app', { walk: { active: true } });
+        const walks = await listWalks('collar-app');
+        assert.equal(walks.length, 1);
+        assert.equal(walks[0].id, started.body.walk_id);
+        assert.equal(walks[0].reconciled, true);
+
+        // The collar saw the walk, so the collar may end it
+        await report('collar-app', { walk: { active: false } });
+        assert.equal((await listWalks('collar-app'))[0].end_reason, 'auto');
+    });
+
+    it('leaves an app walk the collar never saw to the app', async () => {
+        const started = await gateway.request('POST', '/device/collar-unseen/walk/start', { user: OWNER });
+
+        await report('collar-unseen', { walk: { active: false } });
+        const [walk] = await listWalks('collar-unseen');
+        assert.equal(walk.id, started.body.walk_id);
+        assert.ok(!walk.ended_at);
+    });
+
+    it('falls back to "away from home and walking" for firmware without walk tracking', async () => {
+        await report('collar-old', { activity: { name: 'walking' }, location: { is_home: false } });
+        assert.ok(!(await listWalks('collar-old'))[0].ended_at);
+
+        // Stopping along the way does not end the walk
+        await report('collar-old', { activity: { name: 'resting' }, location: { is_home: false } });
+        assert.ok(!(await listWalks('collar-old'))[0].ended_at);
+
+        await report('collar-old', { activity: { name: 'resting' }, location: { is_home: true } });
+        const [walk] = await listWalks('collar-old');
+        assert.equal(walk.end_reason, 'auto');
+    });
+});
@@ -0,0 +1,91 @@
+// =============================================================================
+// INTEGRATION: BATTERY ANALYTICS
+// =============================================================================
+// Discharge rates per usage mode, runtime prediction, charge cycles and the
+// low-battery alert (src/battery.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+
+const HALF_HOUR = 30 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('battery analytics', () => {
+    let gateway;
+    let seq = 0;
+
+    // One reading every half hour, ending now
+    const upload = async (deviceId, readings) => {
+        const start = Date.now() - (readings.length - 1) * HALF_HOUR;
+        const response = await gateway.request('POST', '/telemetry/batch', {
+            body: {
+                device_id: deviceId,
+                readings: readings.map((fields, i) => ({ seq: ++seq, timestamp: start + i * HALF_HOUR, ...fields }))
+            }
+        });
+        assert.equal(response.body.accepted, readings.length);
+    };
+
+    const report = async deviceId => {
+        const response = await gateway.request('GET', `/device/${deviceId}/battery`, { user: OWNER });
+        assert.equal(response.status, 200);
+        return response.body;
+    };
+
+    before(async () => {
+        gateway = await startGateway();
+        for (const deviceId of ['collar-idle', 'collar-charging', 'collar-low']) {
+            await gateway.admin('POST', '/devices', { body: { device_id: deviceId, owner_id: OWNER, legacy_shared_key: true } });
+        }
+    });
+
+    after(() => gateway.stop());
+
+    it('predicts the hours left from the discharge rate', async () => {
+        await upload('collar-idle', [80, 78, 76, 74].map(percent => ({ battery: { percent } })));
+
+        const { current, discharge } = await report('collar-idle');
+        assert.equal(current.percent, 74);
+        assert.equal(current.charging, false);
+        assert.equal(discharge.rate_percent_per_hour, 4);
+        assert.equal(discharge.observed_hours, 1.5);
+        assert.equal(discharge.hours_remaining, 18.5);
+    });
+
+    it('tells usage modes apart and spots charging', async () => {
+        const idle = percent => ({ battery: { percent } });
+        const walking = percent => ({ battery: { percent }, walk: { active: true } });
+        await upload('collar-charging', [idle(100), idle(98), idle(96), walking(94), walking(88), idle(82), idle(90), idle(100)]);
+
+        const { current, discharge, charge_cycles } = await report('collar-charging');
+        assert.equal(current.charging, true);
+        assert.equal(discharge.by_mode.idle, 4);
+        assert.equal(discharge.by_mode.active, 12);
+        assert.equal(discharge.hours_remaining, null);
+
+        assert.equal(charge_cycles.count, 1);
+        assert.equal(charge_cycles.equivalent_full_cycles, 0.18);
+        assert.equal(charge_cycles.cycles[0].in_progress, true);
+    });
+
+    it('raises a low-battery alert once when the charge drops below the threshold', async () => {
+        for (const percent of [25, 18, 17]) {
+            await gateway.request('POST', '/telemetry', { body: { device_id: 'collar-low', seq: ++seq, battery: { percent } } });
+        }
+
+        // Alerts are dispatched in the background
+        let alerts = [];
+        for (let attempt = 0; attempt < 20 && alerts.length === 0; attempt++) {
+            await sleep(50);
+            alerts = (await gateway.request('GET', '/device/collar-low/alerts?type=low_battery', { user: OWNER })).body.alerts;
+        }
+        await sleep(100);
+        alerts = (await gateway.request('GET', '/device/collar-low/alerts?type=low_battery', { user: OWNER })).body.alerts;
+        assert.equal(alerts.length, 1);
+    });
+});
@@ -0,0 +1,73 @@
+// =============================================================================
+// INTEGRATION: DOWNLINK COMMANDS
+// =============================================================================
+// Commands queued from the app ride along on telemetry responses until the
+// collar acknowledges them (src/commands.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const DEVICE = 'collar-1';
+const MAX_COMMANDS_PER_RESPONSE = 10;
+
+describe('downlink commands', () => {
+    let gateway;
+    let seq = 0;
+
+    const queue = (type, params = {}) => gateway.request('POST', `/device/${DEVICE}/commands`, {
+        user: OWNER,
+        body: { type, params }
+    });
+
+    const report = (fields = {}) => gateway.request('POST', '/telemetry', {
+        body: { device_id: DEVICE, seq: ++seq, ...fields }
+    });
+
+    before(async () => {
+        // Unacknowledged commands are due again straight away
+        gateway = await startGateway({ COMMAND_REDELIVER_SECONDS: '0' });
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+    });
+
+    after(() => gateway.stop());
+
+    it('rejects unknown and inherited command types', async () => {
+        for (const type of ['self_destruct', 'toString', '__proto__']) {
+            const response = await queue(type);
+            assert.equal(response.status, 400, type);
+        }
+    });
+
+    it('hands a queued command to the collar until it is acknowledged', async () => {
+        const queued = await queue('locate_now');
+        assert.equal(queued.status, 201);
+
+        const first = await report();
+        assert.deepEqual(first.body.commands.map(command => command.id), [queued.body.id]);
+
+        const again = await report();
+        assert.deepEqual(again.body.commands.map(command => command.id), [queued.body.id]);
+
+        const acked = await report({ acks: [{ id: queued.body.id, status: 'ok' }] });
+        assert.deepEqual(acked.body.commands, []);
+    });
+
+    it('does not let unacknowledged commands hold back new ones', async () => {
+        const old = [];
+        for (let i = 0; i < MAX_COMMANDS_PER_RESPONSE; i++) {
+            old.push((await queue('buzzer', { duration_seconds: 2 })).body.id);
+        }
+        const delivered = await report();
+        assert.equal(delivered.body.commands.length, MAX_COMMANDS_PER_RESPONSE);
+
+        // The collar never acks them; a new command still gets through
+        const queued = await queue('locate_now');
+        const next = await report();
+        const ids = next.body.commands.map(command => command.id);
+        assert.equal(ids.length, MAX_COMMANDS_PER_RESPONSE);
+        assert.equal(ids[0], queued.body.id);
+    });
+});
@@ -0,0 +1,93 @@
+// =============================================================================
+// INTEGRATION: DEVICE REGISTRY
+// =============================================================================
+// Only registered, active collars may report, each signing with its own
+// secret - or the fleet-wide HMAC_KEY before it is re-provisioned - and key
+// rotation leaves the previous key valid for a grace period
+// (src/devices.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, signTelemetry } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const FLEET_KEY = 'test-fleet-key';
+
+describe('device registry', () => {
+    let gateway;
+    let seq = 0;
+
+    // A signed reading from `deviceId`; resolves with the response status
+    async function report(deviceId, key) {
+        const body = JSON.stringify({ device_id: deviceId, seq: ++seq });
+        const response = await gateway.request('POST', '/telemetry', { body, headers: signTelemetry(key, body) });
+        return response.status;
+    }
+
+    const register = (deviceId, fields = {}) => gateway.admin('POST', '/devices', {
+        body: { device_id: deviceId, owner_id: OWNER, ...fields }
+    });
+
+    before(async () => {
+        gateway = await startGateway({ HMAC_KEY: FLEET_KEY });
+    });
+
+    after(() => gateway.stop());
+
+    it('rejects unregistered devices', async () => {
+        const response = await gateway.request('POST', '/telemetry', { body: { device_id: 'collar-unknown', seq: 1 } });
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'DEVICE_UNKNOWN');
+    });
+
+    it('returns the device secret on registration only', async () => {
+        const registered = await register('collar-keyed');
+        assert.equal(registered.status, 201);
+        assert.match(registered.body.secret, /^[0-9a-f]{64}$/);
+        assert.equal(await report('collar-keyed', registered.body.secret), 200);
+
+        const fetched = await gateway.admin('GET', '/devices/collar-keyed');
+        assert.equal(fetched.status, 200);
+        assert.ok(!('secret' in fetched.body));
+        assert.equal(fetched.body.uses_shared_key, false);
+    });
+
+    it('accepts the previous secret during the grace period after a rotation', async () => {
+        const { body: { secret: oldSecret } } = await register('collar-rotated');
+
+        const rotated = await gateway.admin('POST', '/devices/collar-rotated/rotate-key');
+        assert.equal(rotated.status, 200);
+        assert.notEqual(rotated.body.secret, oldSecret);
+        assert.ok(rotated.body.previous_key_valid_until);
+
+        assert.equal(await report('collar-rotated', rotated.body.secret), 200);
+        assert.equal(await report('collar-rotated', oldSecret), 200);
+        assert.equal(await report('collar-rotated', 'not-a-device-key'), 401);
+    });
+
+    it('keeps the fleet key valid for a legacy device until the grace period ends', async () => {
+        await register('collar-legacy', { legacy_shared_key: true });
+        assert.equal(await report('collar-legacy', FLEET_KEY), 200);
+
+        const rotated = await gateway.admin('POST', '/devices/collar-legacy/rotate-key');
+        assert.equal(rotated.status, 200);
+        assert.ok(rotated.body.previous_key_valid_until);
+
+        assert.equal(await report('collar-legacy', FLEET_KEY), 200);
+        assert.equal(await report('collar-legacy', rotated.body.secret), 200);
+    });
+
+    it('refuses readings from a deactivated device, even with a rotated-out key', async () => {
+        const { body: { secret: oldSecret } } = await register('collar-deactivated');
+        const { body: { secret } } = await gateway.admin('POST', '/devices/collar-deactivated/rotate-key');
+
+        const deactivated = await gateway.admin('POST', '/devices/collar-deactivated/deactivate');
+        assert.equal(deactivated.status, 200);
+        assert.equal(await report('collar-deactivated', secret), 403);
+
+        await gateway.admin('POST', '/devices/collar-deactivated/activate');
+        assert.equal(await report('collar-deactivated', secret), 200);
+        assert.equal(await report('collar-deactivated', oldSecret), 401);
+    });
+});
@@ -0,0 +1,166 @@
+// =============================================================================
+// INTEGRATION: FIRMWARE UPDATES
+// =============================================================================
+// Releases, staged rollouts, signed downloads advertised in telemetry
+// responses, per-device progress and the silent-device auto-pause
+// (src/firmware.js).
+// =============================================================================
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, ADMIN_API_KEY } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+
+const BINARY = Buffer.from('popcorn firmware 6.2.0');
+const CHECKSUM = crypto.createHash('sha256').update(BINARY).digest('hex');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Create 6.2.0, upload its binary and roll it out to `devices`
+async function releaseTo(gateway, deviceIds) {
+    const created = await gateway.admin('POST', '/firmware', { body: { version: '6.2.0', checksum: CHECKSUM } });
+    assert.equal(created.status, 201);
+    const release = created.body;
+
+    const uploaded = await fetch(`${gateway.baseUrl}/firmware/${release.id}/binary`, {
+        method: 'PUT',
+        headers: { 'X-Admin-Key': ADMIN_API_KEY, 'Content-Type': 'application/octet-stream' },
+        body: BINARY
+    });
+    assert.equal(uploaded.status, 200);
+
+    const rollout = await gateway.admin('POST', `/firmware/${release.id}/rollout`, { body: { target: 'devices', device_ids: deviceIds } });
+    assert.equal(rollout.status, 200);
+    return release;
+}
+
+describe('firmware updates', () => {
+    let gateway;
+    let release;
+    let seq = 0;
+
+    const report = (deviceId, fields) => gateway.request('POST', '/telemetry', {
+        body: { device_id: deviceId, seq: ++seq, ...fields }
+    });
+
+    before(async () => {
+        gateway = await startGateway();
+        for (const deviceId of ['collar-a', 'collar-b', 'collar-c']) {
+            await gateway.admin('POST', '/devices', { body: { device_id: deviceId, owner_id: OWNER, legacy_shared_key: true } });
+        }
+    });
+
+    after(() => gateway.stop());
+
+    describe('releases', () => {
+        it('cannot roll out before the binary is uploaded', async () => {
+            const draft = await gateway.admin('POST', '/firmware', { body: { version: '6.1.5', checksum: 'a'.repeat(64) } });
+            const rollout = await gateway.admin('POST', `/firmware/${draft.body.id}/rollout`, { body: { target: 'all' } });
+            assert.equal(rollout.status, 409);
+        });
+
+        it('refuse a binary that does not match the checksum', async () => {
+            const draft = await gateway.admin('POST', '/firmware', { body: { version: '6.1.6', checksum: CHECKSUM } });
+            const uploaded = await fetch(`${gateway.baseUrl}/firmware/${draft.body.id}/binary`, {
+                method: 'PUT',
+                headers: { 'X-Admin-Key': ADMIN_API_KEY, 'Content-Type': 'application/octet-stream' },
+                body: Buffer.from('something else')
+            });
+            assert.equal(uploaded.status, 400);
+        });
+    });
+
+    describe('rollout', () => {
+        before(async () => {
+            release = await releaseTo(gateway, ['collar-a', 'collar-c']);
+        });
+
+        it('is offered to targeted devices on an older version only', async () => {
+            const targeted = await report('collar-a', { firmware_version: '6.1.0' });
+            assert.equal(targeted.body.firmware_update.version, '6.2.0');
+            assert.equal(targeted.body.firmware_update.checksum, CHECKSUM);
+
+            assert.equal((await report('collar-b', { firmware_version: '6.1.0' })).body.firmware_update, null);
+            assert.equal((await report('collar-a', { firmware_version: '6.3.0' })).body.firmware_update, null);
+        });
+
+        it('downloads through the signed URL, with ranges', async () => {
+            const { url } = (await report('collar-a', { firmware_version: '6.1.0' })).body.firmware_update;
+
+            const full = await gateway.request('GET', url);
+            assert.equal(full.status, 200);
+            assert.equal(full.text, BINARY.toString());
+
+            const partial = await gateway.request('GET', url, { headers: { Range: 'bytes=8-' } });
+            assert.equal(partial.status, 206);
+            assert.equal(partial.text, BINARY.subarray(8).toString());
+
+            const forged = await gateway.request('GET', url.replace('device_id=collar-a', 'device_id=collar-b'));
+            assert.equal(forged.status, 403);
+        });
+
+        it('tracks each device until it runs the new version', async () => {
+            await report('collar-a', { firmware_version: '6.2.0' });
+
+            const { body } = await gateway.admin('GET', `/firmware/${release.id}`);
+            const update = body.updates.find(entry => entry.device_id === 'collar-a');
+            assert.equal(update.status, 'installed');
+            assert.equal(update.from_version, '6.1.0');
+        });
+
+        it('is not offered again after it failed on a device', async () => {
+            assert.ok((await report('collar-c', { firmware_version: '6.1.0' })).body.firmware_update);
+
+            const failed = await report('collar-c', {
+                firmware_version: '6.1.0',
+                ota: { version: '6.2.0', status: 'failed', error: 'flash write error' }
+            });
+            assert.equal(failed.body.firmware_update, null);
+
+            const { body } = await gateway.admin('GET', `/firmware/${release.id}`);
+            const update = body.updates.find(entry => entry.device_id === 'collar-c');
+            assert.equal(update.status, 'failed');
+            assert.equal(update.error, 'flash write error');
+        });
+    });
+});
+
+describe('firmware rollout monitor', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway({
+            OTA_SILENCE_MINUTES: '0',
+            OTA_PAUSE_SILENT_DEVICES: '2',
+            OTA_MONITOR_INTERVAL_MS: '100'
+        });
+        for (const deviceId of ['collar-a', 'collar-b']) {
+            await gateway.admin('POST', '/devices', { body: { device_id: deviceId, owner_id: OWNER, legacy_shared_key: true } });
+        }
+    });
+
+    after(() => gateway.stop());
+
+    it('pauses the rollout once enough devices go silent after downloading', async () => {
+        const release = await releaseTo(gateway, ['collar-a', 'collar-b']);
+
+        for (const deviceId of ['collar-a', 'collar-b']) {
+            const { body } = await gateway.request('POST', '/telemetry', {
+                body: { device_id: deviceId, seq: 1, firmware_version: '6.1.0' }
+            });
+            assert.equal((await gateway.request('GET', body.firmware_update.url)).status, 200);
+        }
+
+        let status;
+        for (let attempt = 0; attempt < 30 && status !== 'paused'; attempt++) {
+            await sleep(100);
+            status = (await gateway.admin('GET', `/firmware/${release.id}`)).body.status;
+        }
+        assert.equal(status, 'paused');
+
+        const { body } = await gateway.admin('GET', `/firmware/${release.id}`);
+        assert.deepEqual(body.updates.map(update => update.status), ['silent', 'silent']);
+    });
+});
@@ -0,0 +1,94 @@
+// =============================================================================
+// INTEGRATION: GEOFENCES
+// =============================================================================
+// Zones are evaluated against every GPS fix; enter/exit events are recorded,
+// including when a zone the dog is in is disabled or deleted
+// (src/geofences.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const DEVICE = 'collar-1';
+
+const HOME = { lat: 52.3700, lon: 4.8900 };
+
+describe('geofences', () => {
+    let gateway;
+    let seq = 0;
+
+    const report = () => gateway.request('POST', '/telemetry', {
+        body: { device_id: DEVICE, seq: ++seq, gps: { valid: true, ...HOME } }
+    });
+
+    const createZone = async (name, radius) => {
+        const response = await gateway.request('POST', `/device/${DEVICE}/geofences`, {
+            user: OWNER,
+            body: { name, kind: 'safe', type: 'circle', center_lat: HOME.lat, center_lon: HOME.lon, radius_meters: radius }
+        });
+        assert.equal(response.status, 201);
+        return response.body;
+    };
+
+    const updateZone = (zone, body) => gateway.request('PUT', `/device/${DEVICE}/geofences/${zone.id}`, { user: OWNER, body });
+
+    const zoneEvents = async zone => {
+        const response = await gateway.request('GET', `/device/${DEVICE}/geofence-events`, { user: OWNER });
+        return response.body.events
+            .filter(event => event.geofence_id === zone.id)
+            .map(event => event.event)
+            .reverse();
+    };
+
+    const status = async () => (await gateway.request('GET', `/device/${DEVICE}/status`, { user: OWNER })).body;
+
+    before(async () => {
+        gateway = await startGateway();
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+    });
+
+    after(() => gateway.stop());
+
+    it('only accepts a boolean for enabled', async () => {
+        const zone = await createZone('Park', 500);
+        for (const enabled of ['false', 0, null]) {
+            const response = await updateZone(zone, { enabled });
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.body.details, ['enabled must be a boolean']);
+        }
+        assert.equal((await updateZone(zone, { enabled: false })).body.enabled, false);
+    });
+
+    it('records an exit when a zone the dog is in is disabled, and an enter once it is back', async () => {
+        const yard = await createZone('Yard', 50);
+        const street = await createZone('Street', 200);
+        await report();
+        assert.equal((await status()).current_zone, 'Yard');
+
+        assert.equal((await updateZone(yard, { enabled: false })).status, 200);
+        assert.deepEqual(await zoneEvents(yard), ['enter', 'exit']);
+        const afterDisable = await status();
+        assert.equal(afterDisable.current_zone, 'Street');
+        assert.deepEqual(afterDisable.current_zone_ids, [street.id]);
+        assert.equal(afterDisable.is_escaped, false);
+
+        await updateZone(yard, { enabled: true });
+        await report();
+        assert.deepEqual(await zoneEvents(yard), ['enter', 'exit', 'enter']);
+    });
+
+    it('records an exit when a zone the dog is in is deleted', async () => {
+        const { geofences } = (await gateway.request('GET', `/device/${DEVICE}/geofences`, { user: OWNER })).body;
+        for (const zone of geofences.filter(zone => zone.enabled)) {
+            const response = await gateway.request('DELETE', `/device/${DEVICE}/geofences/${zone.id}`, { user: OWNER });
+            assert.equal(response.status, 200);
+            assert.equal((await zoneEvents(zone)).at(-1), 'exit');
+        }
+
+        const current = await status();
+        assert.equal(current.current_zone, null);
+        assert.deepEqual(current.current_zone_ids, []);
+    });
+});
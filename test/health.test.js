@@ -0,0 +1,77 @@
+// =============================================================================
+// INTEGRATION: DEVICE HEALTH
+// =============================================================================
+// The admin fleet view (GET /fleet): health state, reboot loops and the
+// firmware versions in the fleet (src/monitor.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('device health', () => {
+    let gateway;
+    let seq = 0;
+
+    const report = (deviceId, fields = {}) => gateway.request('POST', '/telemetry', {
+        body: { device_id: deviceId, seq: ++seq, ...fields }
+    });
+
+    // Health is updated in the background - wait for `check` to pass
+    async function fleetDevice(deviceId, check = () => true) {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const fleet = await gateway.admin('GET', '/fleet');
+            const device = fleet.body.devices.find(entry => entry.device_id === deviceId);
+            if (check(device)) return device;
+            await sleep(50);
+        }
+        assert.fail(`fleet entry for ${deviceId} never matched`);
+    }
+
+    before(async () => {
+        gateway = await startGateway();
+        for (const deviceId of ['collar-quiet', 'collar-old', 'collar-new', 'collar-looping']) {
+            await gateway.admin('POST', '/devices', { body: { device_id: deviceId, owner_id: OWNER, legacy_shared_key: true } });
+        }
+    });
+
+    after(() => gateway.stop());
+
+    it('lists devices that never reported', async () => {
+        const device = await fleetDevice('collar-quiet');
+        assert.equal(device.health, 'never_seen');
+    });
+
+    it('keeps the last reported firmware version when a reading has none', async () => {
+        await report('collar-new', { firmware_version: '6.2.0', boot_count: 4 });
+        await report('collar-old', { firmware_version: '6.1.0' });
+        await report('collar-old', { battery: { percent: 50 } });
+
+        const device = await fleetDevice('collar-old', entry => entry.health === 'ok');
+        assert.equal(device.firmware_version, '6.1.0');
+        assert.equal(device.outdated_firmware, true);
+
+        const fleet = await gateway.admin('GET', '/fleet');
+        assert.deepEqual(fleet.body.firmware.versions, { '6.1.0': 1, '6.2.0': 1 });
+        assert.equal(fleet.body.firmware.latest, '6.2.0');
+    });
+
+    it('keeps the last boot count when a reading has none', async () => {
+        await report('collar-new', { battery: { percent: 80 } });
+        const device = await fleetDevice('collar-new');
+        assert.equal(device.boot_count, 4);
+        assert.equal(device.firmware_version, '6.2.0');
+    });
+
+    it('flags a collar that keeps rebooting', async () => {
+        for (const bootCount of [1, 2, 3, 4]) {
+            await report('collar-looping', { boot_count: bootCount });
+        }
+        const device = await fleetDevice('collar-looping', entry => entry.health === 'reboot_loop');
+        assert.ok(device.reboot_loop_since);
+    });
+});
@@ -0,0 +1,155 @@
+// =============================================================================
+// POPCORN GATEWAY - INTEGRATION TEST HARNESS
+// =============================================================================
+// Boots src/index.js in a child process on the memory storage backend and
+// talks to it over HTTP, the way the app and the collars do. Every call to
+// startGateway() gets its own process, port and empty tables.
+// =============================================================================
+
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ENTRY_POINT = path.join(__dirname, '..', '..', 'src', 'index.js');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const JWT_SECRET = 'test-jwt-secret';
+const STARTUP_TIMEOUT_MS = 10000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * A Supabase-style access token for `userId`, signed with the test secret.
+ * `overrides` replaces claims, e.g. { exp } for an expired token.
+ */
+function userToken(userId, overrides = {}) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'HS256', typ: 'JWT' });
+    const claims = encode({ sub: userId, exp: Math.floor(Date.now() / 1000) + 3600, ...overrides });
+    const signature = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${claims}`).digest('base64url');
+    return `${header}.${claims}.${signature}`;
+}
+
+/**
+ * v2 signature headers for a telemetry body (see src/signature.js).
+ */
+function signTelemetry(secret, body, nonce = crypto.randomBytes(12).toString('hex')) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${nonce}.`)
+        .update(body)
+        .digest('hex');
+
+    return {
+        'X-Popcorn-Signature-Version': '2',
+        'X-Popcorn-Timestamp': timestamp,
+        'X-Popcorn-Nonce': nonce,
+        'X-Popcorn-Signature': signature
+    };
+}
+
+async function waitUntilHealthy(baseUrl, child) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) throw new Error(`Gateway exited with code ${child.exitCode}`);
+        try {
+            const response = await fetch(`${baseUrl}/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error('Gateway did not become healthy in time');
+}
+
+/**
+ * Start a gateway. `env` is added to (or overrides) the test defaults.
+ * Resolves with { baseUrl, request, admin, stop, logs }.
+ */
+async function startGateway(env = {}) {
+    const port = await freePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const childEnv = {
+        ...process.env,
+        PORT: String(port),
+        STORAGE_BACKEND: 'memory',
+        ADMIN_API_KEY,
+        SUPABASE_JWT_SECRET: JWT_SECRET,
+        ALLOW_UNSIGNED_TELEMETRY: 'true',
+        LOG_LEVEL: 'warn',
+        ...env
+    };
+    for (const name of ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY', 'HMAC_KEY']) {
+        if (!(name in env)) delete childEnv[name];
+    }
+
+    const child = spawn(process.execPath, [ENTRY_POINT], { env: childEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+    const logs = [];
+    child.stdout.on('data', chunk => logs.push(chunk.toString()));
+    child.stderr.on('data', chunk => logs.push(chunk.toString()));
+
+    try {
+        await waitUntilHealthy(baseUrl, child);
+    } catch (error) {
+        child.kill();
+        error.message += `\n${logs.join('')}`;
+        throw error;
+    }
+
+    /**
+     * Send a request. Objects are sent as JSON; `user` adds a bearer token
+     * for that user ID. Resolves with { status, headers, body, text }.
+     */
+    async function request(method, route, { body, user, headers = {} } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (user) init.headers.Authorization = `Bearer ${userToken(user)}`;
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = typeof body === 'string' ? body : JSON.stringify(body);
+        }
+
+        const response = await fetch(`${baseUrl}${route}`, init);
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            // Not JSON (CSV, GPX, ...)
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+    }
+
+    const admin = (method, route, options = {}) =>
+        request(method, route, { ...options, headers: { 'X-Admin-Key': ADMIN_API_KEY, ...options.headers } });
+
+    function stop() {
+        return new Promise(resolve => {
+            if (child.exitCode !== null) return resolve();
+            child.once('exit', () => resolve());
+            child.kill();
+        });
+    }
+
+    return { baseUrl, request, admin, stop, logs };
+}
+
+module.exports = {
+    ADMIN_API_KEY,
+    userToken,
+    signTelemetry,
+    startGateway
+};
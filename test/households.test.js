@@ -0,0 +1,144 @@
+// =============================================================================
+// INTEGRATION: HOUSEHOLDS
+// =============================================================================
+// Households of dogs, who may add and see which dog, the pack status and
+// comparison, and walks taken together (src/households.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const OTHER_OWNER = 'owner-2';
+const FAMILY = 'family-1';
+const STRANGER = 'stranger-1';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('households', () => {
+    let gateway;
+    let household;
+    const seqs = {};
+
+    const report = (deviceId, fields) => gateway.request('POST', '/telemetry', {
+        body: { device_id: deviceId, seq: (seqs[deviceId] = (seqs[deviceId] || 0) + 1), ...fields }
+    });
+
+    const addDog = (deviceId, user = OWNER, householdId = household.id) =>
+        gateway.request('POST', `/household/${householdId}/devices`, { user, body: { device_id: deviceId } });
+
+    before(async () => {
+        gateway = await startGateway();
+        for (const deviceId of ['collar-a', 'collar-b']) {
+            await gateway.admin('POST', '/devices', { body: { device_id: deviceId, owner_id: OWNER, legacy_shared_key: true } });
+        }
+        await gateway.admin('POST', '/devices', { body: { device_id: 'collar-x', owner_id: OTHER_OWNER, legacy_shared_key: true } });
+        await gateway.request('POST', '/device/collar-a/access', { user: OWNER, body: { user_id: FAMILY, role: 'family' } });
+    });
+
+    after(() => gateway.stop());
+
+    describe('membership', () => {
+        it('is created by any user with a name', async () => {
+            assert.equal((await gateway.request('POST', '/households', { user: OWNER, body: { name: '' } })).status, 400);
+
+            const created = await gateway.request('POST', '/households', { user: OWNER, body: { name: 'The pack' } });
+            assert.equal(created.status, 201);
+            household = created.body;
+        });
+
+        it('takes only dogs the owner manages', async () => {
+            assert.equal((await addDog('collar-a')).status, 201);
+            const added = await addDog('collar-b');
+            assert.equal(added.status, 201);
+            assert.deepEqual(added.body.devices.map(dog => dog.device_id).sort(), ['collar-a', 'collar-b']);
+
+            assert.equal((await addDog('collar-x')).status, 403);
+
+            const again = await addDog('collar-a');
+            assert.equal(again.status, 409);
+            assert.equal(again.body.code, 'already_member');
+        });
+
+        it('keeps a dog in one household at a time', async () => {
+            const other = await gateway.request('POST', '/households', { user: OWNER, body: { name: 'Weekend house' } });
+            const moved = await addDog('collar-a', OWNER, other.body.id);
+            assert.equal(moved.status, 409);
+            assert.equal(moved.body.code, 'other_household');
+        });
+
+        it('shows family only the dogs they can see', async () => {
+            const { status, body } = await gateway.request('GET', `/household/${household.id}`, { user: FAMILY });
+            assert.equal(status, 200);
+            assert.equal(body.is_owner, false);
+            assert.deepEqual(body.devices.map(dog => dog.device_id), ['collar-a']);
+
+            assert.equal((await gateway.request('GET', `/household/${household.id}`, { user: STRANGER })).status, 403);
+        });
+
+        it('can only be renamed or changed by its owner', async () => {
+            const path = `/household/${household.id}`;
+            assert.equal((await gateway.request('PUT', path, { user: FAMILY, body: { name: 'Mine now' } })).status, 403);
+            assert.equal((await gateway.request('DELETE', `${path}/devices/collar-a`, { user: FAMILY })).status, 403);
+
+            const renamed = await gateway.request('PUT', path, { user: OWNER, body: { name: 'Popcorn & co' } });
+            assert.equal(renamed.status, 200);
+            assert.equal(renamed.body.name, 'Popcorn & co');
+        });
+    });
+
+    describe('pack views', () => {
+        const start = Date.now() - 10 * 60 * 1000;
+
+        // Both dogs out together, a fix every 30 seconds, side by side
+        const walkTogether = async (fixes, active) => {
+            for (let i = 0; i < fixes; i++) {
+                for (const [deviceId, offset] of [['collar-a', 0], ['collar-b', 0.0001]]) {
+                    await report(deviceId, {
+                        timestamp: start + (seqs[deviceId] || 0) * 30 * 1000,
+                        gps: { valid: true, lat: 52.37 + i * 0.0005 + offset, lon: 4.89, hdop: 1, satellites: 8 },
+                        walk: { active }
+                    });
+                }
+            }
+        };
+
+        it('counts dogs walking together in the status', async () => {
+            await walkTogether(5, true);
+
+            const { body } = await gateway.request('GET', `/household/${household.id}/status`, { user: OWNER });
+            assert.equal(body.summary.dogs, 2);
+            assert.equal(body.summary.walking, 2);
+            assert.deepEqual(body.summary.walking_together.map(group => group.sort()), [['collar-a', 'collar-b']]);
+        });
+
+        it('groups the walks into one joint walk once both end', async () => {
+            await walkTogether(1, false);
+
+            // Joint walks are detected in the background
+            let joint = [];
+            for (let attempt = 0; attempt < 20 && joint.length === 0; attempt++) {
+                await sleep(50);
+                joint = (await gateway.request('GET', `/household/${household.id}/walks`, { user: OWNER })).body.joint_walks;
+            }
+            assert.equal(joint.length, 1);
+            assert.deepEqual(joint[0].device_ids.sort(), ['collar-a', 'collar-b']);
+
+            // Family can't see collar-b, so there is no pair to show them
+            const { body } = await gateway.request('GET', `/household/${household.id}/walks`, { user: FAMILY });
+            assert.equal(body.walks.length, 1);
+            assert.deepEqual(body.joint_walks, []);
+        });
+
+        it('compares the dogs and names the leaders', async () => {
+            await report('collar-a', { activity: { today_steps: 1200 } });
+            await report('collar-b', { activity: { today_steps: 3400 } });
+
+            const { status, body } = await gateway.request('GET', `/household/${household.id}/compare?days=7`, { user: OWNER });
+            assert.equal(status, 200);
+            assert.equal(body.dogs.length, 2);
+            assert.equal(body.leaders.most_steps, 'collar-b');
+        });
+    });
+});
@@ -0,0 +1,153 @@
+// =============================================================================
+// INTEGRATION: LIVE STREAM
+// =============================================================================
+// GET /device/:deviceId/live (Server-Sent Events): accepted telemetry is
+// pushed to followers, a reconnecting client resumes from Last-Event-ID,
+// and a follower who loses access is cut off (src/live.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, userToken } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const FAMILY = 'family-1';
+const DEVICE = 'collar-1';
+
+function parseEvent(block) {
+    const event = {};
+    for (const line of block.split('\n')) {
+        const match = /^(id|event|data): ?(.*)$/.exec(line);
+        if (match) event[match[1]] = match[2];
+    }
+    if (!event.event) return null;
+    return { ...event, data: JSON.parse(event.data) };
+}
+
+describe('live stream', { timeout: 20000 }, () => {
+    let gateway;
+    let seq = 0;
+
+    const report = fields => gateway.request('POST', '/telemetry', {
+        body: { device_id: DEVICE, seq: ++seq, ...fields }
+    });
+
+    // Follow the device as `user`. next(type) resolves with the next event
+    // of that type, or null once the server ends the stream.
+    async function follow(user, headers = {}) {
+        const controller = new AbortController();
+        const response = await fetch(`${gateway.baseUrl}/device/${DEVICE}/live`, {
+            headers: { Authorization: `Bearer ${userToken(user)}`, ...headers },
+            signal: controller.signal
+        });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        async function next(type) {
+            for (;;) {
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const event = parseEvent(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 2);
+                    if (event && event.event === type) return event;
+                }
+                const { value, done } = await reader.read();
+                if (done) return null;
+                buffer += decoder.decode(value, { stream: true });
+            }
+        }
+
+        return { status: response.status, next, close: () => controller.abort() };
+    }
+
+    before(async () => {
+        gateway = await startGateway({ LIVE_ACCESS_CHECK_MS: '100' });
+
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+        await gateway.request('POST', `/device/${DEVICE}/access`, { user: OWNER, body: { user_id: FAMILY, role: 'family' } });
+        await report({ battery: { percent: 70 } });
+    });
+
+    after(() => gateway.stop());
+
+    it('starts with a snapshot and pushes accepted telemetry', async () => {
+        const stream = await follow(OWNER);
+        assert.equal(stream.status, 200);
+
+        const snapshot = await stream.next('snapshot');
+        assert.equal(snapshot.data.battery_percent, 70);
+
+        await report({ battery: { percent: 69 } });
+        const event = await stream.next('telemetry');
+        assert.equal(event.data.battery_percent, 69);
+        stream.close();
+    });
+
+    it('resumes after the last event a client saw', async () => {
+        const first = await follow(OWNER);
+        await first.next('snapshot');
+        await report({ battery: { percent: 68 } });
+        const seen = await first.next('telemetry');
+        first.close();
+
+        // Published while the client was away
+        await report({ battery: { percent: 67 } });
+
+        const resumed = await follow(OWNER, { 'Last-Event-ID': seen.id });
+        const missed = await resumed.next('telemetry');
+        assert.equal(missed.data.battery_percent, 67);
+        resumed.close();
+    });
+
+    it('closes the stream once the follower loses access', async () => {
+        const stream = await follow(FAMILY);
+        await stream.next('snapshot');
+
+        const revoked = await gateway.request('DELETE', `/device/${DEVICE}/access/${FAMILY}`, { user: OWNER });
+        assert.equal(revoked.status, 200);
+
+        assert.ok(await stream.next('revoked'));
+        assert.equal(await stream.next('telemetry'), null);
+    });
+});
+
+describe('live history', () => {
+    let live;
+
+    before(() => {
+        // Nothing is resumable for long
+        process.env.LIVE_RESUME_WINDOW_SECONDS = '0';
+        live = require('../src/live');
+    });
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('is dropped for devices nobody follows once it is too old to resume', async () => {
+        const received = [];
+        const unsubscribe = live.subscribe('collar-idle', event => received.push(event));
+        live.publish('collar-idle', live.EVENT_TYPES.TELEMETRY, {});
+        live.publish('collar-idle', live.EVENT_TYPES.TELEMETRY, {});
+        unsubscribe();
+        await sleep(5);
+        assert.equal(live.eventsSince('collar-idle', received[0].id).found, true);
+
+        live.pruneHistory();
+        // With no history left the client is told to resync
+        assert.equal(live.eventsSince('collar-idle', received[0].id).found, false);
+    });
+
+    it('is kept while someone follows the device', async () => {
+        const received = [];
+        const unsubscribe = live.subscribe('collar-followed', event => received.push(event));
+        live.publish('collar-followed', live.EVENT_TYPES.TELEMETRY, {});
+        live.publish('collar-followed', live.EVENT_TYPES.TELEMETRY, {});
+        await sleep(5);
+
+        live.pruneHistory();
+        const { events, found } = live.eventsSince('collar-followed', received[0].id);
+        assert.equal(found, true);
+        assert.deepEqual(events, [received[1]]);
+        unsubscribe();
+    });
+});
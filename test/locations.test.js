@@ -0,0 +1,126 @@
+// =============================================================================
+// INTEGRATION: LOCATION HISTORY
+// =============================================================================
+// Paging through location history, tracks simplified for a zoom level, and
+// the retention job compacting old fixes into hourly summaries
+// (src/locations.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const DEVICE = 'collar-1';
+const FIX_COUNT = 6;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const fix = latitude => ({ valid: true, lat: latitude, lon: 4.89, hdop: 1, satellites: 8 });
+
+describe('location history', () => {
+    let gateway;
+
+    const history = query => gateway.request('GET', `/device/${DEVICE}/locations?${query}`, { user: OWNER });
+
+    before(async () => {
+        gateway = await startGateway();
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+
+        // A straight line north, one fix a minute
+        const start = Date.now() - 10 * MINUTE_MS;
+        const readings = Array.from({ length: FIX_COUNT }, (_, i) => ({
+            seq: i + 1,
+            timestamp: start + i * MINUTE_MS,
+            gps: fix(52.37 + i * 0.001)
+        }));
+        const batch = await gateway.request('POST', '/telemetry/batch', { body: { device_id: DEVICE, readings } });
+        assert.equal(batch.body.accepted, FIX_COUNT);
+    });
+
+    after(() => gateway.stop());
+
+    it('pages through every fix exactly once', async () => {
+        const seen = [];
+        let cursor = null;
+        do {
+            const response = await history(`hours=1&limit=4${cursor ? `&cursor=${cursor}` : ''}`);
+            assert.equal(response.status, 200);
+            seen.push(...response.body.locations.map(location => location.id));
+            cursor = response.body.next_cursor;
+        } while (cursor);
+
+        assert.equal(seen.length, FIX_COUNT);
+        assert.equal(new Set(seen).size, FIX_COUNT);
+    });
+
+    it('rejects a malformed cursor', async () => {
+        assert.equal((await history('cursor=not-a-cursor')).status, 400);
+    });
+
+    it('simplifies a straight track down to its ends', async () => {
+        const { status, body } = await history('hours=1&zoom=15');
+        assert.equal(status, 200);
+        assert.equal(body.simplified.method, 'dp');
+        assert.equal(body.simplified.source_points, FIX_COUNT);
+        assert.deepEqual(body.locations.map(location => location.latitude), [52.37, 52.375]);
+    });
+
+    it('buckets fixes by time when zoomed out', async () => {
+        const { body } = await history('hours=1&zoom=10&simplify=time');
+        assert.equal(body.simplified.bucket_seconds, 60 * 32);
+        assert.ok(body.locations.length < FIX_COUNT);
+        assert.equal(body.locations.reduce((sum, point) => sum + point.point_count, 0), FIX_COUNT);
+    });
+
+    it('rejects a zoom out of range or combined with a cursor', async () => {
+        assert.equal((await history('zoom=23')).status, 400);
+        assert.equal((await history('simplify=time')).status, 400);
+
+        const { body } = await history('hours=1&limit=2');
+        assert.equal((await history(`zoom=10&cursor=${body.next_cursor}`)).status, 400);
+    });
+});
+
+describe('location retention', () => {
+    let gateway;
+    let seq = 0;
+
+    const report = (timestamp, fields) => gateway.request('POST', '/telemetry', {
+        body: { device_id: DEVICE, seq: ++seq, timestamp, ...fields }
+    });
+
+    before(async () => {
+        gateway = await startGateway({ LOCATION_RETENTION_DAYS: '1', LOCATION_RETENTION_INTERVAL_MS: '200' });
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+    });
+
+    after(() => gateway.stop());
+
+    it('compacts old fixes into hourly summaries but keeps walks', async () => {
+        // Two days ago: two fixes at home, then a short walk - all in one hour
+        const hour = Math.floor((Date.now() - 2 * DAY_MS) / (60 * MINUTE_MS)) * 60 * MINUTE_MS;
+        await report(hour + 5 * MINUTE_MS, { gps: fix(52.37), walk: { active: false } });
+        await report(hour + 6 * MINUTE_MS, { gps: fix(52.3702), walk: { active: false } });
+        await report(hour + 10 * MINUTE_MS, { gps: fix(52.371), walk: { active: true } });
+        await report(hour + 11 * MINUTE_MS, { gps: fix(52.372), walk: { active: true } });
+        await report(hour + 12 * MINUTE_MS, { gps: fix(52.373), walk: { active: false } });
+
+        // The job runs in the background
+        let hours = [];
+        for (let attempt = 0; attempt < 20 && hours.length === 0; attempt++) {
+            await sleep(100);
+            hours = (await gateway.request('GET', `/device/${DEVICE}/locations/hourly?days=3`, { user: OWNER })).body.hours;
+        }
+        assert.equal(hours.length, 1);
+        assert.equal(hours[0].point_count, 2);
+        assert.equal(new Date(hours[0].hour).getTime(), hour);
+
+        const { body } = await gateway.request('GET', `/device/${DEVICE}/locations?hours=72`, { user: OWNER });
+        assert.ok(body.compacted_before);
+        assert.deepEqual(body.locations.map(location => location.latitude), [52.373, 52.372, 52.371]);
+    });
+});
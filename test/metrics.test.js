@@ -0,0 +1,117 @@
+// =============================================================================
+// INTEGRATION: METRICS & LOGGING
+// =============================================================================
+// The Prometheus scrape, the readiness check, and request IDs in the JSON
+// logs (src/metrics.js, src/logger.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const DEVICE = 'collar-1';
+const METRICS_TOKEN = 'test-metrics-token';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('metrics', () => {
+    let gateway;
+
+    const scrape = async () => {
+        const response = await gateway.request('GET', '/metrics', { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } });
+        assert.equal(response.status, 200);
+        return response;
+    };
+
+    // The value of one series, by its full name and labels
+    const sample = (text, series) => {
+        const line = text.split('\n').find(l => l.startsWith(`${series} `));
+        return line === undefined ? undefined : Number(line.slice(series.length + 1));
+    };
+
+    before(async () => {
+        gateway = await startGateway({ METRICS_TOKEN });
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+
+        const reading = { device_id: DEVICE, seq: 1, battery: { percent: 80 } };
+        assert.equal((await gateway.request('POST', '/telemetry', { body: reading })).status, 200);
+        assert.equal((await gateway.request('POST', '/telemetry', { body: reading })).status, 200);
+        assert.equal((await gateway.request('POST', '/telemetry', { body: { ...reading, device_id: 'ghost-1' } })).status, 403);
+    });
+
+    after(() => gateway.stop());
+
+    it('needs the scrape token when one is configured', async () => {
+        assert.equal((await gateway.request('GET', '/metrics')).status, 401);
+    });
+
+    it('counts readings by result and rejection reason', async () => {
+        const { text, headers } = await scrape();
+        assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+        const readings = labels => sample(text, `popcorn_telemetry_readings_total{${labels}}`);
+        assert.equal(readings('endpoint="live",result="accepted",reason=""'), 1);
+        assert.equal(readings('endpoint="live",result="duplicate",reason=""'), 1);
+        assert.equal(readings('endpoint="live",result="rejected",reason="DEVICE_UNKNOWN"'), 1);
+    });
+
+    it('times requests by route pattern, not by ID', async () => {
+        await gateway.request('GET', `/device/${DEVICE}/status`, { user: OWNER });
+
+        const { text } = await scrape();
+        assert.equal(sample(text, 'popcorn_http_request_duration_seconds_count{method="GET",route="/device/:deviceId/status",status="200"}'), 1);
+        assert.equal(sample(text, 'popcorn_http_request_duration_seconds_count{method="POST",route="/telemetry",status="200"}'), 2);
+        assert.ok(!text.includes(`route="/device/${DEVICE}/status"`));
+    });
+
+    it('reports the collars seen recently', async () => {
+        const { text } = await scrape();
+        assert.equal(sample(text, 'popcorn_active_devices'), 1);
+    });
+
+    it('is ready once the database answers', async () => {
+        const { status, body } = await gateway.request('GET', '/ready');
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ready');
+        assert.equal(body.checks.database.status, 'up');
+    });
+});
+
+describe('structured logs', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway({ LOG_FORMAT: 'json' });
+    });
+
+    after(() => gateway.stop());
+
+    it('echoes a sane request ID and replaces anything else', async () => {
+        const kept = await gateway.request('GET', '/', { headers: { 'X-Request-Id': 'app-1234' } });
+        assert.equal(kept.headers.get('x-request-id'), 'app-1234');
+
+        const replaced = await gateway.request('GET', '/', { headers: { 'X-Request-Id': 'no spaces allowed' } });
+        assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+
+    it('tags log lines with the request and the device', async () => {
+        await gateway.request('POST', '/telemetry', {
+            body: { device_id: 'ghost-1', seq: 1 },
+            headers: { 'X-Request-Id': 'collar-upload-7' }
+        });
+
+        // The gateway's output arrives through a pipe
+        let rejected;
+        for (let attempt = 0; attempt < 20 && !rejected; attempt++) {
+            await sleep(50);
+            rejected = gateway.logs.join('').split('\n')
+                .filter(line => line.startsWith('{') && line.endsWith('}'))
+                .map(line => JSON.parse(line))
+                .find(entry => entry.request_id === 'collar-upload-7' && entry.level === 'warn');
+        }
+        assert.ok(rejected, 'the rejection was logged');
+        assert.equal(rejected.component, 'telemetry');
+        assert.equal(rejected.device_id, 'ghost-1');
+    });
+});
@@ -0,0 +1,89 @@
+// =============================================================================
+// INTEGRATION: RATE LIMITING
+// =============================================================================
+// Per-device telemetry limits with the backoff hint, per-user limits on app
+// routes, and cutting off callers collecting 401 / 403 responses
+// (src/ratelimit.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const FAMILY = 'family-1';
+const STRANGER = 'stranger-1';
+const DEVICE = 'collar-1';
+
+describe('rate limits', () => {
+    let gateway;
+    const seqs = {};
+
+    const report = deviceId => gateway.request('POST', '/telemetry', {
+        body: { device_id: deviceId, seq: (seqs[deviceId] = (seqs[deviceId] || 0) + 1) }
+    });
+
+    before(async () => {
+        gateway = await startGateway({ RATE_LIMIT_TELEMETRY: '5/60', RATE_LIMIT_USER: '3/60' });
+        for (const deviceId of [DEVICE, 'collar-2']) {
+            await gateway.admin('POST', '/devices', { body: { device_id: deviceId, owner_id: OWNER, legacy_shared_key: true } });
+        }
+        await gateway.request('POST', `/device/${DEVICE}/access`, { user: OWNER, body: { user_id: FAMILY, role: 'family' } });
+    });
+
+    after(() => gateway.stop());
+
+    it('hints a collar to back off before refusing it', async () => {
+        const responses = [];
+        for (let i = 0; i < 5; i++) responses.push(await report(DEVICE));
+
+        assert.ok(responses.every(response => response.status === 200));
+        assert.deepEqual(responses.map(response => response.body.backoff_seconds === undefined), [true, true, true, false, false]);
+        assert.equal(responses[4].headers.get('ratelimit-remaining'), '0');
+
+        const refused = await report(DEVICE);
+        assert.equal(refused.status, 429);
+        assert.equal(refused.body.bucket, 'telemetry');
+        assert.ok(Number(refused.headers.get('retry-after')) > 0);
+        assert.equal(refused.body.backoff_seconds, refused.body.retry_after);
+    });
+
+    it('counts each collar on its own', async () => {
+        assert.equal((await report('collar-2')).status, 200);
+    });
+
+    it('limits each app user on their own', async () => {
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            statuses.push((await gateway.request('GET', `/device/${DEVICE}/status`, { user: FAMILY })).status);
+        }
+        assert.deepEqual(statuses, [200, 200, 200, 429]);
+
+        assert.equal((await gateway.request('GET', `/device/${DEVICE}/status`, { user: OWNER })).status, 200);
+    });
+});
+
+describe('denied-request limit', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway({ RATE_LIMIT_DENIED: '3/600' });
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+    });
+
+    after(() => gateway.stop());
+
+    it('cuts off a client guessing device IDs', async () => {
+        for (const deviceId of ['collar-2', 'collar-3', 'collar-4']) {
+            assert.equal((await gateway.request('GET', `/device/${deviceId}/status`, { user: STRANGER })).status, 403);
+        }
+
+        // The whole client IP is refused now, whoever signs in
+        const blocked = await gateway.request('GET', `/device/${DEVICE}/status`, { user: OWNER });
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.body.bucket, 'denied');
+
+        // ...but not the probes
+        assert.equal((await gateway.request('GET', '/health')).status, 200);
+    });
+});
@@ -0,0 +1,127 @@
+// =============================================================================
+// INTEGRATION: WALK ROUTES
+// =============================================================================
+// A walk's track rebuilt from its fixes, glitched fixes dropped, and
+// downloaded as GeoJSON / GPX / KML (src/tracks.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const WALKER = 'walker-1';
+const DEVICE = 'collar-1';
+const FIX_COUNT = 6;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('walk routes', () => {
+    let gateway;
+    let walkId;
+
+    before(async () => {
+        gateway = await startGateway();
+
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+        await gateway.request('POST', `/device/${DEVICE}/access`, {
+            user: OWNER,
+            body: { user_id: WALKER, role: 'walker', expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+        });
+
+        const started = await gateway.request('POST', `/device/${DEVICE}/walk/start`, { user: WALKER });
+        assert.equal(started.status, 200);
+        walkId = started.body.walk_id;
+
+        // Fixes a few milliseconds apart (timestamps in unix ms), all inside
+        // the walk and slow enough to pass the jump filter
+        await sleep(20);
+        const start = Date.now();
+        const readings = Array.from({ length: FIX_COUNT }, (_, i) => ({
+            seq: i + 1,
+            timestamp: start + i * 10,
+            gps: { valid: true, lat: 52.37 + i * 0.00000005, lon: 4.89, hdop: 1, satellites: 8 },
+            walk: { active: true }
+        }));
+        const batch = await gateway.request('POST', '/telemetry/batch', { body: { device_id: DEVICE, readings } });
+        assert.equal(batch.body.accepted, FIX_COUNT);
+        await sleep(100);
+
+        const ended = await gateway.request('POST', `/device/${DEVICE}/walk/end`, { user: WALKER, body: { walk_id: walkId } });
+        assert.equal(ended.status, 200);
+    });
+
+    after(() => gateway.stop());
+
+    it('is GeoJSON by default', async () => {
+        const response = await gateway.request('GET', `/device/${DEVICE}/walks/${walkId}/route`, { user: OWNER });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^application\/geo\+json/);
+        assert.equal(response.body.type, 'Feature');
+        assert.equal(response.body.geometry.type, 'LineString');
+        assert.equal(response.body.geometry.coordinates.length, FIX_COUNT);
+        // GeoJSON is [lon, lat]
+        assert.deepEqual(response.body.geometry.coordinates[0].slice(0, 2), [4.89, 52.37]);
+    });
+
+    for (const [format, contentType, root] of [['gpx', /^application\/gpx\+xml/, '<gpx'], ['kml', /^application\/vnd\.google-earth\.kml\+xml/, '<kml']]) {
+        it(`downloads as ${format.toUpperCase()}`, async () => {
+            const response = await gateway.request('GET', `/device/${DEVICE}/walks/${walkId}/route?format=${format}`, { user: OWNER });
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), contentType);
+            assert.equal(response.headers.get('content-disposition'), `attachment; filename="walk-${walkId}.${format}"`);
+            assert.ok(response.text.includes(root));
+        });
+    }
+
+    it('rejects unknown formats', async () => {
+        const response = await gateway.request('GET', `/device/${DEVICE}/walks/${walkId}/route?format=toString`, { user: OWNER });
+        assert.equal(response.status, 400);
+    });
+
+    it('is not available to walkers', async () => {
+        const response = await gateway.request('GET', `/device/${DEVICE}/walks/${walkId}/route`, { user: WALKER });
+        assert.equal(response.status, 403);
+    });
+});
+
+describe('track filtering', () => {
+    let tracks;
+
+    before(() => {
+        process.env.STORAGE_BACKEND = 'memory';
+        tracks = require('../src/tracks');
+    });
+
+    const START = Date.parse('2026-10-19T08:00:00Z');
+
+    // One fix every 10 s; `offsets` are meters north of the start
+    const fixes = offsets => offsets.map((meters, i) => ({
+        recorded_at: new Date(START + i * 10 * 1000).toISOString(),
+        latitude: 52.37 + meters / 111195,
+        longitude: 4.89,
+        hdop: 1,
+        satellites: 8
+    }));
+
+    it('drops inaccurate fixes', () => {
+        const points = fixes([0, 10, 20, 30]);
+        points[1].hdop = 9;
+        points[2].satellites = 2;
+        const { points: kept, rejected } = tracks.filterTrackPoints(points);
+        assert.equal(kept.length, 2);
+        assert.equal(rejected, 2);
+    });
+
+    it('drops a single fix that jumps away', () => {
+        const { points, rejected } = tracks.filterTrackPoints(fixes([0, 10, 5000, 20, 30]));
+        assert.deepEqual(points.map(point => Math.round((point.latitude - 52.37) * 111195)), [0, 10, 20, 30]);
+        assert.equal(rejected, 1);
+    });
+
+    it('picks the track up again when the first fix was the glitch', () => {
+        const { points, rejected } = tracks.filterTrackPoints(fixes([5000, 0, 10, 20, 30]));
+        assert.deepEqual(points.map(point => Math.round((point.latitude - 52.37) * 111195)), [0, 10, 20, 30]);
+        assert.equal(rejected, 1);
+    });
+});
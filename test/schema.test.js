@@ -0,0 +1,56 @@
+// =============================================================================
+// INTEGRATION: PAYLOAD SCHEMA
+// =============================================================================
+// Telemetry is checked against the schema for its firmware version; bad
+// payloads are quarantined, unknown fields reported back (src/schema.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const DEVICE = 'collar-1';
+
+describe('payload schema', () => {
+    let gateway;
+    let seq = 0;
+
+    const send = body => gateway.request('POST', '/telemetry', { body });
+
+    before(async () => {
+        gateway = await startGateway();
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+    });
+
+    after(() => gateway.stop());
+
+    it('rejects out-of-range values and quarantines the payload', async () => {
+        const response = await send({ device_id: DEVICE, seq: ++seq, battery: { percent: 140 } });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'SCHEMA_VALIDATION_FAILED');
+        assert.deepEqual(response.body.errors.map(error => error.field), ['battery.percent']);
+
+        const quarantine = await gateway.admin('GET', `/telemetry/quarantine?device_id=${DEVICE}`);
+        assert.equal(quarantine.body.count, 1);
+        assert.equal(quarantine.body.payloads[0].payload.battery.percent, 140);
+    });
+
+    it('picks the schema by firmware version', async () => {
+        // walk.quality_score only exists from firmware 6.1.0
+        const walk = { active: false, quality_score: 250 };
+        assert.equal((await send({ device_id: DEVICE, seq: ++seq, firmware_version: '6.0.0', walk })).status, 200);
+
+        const response = await send({ device_id: DEVICE, seq: ++seq, firmware_version: '6.1.0', walk });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.schema_version, '2');
+    });
+
+    it('reports unknown fields, including inherited property names', async () => {
+        // Raw JSON - an object literal would set the prototype instead of a "__proto__" key
+        const body = `{"device_id":"${DEVICE}","seq":${++seq},"constructor":1,"toString":"x","__proto__":{},"gps":{"hasOwnProperty":1}}`;
+        const response = await send(body);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.unknown_fields.sort(), ['__proto__', 'constructor', 'gps.hasOwnProperty', 'toString']);
+    });
+});
@@ -0,0 +1,139 @@
+// =============================================================================
+// INTEGRATION: SEQUENCE DEDUPLICATION
+// =============================================================================
+// Live and batch readings are ingested once per (boot_count, seq), and a
+// reading whose writes fail can be retried (src/telemetry.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const DEVICE = 'collar-1';
+
+function fix(lat, lon) {
+    return { valid: true, lat, lon, hdop: 1, satellites: 8 };
+}
+
+describe('sequence deduplication', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway();
+
+        const registered = await gateway.admin('POST', '/devices', {
+            body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true }
+        });
+        assert.equal(registered.status, 201);
+
+        const first = await gateway.request('POST', '/telemetry', {
+            body: { device_id: DEVICE, seq: 1, battery: { percent: 80 }, gps: fix(52.37, 4.89) }
+        });
+        assert.equal(first.body.status, 'ok');
+    });
+
+    after(() => gateway.stop());
+
+    it('reports a repeated sequence number as a duplicate', async () => {
+        const response = await gateway.request('POST', '/telemetry', {
+            body: { device_id: DEVICE, seq: 1, battery: { percent: 10 } }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'duplicate');
+
+        const status = await gateway.request('GET', `/device/${DEVICE}/status`, { user: OWNER });
+        assert.equal(status.body.battery_percent, 80);
+    });
+
+    it('accepts a batch and skips readings it already has', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const readings = [2, 3, 4].map((seq, i) => ({
+            seq,
+            timestamp: now - 60 + i * 10,
+            gps: fix(52.37 + i * 0.0001, 4.89)
+        }));
+
+        const first = await gateway.request('POST', '/telemetry/batch', {
+            body: { device_id: DEVICE, readings }
+        });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.accepted, 3);
+        assert.equal(first.body.duplicates, 0);
+
+        const again = await gateway.request('POST', '/telemetry/batch', {
+            body: { device_id: DEVICE, readings: [...readings, { seq: 5, timestamp: now, gps: fix(52.3704, 4.89) }] }
+        });
+        assert.equal(again.body.accepted, 1);
+        assert.equal(again.body.duplicates, 3);
+
+        const history = await gateway.request('GET', `/device/${DEVICE}/locations?hours=1`, { user: OWNER });
+        assert.equal(history.status, 200);
+        assert.equal(history.body.count, 5);
+    });
+
+    it('counts a sequence number again after a reboot', async () => {
+        const response = await gateway.request('POST', '/telemetry', {
+            body: { device_id: DEVICE, seq: 1, boot_count: 2, battery: { percent: 79 } }
+        });
+        assert.equal(response.body.status, 'ok');
+    });
+});
+
+describe('failed ingest', () => {
+    let db;
+    let telemetry;
+
+    before(() => {
+        process.env.STORAGE_BACKEND = 'memory';
+        ({ db } = require('../src/db'));
+        telemetry = require('../src/telemetry');
+    });
+
+    // Every query on `table` fails until the returned function is called
+    function failTable(table) {
+        const from = db.from;
+        db.from = name => {
+            const query = from(name);
+            if (name === table) {
+                query.then = resolve => resolve({ data: null, error: { message: 'connection reset' } });
+            }
+            return query;
+        };
+        return () => { db.from = from; };
+    }
+
+    async function locationCount(deviceId) {
+        const { data } = await db.from('locations').select('id').eq('device_id', deviceId);
+        return data.length;
+    }
+
+    it('lets a live reading be retried after a failed write', async () => {
+        const payload = { device_id: 'collar-live', seq: 7, gps: fix(52.37, 4.89) };
+        const readingTime = new Date();
+
+        const restore = failTable('locations');
+        await assert.rejects(telemetry.ingestReading('collar-live', payload, readingTime), /Location insert failed/);
+        restore();
+
+        const retry = await telemetry.ingestReading('collar-live', payload, readingTime);
+        assert.equal(retry.duplicate, false);
+        assert.equal(await locationCount('collar-live'), 1);
+    });
+
+    it('lets a batch be retried after a failed write', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const batch = {
+            readings: [1, 2].map((seq, i) => ({ seq, timestamp: now - 30 + i * 10, gps: fix(52.37 + i * 0.0001, 4.89) }))
+        };
+
+        const restore = failTable('locations');
+        await assert.rejects(telemetry.ingestBatch('collar-batch', batch), /Batch location insert failed/);
+        restore();
+
+        const retry = await telemetry.ingestBatch('collar-batch', batch);
+        assert.equal(retry.accepted, 2);
+        assert.equal(retry.duplicates, 0);
+        assert.equal(await locationCount('collar-batch'), 2);
+    });
+});
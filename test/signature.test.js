@@ -0,0 +1,110 @@
+// =============================================================================
+// INTEGRATION: TELEMETRY SIGNATURES
+// =============================================================================
+// v2 HMAC-SHA256 signatures with replay protection, and the legacy djb2
+// scheme that a device may no longer fall back to once it has used v2
+// (src/signature.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, signTelemetry } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+
+// The legacy scheme as old firmware computes it: djb2 over the payload
+// JSON, then over the key
+function signLegacy(payload, key) {
+    let hash = 5381;
+    for (const text of [JSON.stringify(payload), key]) {
+        for (let i = 0; i < text.length; i++) {
+            hash = (((hash << 5) + hash) + text.charCodeAt(i)) >>> 0;
+        }
+    }
+    return { ...payload, signature: hash };
+}
+
+describe('telemetry signatures', () => {
+    let gateway;
+    let seq = 0;
+
+    const register = async deviceId => {
+        const registered = await gateway.admin('POST', '/devices', { body: { device_id: deviceId, owner_id: OWNER } });
+        assert.equal(registered.status, 201);
+        return registered.body.secret;
+    };
+
+    const sendV2 = (secret, payload) => {
+        const body = JSON.stringify(payload);
+        return gateway.request('POST', '/telemetry', { body, headers: signTelemetry(secret, body) });
+    };
+
+    before(async () => {
+        gateway = await startGateway();
+    });
+
+    after(() => gateway.stop());
+
+    describe('v2', () => {
+        let secret;
+
+        before(async () => {
+            secret = await register('collar-v2');
+        });
+
+        it('accepts signed readings and rejects a replayed nonce', async () => {
+            const body = JSON.stringify({ device_id: 'collar-v2', seq: ++seq, battery: { percent: 90 } });
+            const headers = signTelemetry(secret, body);
+
+            const first = await gateway.request('POST', '/telemetry', { body, headers });
+            assert.equal(first.status, 200);
+
+            const replay = await gateway.request('POST', '/telemetry', { body, headers });
+            assert.equal(replay.status, 401);
+            assert.equal(replay.body.reason, 'replayed_nonce');
+        });
+
+        it('rejects a signature made with the wrong key', async () => {
+            const response = await sendV2('not-the-device-secret', { device_id: 'collar-v2', seq: ++seq });
+            assert.equal(response.status, 401);
+            assert.equal(response.body.reason, 'bad_signature');
+        });
+
+        it('rejects unsigned readings from a device that has a key', async () => {
+            const response = await gateway.request('POST', '/telemetry', {
+                body: { device_id: 'collar-v2', seq: ++seq }
+            });
+            assert.equal(response.status, 401);
+        });
+    });
+
+    describe('legacy', () => {
+        let secret;
+
+        before(async () => {
+            secret = await register('collar-legacy');
+        });
+
+        it('is accepted from a device that has never signed with v2', async () => {
+            const response = await gateway.request('POST', '/telemetry', {
+                body: signLegacy({ device_id: 'collar-legacy', seq: ++seq }, secret)
+            });
+            assert.equal(response.status, 200);
+        });
+
+        it('is refused once the device has signed with v2, whatever firmware it claims', async () => {
+            assert.equal((await sendV2(secret, { device_id: 'collar-legacy', seq: ++seq, firmware_version: '7.0.0' })).status, 200);
+
+            for (const fields of [{}, { firmware_version: '5.0.0' }]) {
+                const response = await gateway.request('POST', '/telemetry', {
+                    body: signLegacy({ device_id: 'collar-legacy', seq: ++seq, ...fields }, secret)
+                });
+                assert.equal(response.status, 401);
+                assert.equal(response.body.reason, 'legacy_signature_not_allowed');
+            }
+
+            const device = await gateway.admin('GET', '/devices/collar-legacy');
+            assert.ok(device.body.signature_v2_at);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+// =============================================================================
+// INTEGRATION: SLEEP SESSIONS
+// =============================================================================
+// Sleep sessions built from the collar's sleep.active transitions, with the
+// respiratory samples taken while asleep (src/sleep.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+
+const MINUTE = 60 * 1000;
+
+describe('sleep sessions', () => {
+    let gateway;
+    let seq = 0;
+
+    // Upload `readings` ({ minutes, sleep }) as a batch, `minutes` after `start`
+    const upload = async (deviceId, start, readings) => {
+        const response = await gateway.request('POST', '/telemetry/batch', {
+            body: {
+                device_id: deviceId,
+                readings: readings.map(({ minutes, sleep }) => ({ seq: ++seq, timestamp: start + minutes * MINUTE, sleep }))
+            }
+        });
+        assert.equal(response.body.accepted, readings.length);
+    };
+
+    const sessions = async deviceId => {
+        const response = await gateway.request('GET', `/device/${deviceId}/sleep`, { user: OWNER });
+        assert.equal(response.status, 200);
+        return response.body.sessions.sort((a, b) => a.started_at.localeCompare(b.started_at));
+    };
+
+    before(async () => {
+        gateway = await startGateway();
+        for (const deviceId of ['collar-night', 'collar-offline']) {
+            await gateway.admin('POST', '/devices', { body: { device_id: deviceId, owner_id: OWNER, legacy_shared_key: true } });
+        }
+    });
+
+    after(() => gateway.stop());
+
+    it('closes a session with its respiratory stats when the dog wakes up', async () => {
+        const start = Date.now() - 2 * 60 * MINUTE;
+        await upload('collar-night', start, [
+            { minutes: 0, sleep: { active: true, respiratory_rate: 18, restless_count: 1, quality: 70 } },
+            { minutes: 10, sleep: { active: true, respiratory_rate: 20, restless_count: 2, quality: 75 } },
+            { minutes: 20, sleep: { active: true, respiratory_rate: 22, restless_count: 2, quality: 80 } },
+            { minutes: 30, sleep: { active: false } }
+        ]);
+
+        const [session] = await sessions('collar-night');
+        assert.equal(session.started_at, new Date(start).toISOString());
+        assert.equal(session.ended_at, new Date(start + 30 * MINUTE).toISOString());
+        assert.equal(session.duration_minutes, 30);
+        assert.equal(session.avg_respiratory_rate, 20);
+        assert.equal(session.min_respiratory_rate, 18);
+        assert.equal(session.max_respiratory_rate, 22);
+        assert.equal(session.restless_count, 2);
+        assert.equal(session.quality_score, 80);
+        assert.equal(session.sample_count, 3);
+
+        const samples = await gateway.request('GET', `/device/collar-night/sleep/${session.id}/respiratory`, { user: OWNER });
+        assert.deepEqual(samples.body.samples.map(sample => sample.respiratory_rate), [18, 20, 22]);
+    });
+
+    it('splits a session when the collar goes quiet for too long', async () => {
+        const start = Date.now() - 6 * 60 * MINUTE;
+        await upload('collar-offline', start, [
+            { minutes: 0, sleep: { active: true, respiratory_rate: 18 } },
+            { minutes: 10, sleep: { active: true, respiratory_rate: 18 } },
+            // Three hours of silence
+            { minutes: 190, sleep: { active: true, respiratory_rate: 20 } },
+            { minutes: 200, sleep: { active: false } }
+        ]);
+
+        const [first, second] = await sessions('collar-offline');
+        // Closed at the last sample before the gap
+        assert.equal(first.ended_at, new Date(start + 10 * MINUTE).toISOString());
+        assert.equal(first.sample_count, 2);
+        assert.equal(second.started_at, new Date(start + 190 * MINUTE).toISOString());
+        assert.equal(second.duration_minutes, 10);
+    });
+});
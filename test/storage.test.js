@@ -0,0 +1,127 @@
+// =============================================================================
+// UNIT: MEMORY STORAGE BACKEND
+// =============================================================================
+// The in-memory stand-in for the Supabase client has to answer queries the
+// way PostgREST does, or the integration tests prove nothing about the
+// hosted backend (src/storage/memory.js).
+// =============================================================================
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryClient } = require('../src/storage/memory');
+
+describe('memory storage backend', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createMemoryClient();
+    });
+
+    const insertAll = async (table, rows) => {
+        const { error } = await db.from(table).insert(rows);
+        assert.equal(error, null);
+    };
+
+    describe('writes', () => {
+        it('fills in ids and the migrations\' column defaults', async () => {
+            const { data, error } = await db.from('geofences').insert({ device_id: 'collar-1', name: 'Yard' }).select().single();
+            assert.equal(error, null);
+            assert.equal(typeof data.id, 'number');
+            assert.ok(data.created_at);
+            assert.equal(data.enabled, true);
+            assert.equal(data.kind, 'safe');
+        });
+
+        it('enforces natural keys on insert', async () => {
+            await insertAll('devices', { device_id: 'collar-1' });
+            const { error } = await db.from('devices').insert({ device_id: 'collar-1' });
+            assert.equal(error.code, '23505');
+        });
+
+        it('upserts on the natural key or onConflict', async () => {
+            await db.from('device_status').upsert({ device_id: 'collar-1', battery_percent: 80 });
+            await db.from('device_status').upsert({ device_id: 'collar-1', battery_percent: 70 }, { onConflict: 'device_id' });
+            await db.from('device_status').upsert({ device_id: 'collar-1', battery_percent: 60 }, { ignoreDuplicates: true });
+
+            const { data } = await db.from('device_status').select('*');
+            assert.equal(data.length, 1);
+            assert.equal(data[0].battery_percent, 70);
+        });
+
+        it('returns updated and deleted rows only when asked to', async () => {
+            await insertAll('geofences', [{ device_id: 'collar-1', name: 'A' }, { device_id: 'collar-2', name: 'B' }]);
+
+            const updated = await db.from('geofences').update({ enabled: false }).eq('device_id', 'collar-1');
+            assert.equal(updated.data, null);
+
+            const deleted = await db.from('geofences').delete().eq('enabled', false).select();
+            assert.deepEqual(deleted.data.map(row => row.name), ['A']);
+
+            const { data } = await db.from('geofences').select('name');
+            assert.deepEqual(data, [{ name: 'B' }]);
+        });
+
+        it('hands out copies, never the stored rows', async () => {
+            await insertAll('devices', { device_id: 'collar-1', tags: ['a'] });
+            const { data } = await db.from('devices').select('*').single();
+            data.tags.push('b');
+
+            const { data: stored } = await db.from('devices').select('tags').single();
+            assert.deepEqual(stored.tags, ['a']);
+        });
+    });
+
+    describe('reads', () => {
+        beforeEach(async () => {
+            await insertAll('locations', [
+                { device_id: 'collar-1', seq: 1, recorded_at: '2026-10-19T08:00:00Z', speed: 1.5 },
+                { device_id: 'collar-1', seq: 2, recorded_at: '2026-10-19T09:00:00.000Z', speed: null },
+                { device_id: 'collar-1', seq: 3, recorded_at: '2026-10-19T10:00:00Z', speed: 0.5 },
+                { device_id: 'collar-2', seq: 1, recorded_at: '2026-10-19T08:30:00Z', speed: 2 }
+            ]);
+        });
+
+        const seqs = ({ data }) => data.map(row => `${row.device_id}/${row.seq}`);
+
+        it('compares filter values as text, like PostgREST', async () => {
+            assert.deepEqual(seqs(await db.from('locations').select('*').eq('seq', '3')), ['collar-1/3']);
+        });
+
+        it('compares timestamps as instants, whatever their format', async () => {
+            const after = await db.from('locations').select('*').gt('recorded_at', '2026-10-19T09:00:00Z');
+            assert.deepEqual(seqs(after), ['collar-1/3']);
+        });
+
+        it('supports in, is and not', async () => {
+            assert.deepEqual(seqs(await db.from('locations').select('*').in('seq', [2, 3])), ['collar-1/2', 'collar-1/3']);
+            assert.deepEqual(seqs(await db.from('locations').select('*').is('speed', null)), ['collar-1/2']);
+            assert.equal((await db.from('locations').select('*').not('speed', 'is', null)).data.length, 3);
+        });
+
+        it('sorts NULLs last ascending and first descending', async () => {
+            const ascending = await db.from('locations').select('*').eq('device_id', 'collar-1').order('speed');
+            assert.deepEqual(seqs(ascending), ['collar-1/3', 'collar-1/1', 'collar-1/2']);
+
+            const descending = await db.from('locations').select('*').eq('device_id', 'collar-1').order('speed', { ascending: false });
+            assert.deepEqual(seqs(descending), ['collar-1/2', 'collar-1/1', 'collar-1/3']);
+        });
+
+        it('pages with order, limit and range', async () => {
+            const query = () => db.from('locations').select('*').order('device_id').order('seq', { ascending: false });
+            assert.deepEqual(seqs(await query().limit(2)), ['collar-1/3', 'collar-1/2']);
+            assert.deepEqual(seqs(await query().range(2, 3)), ['collar-1/1', 'collar-2/1']);
+        });
+
+        it('counts without returning rows', async () => {
+            const { data, count } = await db.from('locations').select('*', { count: 'exact', head: true }).eq('device_id', 'collar-1');
+            assert.equal(data, null);
+            assert.equal(count, 3);
+        });
+
+        it('answers single and maybeSingle like PostgREST', async () => {
+            assert.equal((await db.from('locations').select('*').eq('seq', 9).maybeSingle()).data, null);
+            assert.equal((await db.from('locations').select('*').eq('seq', 1).maybeSingle()).error.code, 'PGRST116');
+            assert.equal((await db.from('locations').select('*').eq('seq', 9).single()).error.code, 'PGRST116');
+        });
+    });
+});
@@ -0,0 +1,50 @@
+// =============================================================================
+// INTEGRATION: TELEMETRY INGEST
+// =============================================================================
+// POST /telemetry against the memory backend and what ends up in the device
+// status.
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+
+function fix(lat, lon) {
+    return { valid: true, lat, lon, hdop: 1, satellites: 8 };
+}
+
+describe('telemetry ingest', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway();
+
+        const unsigned = await gateway.admin('POST', '/devices', {
+            body: { device_id: 'collar-unsigned', owner_id: OWNER, legacy_shared_key: true }
+        });
+        assert.equal(unsigned.status, 201);
+    });
+
+    after(() => gateway.stop());
+
+    it('rejects readings without a device_id', async () => {
+        const response = await gateway.request('POST', '/telemetry', { body: { seq: 1 } });
+        assert.equal(response.status, 400);
+    });
+
+    it('stores a live reading in the device status', async () => {
+        const response = await gateway.request('POST', '/telemetry', {
+            body: { device_id: 'collar-unsigned', seq: 1, battery: { percent: 80 }, gps: fix(52.37, 4.89) }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'ok');
+
+        const status = await gateway.request('GET', '/device/collar-unsigned/status', { user: OWNER });
+        assert.equal(status.status, 200);
+        assert.equal(status.body.battery_percent, 80);
+        assert.equal(status.body.latitude, 52.37);
+        assert.equal(status.body.gps_valid, true);
+    });
+});
@@ -0,0 +1,90 @@
+// =============================================================================
+// INTEGRATION: DEVICE TIMEZONES
+// =============================================================================
+// Local dates across DST changes, and the daily rollup counting steps on
+// the device's local day (src/timezone.js, src/daily.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const DEVICE = 'collar-1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('local time', () => {
+    let timezone;
+
+    before(() => {
+        process.env.STORAGE_BACKEND = 'memory';
+        timezone = require('../src/timezone');
+    });
+
+    it('knows IANA names only', () => {
+        assert.equal(timezone.isValidTimezone('Europe/Amsterdam'), true);
+        assert.equal(timezone.isValidTimezone('Mars/Olympus_Mons'), false);
+        assert.equal(timezone.isValidTimezone(''), false);
+    });
+
+    it('puts an instant on its local date', () => {
+        const instant = new Date('2026-10-19T23:30:00Z');
+        assert.equal(timezone.localDateKey(instant, 'UTC'), '2026-10-19');
+        assert.equal(timezone.localDateKey(instant, 'Europe/Amsterdam'), '2026-10-20');
+        assert.equal(timezone.localDateKey(instant, 'America/New_York'), '2026-10-19');
+        assert.equal(timezone.localHour(instant, 'Europe/Amsterdam'), 1);
+    });
+
+    it('finds local wall-clock hours on either side of a DST change', () => {
+        // Amsterdam moves from UTC+1 to UTC+2 at 02:00 on 29 March 2026
+        assert.equal(timezone.startOfLocalDay('2026-03-29', 'Europe/Amsterdam').toISOString(), '2026-03-28T23:00:00.000Z');
+        assert.equal(timezone.localDateTime('2026-03-29', 12, 'Europe/Amsterdam').toISOString(), '2026-03-29T10:00:00.000Z');
+        // ...and back at 03:00 on 25 October 2026
+        assert.equal(timezone.startOfLocalDay('2026-10-26', 'Europe/Amsterdam').toISOString(), '2026-10-25T23:00:00.000Z');
+    });
+});
+
+describe('daily rollup', () => {
+    let gateway;
+    let seq = 0;
+
+    const report = (timestamp, todaySteps) => gateway.request('POST', '/telemetry', {
+        body: { device_id: DEVICE, seq: ++seq, timestamp, activity: { today_steps: todaySteps } }
+    });
+
+    before(async () => {
+        gateway = await startGateway();
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+    });
+
+    after(() => gateway.stop());
+
+    it('only accepts IANA timezone names', async () => {
+        const response = await gateway.request('PUT', `/device/${DEVICE}/timezone`, { user: OWNER, body: { timezone: 'GMT+13' } });
+        assert.equal(response.status, 400);
+    });
+
+    it('counts steps on the local day of each reading', async () => {
+        const updated = await gateway.request('PUT', `/device/${DEVICE}/timezone`, { user: OWNER, body: { timezone: 'Pacific/Kiritimati' } });
+        assert.equal(updated.status, 200);
+
+        // Kiritimati is UTC+14 all year: 09:30 UTC is 23:30 there, 10:30 UTC
+        // half past midnight the next local day
+        const utcDate = new Date(Date.now() - 3 * DAY_MS).toISOString().slice(0, 10);
+        const at = time => Date.parse(`${utcDate}T${time}Z`);
+        await report(at('09:30:00'), 1000);
+        await report(at('10:30:00'), 1600);
+        // The collar reset its counter at its own midnight
+        await report(at('11:30:00'), 200);
+
+        const { body } = await gateway.request('GET', `/device/${DEVICE}/daily?days=7`, { user: OWNER });
+        assert.equal(body.timezone, 'Pacific/Kiritimati');
+        const steps = date => body.daily.find(day => day.date === date).steps;
+
+        const nextDate = new Date(Date.parse(utcDate) + DAY_MS).toISOString().slice(0, 10);
+        assert.equal(steps(utcDate), 1000);
+        assert.equal(steps(nextDate), 600 + 200);
+        assert.equal(body.summary.steps, 1800);
+    });
+});
@@ -0,0 +1,95 @@
+// =============================================================================
+// INTEGRATION: VET REPORT
+// =============================================================================
+// Scratching over a period compared with the dog's baseline, sustained
+// increases, and the JSON / CSV / PDF downloads (src/scratch.js).
+// =============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const DEVICE = 'collar-1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD, `days` before today (UTC)
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+
+describe('vet report', () => {
+    let gateway;
+
+    const vetReport = query => gateway.request('GET', `/device/${DEVICE}/reports/vet?${query}`, { user: OWNER });
+
+    before(async () => {
+        gateway = await startGateway();
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+
+        // A quiet three days, then a flare: 1 episode a day, then 8 a day
+        const readings = [];
+        for (let day = 6; day >= 1; day--) {
+            const count = day > 3 ? 1 : 8;
+            for (let i = 0; i < count; i++) {
+                readings.push({
+                    seq: readings.length + 1,
+                    timestamp: Date.parse(`${daysAgo(day)}T12:00:00Z`) + i * 60 * 1000,
+                    scratch: { detected: true, frequency: 5, confidence: 90 }
+                });
+            }
+        }
+        const batch = await gateway.request('POST', '/telemetry/batch', { body: { device_id: DEVICE, readings } });
+        assert.equal(batch.body.accepted, readings.length);
+    });
+
+    after(() => gateway.stop());
+
+    it('covers every day of the period as JSON', async () => {
+        const response = await vetReport('from=2026-01-01&to=2026-01-07');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.device_id, DEVICE);
+        assert.equal(response.body.period.days, 7);
+    });
+
+    it('finds a sustained increase over the baseline', async () => {
+        const response = await vetReport(`from=${daysAgo(6)}&to=${daysAgo(1)}`);
+        const { summary, baseline, sustained_increases: increases } = response.body;
+
+        assert.equal(summary.total_scratches, 27);
+        // No history before the period - its first third is the baseline
+        assert.equal(baseline.source, 'period_start');
+        assert.equal(baseline.avg_per_day, 1);
+
+        assert.equal(increases.length, 1);
+        assert.equal(increases[0].start_date, daysAgo(3));
+        assert.equal(increases[0].days, 3);
+        assert.equal(increases[0].increase_percent, 700);
+        assert.equal(increases[0].ongoing, true);
+    });
+
+    it('downloads as CSV with one row per day', async () => {
+        const response = await vetReport('from=2026-01-01&to=2026-01-07&format=csv');
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/csv/);
+        const lines = response.text.trim().split('\n');
+        assert.match(lines[0], /^date,/);
+        assert.equal(lines.length, 1 + 7);
+    });
+
+    it('downloads as PDF', async () => {
+        const response = await vetReport('format=pdf');
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^application\/pdf/);
+        assert.ok(response.text.startsWith('%PDF-'));
+    });
+
+    it('rejects unknown formats', async () => {
+        const response = await vetReport('format=constructor');
+        assert.equal(response.status, 400);
+    });
+
+    it('rejects a period that ends before it starts', async () => {
+        const response = await vetReport('from=2026-01-07&to=2026-01-01');
+        assert.equal(response.status, 400);
+    });
+});
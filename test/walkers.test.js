@@ -0,0 +1,200 @@
+// =============================================================================
+// INTEGRATION: WALKER ACCOUNTABILITY
+// =============================================================================
+// Who may end a walk and who it is credited to, signed walk receipts, the
+// billable statement and disputes (src/walks.js, src/receipts.js,
+// src/walkers.js).
+// =============================================================================
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers/gateway');
+
+const OWNER = 'owner-1';
+const FAMILY = 'family-1';
+const WALKER = 'walker-1';
+const OTHER_WALKER = 'walker-2';
+const DEVICE = 'collar-1';
+const FIX_COUNT = 6;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('walker accountability', () => {
+    let gateway;
+    let seq = 0;
+
+    const reading = fields => gateway.request('POST', '/telemetry', {
+        body: { device_id: DEVICE, seq: ++seq, ...fields }
+    });
+
+    const endWalk = (user, walkId) => gateway.request('POST', `/device/${DEVICE}/walk/end`, {
+        user,
+        body: { walk_id: walkId }
+    });
+
+    before(async () => {
+        gateway = await startGateway();
+
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+        const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        for (const [userId, role] of [[FAMILY, 'family'], [WALKER, 'walker'], [OTHER_WALKER, 'walker']]) {
+            const shared = await gateway.request('POST', `/device/${DEVICE}/access`, {
+                user: OWNER,
+                body: { user_id: userId, role, expires_at: role === 'walker' ? inAnHour : undefined }
+            });
+            assert.equal(shared.status, 201);
+        }
+    });
+
+    after(() => gateway.stop());
+
+    describe('an app-started walk', () => {
+        let walkId;
+
+        before(async () => {
+            const started = await gateway.request('POST', `/device/${DEVICE}/walk/start`, { user: WALKER });
+            assert.equal(started.status, 200);
+            walkId = started.body.walk_id;
+        });
+
+        it('cannot be ended by another walker', async () => {
+            const response = await endWalk(OTHER_WALKER, walkId);
+            assert.equal(response.status, 403);
+        });
+
+        it('can be ended by family, and stays credited to its walker', async () => {
+            const response = await endWalk(FAMILY, walkId);
+            assert.equal(response.status, 200);
+            assert.equal(response.body.walker_id, WALKER);
+        });
+    });
+
+    describe('an auto-detected walk', () => {
+        let walkId;
+
+        before(async () => {
+            assert.equal((await reading({ walk: { active: true } })).status, 200);
+
+            const listed = await gateway.request('GET', `/device/${DEVICE}/walks`, { user: OWNER });
+            const open = listed.body.walks.find(walk => !walk.ended_at);
+            assert.ok(open, 'the reading opened a walk');
+            assert.equal(open.walker_id, null);
+            walkId = open.id;
+        });
+
+        it('cannot be ended by a walker who did not join it', async () => {
+            const response = await endWalk(WALKER, walkId);
+            assert.equal(response.status, 403);
+        });
+
+        it('is not credited to whoever ends it', async () => {
+            const response = await endWalk(OWNER, walkId);
+            assert.equal(response.status, 200);
+            assert.equal(response.body.walker_id, null);
+
+            const statement = await gateway.request('GET', `/walkers/${OWNER}/statement`, { user: OWNER });
+            assert.deepEqual(statement.body.walks, []);
+        });
+    });
+});
+
+describe('walker statements', () => {
+    let gateway;
+    let walkId;
+
+    before(async () => {
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        gateway = await startGateway({
+            WALK_RECEIPT_PRIVATE_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' })
+        });
+
+        await gateway.admin('POST', '/devices', { body: { device_id: DEVICE, owner_id: OWNER, legacy_shared_key: true } });
+        await gateway.request('POST', `/device/${DEVICE}/access`, {
+            user: OWNER,
+            body: { user_id: WALKER, role: 'walker', expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+        });
+
+        const started = await gateway.request('POST', `/device/${DEVICE}/walk/start`, { user: WALKER });
+        assert.equal(started.status, 200);
+        walkId = started.body.walk_id;
+
+        // Fixes a few milliseconds apart (timestamps in unix ms), all inside
+        // the walk and slow enough to pass the jump filter
+        await sleep(20);
+        const start = Date.now();
+        const readings = Array.from({ length: FIX_COUNT }, (_, i) => ({
+            seq: i + 1,
+            timestamp: start + i * 10,
+            gps: { valid: true, lat: 52.37 + i * 0.00000005, lon: 4.89, hdop: 1, satellites: 8 },
+            walk: { active: true }
+        }));
+        const batch = await gateway.request('POST', '/telemetry/batch', { body: { device_id: DEVICE, readings } });
+        assert.equal(batch.body.accepted, FIX_COUNT);
+        await sleep(100);
+
+        const ended = await gateway.request('POST', `/device/${DEVICE}/walk/end`, { user: WALKER, body: { walk_id: walkId } });
+        assert.equal(ended.status, 200);
+    });
+
+    after(() => gateway.stop());
+
+    it('lists the walker\'s own walks', async () => {
+        const response = await gateway.request('GET', `/walkers/${WALKER}/statement`, { user: WALKER });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.walks.map(walk => walk.walk_id), [walkId]);
+        assert.ok(response.body.walks[0].receipt_signature);
+    });
+
+    it('downloads as CSV', async () => {
+        const response = await gateway.request('GET', `/walkers/${WALKER}/statement?format=csv`, { user: WALKER });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/csv/);
+        const [header, row] = response.text.trim().split('\n');
+        assert.match(header, /^walk_id,device_id,/);
+        assert.ok(row.startsWith(`${walkId},${DEVICE},`));
+    });
+
+    it('shows other users only walks of their own dogs', async () => {
+        const owner = await gateway.request('GET', `/walkers/${WALKER}/statement`, { user: OWNER });
+        assert.equal(owner.body.walks.length, 1);
+
+        const stranger = await gateway.request('GET', `/walkers/${WALKER}/statement`, { user: 'stranger-1' });
+        assert.equal(stranger.status, 200);
+        assert.deepEqual(stranger.body.walks, []);
+    });
+
+    it('issues a receipt that verifies until it is altered', async () => {
+        const response = await gateway.request('GET', `/device/${DEVICE}/walks/${walkId}/receipt`, { user: WALKER });
+        assert.equal(response.status, 200);
+        const { receipt, signature } = response.body;
+        assert.equal(receipt.walk_id, walkId);
+
+        const verified = await gateway.request('POST', '/walk-receipts/verify', { body: { receipt, signature } });
+        assert.deepEqual(verified.body, { valid: true, walk_id: walkId });
+
+        const tampered = await gateway.request('POST', '/walk-receipts/verify', {
+            body: { receipt: { ...receipt, grade: 'A', grade_score: 100 }, signature }
+        });
+        assert.equal(tampered.body.valid, false);
+        assert.equal(tampered.body.reason, 'bad_signature');
+    });
+
+    it('holds back pay for a walk the owner disputes', async () => {
+        const path = `/device/${DEVICE}/walks/${walkId}/dispute`;
+        assert.equal((await gateway.request('POST', path, { user: WALKER, body: { reason: 'Looks fine to me' } })).status, 403);
+
+        const disputed = await gateway.request('POST', path, { user: OWNER, body: { reason: 'Rex came home dry, it was raining' } });
+        assert.equal(disputed.status, 201);
+        assert.equal(disputed.body.dispute_status, 'open');
+
+        const again = await gateway.request('POST', path, { user: OWNER, body: { reason: 'And again' } });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'already_disputed');
+
+        const { body } = await gateway.request('GET', `/walkers/${WALKER}/statement`, { user: WALKER });
+        assert.equal(body.walks[0].grade, disputed.body.grade);
+        assert.equal(body.walks[0].amount_cents, 0);
+        assert.equal(body.summary.disputed_walks, 1);
+    });
+});